@@ -0,0 +1,303 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { formatDuration, getAudioDuration } from "./audio-utils.js";
+import { logger } from "./logger.js";
+
+// 생성된 오디오 메타데이터 카탈로그 (append-only JSONL)
+//
+// audioDir/.catalog.jsonl 에 한 줄씩 기록합니다.
+//   { "op": "put", "filename": ..., "text": ..., "provider": ..., "voice": ..., "model": ...,
+//     "speed": ..., "format": ..., "owner": ..., "bytes": ..., "durationSeconds": ...,
+//     "chunkCount": ..., "sha256": ..., "createdAt": ..., "lastAccessedAt": ..., "pinned": ... }
+//   { "op": "delete", "filename": ..., "deletedAt": ... }
+// 같은 파일명의 뒤쪽 기록이 앞쪽을 덮어쓰며, 삭제 기록이 쌓이면 자동으로 압축(compact)합니다.
+// 여러 프로세스(stdio/HTTP 서버)가 같은 디렉토리를 공유해도 파일이 바뀌면 다시 읽습니다.
+//
+// 여러 인스턴스가 함께 쓰는 저장소(storage.shared, 예: S3)에서는 기록을 저장소에도 하나씩 두고(writeRecord),
+// rebuild()가 저장소의 파일 목록과 기록으로 로컬 카탈로그를 맞춥니다. (다른 인스턴스가 만든 파일의 원문·소유자도 유지)
+
+const CATALOG_FILENAME = ".catalog.jsonl";
+const COMPACT_THRESHOLD = 500;
+// 사용 시각(lastAccessedAt) 기록 간격. 재생할 때마다 줄이 쌓이지 않도록 제한
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export function sha256Hex(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// audioDir: 카탈로그 파일 위치, storage: 오디오 파일 저장소 (storage/index.js)
+export function createAudioCatalog(audioDir, { storage }) {
+  const catalogPath = path.join(audioDir, CATALOG_FILENAME);
+  const records = new Map();
+  let staleLines = 0;
+  let loadedSignature = null;
+
+  function signature() {
+    try {
+      const stats = fs.statSync(catalogPath);
+      return `${stats.size}:${stats.mtimeMs}`;
+    } catch {
+      return "missing";
+    }
+  }
+
+  function applyLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      // 비정상 종료로 잘린 마지막 줄 등은 건너뜀
+      staleLines++;
+      return;
+    }
+    if (records.has(entry.filename)) {
+      staleLines++;
+    }
+    if (entry.op === "delete") {
+      records.delete(entry.filename);
+      staleLines++;
+    } else if (entry.op === "put") {
+      const { op, ...record } = entry;
+      records.set(record.filename, record);
+    }
+  }
+
+  // 다른 프로세스가 기록했을 수 있으므로 변경 시에만 다시 읽음
+  function refresh() {
+    const current = signature();
+    if (current === loadedSignature) {
+      return;
+    }
+    records.clear();
+    staleLines = 0;
+    if (current !== "missing") {
+      fs.readFileSync(catalogPath, "utf8").split("\n").forEach(applyLine);
+    }
+    loadedSignature = current;
+  }
+
+  function append(entry) {
+    refresh();
+    fs.appendFileSync(catalogPath, `${JSON.stringify(entry)}\n`);
+    applyLine(JSON.stringify(entry));
+    loadedSignature = signature();
+    if (staleLines >= COMPACT_THRESHOLD) {
+      compact();
+    }
+  }
+
+  // 현재 상태만 새 파일에 쓰고 원자적으로 교체
+  function compact() {
+    const tmpPath = `${catalogPath}.${process.pid}.tmp`;
+    const lines = [...records.values()].map((record) => JSON.stringify({ op: "put", ...record }));
+    fs.writeFileSync(tmpPath, lines.length ? `${lines.join("\n")}\n` : "");
+    fs.renameSync(tmpPath, catalogPath);
+    staleLines = 0;
+    loadedSignature = signature();
+  }
+
+  // 공유 저장소의 기록은 요청을 기다리게 하지 않도록 백그라운드로 반영 (실패해도 다음 rebuild에서 다시 기록)
+  const pending = new Set();
+  function mirror(action, filename, write) {
+    if (!storage.shared) {
+      return;
+    }
+    const task = write()
+      .catch((error) => {
+        logger.warn(`카탈로그 기록 ${action} 실패 (저장소)`, { filename, error });
+      })
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  }
+
+  return {
+    path: catalogPath,
+
+    get(filename) {
+      refresh();
+      return records.get(filename) || null;
+    },
+
+    // 최신순 목록. filter(record) → boolean
+    list(filter = () => true) {
+      refresh();
+      return [...records.values()]
+        .filter(filter)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    add(record) {
+      append({ op: "put", ...record });
+      mirror("저장", record.filename, () => storage.writeRecord(record));
+      return record;
+    },
+
+    update(filename, patch) {
+      const current = this.get(filename);
+      if (!current) {
+        return null;
+      }
+      return this.add({ ...current, ...patch, filename });
+    },
+
+    // 재생·다운로드·캐시 재사용 시 호출 (보존 정책의 LRU 기준)
+    touch(filename) {
+      const current = this.get(filename);
+      if (!current) {
+        return;
+      }
+      const now = Date.now();
+      if (current.lastAccessedAt && now - Date.parse(current.lastAccessedAt) < TOUCH_INTERVAL_MS) {
+        return;
+      }
+      this.add({ ...current, lastAccessedAt: new Date(now).toISOString() });
+    },
+
+    // 공유 저장소에 반영 중인 기록이 모두 끝날 때까지 대기
+    // (새 파일의 원문·소유자가 다른 인스턴스와 재시작 후에도 보이도록 생성 직후 호출)
+    async flush() {
+      await Promise.all(pending);
+    },
+
+    remove(filename) {
+      if (this.get(filename)) {
+        append({ op: "delete", filename, deletedAt: new Date().toISOString() });
+        mirror("삭제", filename, () => storage.removeRecord(filename));
+      }
+    },
+
+    // 저장소 기준으로 카탈로그 재구성
+    // 새 기록은 별도 Map에 만든 뒤 마지막에 한 번에 교체하므로, 재구성 중에도 목록·조회는 이전 기록을 그대로 봄
+    // (재구성 중에 추가·변경·삭제된 기록은 교체할 때 그대로 반영)
+    // - 파일이 사라진 기록은 제거
+    // - 공유 저장소에 기록이 있는 파일은 그 기록 사용 (다른 인스턴스가 만든 파일), 없으면 이 인스턴스의 기록을 올림
+    // - 기록이 없는 파일은 크기·체크섬·길이를 계산해 추가 (원문 텍스트 등은 알 수 없음)
+    // - 크기가 달라진 기존 기록은 실제 파일 기준으로 크기·체크섬 갱신
+    async rebuild() {
+      const startedAt = new Date().toISOString();
+      const files = await storage.list();
+      const remoteRecords = storage.shared ? await storage.readRecords() : new Map();
+      refresh();
+      const base = new Map(records);
+      const next = new Map(records);
+      const present = new Set(files.map((file) => file.filename));
+      let added = 0;
+      let removed = 0;
+
+      for (const [filename, record] of [...next]) {
+        if (!present.has(filename) && record.createdAt < startedAt) {
+          next.delete(filename);
+          removed++;
+        }
+      }
+
+      // 파일이 지워졌는데 남은 공유 기록 정리
+      for (const [filename, record] of remoteRecords) {
+        if (!present.has(filename) && record.createdAt < startedAt) {
+          mirror("삭제", filename, () => storage.removeRecord(filename));
+        }
+      }
+
+      for (const { filename, bytes, modifiedAt } of files) {
+        const existing = next.get(filename);
+        const remote = remoteRecords.get(filename);
+        if (remote && remote.bytes === bytes) {
+          if (!existing) {
+            added++;
+          }
+          // 이 인스턴스에서 더 최근에 사용한 파일이면 로컬 기록(사용 시각) 유지
+          if (!existing || (remote.lastAccessedAt ?? "") >= (existing.lastAccessedAt ?? "")) {
+            next.set(filename, remote);
+          }
+          continue;
+        }
+        // 크기가 같으면 기존 체크섬을 신뢰 (시작 시 전체 파일을 다시 읽지 않도록)
+        if (existing && existing.bytes === bytes) {
+          mirror("저장", filename, () => storage.writeRecord(existing));
+          continue;
+        }
+        const buffer = await storage.read(filename);
+        if (!buffer) {
+          // 목록을 읽은 뒤 삭제된 파일
+          continue;
+        }
+        if (existing) {
+          next.set(filename, { ...existing, bytes: buffer.length, sha256: sha256Hex(buffer) });
+        } else {
+          const format = path.extname(filename).slice(1);
+          let durationSeconds = null;
+          try {
+            durationSeconds = getAudioDuration(buffer, format);
+          } catch {
+            // 길이를 알 수 없는 파일
+          }
+          next.set(filename, {
+            filename,
+            text: null,
+            provider: null,
+            voice: null,
+            model: null,
+            speed: null,
+            format,
+            owner: null,
+            bytes: buffer.length,
+            durationSeconds,
+            chunkCount: null,
+            sha256: sha256Hex(buffer),
+            createdAt: modifiedAt.toISOString(),
+          });
+          added++;
+        }
+        const record = next.get(filename);
+        mirror("저장", filename, () => storage.writeRecord(record));
+      }
+
+      // 재구성 중에 바뀐 기록(이 프로세스나 다른 프로세스의 추가·변경·삭제)은 그 결과를 우선
+      refresh();
+      for (const filename of new Set([...base.keys(), ...records.keys()])) {
+        const current = records.get(filename);
+        if (JSON.stringify(current) === JSON.stringify(base.get(filename))) {
+          continue;
+        }
+        if (current) {
+          next.set(filename, current);
+        } else {
+          next.delete(filename);
+        }
+      }
+      records.clear();
+      for (const [filename, record] of next) {
+        records.set(filename, record);
+      }
+      compact();
+      return { total: records.size, added, removed };
+    },
+  };
+}
+
+// list_audio_files 출력용 한 항목 서식
+//   url: 다운로드 링크 (HTTP 서버의 서명된 URL), filepath: 저장 위치 (로컬 경로 또는 s3:// URI, 로컬 실행용)
+export function describeAudioRecord(record, index, { url, filepath } = {}) {
+  const preview = record.text
+    ? (record.text.length > 60 ? `${record.text.slice(0, 60)}…` : record.text)
+    : "(알 수 없음)";
+  const lines = [
+    `${index + 1}. **${record.filename}**${record.pinned ? " 📌" : ""}`,
+    `   📝 텍스트: ${preview}`,
+    `   🎵 음성: ${record.voice || "-"} · 🤖 모델: ${record.model || "-"} · 🔌 프로바이더: ${record.provider || "-"}`,
+    `   👤 생성자: ${record.owner || "(알 수 없음)"}`,
+    `   📁 크기: ${(record.bytes / 1024).toFixed(2)} KB · ⏱️ 길이: ${formatDuration(record.durationSeconds)}`,
+    `   📅 생성일: ${new Date(record.createdAt).toLocaleString('ko-KR')}`,
+  ];
+  if (url) {
+    lines.push(`   🔗 다운로드: ${url}`);
+  }
+  if (filepath) {
+    lines.push(`   💾 위치: ${filepath}`);
+  }
+  return lines.join("\n");
+}
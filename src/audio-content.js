@@ -0,0 +1,44 @@
+import { signAudioPath } from "./audio-urls.js";
+import { AUDIO_MIME_TYPES } from "./audio-utils.js";
+
+// text_to_speech 결과에 포함할 MCP 콘텐츠 블록 (audio, resource_link)
+
+// 인라인 audio 블록으로 보낼 최대 크기 (base64 인코딩 전, 기본 1MB)
+export const INLINE_AUDIO_MAX_BYTES = Number(process.env.MCP_AUDIO_INLINE_MAX_BYTES) || 1024 * 1024;
+
+// 다운로드 URL: HTTP 서버는 만료 시각이 있는 서명된 공개 절대 URL (audio-urls.js),
+// stdio 서버는 저장소가 직접 주는 URL (로컬 디스크는 file:// URI, S3는 미리 서명된 URL)
+//   owner: 링크를 받는 사용자 이름 (AUDIO_URL_BIND_OWNER일 때 링크를 그 사용자에게 묶음)
+export function buildAudioUri({ filename, storage, publicUrl, owner }) {
+  if (publicUrl) {
+    return publicUrl(signAudioPath(filename, { owner }));
+  }
+  return storage.directUrl(filename);
+}
+
+export function buildAudioContent({ filename, storage, buffer, format, publicUrl, owner, includeAudio = true }) {
+  const mimeType = AUDIO_MIME_TYPES[format] || "application/octet-stream";
+  const uri = buildAudioUri({ filename, storage, publicUrl, owner });
+  const content = [];
+  let inlined = false;
+
+  if (includeAudio && buffer.length <= INLINE_AUDIO_MAX_BYTES) {
+    content.push({
+      type: "audio",
+      data: buffer.toString("base64"),
+      mimeType,
+    });
+    inlined = true;
+  }
+
+  content.push({
+    type: "resource_link",
+    uri,
+    name: filename,
+    mimeType,
+    size: buffer.length,
+    description: "생성된 오디오 파일",
+  });
+
+  return { uri, inlined, content };
+}
@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import path from "path";
+import { isAudioFile, notifyAudioLibraryChanged } from "./audio-resources.js";
+import { logger } from "./logger.js";
+
+// 오디오 파일 접근 제어 (파일명 제한, 소유권, 삭제)
+//
+// 파일명은 저장소 루트 바로 아래의 오디오 파일로만 해석하며, 목록·읽기와 삭제·고정 같은 변경 작업은
+// 카탈로그에 기록된 소유자(owner) 또는 admin 역할 사용자만 할 수 있습니다.
+// 소유자를 알 수 없는 파일(카탈로그 재구성으로 추가된 파일 등)은 admin만 보고 변경할 수 있습니다.
+
+// 새 오디오 파일명: 생성 시각 + 임의 값 (원문 텍스트는 파일명에 넣지 않고 카탈로그에만 기록)
+//   kind: 종류 구분 (예: "dialogue")
+export function createAudioFilename(format, { kind } = {}) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const id = crypto.randomBytes(8).toString("hex");
+  return `tts_${timestamp}_${kind ? `${kind}_` : ""}${id}.${format}`;
+}
+
+// 사용자 입력 파일명 검증 (저장소 루트 바로 아래의 오디오 파일명만 허용, 하위 경로·숨김 파일은 거부)
+export function assertAudioFilename(filename) {
+  if (typeof filename !== "string" || !filename) {
+    throw new Error("파일명이 제공되지 않았습니다.");
+  }
+  if (filename !== path.basename(filename) || filename.startsWith(".") || !isAudioFile(filename)) {
+    throw new Error(`잘못된 오디오 파일명입니다: ${filename}`);
+  }
+}
+
+export function canManageAudio(user, record) {
+  return user.role === "admin" || (Boolean(record?.owner) && record.owner === user.name);
+}
+
+export function assertCanManageAudio(user, record, filename) {
+  if (!canManageAudio(user, record)) {
+    throw new Error(`이 파일을 변경할 권한이 없습니다. 생성자 또는 관리자만 가능합니다: ${filename}`);
+  }
+}
+
+// 삭제 도구 정의 (stdio / SSE / HTTP 서버 공용)
+export const DELETE_AUDIO_FILE_TOOL = {
+  name: "delete_audio_file",
+  description: "지정된 오디오 파일을 삭제합니다. 본인이 생성한 파일만 삭제할 수 있습니다. (관리자는 모든 파일)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      filename: {
+        type: "string",
+        description: "삭제할 오디오 파일명",
+      },
+    },
+    required: ["filename"],
+  },
+};
+
+export const DELETE_AUDIO_FILES_TOOL = {
+  name: "delete_audio_files",
+  description: "조건에 맞는 오디오 파일을 한 번에 삭제합니다. dry_run으로 삭제 대상만 미리 확인할 수 있습니다. 본인이 생성한 파일만 대상이 됩니다. (관리자는 모든 파일)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      older_than_hours: {
+        type: "number",
+        description: "생성된 지 이 시간(시간 단위)보다 오래된 파일만 대상",
+        minimum: 0,
+      },
+      created_by_me: {
+        type: "boolean",
+        description: "본인이 생성한 파일만 대상 (관리자가 아니면 항상 적용)",
+        default: false,
+      },
+      include_pinned: {
+        type: "boolean",
+        description: "고정(pin)된 파일도 대상에 포함",
+        default: false,
+      },
+      dry_run: {
+        type: "boolean",
+        description: "true면 실제로 삭제하지 않고 대상 목록만 반환",
+        default: false,
+      },
+    },
+  },
+};
+
+export function createAudioDeletionHandlers({ storage, audioCatalog }) {
+  async function removeFile(filename) {
+    await storage.remove(filename);
+    audioCatalog.remove(filename);
+  }
+
+  async function deleteAudioFile(args, { user, log = logger }) {
+    const { filename } = args;
+    assertAudioFilename(filename);
+    const record = audioCatalog.get(filename);
+
+    if (!record && !(await storage.stat(filename))) {
+      throw new Error(`파일을 찾을 수 없습니다: ${filename}`);
+    }
+    assertCanManageAudio(user, record, filename);
+
+    await removeFile(filename);
+    notifyAudioLibraryChanged();
+    log.info("파일 삭제", { audit: true, file: filename, owner: record?.owner });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `✅ 파일이 성공적으로 삭제되었습니다: ${filename}`,
+        },
+      ],
+    };
+  }
+
+  async function deleteAudioFiles(args = {}, { user, log = logger }) {
+    const { older_than_hours, created_by_me = false, include_pinned = false, dry_run = false } = args;
+    if (older_than_hours === undefined && !created_by_me) {
+      throw new Error("older_than_hours 또는 created_by_me 중 하나 이상의 조건을 지정해야 합니다.");
+    }
+    if (older_than_hours !== undefined && !(Number(older_than_hours) >= 0)) {
+      throw new Error(`older_than_hours는 0 이상의 숫자여야 합니다: ${older_than_hours}`);
+    }
+
+    const cutoff = older_than_hours !== undefined ? Date.now() - Number(older_than_hours) * 3600 * 1000 : null;
+    const targets = audioCatalog.list((record) => (
+      canManageAudio(user, record)
+      && (!created_by_me || record.owner === user.name)
+      && (cutoff === null || Date.parse(record.createdAt) < cutoff)
+      && (include_pinned || !record.pinned)
+    ));
+
+    const deleted = [];
+    const failed = [];
+    if (!dry_run) {
+      for (const record of targets) {
+        try {
+          await removeFile(record.filename);
+          deleted.push(record);
+        } catch (error) {
+          failed.push({ filename: record.filename, error: error.message });
+        }
+      }
+      if (deleted.length > 0) {
+        notifyAudioLibraryChanged();
+      }
+      log.info("파일 일괄 삭제", { audit: true, deleted: deleted.length, failed: failed.length });
+    }
+
+    const affected = dry_run ? targets : deleted;
+    const totalBytes = affected.reduce((sum, record) => sum + (record.bytes || 0), 0);
+    const lines = [
+      dry_run
+        ? `🔍 **삭제 대상 미리보기** (dry run, 실제로 삭제하지 않음): ${affected.length}개, ${(totalBytes / 1024).toFixed(2)} KB`
+        : `✅ ${affected.length}개 파일을 삭제했습니다. (${(totalBytes / 1024).toFixed(2)} KB)`,
+      ...affected.map((record) => `- ${record.filename} (생성자: ${record.owner || "알 수 없음"}, 생성일: ${new Date(record.createdAt).toLocaleString('ko-KR')})`),
+      ...failed.map((item) => `❌ ${item.filename}: ${item.error}`),
+    ];
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: lines.join("\n"),
+        },
+      ],
+      _meta: {
+        dryRun: Boolean(dry_run),
+        matched: targets.length,
+        deleted: deleted.map((record) => record.filename),
+      },
+    };
+  }
+
+  return { deleteAudioFile, deleteAudioFiles };
+}
@@ -0,0 +1,138 @@
+import { EventEmitter } from "events";
+import path from "path";
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { AUDIO_MIME_TYPES } from "./audio-utils.js";
+
+// 오디오 라이브러리(저장소)를 MCP resources로 노출
+//   - resources/list           (최신순, 커서 기반 페이지네이션)
+//   - resources/read           (audio://{filename} → blob)
+//   - resources/templates/list (audio://{filename} 템플릿)
+//   - notifications/resources/list_changed (파일 생성/삭제 시)
+// canRead(filename)로 세션 사용자가 볼 수 있는 파일만 목록에 넣고 읽기를 허용합니다. (다른 사용자의 파일은 없는 것으로 취급)
+
+export const AUDIO_URI_SCHEME = "audio://";
+const PAGE_SIZE = Math.max(1, Number(process.env.MCP_RESOURCES_PAGE_SIZE) || 50);
+
+export const AUDIO_RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${AUDIO_URI_SCHEME}{filename}`,
+    name: "generated-audio",
+    description: "text_to_speech로 생성된 오디오 파일 (filename은 list_audio_files 또는 resources/list로 확인)",
+  },
+];
+
+export function isAudioFile(filename) {
+  return Object.hasOwn(AUDIO_MIME_TYPES, path.extname(filename).slice(1));
+}
+
+export function getAudioMimeType(filename) {
+  return AUDIO_MIME_TYPES[path.extname(filename).slice(1)] || "application/octet-stream";
+}
+
+export function toAudioUri(filename) {
+  return `${AUDIO_URI_SCHEME}${encodeURIComponent(filename)}`;
+}
+
+// audio://{filename} → filename (하위 경로나 상위 디렉토리 참조는 거부)
+export function fromAudioUri(uri) {
+  if (!uri.startsWith(AUDIO_URI_SCHEME)) {
+    throw new Error(`지원하지 않는 리소스 URI입니다: ${uri}`);
+  }
+  const filename = decodeURIComponent(uri.slice(AUDIO_URI_SCHEME.length));
+  if (!filename || filename !== path.basename(filename) || filename === "." || filename === "..") {
+    throw new Error(`잘못된 오디오 파일명입니다: ${filename}`);
+  }
+  return filename;
+}
+
+// 커서는 이전 페이지의 마지막 파일명 (파일 추가/삭제가 있어도 페이지가 밀리지 않음)
+function encodeCursor(filename) {
+  return Buffer.from(filename, "utf8").toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  return Buffer.from(cursor, "base64url").toString("utf8");
+}
+
+export async function listAudioResources(storage, cursor, canRead = () => true) {
+  const files = (await storage.list())
+    .filter((file) => canRead(file.filename))
+    .sort((a, b) => (a.filename < b.filename ? 1 : -1));
+
+  // 파일명이 타임스탬프로 시작하므로 역순 정렬 = 최신순
+  const after = cursor ? decodeCursor(cursor) : null;
+  const remaining = after === null ? files : files.filter((file) => file.filename < after);
+  const page = remaining.slice(0, PAGE_SIZE);
+
+  const resources = page.map(({ filename, bytes }) => ({
+    uri: toAudioUri(filename),
+    name: filename,
+    mimeType: getAudioMimeType(filename),
+    size: bytes,
+    description: `생성된 오디오 (${(bytes / 1024).toFixed(2)} KB)`,
+  }));
+
+  const result = { resources };
+  if (remaining.length > page.length) {
+    result.nextCursor = encodeCursor(page[page.length - 1].filename);
+  }
+  return result;
+}
+
+export async function readAudioResource(storage, uri, canRead = () => true) {
+  const filename = fromAudioUri(uri);
+  const readable = isAudioFile(filename) && !filename.startsWith(".") && canRead(filename);
+  const buffer = readable ? await storage.read(filename) : null;
+  if (!buffer) {
+    throw new Error(`리소스를 찾을 수 없습니다: ${uri}`);
+  }
+  return {
+    contents: [
+      {
+        uri: toAudioUri(filename),
+        mimeType: getAudioMimeType(filename),
+        blob: buffer.toString("base64"),
+      },
+    ],
+  };
+}
+
+// 라이브러리 변경 알림 (세션별 MCP 서버가 구독)
+const libraryEvents = new EventEmitter();
+libraryEvents.setMaxListeners(0);
+
+export function notifyAudioLibraryChanged() {
+  libraryEvents.emit("changed");
+}
+
+export function onAudioLibraryChanged(listener) {
+  libraryEvents.on("changed", listener);
+  return () => libraryEvents.off("changed", listener);
+}
+
+// SDK Server에 resources 핸들러 등록 및 변경 알림 연결. 구독 해제 함수 반환
+//   audioCatalog: 지정하면 읽을 때 사용 시각을 기록 (보존 정책 LRU 기준)
+//   canRead:      세션 사용자가 볼 수 있는 파일인지 (기본: 모든 파일)
+export function registerAudioResourceHandlers(server, storage, { audioCatalog, canRead } = {}) {
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) => (
+    listAudioResources(storage, request.params?.cursor, canRead)
+  ));
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const result = await readAudioResource(storage, request.params.uri, canRead);
+    audioCatalog?.touch(fromAudioUri(request.params.uri));
+    return result;
+  });
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: AUDIO_RESOURCE_TEMPLATES,
+  }));
+
+  return onAudioLibraryChanged(() => {
+    server.sendResourceListChanged().catch(() => {
+      // 연결이 끊긴 세션은 무시
+    });
+  });
+}
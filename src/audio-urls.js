@@ -0,0 +1,64 @@
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+// 서명된 오디오 다운로드 URL (/audio/<파일명>?expires=...&sig=...)
+//
+//   AUDIO_URL_SECRET:      HMAC 서명 키. 미설정 시 프로세스마다 임의로 생성 (재시작하면 기존 링크 무효,
+//                          여러 인스턴스를 함께 운영하면 반드시 같은 값으로 설정)
+//   AUDIO_URL_TTL_SECONDS: 링크 유효 시간 (기본 86400 = 24시간)
+//   AUDIO_URL_BIND_OWNER:  true이면 링크를 발급받은 사용자에게 묶음. 다운로드할 때 그 사용자(또는 admin)의
+//                          Bearer 토큰도 필요 (기본 false — 링크만으로 브라우저 재생 가능)
+// 서명 대상: 파일명, 만료 시각(유닉스 초), 묶인 소유자(owner, 없으면 빈 문자열)
+
+export function loadAudioUrlSettings(env = process.env) {
+  return {
+    secret: env.AUDIO_URL_SECRET || null,
+    ttlSeconds: Number(env.AUDIO_URL_TTL_SECONDS) > 0 ? Number(env.AUDIO_URL_TTL_SECONDS) : 24 * 3600,
+    bindOwner: env.AUDIO_URL_BIND_OWNER === "true",
+  };
+}
+
+const settings = loadAudioUrlSettings();
+const secret = settings.secret || crypto.randomBytes(32).toString("hex");
+let warnedEphemeralSecret = false;
+
+function sign(filename, expires, owner) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${filename}\n${expires}\n${owner}`)
+    .digest("base64url");
+}
+
+// /audio 경로 + 서명 쿼리 (publicUrl()에 넘겨 절대 URL로 만듦)
+//   owner: 링크를 발급받는 사용자 (AUDIO_URL_BIND_OWNER일 때만 서명에 포함)
+export function signAudioPath(filename, { owner, now = Date.now() } = {}) {
+  if (!settings.secret && !warnedEphemeralSecret) {
+    warnedEphemeralSecret = true;
+    logger.warn("AUDIO_URL_SECRET이 설정되지 않아 임시 서명 키를 사용합니다. 서버를 재시작하면 기존 다운로드 링크가 무효가 됩니다.");
+  }
+  const expires = Math.floor(now / 1000) + settings.ttlSeconds;
+  const boundOwner = settings.bindOwner && owner ? owner : "";
+  const params = new URLSearchParams({
+    expires: String(expires),
+    ...(boundOwner && { owner: boundOwner }),
+    sig: sign(filename, expires, boundOwner),
+  });
+  return `/audio/${encodeURIComponent(filename)}?${params}`;
+}
+
+// 서명 검증 → { ok: true, owner } 또는 { ok: false, reason }
+//   owner가 있으면 호출하는 쪽에서 요청 사용자가 그 사용자(또는 admin)인지 확인해야 함
+export function verifyAudioSignature(filename, { expires, owner = "", sig } = {}, now = Date.now()) {
+  if (typeof expires !== "string" || typeof sig !== "string" || typeof owner !== "string") {
+    return { ok: false, reason: "서명된 다운로드 링크가 필요합니다." };
+  }
+  const expected = Buffer.from(sign(filename, expires, owner));
+  const received = Buffer.from(sig);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { ok: false, reason: "다운로드 링크의 서명이 올바르지 않습니다." };
+  }
+  if (!(Number(expires) * 1000 > now)) {
+    return { ok: false, reason: "다운로드 링크가 만료되었습니다. 파일 목록이나 합성 결과에서 새 링크를 받으세요." };
+  }
+  return { ok: true, owner: owner || null };
+}
@@ -0,0 +1,302 @@
+import { transcodeAudio } from "./ffmpeg.js";
+
+// 오디오 길이 계산 및 청크 이어 붙이기
+//
+// mp3 / aac(ADTS) / wav / pcm은 프레임·헤더를 직접 파싱하여 ffmpeg 없이 처리합니다.
+// opus(Ogg)와 flac은 스트림 단위 헤더가 있어 단순 연결이 불가능하므로
+// ffmpeg로 WAV 변환 → 연결 → 재인코딩합니다.
+
+// OpenAI pcm 출력: 24kHz, 16bit, mono, little-endian
+const PCM_SAMPLE_RATE = 24000;
+const PCM_BYTES_PER_SAMPLE = 2;
+
+const MP3_BITRATES = {
+  // [MPEG1 Layer III, MPEG2/2.5 Layer III] (kbps)
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG1
+  2: [22050, 24000, 16000], // MPEG2
+  0: [11025, 12000, 8000],  // MPEG2.5
+};
+// 응답 형식 → MIME 타입
+export const AUDIO_MIME_TYPES = {
+  mp3: "audio/mpeg",
+  opus: "audio/ogg",
+  aac: "audio/aac",
+  flac: "audio/flac",
+  wav: "audio/wav",
+  pcm: "audio/L16;rate=24000;channels=1",
+};
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// ID3v2 태그 길이 (없으면 0)
+function id3v2Length(buffer) {
+  if (buffer.length < 10 || buffer.toString("latin1", 0, 3) !== "ID3") {
+    return 0;
+  }
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  return 10 + size;
+}
+
+// MPEG Layer III 프레임 목록 [{ offset, length, samples, sampleRate }]
+function parseMp3Frames(buffer) {
+  const frames = [];
+  let offset = id3v2Length(buffer);
+
+  while (offset + 4 <= buffer.length) {
+    const header = buffer.readUInt32BE(offset);
+    const sync = (header >>> 21) & 0x7ff;
+    const versionBits = (header >>> 19) & 0x3;
+    const layerBits = (header >>> 17) & 0x3;
+    const bitrateIndex = (header >>> 12) & 0xf;
+    const sampleRateIndex = (header >>> 10) & 0x3;
+    const padding = (header >>> 9) & 0x1;
+
+    if (sync !== 0x7ff || versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      offset++;
+      continue;
+    }
+
+    const isMpeg1 = versionBits === 3;
+    const bitrate = MP3_BITRATES[isMpeg1 ? 1 : 2][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+    const samples = isMpeg1 ? 1152 : 576;
+    const length = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+
+    if (offset + length > buffer.length) {
+      break;
+    }
+    frames.push({ offset, length, samples, sampleRate });
+    offset += length;
+  }
+  return frames;
+}
+
+// Xing/Info/VBRI 헤더 프레임 (오디오가 아닌 메타데이터 프레임)
+function isMp3InfoFrame(buffer, frame) {
+  const body = buffer.toString("latin1", frame.offset, Math.min(frame.offset + 64, frame.offset + frame.length));
+  return body.includes("Xing") || body.includes("Info") || body.includes("VBRI");
+}
+
+// ADTS 프레임 목록 [{ offset, length, samples, sampleRate }]
+function parseAdtsFrames(buffer) {
+  const frames = [];
+  let offset = id3v2Length(buffer);
+
+  while (offset + 7 <= buffer.length) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xf6) !== 0xf0) {
+      offset++;
+      continue;
+    }
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0xf;
+    const length = ((buffer[offset + 3] & 0x3) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+    const rawBlocks = (buffer[offset + 6] & 0x3) + 1;
+    if (length < 7 || offset + length > buffer.length || sampleRateIndex >= ADTS_SAMPLE_RATES.length) {
+      break;
+    }
+    frames.push({ offset, length, samples: 1024 * rawBlocks, sampleRate: ADTS_SAMPLE_RATES[sampleRateIndex] });
+    offset += length;
+  }
+  return frames;
+}
+
+function framesDuration(frames) {
+  return frames.reduce((total, frame) => total + frame.samples / frame.sampleRate, 0);
+}
+
+// RIFF/WAVE 파싱 → { fmt, data }
+// 스트리밍 출력은 data 크기가 0xFFFFFFFF 등으로 기록될 수 있어 파일 끝까지를 데이터로 취급
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString("latin1", 0, 4) !== "RIFF" || buffer.toString("latin1", 8, 12) !== "WAVE") {
+    throw new Error("올바른 WAV 데이터가 아닙니다.");
+  }
+  let offset = 12;
+  let fmt = null;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    if (id === "fmt ") {
+      fmt = buffer.subarray(start, start + size);
+    } else if (id === "data") {
+      if (!fmt) {
+        break;
+      }
+      const end = Math.min(start + size, buffer.length);
+      return { fmt, data: buffer.subarray(start, end) };
+    }
+    offset = start + size + (size % 2);
+  }
+  throw new Error("WAV 데이터에서 fmt/data 청크를 찾을 수 없습니다.");
+}
+
+function wavByteRate(fmt) {
+  return fmt.readUInt32LE(8);
+}
+
+function buildWav(fmt, data) {
+  const header = Buffer.alloc(12 + 8 + fmt.length + 8);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(header.length - 8 + data.length, 4);
+  header.write("WAVE", 8, "latin1");
+  header.write("fmt ", 12, "latin1");
+  header.writeUInt32LE(fmt.length, 16);
+  fmt.copy(header, 20);
+  header.write("data", 20 + fmt.length, "latin1");
+  header.writeUInt32LE(data.length, 24 + fmt.length);
+  return Buffer.concat([header, data]);
+}
+
+// FLAC STREAMINFO: 총 샘플 수 / 샘플레이트
+function flacDuration(buffer) {
+  if (buffer.toString("latin1", 0, 4) !== "fLaC" || buffer.length < 26) {
+    return null;
+  }
+  const info = buffer.subarray(8);
+  const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+  const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+  return sampleRate > 0 && totalSamples > 0 ? totalSamples / sampleRate : null;
+}
+
+// Ogg Opus: 마지막 페이지의 granule position - pre-skip (48kHz 기준)
+function oggOpusDuration(buffer) {
+  const head = buffer.indexOf("OpusHead", 0, "latin1");
+  const lastPage = buffer.lastIndexOf("OggS", buffer.length - 1, "latin1");
+  if (head < 0 || lastPage < 0 || lastPage + 14 > buffer.length) {
+    return null;
+  }
+  const preSkip = buffer.readUInt16LE(head + 10);
+  const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+  return granule > preSkip ? (granule - preSkip) / 48000 : null;
+}
+
+// 오디오 길이(초). 계산할 수 없으면 null
+export function getAudioDuration(buffer, format) {
+  switch (format) {
+    case "mp3":
+      return framesDuration(parseMp3Frames(buffer).filter((frame, index) => index > 0 || !isMp3InfoFrame(buffer, frame)));
+    case "aac":
+      return framesDuration(parseAdtsFrames(buffer));
+    case "wav": {
+      const { fmt, data } = parseWav(buffer);
+      return data.length / wavByteRate(fmt);
+    }
+    case "pcm":
+      return buffer.length / (PCM_SAMPLE_RATE * PCM_BYTES_PER_SAMPLE);
+    case "flac":
+      return flacDuration(buffer);
+    case "opus":
+      return oggOpusDuration(buffer);
+    default:
+      return null;
+  }
+}
+
+// 청크별 프레임을 순서대로 이어 붙이기만 하면 연결되는 형식 (청크가 끝나는 대로 앞부분부터 전송 가능)
+export const FRAME_CONCAT_FORMATS = ["mp3", "aac", "pcm"];
+
+// 다른 청크와 이어 붙일 오디오 프레임 (FRAME_CONCAT_FORMATS만)
+//   mp3: 청크별 ID3 태그와 Xing/Info 헤더는 전체 길이를 잘못 알리므로 제거하고 오디오 프레임만
+export function concatFrames(buffer, format) {
+  switch (format) {
+    case "mp3":
+      return Buffer.concat(parseMp3Frames(buffer)
+        .filter((frame, index) => index > 0 || !isMp3InfoFrame(buffer, frame))
+        .map((frame) => buffer.subarray(frame.offset, frame.offset + frame.length)));
+    case "aac":
+      return Buffer.concat(parseAdtsFrames(buffer).map((frame) => buffer.subarray(frame.offset, frame.offset + frame.length)));
+    case "pcm":
+      return buffer;
+    default:
+      throw new Error(`프레임 단위로 연결할 수 없는 형식입니다: ${format}`);
+  }
+}
+
+// 같은 형식의 오디오 청크들을 하나로 연결
+export async function concatAudio(buffers, format) {
+  if (buffers.length === 1) {
+    return buffers[0];
+  }
+
+  switch (format) {
+    case "mp3":
+    case "aac":
+    case "pcm":
+      return Buffer.concat(buffers.map((buffer) => concatFrames(buffer, format)));
+    case "wav": {
+      const parsed = buffers.map(parseWav);
+      return buildWav(parsed[0].fmt, Buffer.concat(parsed.map(({ data }) => data)));
+    }
+    default: {
+      // opus, flac 등: WAV로 풀어서 연결한 뒤 재인코딩
+      const wavs = await Promise.all(buffers.map((buffer) => transcodeAudio(buffer, { to: "wav" })));
+      const merged = await concatAudio(wavs, "wav");
+      return transcodeAudio(merged, { to: format });
+    }
+  }
+}
+
+// 원본 WAV와 같은 포맷의 무음 데이터 (8bit PCM은 0x80이 무음)
+function silenceData(fmt, seconds) {
+  const blockAlign = fmt.readUInt16LE(12);
+  const bitsPerSample = fmt.readUInt16LE(14);
+  const frames = Math.round(seconds * wavByteRate(fmt) / blockAlign);
+  return Buffer.alloc(frames * blockAlign, bitsPerSample === 8 ? 0x80 : 0);
+}
+
+// 오디오 조각 사이에 무음을 넣어 연결 (synthesize_dialogue)
+//   pauses[i]: buffers[i] 앞에 넣을 무음 길이(초)
+// → { buffer, durations } (durations[i]: buffers[i]의 길이(초), 알 수 없으면 null)
+// 무음이 없으면 concatAudio와 같고, 있으면 WAV로 풀어서 무음을 넣은 뒤 재인코딩합니다 (pcm/wav 외에는 ffmpeg 필요).
+export async function joinAudioSegments(buffers, pauses, format) {
+  const durationOf = (buffer, bufferFormat) => {
+    try {
+      return getAudioDuration(buffer, bufferFormat);
+    } catch {
+      return null;
+    }
+  };
+
+  if (pauses.every((seconds) => !(seconds > 0))) {
+    return {
+      buffer: await concatAudio(buffers, format),
+      durations: buffers.map((buffer) => durationOf(buffer, format)),
+    };
+  }
+
+  if (format === "pcm") {
+    const silence = (seconds) => Buffer.alloc(Math.round(seconds * PCM_SAMPLE_RATE) * PCM_BYTES_PER_SAMPLE);
+    return {
+      buffer: Buffer.concat(buffers.flatMap((buffer, index) => [silence(pauses[index] || 0), buffer])),
+      durations: buffers.map((buffer) => durationOf(buffer, "pcm")),
+    };
+  }
+
+  const wavs = format === "wav"
+    ? buffers
+    : await Promise.all(buffers.map((buffer) => transcodeAudio(buffer, { to: "wav" })));
+  const parsed = wavs.map(parseWav);
+  const { fmt } = parsed[0];
+  if (parsed.some((wav) => !wav.fmt.subarray(0, 16).equals(fmt.subarray(0, 16)))) {
+    throw new Error("오디오 조각의 샘플레이트·채널 구성이 서로 달라 연결할 수 없습니다.");
+  }
+  const data = Buffer.concat(parsed.flatMap((wav, index) => [silenceData(fmt, pauses[index] || 0), wav.data]));
+  const merged = buildWav(fmt, data);
+  return {
+    buffer: format === "wav" ? merged : await transcodeAudio(merged, { to: format }),
+    durations: parsed.map((wav) => wav.data.length / wavByteRate(wav.fmt)),
+  };
+}
+
+// 사람이 읽기 쉬운 길이 표기 (예: "1분 23.4초")
+export function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) {
+    return "알 수 없음";
+  }
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(1);
+  return minutes > 0 ? `${minutes}분 ${rest}초` : `${rest}초`;
+}
@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import { logger } from "./logger.js";
+
+// 사용자별 API 토큰 인증
+//
+// 토큰 소스 (모두 합쳐서 사용):
+//   - AUTH_TOKENS_FILE: JSON 파일. [{ "name": "alice", "token": "...", "role": "admin", "quota": {...} }]
+//                       또는 { "alice": "token", "bob": "token" } 형태
+//   - AUTH_TOKENS:      "alice:token1,bob:token2:admin" 형태의 환경변수
+//   - AUTH_TOKEN:       (하위 호환) 단일 공유 토큰, 사용자명 "default"
+// 토큰이 하나도 없고 OAuth도 꺼져 있으면 인증이 비활성화되고 모든 요청은 anonymous로 처리됩니다.
+
+export const ANONYMOUS_USER = Object.freeze({ name: "anonymous", role: "user" });
+
+// stdio 서버처럼 로컬에서 직접 실행하는 경우의 사용자 (해당 머신의 소유자로 간주)
+function localUsername() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return "local";
+  }
+}
+
+export const LOCAL_USER = Object.freeze({ name: process.env.MCP_LOCAL_USER || localUsername(), role: "admin" });
+
+function parseTokenFile(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (Array.isArray(raw)) {
+    return raw.map((entry) => ({
+      name: entry.name,
+      token: entry.token,
+      role: entry.role || "user",
+      quota: entry.quota,
+    }));
+  }
+  return Object.entries(raw).map(([name, token]) => ({ name, token, role: "user" }));
+}
+
+const TOKEN_ENV_ROLES = ["user", "admin"];
+
+function parseTokenEnv(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      // 토큰에 ':'이 들어갈 수 있으므로 첫 번째와 마지막 ':'에서만 나눔 ("이름:토큰" 또는 "이름:토큰:역할")
+      const first = item.indexOf(":");
+      const last = item.lastIndexOf(":");
+      if (first === -1) {
+        return { name: item, token: "" };
+      }
+      if (first === last) {
+        return { name: item.slice(0, first), token: item.slice(first + 1), role: "user" };
+      }
+      const role = item.slice(last + 1);
+      if (!TOKEN_ENV_ROLES.includes(role)) {
+        // (하위 호환) 마지막 필드가 역할이 아니면 첫 ':' 뒤 전체를 토큰으로 사용
+        logger.warn("AUTH_TOKENS 항목의 마지막 ':' 뒤가 역할(user, admin)이 아니어서 전체를 토큰으로 사용합니다. 역할을 명시하세요 (이름:토큰:user)", {
+          name: item.slice(0, first),
+        });
+        return { name: item.slice(0, first), token: item.slice(first + 1), role: "user" };
+      }
+      return { name: item.slice(0, first), token: item.slice(first + 1, last), role };
+    });
+}
+
+export function loadTokens(env = process.env) {
+  const entries = [];
+
+  if (env.AUTH_TOKENS_FILE) {
+    entries.push(...parseTokenFile(env.AUTH_TOKENS_FILE));
+  }
+  if (env.AUTH_TOKENS) {
+    entries.push(...parseTokenEnv(env.AUTH_TOKENS));
+  }
+  if (env.AUTH_TOKEN) {
+    entries.push({ name: "default", token: env.AUTH_TOKEN, role: "user" });
+  }
+
+  for (const entry of entries) {
+    if (!entry.name || !entry.token) {
+      throw new Error("토큰 설정이 올바르지 않습니다: name과 token이 모두 필요합니다.");
+    }
+  }
+
+  // 길이가 다른 토큰도 상수 시간에 비교할 수 있도록 해시로 보관
+  // quota: 사용자별 사용량 한도 (토큰 파일에서만 지정, 없으면 전역 한도)
+  return entries.map(({ name, token, role, quota }) => ({
+    user: Object.freeze(quota ? { name, role, quota } : { name, role }),
+    digest: crypto.createHash("sha256").update(token).digest(),
+  }));
+}
+
+// 모든 토큰과 비교를 끝까지 수행하여 일치 위치에 따른 타이밍 차이를 없앰
+export function findUserByToken(tokens, presented) {
+  const digest = crypto.createHash("sha256").update(presented).digest();
+  let matched = null;
+  for (const entry of tokens) {
+    if (crypto.timingSafeEqual(entry.digest, digest) && !matched) {
+      matched = entry.user;
+    }
+  }
+  return matched;
+}
+
+function extractBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+export function sendUnauthorized(res, message, { resourceMetadata, error } = {}) {
+  // OAuth 클라이언트가 보호 리소스 메타데이터를 찾을 수 있도록 안내 (RFC 9728)
+  const challenge = ['Bearer realm="tts-mcp-server"'];
+  if (error) {
+    challenge.push(`error="${error}"`);
+  }
+  if (resourceMetadata) {
+    challenge.push(`resource_metadata="${resourceMetadata}"`);
+  }
+  res.set("WWW-Authenticate", challenge.join(", "));
+  res.status(401).json({
+    jsonrpc: "2.0",
+    id: null,
+    error: {
+      code: -32001,
+      message,
+    },
+  });
+}
+
+// Express 미들웨어: 인증된 사용자를 req.user에 저장
+// oauth가 주어지면 정적 토큰 외에 OAuth 액세스 토큰도 허용
+export function createAuthMiddleware(tokens, oauth = null) {
+  return (req, res, next) => {
+    // CORS 사전요청은 인증 없이 통과
+    if (req.method === "OPTIONS") {
+      return next();
+    }
+
+    if (tokens.length === 0 && !oauth) {
+      req.user = ANONYMOUS_USER;
+      return next();
+    }
+
+    const challenge = { resourceMetadata: oauth ? oauth.resourceMetadataUrl(req) : undefined };
+    const presented = extractBearerToken(req);
+    if (!presented) {
+      return sendUnauthorized(res, "Authorization: Bearer <token> 헤더가 필요합니다.", challenge);
+    }
+
+    const user = findUserByToken(tokens, presented) || (oauth && oauth.verifyAccessToken(presented));
+    if (!user) {
+      return sendUnauthorized(res, "유효하지 않거나 만료된 토큰입니다.", { ...challenge, error: "invalid_token" });
+    }
+
+    req.user = user;
+    return next();
+  };
+}
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+import "./env.js";
+import { TRANSPORTS, startServer } from "./start.js";
+
+// 단일 CLI 진입점
+//   node src/cli.js --transport stdio|sse|http [--port 8080]
+// 전송 방식은 --transport, MCP_TRANSPORT 환경변수 순으로 정하며 기본값은 stdio입니다.
+
+const USAGE = `사용법: tts-mcp-server [--transport ${TRANSPORTS.join("|")}] [--port <포트>]
+
+  --transport, -t   전송 방식 (기본: MCP_TRANSPORT 또는 stdio)
+                      stdio  로컬 프로세스 (Claude Desktop 등)
+                      sse    레거시 HTTP+SSE (GET /sse, POST /messages)
+                      http   Streamable HTTP (POST /mcp/v1/messages)
+  --port, -p        HTTP 포트 (기본: PORT 또는 8080)
+  --help, -h        도움말`;
+
+function parseArgs(argv) {
+  const options = {
+    transport: process.env.MCP_TRANSPORT || "stdio",
+    port: process.env.PORT || 8080,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const value = () => inlineValue ?? argv[++i];
+    switch (flag) {
+      case "--transport":
+      case "-t":
+        options.transport = value();
+        break;
+      case "--port":
+      case "-p":
+        options.port = Number(value());
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        throw new Error(`알 수 없는 옵션입니다: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.error(USAGE);
+    return;
+  }
+  await startServer(options);
+}
+
+main().catch((error) => {
+  console.error("서버 시작 중 오류 발생:", error.message);
+  console.error(USAGE);
+  process.exit(1);
+});
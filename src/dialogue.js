@@ -0,0 +1,255 @@
+import { buildAudioContent } from "./audio-content.js";
+import { sha256Hex } from "./audio-catalog.js";
+import { createAudioFilename } from "./audio-files.js";
+import { notifyAudioLibraryChanged } from "./audio-resources.js";
+import { formatDuration, joinAudioSegments } from "./audio-utils.js";
+import { logger } from "./logger.js";
+import { synthesizedBytesTotal, synthesizedCharactersTotal } from "./metrics.js";
+import { MAX_SPEED, MIN_SPEED, buildSpeechInputSchema, resolveSpeechOptions } from "./providers/index.js";
+import { CHUNK_CONCURRENCY, mapWithConcurrency, synthesizeSpeech } from "./synthesis.js";
+
+// 여러 화자의 대본을 하나의 오디오 파일로 합성 (synthesize_dialogue)
+//
+// 대사마다 화자에게 지정된 음성·속도·모델·스타일 지시로 합성하고, 대사 사이에 무음(pause_ms)을 넣어 하나로 연결합니다.
+// 프로바이더와 출력 형식은 대본 전체에 하나만 사용합니다. 합성 캐시는 사용하지 않습니다.
+// 문자 수 한도는 전체 대사 길이의 합으로 적용하고, 분당 요청 수는 1회로 셉니다.
+
+const MAX_TURNS = 200;
+const MAX_PAUSE_MS = 10000;
+
+function buildDialogueInputSchema() {
+  const { provider, model, instructions, speed, format, include_audio } = buildSpeechInputSchema().properties;
+  return {
+    type: "object",
+    properties: {
+      turns: {
+        type: "array",
+        minItems: 1,
+        maxItems: MAX_TURNS,
+        description: "대본 (순서대로 합성할 대사 목록)",
+        items: {
+          type: "object",
+          properties: {
+            speaker: { type: "string", description: "화자 이름 (speakers의 키)" },
+            text: { type: "string", description: "대사" },
+            pause_ms: {
+              type: "integer",
+              minimum: 0,
+              maximum: MAX_PAUSE_MS,
+              description: "이 대사 앞에 넣을 무음 길이(ms). 생략 시 전체 pause_ms",
+            },
+          },
+          required: ["speaker", "text"],
+        },
+      },
+      speakers: {
+        type: "object",
+        description: "화자별 설정 (예: {\"진행자\": {\"voice\": \"alloy\"}, \"게스트\": {\"voice\": \"nova\", \"speed\": 1.1}}). 생략한 항목은 전체 설정·프로바이더 기본값",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            voice: { type: "string", description: "음성" },
+            speed: { type: "number", minimum: MIN_SPEED, maximum: MAX_SPEED, description: "음성 속도" },
+            model: { type: "string", description: "TTS 모델" },
+            instructions: { type: "string", description: "이 화자의 말투·스타일 지시 (instructions 지원 모델만)" },
+          },
+        },
+      },
+      pause_ms: {
+        type: "integer",
+        minimum: 0,
+        maximum: MAX_PAUSE_MS,
+        default: 0,
+        description: "대사 사이 기본 무음 길이(ms). 0보다 크면 wav/pcm 외의 형식은 ffmpeg 필요",
+      },
+      provider,
+      model,
+      instructions,
+      speed,
+      format,
+      include_audio,
+    },
+    required: ["turns", "speakers"],
+  };
+}
+
+export const SYNTHESIZE_DIALOGUE_TOOL = {
+  name: "synthesize_dialogue",
+  description: "여러 화자의 대본을 화자별 음성으로 합성해 하나의 오디오 파일로 만듭니다. 대사별 시작·끝 시각을 함께 반환합니다.",
+  inputSchema: buildDialogueInputSchema(),
+};
+
+// 초 → "m:ss.s"
+function formatTimestamp(seconds) {
+  if (seconds === null) {
+    return "?";
+  }
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, "0")}`;
+}
+
+function pauseSeconds(value, fallback) {
+  const ms = value ?? fallback ?? 0;
+  if (!Number.isFinite(ms) || ms < 0 || ms > MAX_PAUSE_MS) {
+    throw new Error(`pause_ms는 0 ~ ${MAX_PAUSE_MS} 사이여야 합니다: ${ms}`);
+  }
+  return ms / 1000;
+}
+
+// 도구 인자 → 대사별 합성 옵션 (검증 실패 시 몇 번째 대사인지 알려 줌)
+function resolveTurns(args) {
+  const { turns, speakers = {} } = args;
+  if (!Array.isArray(turns) || turns.length === 0) {
+    throw new Error("대본(turns)이 비어 있습니다.");
+  }
+  if (turns.length > MAX_TURNS) {
+    throw new Error(`대사는 최대 ${MAX_TURNS}개까지 합성할 수 있습니다. (요청 ${turns.length}개)`);
+  }
+
+  return turns.map((turn, index) => {
+    const speaker = turn?.speaker;
+    if (!speaker || !Object.hasOwn(speakers, speaker)) {
+      throw new Error(`${index + 1}번째 대사의 화자가 speakers에 없습니다: ${speaker ?? "(없음)"} (정의된 화자: ${Object.keys(speakers).join(", ") || "없음"})`);
+    }
+    const settings = speakers[speaker] || {};
+    try {
+      return {
+        speaker,
+        options: resolveSpeechOptions({
+          provider: args.provider,
+          text: turn.text,
+          voice: settings.voice,
+          model: settings.model ?? args.model,
+          speed: settings.speed ?? args.speed,
+          format: args.format,
+          instructions: settings.instructions ?? args.instructions,
+        }),
+        pause: index === 0 ? 0 : pauseSeconds(turn.pause_ms, args.pause_ms),
+      };
+    } catch (error) {
+      error.message = `${index + 1}번째 대사(${speaker}): ${error.message}`;
+      throw error;
+    }
+  });
+}
+
+// synthesize_dialogue 도구 핸들러 (stdio / SSE / HTTP 서버 공용)
+//   progressToken이 있으면 대사 하나가 끝날 때마다 진행 알림 전송
+export function createDialogueHandler({ storage, audioCatalog, usageTracker, showFilePath = false }) {
+  return async function handleSynthesizeDialogue(args, { user, publicUrl, signal, reportProgress, log = logger }) {
+    const turns = resolveTurns(args);
+    const { provider, format } = turns[0].options;
+    const totalChars = turns.reduce((sum, { options }) => sum + options.text.length, 0);
+
+    usageTracker.consumeRequest(user);
+    // 저장까지 끝나면 사용량으로 확정, 합성·저장이 실패하거나 취소되면 예약 해제
+    const reservation = usageTracker.reserveChars(user, totalChars);
+    const filename = createAudioFilename(format, { kind: "dialogue" });
+
+    // 대사는 CHUNK_CONCURRENCY개씩 병렬로, 대사 안의 청크는 하나씩 합성 (업스트림 동시 요청 수는 CHUNK_CONCURRENCY 이하)
+    let completed = 0;
+    let results;
+    let joined;
+    try {
+      results = await mapWithConcurrency(turns, CHUNK_CONCURRENCY, async ({ options }) => {
+        const result = await synthesizeSpeech({ ...options, concurrency: 1, signal });
+        reportProgress?.(++completed, turns.length);
+        return result;
+      });
+      joined = await joinAudioSegments(
+        results.map((result) => result.buffer),
+        turns.map((turn) => turn.pause),
+        format,
+      );
+      await storage.write(filename, joined.buffer);
+    } catch (error) {
+      reservation.release();
+      throw error;
+    }
+    reservation.settle();
+    const { buffer, durations } = joined;
+
+    // 대사별 시작·끝 시각 (길이를 알 수 없는 대사 이후는 null)
+    let cursor = 0;
+    const timeline = turns.map((turn, index) => {
+      const start = cursor === null ? null : cursor + turn.pause;
+      const end = start === null || durations[index] === null ? null : start + durations[index];
+      cursor = end;
+      return {
+        index,
+        speaker: turn.speaker,
+        voice: turn.options.voice,
+        start: start === null ? null : Number(start.toFixed(3)),
+        end: end === null ? null : Number(end.toFixed(3)),
+      };
+    });
+    const durationSeconds = cursor === null ? null : Number(cursor.toFixed(3));
+
+    turns.forEach(({ options }, index) => {
+      synthesizedCharactersTotal.inc({ provider: provider.name, model: options.model }, options.text.length);
+      synthesizedBytesTotal.inc({ provider: provider.name, model: options.model, format }, results[index].buffer.length);
+    });
+
+    const unique = (values) => [...new Set(values)].join(", ");
+    const script = turns.map(({ speaker, options }) => `${speaker}: ${options.text}`).join("\n");
+    const record = audioCatalog.add({
+      filename,
+      text: script,
+      provider: provider.name,
+      voice: unique(turns.map(({ options }) => options.voice)),
+      model: unique(turns.map(({ options }) => options.model)),
+      speed: args.speed ?? 1.0,
+      format,
+      owner: user.name,
+      bytes: buffer.length,
+      durationSeconds,
+      chunkCount: results.reduce((sum, result) => sum + result.chunkCount, 0),
+      sha256: sha256Hex(buffer),
+      dialogue: { turns: timeline },
+      createdAt: new Date().toISOString(),
+    });
+    await audioCatalog.flush();
+    notifyAudioLibraryChanged();
+    log.info("대화 합성", { audit: true, file: filename, provider: provider.name, turns: turns.length, chars: totalChars, text: script });
+
+    const includeAudio = args.include_audio !== false;
+    const audio = buildAudioContent({ filename, storage, buffer, format, publicUrl, owner: user.name, includeAudio });
+    const lines = [
+      `✅ 대본이 하나의 음성 파일로 합성되었습니다!`,
+      ``,
+      `🔌 **프로바이더**: ${provider.label}`,
+      `🗣️ **화자**: ${unique(turns.map(({ speaker, options }) => `${speaker}(${options.voice})`))}`,
+      `🤖 **모델**: ${record.model}`,
+      `📁 **형식**: ${format}`,
+      `💾 **파일명**: ${filename}`,
+      `📊 **크기**: ${(buffer.length / 1024).toFixed(2)} KB`,
+      `⏱️ **길이**: ${formatDuration(durationSeconds)}`,
+      `🔗 **다운로드**: ${audio.uri}`,
+      ``,
+      `🕒 **대사별 시각**`,
+      ...timeline.map(({ index, speaker, start, end }) => (
+        `${index + 1}. [${formatTimestamp(start)} – ${formatTimestamp(end)}] ${speaker}: ${turns[index].options.text}`
+      )),
+    ];
+    if (showFilePath) {
+      lines.push(``, `💾 **저장 위치**: ${storage.locate(filename)}`);
+    }
+    if (includeAudio && !audio.inlined) {
+      lines.push(``, `(파일이 커서 인라인 오디오는 생략되었습니다. 다운로드 링크를 이용하세요.)`);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: lines.join("\n"),
+        },
+        ...audio.content,
+      ],
+      _meta: {
+        durationSeconds,
+        turns: timeline,
+      },
+    };
+  };
+}
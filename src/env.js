@@ -0,0 +1,12 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from 'url';
+
+// .env 로드 (다른 모듈보다 먼저 import해야 모듈 로드 시점에 읽는 설정값에도 반영됨)
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const projectRoot = path.resolve(__dirname, '..');
+
+dotenv.config({ path: path.join(projectRoot, '.env') });
@@ -0,0 +1,30 @@
+import { runCommand } from "./run-command.js";
+
+// ffmpeg 기반 오디오 변환 (FFMPEG_PATH로 실행 파일 지정 가능)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+
+// 응답 형식 → ffmpeg 출력 인자
+const OUTPUT_ARGS = {
+  mp3: ["-c:a", "libmp3lame", "-f", "mp3"],
+  opus: ["-c:a", "libopus", "-f", "ogg"],
+  aac: ["-c:a", "aac", "-f", "adts"],
+  flac: ["-c:a", "flac", "-f", "flac"],
+  wav: ["-c:a", "pcm_s16le", "-f", "wav"],
+  pcm: ["-c:a", "pcm_s16le", "-ar", "24000", "-ac", "1", "-f", "s16le"],
+};
+
+export function isSupportedOutputFormat(format) {
+  return Object.hasOwn(OUTPUT_ARGS, format);
+}
+
+// 오디오 Buffer를 다른 형식으로 변환
+export async function transcodeAudio(buffer, { to, timeoutMs = 120000 }) {
+  if (!isSupportedOutputFormat(to)) {
+    throw new Error(`지원하지 않는 출력 형식입니다: ${to}`);
+  }
+  return runCommand(
+    FFMPEG_PATH,
+    ["-hide_banner", "-loglevel", "error", "-i", "pipe:0", ...OUTPUT_ARGS[to], "pipe:1"],
+    { input: buffer, timeoutMs }
+  );
+}
@@ -0,0 +1,246 @@
+import crypto from "crypto";
+import path from "path";
+import express from "express";
+import cors from "cors";
+import { isAudioFile } from "./audio-resources.js";
+import { verifyAudioSignature } from "./audio-urls.js";
+import { createAuthMiddleware, findUserByToken, loadTokens } from "./auth.js";
+import { getLogConfig, logger, requestContext } from "./logger.js";
+import { PROMETHEUS_CONTENT_TYPE, createGauge, renderMetrics } from "./metrics.js";
+import { createOAuthProvider } from "./oauth.js";
+import { createOpenAISpeechRouter } from "./openai-speech.js";
+import { DEFAULT_PROVIDER, getProvider } from "./providers/index.js";
+import { circuitStatus } from "./providers/upstream.js";
+import { SERVER_INFO } from "./runtime.js";
+import { createWebConsoleRouter } from "./web-console.js";
+
+// HTTP 기반 전송(SSE / Streamable HTTP) 공통 Express 앱
+//   - 사용자별 토큰 / OAuth 2.1 인증
+//   - 요청 ID (X-Request-Id) 부여와 요청 로그
+//   - CORS, JSON 바디 파싱 (rawBodyPaths는 제외)
+//   - /audio 서명된 링크로 파일 다운로드, /console 웹 콘솔, /v1/audio/speech OpenAI 호환 합성, /health (/health/live, /health/ready), /metrics (Prometheus)
+// healthDetails: /health 응답에 추가할 전송별 정보를 반환하는 함수
+
+// 저장소의 오디오 사용량 (카탈로그 기준, 원격 저장소도 수집할 때마다 조회하지 않도록)
+function measureStorage(audioCatalog) {
+  const records = audioCatalog.list();
+  return {
+    bytes: records.reduce((sum, record) => sum + (record.bytes || 0), 0),
+    files: records.length,
+  };
+}
+
+// 준비 상태 점검: 저장소 사용 가능 여부와 기본 프로바이더 설정 여부
+async function checkReadiness(storage) {
+  const checks = {};
+
+  try {
+    await storage.checkHealth();
+    checks.storage = { ok: true, backend: storage.name };
+  } catch (error) {
+    checks.storage = { ok: false, backend: storage.name, error: error.message };
+  }
+
+  try {
+    const provider = getProvider(DEFAULT_PROVIDER);
+    checks.provider = provider.isConfigured()
+      ? { ok: true, provider: provider.name }
+      : { ok: false, provider: provider.name, error: provider.configurationHint };
+  } catch (error) {
+    checks.provider = { ok: false, provider: DEFAULT_PROVIDER, error: error.message };
+  }
+
+  return { ready: Object.values(checks).every((check) => check.ok), checks };
+}
+
+// 프록시나 클라이언트가 보낸 요청 ID는 형식이 안전할 때만 그대로 사용
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// 요청 로그를 debug 수준으로 낮추는 경로 (모니터링 폴링)
+const QUIET_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+// 요청 ID 부여, 요청 컨텍스트 설정, 응답 완료 시 요청 로그 1건
+// 라우트에서 res.locals.logFields에 넣은 값은 요청 로그에 함께 기록됩니다.
+function requestLogging(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = Date.now();
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('close', () => {
+    const { logBodies } = getLogConfig();
+    const level = QUIET_PATHS.includes(req.path) ? 'debug' : (res.statusCode >= 500 ? 'error' : 'info');
+    req.log[level]('HTTP 요청', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      ...(req.user && { user: req.user.name }),
+      ...res.locals.logFields,
+      // 헤더 전체는 debug에서만 (인증 헤더는 가려짐)
+      ...(req.log.isLevelEnabled('debug') && { headers: req.headers }),
+      ...(logBodies && req.body !== undefined && { body: req.body }),
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+}
+
+export function createHttpApp(runtime, { rawBodyPaths = [], healthDetails = () => ({}) } = {}) {
+  const app = express();
+
+  // 사용자별 API 토큰 (AUTH_TOKENS_FILE / AUTH_TOKENS / AUTH_TOKEN)
+  const authTokens = loadTokens();
+  // OAuth 2.1 권한 서버 (Claude 커스텀 커넥터는 OAuth만 지원)
+  const oauth = process.env.OAUTH_ENABLED === 'true'
+    ? createOAuthProvider({
+      authenticateToken: (token) => findUserByToken(authTokens, token),
+      accessTokenTtlSeconds: Number(process.env.OAUTH_ACCESS_TOKEN_TTL) || 3600,
+      refreshTokenTtlSeconds: Number(process.env.OAUTH_REFRESH_TOKEN_TTL) || 30 * 24 * 3600,
+      maxClients: Number(process.env.OAUTH_MAX_CLIENTS) || 1000,
+      registrationsPerIp: Number(process.env.OAUTH_REGISTRATIONS_PER_IP) || 20,
+    })
+    : null;
+  if (oauth && authTokens.length === 0) {
+    throw new Error('OAUTH_ENABLED=true 사용 시 로그인에 쓸 사용자 토큰(AUTH_TOKENS_FILE / AUTH_TOKENS / AUTH_TOKEN)이 필요합니다.');
+  }
+  const requireAuth = createAuthMiddleware(authTokens, oauth);
+  const authMode = oauth ? 'oauth2' : (authTokens.length > 0 ? 'bearer' : 'none');
+
+  // Nginx 프록시 하에서 req.protocol, req.ip 등을 신뢰
+  app.set('trust proxy', true);
+
+  app.use(requestLogging);
+
+  // CORS 설정 (Claude Desktop 호환: credentials=false, 헤더 와일드카드)
+  app.use(cors({
+    origin: '*',
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    // Authorization은 와일드카드(*)에 포함되지 않으므로 명시
+    allowedHeaders: ['*', 'Authorization'],
+    // 브라우저 클라이언트가 Streamable HTTP 세션 ID와 /v1/audio/speech 결과 헤더를 읽을 수 있도록
+    exposedHeaders: ['Mcp-Session-Id', 'X-Request-Id', 'X-TTS-Cache', 'X-TTS-Filename', 'X-TTS-Audio-Url'],
+    credentials: false
+  }));
+
+  // raw-body를 사용하는 경로는 express.json()이 바디를 선점하지 않도록 우회
+  app.use((req, res, next) => {
+    if (rawBodyPaths.includes(req.path)) {
+      return next();
+    }
+    return express.json()(req, res, next);
+  });
+
+  // OAuth 메타데이터/등록/인가/토큰 엔드포인트
+  if (oauth) {
+    app.use(oauth.router);
+  }
+
+  // 오디오 다운로드: 만료 시각이 있는 HMAC 서명 링크 필요 (audio-urls.js)
+  // 링크가 사용자에게 묶여 있으면 그 사용자 또는 admin의 토큰도 필요. 다운로드 시 사용 시각 기록 (LRU 기준)
+  // sendFile이 Range 요청(부분 전송)과 ETag/Last-Modified를 처리하므로 브라우저에서 탐색 재생 가능
+  app.get('/audio/:filename', (req, res, next) => {
+    const { filename } = req.params;
+    if (!isAudioFile(filename) || path.basename(filename) !== filename || filename.startsWith('.')) {
+      res.status(404).json({ error: 'Not Found' });
+      return;
+    }
+    const verified = verifyAudioSignature(filename, req.query);
+    if (!verified.ok) {
+      res.status(403).json({ error: 'Forbidden', message: verified.reason });
+      return;
+    }
+
+    // 저장소가 직접 응답 (로컬 파일 전송, S3 중계 또는 리다이렉트)
+    const send = () => {
+      runtime.audioCatalog.touch(filename);
+      runtime.storage.serve(req, res, filename).then((found) => {
+        if (!found) {
+          res.status(404).json({ error: 'Not Found' });
+        }
+      }, next);
+    };
+    if (!verified.owner) {
+      send();
+      return;
+    }
+    requireAuth(req, res, () => {
+      if (req.user.role !== 'admin' && req.user.name !== verified.owner) {
+        res.status(403).json({ error: 'Forbidden', message: '이 다운로드 링크는 링크를 발급받은 사용자 또는 관리자만 사용할 수 있습니다.' });
+        return;
+      }
+      send();
+    });
+  });
+
+  // 웹 콘솔 (페이지는 공개, /console/api/*는 MCP 엔드포인트와 같은 인증)
+  app.use(createWebConsoleRouter(runtime, { requireAuth }));
+
+  // OpenAI 호환 음성 합성 (MCP를 쓰지 않는 클라이언트용, 같은 인증·한도·캐시)
+  app.use(createOpenAISpeechRouter(runtime, { requireAuth }));
+
+  createGauge("tts_audio_storage_bytes", "Bytes used by audio files in storage (catalog)", () => measureStorage(runtime.audioCatalog).bytes);
+  createGauge("tts_audio_storage_files", "Number of audio files in storage (catalog)", () => measureStorage(runtime.audioCatalog).files);
+
+  // Prometheus 메트릭 (METRICS_TOKEN 설정 시 Authorization: Bearer <METRICS_TOKEN> 필요)
+  app.get('/metrics', (req, res) => {
+    const metricsToken = process.env.METRICS_TOKEN;
+    if (metricsToken) {
+      const expected = Buffer.from(`Bearer ${metricsToken}`);
+      const received = Buffer.from(req.get('authorization') || '');
+      if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return;
+      }
+    }
+    res.type(PROMETHEUS_CONTENT_TYPE).send(renderMetrics());
+  });
+
+  // 활성 상태(liveness): 프로세스가 요청에 응답할 수 있는지만 확인
+  app.get('/health/live', (req, res) => {
+    res.json({ status: 'alive', timestamp: new Date().toISOString() });
+  });
+
+  // 준비 상태(readiness): 트래픽을 받을 수 있는지 (실패 시 503)
+  app.get('/health/ready', async (req, res) => {
+    const { ready, checks } = await checkReadiness(runtime.storage);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    });
+  });
+
+  // 헬스 체크 (상세 정보)
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      server: SERVER_INFO.name,
+      version: SERVER_INFO.version,
+      timestamp: new Date().toISOString(),
+      ...healthDetails(),
+      storage: { backend: runtime.storage.name, location: runtime.storage.location },
+      cache: runtime.synthesisCache.stats(),
+      retention: runtime.retentionSweeper.status(),
+      jobs: runtime.jobQueue.status(),
+      // 프로바이더별 서킷 브레이커 상태 (closed / open / half-open)
+      upstream: circuitStatus()
+    });
+  });
+
+  return { app, requireAuth, oauth, authMode };
+}
+
+// 인증 방식별 연결 안내 로그
+export function logAuthHint(authMode) {
+  if (authMode === 'oauth2') {
+    logger.info('인증: OAuth (연결 시 브라우저 로그인 페이지에서 개인 토큰 입력)', { authMode });
+  } else if (authMode === 'bearer') {
+    logger.info('인증: Headers → Authorization: Bearer <개인 토큰>', { authMode });
+  } else {
+    logger.warn('인증 토큰이 설정되지 않아 인증이 비활성화되었습니다. (AUTH_TOKENS_FILE / AUTH_TOKENS / AUTH_TOKEN)', { authMode });
+  }
+}
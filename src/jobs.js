@@ -0,0 +1,409 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { canManageAudio } from "./audio-files.js";
+import { logger } from "./logger.js";
+import { createGauge } from "./metrics.js";
+import { resolveSpeechOptions } from "./providers/index.js";
+import { formatSpeechResult } from "./text-to-speech.js";
+
+// 비동기 음성 합성 작업 큐 (text_to_speech async: true)
+//
+//   TTS_JOB_CONCURRENCY:     동시에 실행할 작업 수 (기본 2)
+//   TTS_JOB_RETENTION_HOURS: 끝난 작업 기록 보관 시간 (기본 24)
+// 작업 상태는 audioDir/.jobs.json 에 저장되어 재시작 후에도 조회할 수 있고,
+// 재시작 시점에 대기·실행 중이던 작업은 처음부터 다시 실행합니다.
+// 파일은 상태가 바뀔 때만 다시 씁니다. 청크 진행 상황은 메모리에만 반영 (재시작하면 어차피 처음부터 다시 실행)
+// 상태: queued → running → succeeded | failed | cancelled
+
+const JOBS_FILENAME = ".jobs.json";
+const FINISHED_STATUSES = new Set(["succeeded", "failed", "cancelled"]);
+const STATUS_LABELS = {
+  queued: "대기 중",
+  running: "실행 중",
+  succeeded: "완료",
+  failed: "실패",
+  cancelled: "취소됨",
+};
+const MAX_WAIT_SECONDS = 60;
+const LIST_LIMIT = 20;
+
+export function loadJobSettings(env = process.env) {
+  return {
+    concurrency: Math.max(1, Number(env.TTS_JOB_CONCURRENCY) || 2),
+    retentionMs: (Number(env.TTS_JOB_RETENTION_HOURS) || 24) * 3600 * 1000,
+  };
+}
+
+function isFinished(job) {
+  return FINISHED_STATUSES.has(job.status);
+}
+
+// synthesize: createSpeechSynthesizer().synthesize
+export function createJobQueue({ audioDir, synthesize, settings = loadJobSettings() }) {
+  const jobsPath = path.join(audioDir, JOBS_FILENAME);
+  // id → 작업 (디스크에 저장되는 상태)
+  const jobs = new Map();
+  // id → AbortController (실행 중인 작업)
+  const running = new Map();
+  // id → Set<listener(job)> (get_tts_job 대기용)
+  const listeners = new Map();
+
+  function save() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (isFinished(job) && now - Date.parse(job.finishedAt) > settings.retentionMs) {
+        jobs.delete(id);
+      }
+    }
+    const tmpPath = `${jobsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...jobs.values()]));
+    fs.renameSync(tmpPath, jobsPath);
+  }
+
+  function emit(job) {
+    for (const listener of listeners.get(job.id) || []) {
+      listener(job);
+    }
+  }
+
+  // persist: false이면 파일에 쓰지 않고 대기 중인 조회(get_tts_job)에만 알림
+  function update(job, changes, { persist = true } = {}) {
+    Object.assign(job, changes);
+    if (persist) {
+      save();
+    }
+    emit(job);
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    update(job, { status: "running", startedAt: new Date().toISOString() });
+    const log = logger.child({ jobId: job.id, user: job.owner });
+
+    try {
+      // 재시작 후에도 현재 프로바이더 설정으로 다시 검증
+      const options = resolveSpeechOptions(job.request);
+      const { record, cacheHit, cacheStatus } = await synthesize(options, {
+        user: job.user,
+        noCache: job.request.noCache,
+        signal: controller.signal,
+        onProgress: (completed, total) => update(job, { progress: { completed, total } }, { persist: false }),
+      });
+      update(job, {
+        status: "succeeded",
+        finishedAt: new Date().toISOString(),
+        result: { filename: record.filename, bytes: record.bytes, durationSeconds: record.durationSeconds, cacheHit, cacheStatus },
+      });
+      log.info("음성 합성 작업 완료", { audit: true, file: record.filename, cache: cacheHit ? "hit" : "miss" });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        update(job, { status: "cancelled", finishedAt: new Date().toISOString() });
+        log.info("음성 합성 작업 취소됨");
+      } else {
+        update(job, {
+          status: "failed",
+          finishedAt: new Date().toISOString(),
+          error: { message: error.message, ...(error.code && { code: error.code }) },
+        });
+        log.warn("음성 합성 작업 실패", { error });
+      }
+    } finally {
+      running.delete(job.id);
+      pump();
+    }
+  }
+
+  // 빈 실행 슬롯만큼 오래된 대기 작업부터 시작
+  function pump() {
+    const queued = [...jobs.values()]
+      .filter((job) => job.status === "queued")
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    for (const job of queued) {
+      if (running.size >= settings.concurrency) {
+        return;
+      }
+      run(job);
+    }
+  }
+
+  createGauge("tts_jobs", "Synthesis jobs by status (finished jobs are kept for TTS_JOB_RETENTION_HOURS)", () => (
+    Object.keys(STATUS_LABELS).map((status) => ({
+      labels: { status },
+      value: [...jobs.values()].filter((job) => job.status === status).length,
+    }))
+  ));
+
+  return {
+    settings,
+
+    // 저장된 작업 복원 후 실행 시작
+    start() {
+      let saved = [];
+      try {
+        saved = JSON.parse(fs.readFileSync(jobsPath, "utf8"));
+      } catch {
+        // 처음 실행이거나 손상된 파일이면 새로 시작
+      }
+      let resumed = 0;
+      for (const job of saved) {
+        if (!isFinished(job)) {
+          Object.assign(job, { status: "queued", startedAt: undefined, progress: { completed: 0, total: null } });
+          resumed++;
+        }
+        jobs.set(job.id, job);
+      }
+      if (resumed > 0) {
+        logger.info("재시작 전 음성 합성 작업 재개", { resumed });
+      }
+      save();
+      pump();
+    },
+
+    // user: 작업을 실행할 사용자 (한도 적용·파일 소유자), options: resolveSpeechOptions() 결과
+    submit({ user, options, noCache = false, includeAudio = true }) {
+      const { provider, text, voice, model, speed, format, instructions } = options;
+      const job = {
+        id: crypto.randomUUID(),
+        owner: user.name,
+        // 재시작 후에도 같은 권한·한도로 실행하기 위한 사용자 정보
+        user: { name: user.name, role: user.role, ...(user.quota && { quota: user.quota }) },
+        status: "queued",
+        request: { provider: provider.name, text, voice, model, speed, format, instructions, noCache, includeAudio },
+        progress: { completed: 0, total: null },
+        createdAt: new Date().toISOString(),
+      };
+      jobs.set(job.id, job);
+      save();
+      pump();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    list(filter = () => true) {
+      return [...jobs.values()]
+        .filter(filter)
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    },
+
+    // 대기 순번 (1부터, 대기 중이 아니면 null)
+    queuePosition(id) {
+      const queued = [...jobs.values()]
+        .filter((job) => job.status === "queued")
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+      const index = queued.findIndex((job) => job.id === id);
+      return index === -1 ? null : index + 1;
+    },
+
+    // 대기 중이면 바로 취소, 실행 중이면 중단 요청 (남은 청크를 합성하지 않고 cancelled로 끝남)
+    cancel(id) {
+      const job = jobs.get(id);
+      if (job?.status === "queued") {
+        update(job, { status: "cancelled", finishedAt: new Date().toISOString() });
+      } else if (job?.status === "running") {
+        running.get(id)?.abort();
+      }
+      return job;
+    },
+
+    subscribe(id, listener) {
+      if (!listeners.has(id)) {
+        listeners.set(id, new Set());
+      }
+      listeners.get(id).add(listener);
+      return () => {
+        listeners.get(id)?.delete(listener);
+        if (listeners.get(id)?.size === 0) {
+          listeners.delete(id);
+        }
+      };
+    },
+
+    // /health용
+    status() {
+      const counts = {};
+      for (const job of jobs.values()) {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      }
+      return { concurrency: settings.concurrency, running: running.size, counts };
+    },
+  };
+}
+
+// 작업 조회·취소 도구 정의 (stdio / SSE / HTTP 서버 공용)
+export const GET_TTS_JOB_TOOL = {
+  name: "get_tts_job",
+  description: "text_to_speech(async: true)로 등록한 음성 합성 작업의 상태와 결과를 조회합니다. job_id를 생략하면 내 최근 작업 목록을 보여줍니다.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      job_id: {
+        type: "string",
+        description: "조회할 작업 ID",
+      },
+      wait_seconds: {
+        type: "number",
+        minimum: 0,
+        maximum: MAX_WAIT_SECONDS,
+        default: 0,
+        description: `작업이 끝날 때까지 최대 이 시간(초)만큼 기다린 뒤 응답 (0~${MAX_WAIT_SECONDS}). progressToken을 보내면 기다리는 동안 진행 알림을 받습니다.`,
+      },
+      include_audio: {
+        type: "boolean",
+        description: "완료된 작업 결과에 재생 가능한 오디오 데이터(base64)를 포함할지 여부 (기본: 작업 등록 시 값)",
+      },
+    },
+  },
+};
+
+export const CANCEL_TTS_JOB_TOOL = {
+  name: "cancel_tts_job",
+  description: "대기 중이거나 실행 중인 음성 합성 작업을 취소합니다. 본인이 등록한 작업만 취소할 수 있습니다. (관리자는 모든 작업)",
+  inputSchema: {
+    type: "object",
+    properties: {
+      job_id: {
+        type: "string",
+        description: "취소할 작업 ID",
+      },
+    },
+    required: ["job_id"],
+  },
+};
+
+// 도구 결과 _meta용 (사용자 정보·입력 텍스트·스타일 지시 제외)
+function describeJob(job) {
+  const { user, request, ...rest } = job;
+  const { text, instructions, ...options } = request;
+  return { ...rest, request: { ...options, chars: text.length } };
+}
+
+function formatProgress({ completed, total }) {
+  return total ? `${completed}/${total} 청크 (${Math.floor((completed / total) * 100)}%)` : "준비 중";
+}
+
+export function createJobToolHandlers({ storage, audioCatalog, jobQueue, showFilePath = false }) {
+  // 다른 사용자의 작업은 존재하지 않는 것으로 취급
+  function findJob(user, jobId) {
+    const job = jobId ? jobQueue.get(String(jobId)) : null;
+    if (!job || !canManageAudio(user, job)) {
+      throw new Error(`작업을 찾을 수 없습니다: ${jobId}`);
+    }
+    return job;
+  }
+
+  // 작업이 끝나거나 제한 시간이 지나거나 요청이 취소될 때까지 대기 (진행 알림 전달)
+  function waitForJob(job, seconds, { signal, reportProgress }) {
+    if (isFinished(job) || !(seconds > 0)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      let reported = job.progress.completed;
+      const finish = () => {
+        clearTimeout(timer);
+        unsubscribe();
+        signal?.removeEventListener("abort", finish);
+        resolve();
+      };
+      const timer = setTimeout(finish, Math.min(seconds, MAX_WAIT_SECONDS) * 1000);
+      const unsubscribe = jobQueue.subscribe(job.id, (updated) => {
+        if (updated.progress.total && updated.progress.completed > reported) {
+          reported = updated.progress.completed;
+          reportProgress?.(updated.progress.completed, updated.progress.total);
+        }
+        if (isFinished(updated)) {
+          finish();
+        }
+      });
+      signal?.addEventListener("abort", finish);
+    });
+  }
+
+  function listJobs(user) {
+    const jobs = jobQueue.list((job) => canManageAudio(user, job)).slice(0, LIST_LIMIT);
+    const lines = jobs.length === 0
+      ? [`등록된 음성 합성 작업이 없습니다.`]
+      : [
+        `📋 **음성 합성 작업 목록** (최근 ${jobs.length}개)`,
+        ``,
+        ...jobs.map((job) => `- ${job.id} · ${STATUS_LABELS[job.status]} · ${job.request.text.length}자 · ${new Date(job.createdAt).toLocaleString('ko-KR')}`),
+      ];
+    return {
+      content: [{ type: "text", text: lines.join("\n") }],
+      _meta: { jobs: jobs.map(describeJob) },
+    };
+  }
+
+  async function getTtsJob(args = {}, { user, publicUrl, signal, reportProgress }) {
+    if (!args.job_id) {
+      return listJobs(user);
+    }
+    const job = findJob(user, args.job_id);
+    await waitForJob(job, Number(args.wait_seconds) || 0, { signal, reportProgress });
+
+    const meta = { _meta: { job: describeJob(job) } };
+    if (job.status === "succeeded") {
+      const record = audioCatalog.get(job.result.filename);
+      const buffer = record && await storage.read(job.result.filename);
+      if (buffer) {
+        return {
+          ...formatSpeechResult({
+            storage, record, buffer, publicUrl, user, showFilePath,
+            cacheHit: job.result.cacheHit,
+            cacheStatus: job.result.cacheStatus,
+            includeAudio: args.include_audio ?? job.request.includeAudio,
+            heading: `✅ 음성 합성 작업이 완료되었습니다. (작업 ID: ${job.id})`,
+          }),
+          ...meta,
+        };
+      }
+    }
+
+    const lines = [
+      `🆔 **작업 ID**: ${job.id}`,
+      `📋 **상태**: ${STATUS_LABELS[job.status]}`,
+      `📝 **입력 텍스트**: ${job.request.text.length}자`,
+      `🕒 **등록 시각**: ${new Date(job.createdAt).toLocaleString('ko-KR')}`,
+    ];
+    if (job.status === "queued") {
+      lines.push(`⏳ **대기 순번**: ${jobQueue.queuePosition(job.id)}`);
+    } else if (job.status === "running") {
+      lines.push(`🧩 **진행**: ${formatProgress(job.progress)}`);
+    } else if (job.status === "failed") {
+      lines.push(`❌ **오류**: ${job.error.message}`);
+    } else if (job.status === "succeeded") {
+      lines.push(`⚠️ 결과 파일이 삭제되었습니다: ${job.result.filename}`);
+    }
+    return {
+      content: [{ type: "text", text: lines.join("\n") }],
+      ...meta,
+    };
+  }
+
+  async function cancelTtsJob(args = {}, { user, log = logger }) {
+    const job = findJob(user, args.job_id);
+    if (isFinished(job)) {
+      throw new Error(`이미 끝난 작업입니다 (${STATUS_LABELS[job.status]}): ${job.id}`);
+    }
+    jobQueue.cancel(job.id);
+    log.info("음성 합성 작업 취소 요청", { audit: true, jobId: job.id, owner: job.owner });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: job.status === "cancelled"
+            ? `✅ 작업이 취소되었습니다: ${job.id}`
+            : `⏹️ 실행 중인 작업에 취소를 요청했습니다. 남은 청크는 합성하지 않습니다: ${job.id}`,
+        },
+      ],
+      _meta: { job: describeJob(job) },
+    };
+  }
+
+  return { getTtsJob, cancelTtsJob };
+}
@@ -0,0 +1,129 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// 구조화 로그 (한 줄에 JSON 하나, stderr 출력)
+//
+//   LOG_LEVEL:          debug | info | warn | error | silent (기본 info)
+//   LOG_FORMAT:         json | pretty (기본 json, pretty는 로컬 개발용 한 줄 텍스트)
+//   LOG_REQUEST_BODIES: true이면 HTTP 요청 바디(JSON)를 요청 로그에 포함 (기본 false)
+//   LOG_REDACT_TEXT:    false가 아니면 합성 입력 텍스트(text / input / instructions)를 가림 (기본 true)
+// 인증 헤더, 토큰, API 키, 비밀번호는 설정과 관계없이 항상 가립니다.
+// stdio 서버는 stdout이 프로토콜 채널이므로 모든 로그는 stderr로 출력합니다.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// 값 전체를 가리는 키 (대소문자 무시)
+const SECRET_KEY_PATTERN = /^(authorization|proxy-authorization|cookie|set-cookie|x-api-key|api[-_]?key|password|code_verifier|.*token|.*secret)$/i;
+// LOG_REDACT_TEXT일 때 가리는 사용자 입력 키
+const TEXT_KEYS = new Set(["text", "input", "instructions"]);
+
+export function loadLogConfig(env = process.env) {
+  const level = (env.LOG_LEVEL || "info").toLowerCase();
+  return {
+    level: level in LEVELS ? level : "info",
+    format: env.LOG_FORMAT === "pretty" ? "pretty" : "json",
+    logBodies: env.LOG_REQUEST_BODIES === "true",
+    redactText: env.LOG_REDACT_TEXT !== "false",
+  };
+}
+
+const config = loadLogConfig();
+
+export function getLogConfig() {
+  return config;
+}
+
+// 문자열 안에 섞인 비밀 값 (Bearer 토큰, OpenAI 키, 설정된 API 키 원문)
+function scrubString(value) {
+  let scrubbed = value
+    .replace(/Bearer\s+[\w.~+/=-]+/gi, "Bearer [REDACTED]")
+    .replace(/sk-[A-Za-z0-9_-]{16,}/g, "sk-[REDACTED]");
+  for (const secret of [process.env.OPENAI_API_KEY, process.env.AZURE_OPENAI_API_KEY]) {
+    if (secret && secret.length >= 8) {
+      scrubbed = scrubbed.split(secret).join("[REDACTED]");
+    }
+  }
+  return scrubbed;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: scrubString(error.message),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.response?.status !== undefined && { status: error.response.status }),
+    ...(config.level === "debug" && error.stack && { stack: scrubString(error.stack) }),
+  };
+}
+
+// 로그 필드를 복사하면서 비밀 값과 (설정 시) 입력 텍스트를 가림
+export function redact(value, key = "", depth = 0) {
+  if (key && SECRET_KEY_PATTERN.test(key) && value !== undefined && value !== null) {
+    return "[REDACTED]";
+  }
+  if (typeof value === "string") {
+    if (config.redactText && TEXT_KEYS.has(key)) {
+      return `[REDACTED ${value.length} chars]`;
+    }
+    return scrubString(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= 8) {
+    return "[...]";
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, key, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([entryKey, entryValue]) => [entryKey, redact(entryValue, entryKey, depth + 1)])
+  );
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`)
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras ? ` ${extras}` : ""}`;
+}
+
+// bindings: 이 로거로 남기는 모든 로그에 붙는 필드 (requestId, user 등)
+export function createLogger(bindings = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[config.level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...redact({ ...bindings, ...fields }),
+    };
+    process.stderr.write(`${config.format === "pretty" ? formatPretty(entry) : JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    isLevelEnabled: (level) => LEVELS[level] >= LEVELS[config.level],
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+  };
+}
+
+export const logger = createLogger();
+
+// HTTP 요청 단위 컨텍스트 (requestId). MCP SDK를 거쳐 호출되는 도구 핸들러까지 이어집니다.
+export const requestContext = new AsyncLocalStorage();
+
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
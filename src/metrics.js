@@ -0,0 +1,160 @@
+// Prometheus 텍스트 형식 메트릭 (외부 라이브러리 없이 필요한 만큼만 구현)
+//
+// 프로세스 전역 레지스트리 하나에 카운터·히스토그램·게이지를 등록하고 GET /metrics에서 renderMetrics()로 출력합니다.
+// 게이지는 수집 시점에 값을 계산하는 함수로 등록합니다 (활성 세션 수, 디스크 사용량 등).
+
+const registry = new Map();
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+// 라벨 이름 순서를 고정해 같은 조합이 같은 키가 되도록
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`이미 등록된 메트릭입니다: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+export function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of values.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  });
+}
+
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const values = new Map();
+  return register({
+    name,
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  });
+}
+
+// collect() → [{ labels, value }] 또는 숫자
+export function createGauge(name, help, collect) {
+  return register({
+    name,
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      const samples = collect();
+      for (const { labels = {}, value } of typeof samples === "number" ? [{ value: samples }] : samples) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    },
+  });
+}
+
+// 수집 함수가 실패해도 다른 메트릭은 출력
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    try {
+      lines.push(...metric.render());
+    } catch (error) {
+      lines.push(`# ${metric.name} 수집 실패: ${error.message.replace(/\n/g, " ")}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// 공용 메트릭
+export const toolCallsTotal = createCounter(
+  "tts_tool_calls_total",
+  "MCP tool calls by tool, provider, model, voice and status",
+  ["tool", "provider", "model", "voice", "status"],
+);
+
+export const toolCallDuration = createHistogram(
+  "tts_tool_call_duration_seconds",
+  "MCP tool call latency in seconds",
+  ["tool", "provider", "model", "voice"],
+);
+
+export const synthesizedCharactersTotal = createCounter(
+  "tts_synthesized_characters_total",
+  "Characters sent to TTS providers (cache hits excluded)",
+  ["provider", "model"],
+);
+
+export const synthesizedBytesTotal = createCounter(
+  "tts_synthesized_bytes_total",
+  "Audio bytes produced by TTS providers (cache hits excluded)",
+  ["provider", "model", "format"],
+);
+
+export const upstreamErrorsTotal = createCounter(
+  "tts_upstream_errors_total",
+  "TTS provider request failures by HTTP status (or error code for non-HTTP failures)",
+  ["provider", "status"],
+);
+
+export const upstreamRetriesTotal = createCounter(
+  "tts_upstream_retries_total",
+  "TTS provider request retries",
+  ["provider"],
+);
@@ -0,0 +1,511 @@
+import crypto from "crypto";
+import express from "express";
+import { logger } from "./logger.js";
+import { buildPublicUrl } from "./public-url.js";
+
+// 최소 OAuth 2.1 권한 서버 (Claude 커스텀 커넥터 인증용)
+//
+// - RFC 9728 보호 리소스 메타데이터 / RFC 8414 권한 서버 메타데이터
+// - RFC 7591 동적 클라이언트 등록
+// - authorization_code + PKCE(S256) 흐름, 로그인/동의 페이지
+// - 짧은 수명의 액세스 토큰과 회전(rotation)되는 리프레시 토큰
+//
+// 로그인 자격 증명은 auth.js의 사용자별 API 토큰을 그대로 사용합니다.
+// 모든 상태는 메모리에 보관되므로 서버 재시작 시 재인증이 필요합니다.
+
+const SCOPE = "mcp";
+const AUTHORIZATION_CODE_TTL_MS = 10 * 60 * 1000;
+
+// 동적 클라이언트 등록은 인증 없이 열려 있으므로 메모리를 무한히 쓰지 않도록 제한
+//   - 등록 후 이 시간 안에 토큰을 한 번도 받지 않은 클라이언트는 삭제
+//   - 같은 IP의 등록 횟수 제한 (시간 창마다)
+//   - redirect_uris 개수·길이, client_name 길이 제한
+const UNUSED_CLIENT_TTL_MS = 60 * 60 * 1000;
+const REGISTRATION_WINDOW_MS = 60 * 60 * 1000;
+const MAX_REDIRECT_URIS = 10;
+const MAX_REDIRECT_URI_LENGTH = 2000;
+const MAX_CLIENT_NAME_LENGTH = 200;
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function sha256Base64Url(value) {
+  return crypto.createHash("sha256").update(value).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(sha256(a));
+  const right = Buffer.from(sha256(b));
+  return crypto.timingSafeEqual(left, right);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// 리디렉션 URI는 https 또는 로컬 개발용 loopback만 허용
+function isAllowedRedirectUri(uri) {
+  try {
+    const url = new URL(uri);
+    if (url.hash) {
+      return false;
+    }
+    if (url.protocol === "https:") {
+      return true;
+    }
+    return url.protocol === "http:" && ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+function redirectWithParams(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  }
+  res.redirect(302, url.toString());
+}
+
+function tokenError(res, status, error, description) {
+  res.set("Cache-Control", "no-store");
+  res.status(status).json({ error, error_description: description });
+}
+
+// 동의 페이지를 다른 사이트가 iframe에 숨겨 넣고 버튼을 누르게 만드는 클릭재킹 방지
+function sendConsentPage(res, status, page) {
+  res.set({
+    "Cache-Control": "no-store",
+    "X-Frame-Options": "DENY",
+    "Content-Security-Policy": "frame-ancestors 'none'",
+  });
+  res.status(status).type("html").send(renderConsentPage(page));
+}
+
+function renderConsentPage({ client, params, error }) {
+  const hidden = Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join("\n      ");
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>OpenAI TTS MCP Server - 로그인</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 420px; margin: 60px auto; padding: 0 16px; color: #222; }
+    h1 { font-size: 1.3rem; }
+    .client { background: #f4f4f5; padding: 12px; border-radius: 8px; }
+    .error { color: #b91c1c; }
+    label { display: block; margin: 16px 0 6px; }
+    input[type=password] { width: 100%; padding: 8px; box-sizing: border-box; }
+    .actions { margin-top: 20px; display: flex; gap: 8px; }
+    button { padding: 8px 16px; }
+  </style>
+</head>
+<body>
+  <h1>🔐 OpenAI TTS MCP Server</h1>
+  <p class="client"><strong>${escapeHtml(client.client_name || client.client_id)}</strong> 앱이 TTS 도구 사용 권한을 요청합니다.</p>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+  <form method="post">
+      ${hidden}
+    <label for="access_token">개인 API 토큰</label>
+    <input type="password" id="access_token" name="login_token" autocomplete="current-password" required>
+    <div class="actions">
+      <button type="submit" name="decision" value="approve">허용</button>
+      <button type="submit" name="decision" value="deny" formnovalidate>거부</button>
+    </div>
+  </form>
+</body>
+</html>`;
+}
+
+export function createOAuthProvider({
+  authenticateToken,
+  accessTokenTtlSeconds = 3600,
+  refreshTokenTtlSeconds = 30 * 24 * 3600,
+  maxClients = 1000,
+  registrationsPerIp = 20,
+}) {
+  // client_id → 등록 정보
+  const clients = new Map();
+  // 아직 토큰을 받은 적 없는 client_id → { expiresAt } (만료되면 등록 정보와 함께 삭제)
+  const unusedClients = new Map();
+  // IP → { count, expiresAt } (등록 횟수 제한)
+  const registrationCounts = new Map();
+  // sha256(code) → { clientId, redirectUri, redirectUriSent, codeChallenge, user, scope, resource, expiresAt }
+  const authorizationCodes = new Map();
+  // sha256(token) → { clientId, user, scope, resource, expiresAt }
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+
+  // 만료 항목 정리
+  function sweep(store) {
+    const now = Date.now();
+    for (const [key, entry] of store) {
+      if (entry.expiresAt <= now) {
+        store.delete(key);
+      }
+    }
+  }
+
+  function sweepUnusedClients() {
+    const now = Date.now();
+    for (const [clientId, entry] of unusedClients) {
+      if (entry.expiresAt <= now) {
+        unusedClients.delete(clientId);
+        clients.delete(clientId);
+      }
+    }
+  }
+
+  // 한도에 도달하면 유효한 인가 코드·토큰이 하나도 남지 않은 클라이언트도 정리 (다시 연결하려면 재등록)
+  function evictInactiveClients() {
+    const active = new Set();
+    for (const store of [authorizationCodes, accessTokens, refreshTokens]) {
+      sweep(store);
+      for (const entry of store.values()) {
+        active.add(entry.clientId);
+      }
+    }
+    for (const clientId of clients.keys()) {
+      if (!active.has(clientId) && !unusedClients.has(clientId)) {
+        clients.delete(clientId);
+      }
+    }
+  }
+
+  function findClient(clientId) {
+    sweepUnusedClients();
+    return clients.get(clientId);
+  }
+
+  function issueTokens({ clientId, user, scope, resource }) {
+    sweep(accessTokens);
+    sweep(refreshTokens);
+    // 토큰을 받은 클라이언트는 사용 중인 것으로 보고 미사용 정리 대상에서 제외
+    unusedClients.delete(clientId);
+    const now = Date.now();
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+    accessTokens.set(sha256(accessToken), {
+      clientId, user, scope, resource,
+      expiresAt: now + accessTokenTtlSeconds * 1000,
+    });
+    refreshTokens.set(sha256(refreshToken), {
+      clientId, user, scope, resource,
+      expiresAt: now + refreshTokenTtlSeconds * 1000,
+    });
+    return {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: accessTokenTtlSeconds,
+      refresh_token: refreshToken,
+      scope,
+    };
+  }
+
+  // client_secret_basic / client_secret_post / none(공개 클라이언트) 인증
+  function authenticateClient(req) {
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const header = req.get("authorization") || "";
+    if (header.startsWith("Basic ")) {
+      const decoded = Buffer.from(header.slice(6), "base64").toString("utf8");
+      const separator = decoded.indexOf(":");
+      if (separator < 0) {
+        return null;
+      }
+      try {
+        clientId = decodeURIComponent(decoded.slice(0, separator));
+        clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+      } catch {
+        // 잘못된 퍼센트 인코딩 → invalid_client
+        return null;
+      }
+    }
+
+    const client = findClient(clientId);
+    if (!client) {
+      return null;
+    }
+    if (client.token_endpoint_auth_method === "none") {
+      return client;
+    }
+    if (!clientSecret || !safeEqual(clientSecret, client.client_secret)) {
+      return null;
+    }
+    return client;
+  }
+
+  function metadataUrls(req) {
+    return {
+      issuer: buildPublicUrl(req, ""),
+      authorization_endpoint: buildPublicUrl(req, "/authorize"),
+      token_endpoint: buildPublicUrl(req, "/token"),
+      registration_endpoint: buildPublicUrl(req, "/register"),
+    };
+  }
+
+  // 액세스 토큰 검증 → 사용자 정보 또는 null
+  function verifyAccessToken(token) {
+    const entry = accessTokens.get(sha256(token));
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      accessTokens.delete(sha256(token));
+      return null;
+    }
+    return entry.user;
+  }
+
+  function resourceMetadataUrl(req) {
+    return buildPublicUrl(req, "/.well-known/oauth-protected-resource");
+  }
+
+  const router = express.Router();
+  const form = express.urlencoded({ extended: false });
+
+  // 보호 리소스 메타데이터 (경로 접미사 형태 /.well-known/oauth-protected-resource/sse 포함)
+  router.get(/^\/\.well-known\/oauth-protected-resource(\/.*)?$/, (req, res) => {
+    res.json({
+      resource: buildPublicUrl(req, req.params[0] || ""),
+      authorization_servers: [buildPublicUrl(req, "")],
+      scopes_supported: [SCOPE],
+      bearer_methods_supported: ["header"],
+      resource_name: "OpenAI TTS MCP Server",
+    });
+  });
+
+  // 권한 서버 메타데이터
+  router.get(/^\/\.well-known\/oauth-authorization-server(\/.*)?$/, (req, res) => {
+    res.json({
+      ...metadataUrls(req),
+      scopes_supported: [SCOPE],
+      response_types_supported: ["code"],
+      response_modes_supported: ["query"],
+      grant_types_supported: ["authorization_code", "refresh_token"],
+      token_endpoint_auth_methods_supported: ["none", "client_secret_basic", "client_secret_post"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  // 동적 클라이언트 등록 (RFC 7591)
+  router.post("/register", express.json(), (req, res) => {
+    sweep(registrationCounts);
+    const now = Date.now();
+    const counter = registrationCounts.get(req.ip) || { count: 0, expiresAt: now + REGISTRATION_WINDOW_MS };
+    if (counter.count >= registrationsPerIp) {
+      logger.warn("OAuth 클라이언트 등록 횟수 초과", { ip: req.ip });
+      res.set("Retry-After", String(Math.ceil((counter.expiresAt - now) / 1000)));
+      return res.status(429).json({ error: "too_many_requests", error_description: "클라이언트 등록 요청이 너무 많습니다. 잠시 후 다시 시도하세요." });
+    }
+    counter.count += 1;
+    registrationCounts.set(req.ip, counter);
+
+    const body = req.body || {};
+    const redirectUris = body.redirect_uris;
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+      return res.status(400).json({ error: "invalid_redirect_uri", error_description: "redirect_uris가 필요합니다." });
+    }
+    if (redirectUris.length > MAX_REDIRECT_URIS) {
+      return res.status(400).json({ error: "invalid_redirect_uri", error_description: `redirect_uris는 최대 ${MAX_REDIRECT_URIS}개까지 등록할 수 있습니다.` });
+    }
+    const invalid = redirectUris.find((uri) => typeof uri !== "string" || uri.length > MAX_REDIRECT_URI_LENGTH || !isAllowedRedirectUri(uri));
+    if (invalid !== undefined) {
+      const shown = String(invalid).slice(0, 200);
+      return res.status(400).json({ error: "invalid_redirect_uri", error_description: `허용되지 않는 redirect_uri: ${shown}` });
+    }
+    if (body.client_name !== undefined && (typeof body.client_name !== "string" || body.client_name.length > MAX_CLIENT_NAME_LENGTH)) {
+      return res.status(400).json({ error: "invalid_client_metadata", error_description: `client_name은 ${MAX_CLIENT_NAME_LENGTH}자 이하의 문자열이어야 합니다.` });
+    }
+
+    const authMethod = body.token_endpoint_auth_method || "client_secret_basic";
+    if (!["none", "client_secret_basic", "client_secret_post"].includes(authMethod)) {
+      return res.status(400).json({ error: "invalid_client_metadata", error_description: `지원하지 않는 token_endpoint_auth_method: ${authMethod}` });
+    }
+
+    sweepUnusedClients();
+    if (clients.size >= maxClients) {
+      evictInactiveClients();
+    }
+    if (clients.size >= maxClients) {
+      logger.warn("OAuth 클라이언트 수 한도 도달", { maxClients });
+      return res.status(503).json({ error: "temporarily_unavailable", error_description: "등록된 클라이언트가 너무 많습니다. 잠시 후 다시 시도하세요." });
+    }
+
+    const client = {
+      client_id: randomToken(16),
+      client_id_issued_at: Math.floor(Date.now() / 1000),
+      client_name: body.client_name,
+      redirect_uris: redirectUris,
+      grant_types: ["authorization_code", "refresh_token"],
+      response_types: ["code"],
+      token_endpoint_auth_method: authMethod,
+      scope: SCOPE,
+    };
+    if (authMethod !== "none") {
+      client.client_secret = randomToken();
+      client.client_secret_expires_at = 0;
+    }
+    clients.set(client.client_id, client);
+    unusedClients.set(client.client_id, { expiresAt: now + UNUSED_CLIENT_TTL_MS });
+    logger.info("OAuth 클라이언트 등록", { clientName: client.client_name, clientId: client.client_id });
+
+    res.set("Cache-Control", "no-store");
+    res.status(201).json(client);
+  });
+
+  // 인가 요청 검증 → { client, params } 또는 { error, redirect }
+  function validateAuthorizationRequest(source) {
+    const params = {
+      response_type: source.response_type,
+      client_id: source.client_id,
+      redirect_uri: source.redirect_uri,
+      code_challenge: source.code_challenge,
+      code_challenge_method: source.code_challenge_method,
+      state: source.state,
+      scope: source.scope,
+      resource: source.resource,
+    };
+
+    const client = findClient(params.client_id);
+    if (!client) {
+      return { fatal: "알 수 없는 client_id입니다." };
+    }
+    // redirect_uri가 하나만 등록된 경우 생략 가능
+    // (params에는 요청 값을 그대로 두어 동의 페이지를 거쳐도 생략 여부가 유지되도록 함)
+    const redirectUri = params.redirect_uri || (client.redirect_uris.length === 1 ? client.redirect_uris[0] : undefined);
+    if (!client.redirect_uris.includes(redirectUri)) {
+      return { fatal: "등록되지 않은 redirect_uri입니다." };
+    }
+
+    if (params.response_type !== "code") {
+      return { client, params, redirectUri, error: "unsupported_response_type" };
+    }
+    // OAuth 2.1: PKCE 필수, S256만 허용
+    if (!params.code_challenge || (params.code_challenge_method || "plain") !== "S256") {
+      return { client, params, redirectUri, error: "invalid_request", description: "PKCE(code_challenge, S256)가 필요합니다." };
+    }
+    if (params.scope && params.scope.split(" ").some((scope) => scope !== SCOPE)) {
+      return { client, params, redirectUri, error: "invalid_scope" };
+    }
+    return { client, params, redirectUri };
+  }
+
+  router.get("/authorize", (req, res) => {
+    const result = validateAuthorizationRequest(req.query);
+    if (result.fatal) {
+      return res.status(400).type("text/plain").send(result.fatal);
+    }
+    if (result.error) {
+      return redirectWithParams(res, result.redirectUri, {
+        error: result.error,
+        error_description: result.description,
+        state: result.params.state,
+      });
+    }
+    sendConsentPage(res, 200, result);
+  });
+
+  router.post("/authorize", form, (req, res) => {
+    const result = validateAuthorizationRequest(req.body);
+    if (result.fatal) {
+      return res.status(400).type("text/plain").send(result.fatal);
+    }
+    const { client, params, redirectUri } = result;
+    if (result.error) {
+      return redirectWithParams(res, redirectUri, {
+        error: result.error,
+        error_description: result.description,
+        state: params.state,
+      });
+    }
+
+    if (req.body.decision !== "approve") {
+      return redirectWithParams(res, redirectUri, { error: "access_denied", state: params.state });
+    }
+
+    const user = authenticateToken(req.body.login_token || "");
+    if (!user) {
+      return sendConsentPage(res, 401, { client, params, error: "유효하지 않은 토큰입니다." });
+    }
+
+    sweep(authorizationCodes);
+    const code = randomToken();
+    authorizationCodes.set(sha256(code), {
+      clientId: client.client_id,
+      redirectUri,
+      // 인가 요청에 redirect_uri를 보냈으면 토큰 요청에도 같은 값이 있어야 함 (RFC 6749 4.1.3)
+      redirectUriSent: Boolean(params.redirect_uri),
+      codeChallenge: params.code_challenge,
+      scope: SCOPE,
+      resource: params.resource,
+      user,
+      expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS,
+    });
+    logger.info("OAuth 인가 승인", { audit: true, user: user.name, clientId: client.client_id });
+    redirectWithParams(res, redirectUri, { code, state: params.state });
+  });
+
+  // 토큰 엔드포인트
+  router.post("/token", form, express.json(), (req, res) => {
+    const client = authenticateClient(req);
+    if (!client) {
+      return tokenError(res, 401, "invalid_client", "클라이언트 인증에 실패했습니다.");
+    }
+
+    const { grant_type: grantType } = req.body;
+
+    if (grantType === "authorization_code") {
+      const key = sha256(req.body.code || "");
+      const entry = authorizationCodes.get(key);
+      // 인가 코드는 1회용
+      authorizationCodes.delete(key);
+      if (!entry || entry.expiresAt <= Date.now() || entry.clientId !== client.client_id) {
+        return tokenError(res, 400, "invalid_grant", "유효하지 않거나 만료된 인가 코드입니다.");
+      }
+      const { redirect_uri: presentedRedirectUri } = req.body;
+      if ((presentedRedirectUri || entry.redirectUriSent) && presentedRedirectUri !== entry.redirectUri) {
+        return tokenError(res, 400, "invalid_grant", "redirect_uri가 일치하지 않습니다.");
+      }
+      const verifier = req.body.code_verifier || "";
+      if (!verifier || !safeEqual(sha256Base64Url(verifier), entry.codeChallenge)) {
+        return tokenError(res, 400, "invalid_grant", "code_verifier 검증에 실패했습니다.");
+      }
+      res.set("Cache-Control", "no-store");
+      return res.json(issueTokens({ clientId: client.client_id, user: entry.user, scope: entry.scope, resource: entry.resource }));
+    }
+
+    if (grantType === "refresh_token") {
+      const key = sha256(req.body.refresh_token || "");
+      const entry = refreshTokens.get(key);
+      if (!entry || entry.expiresAt <= Date.now() || entry.clientId !== client.client_id) {
+        return tokenError(res, 400, "invalid_grant", "유효하지 않거나 만료된 리프레시 토큰입니다.");
+      }
+      // 리프레시 토큰 회전: 사용된 토큰은 폐기
+      refreshTokens.delete(key);
+      res.set("Cache-Control", "no-store");
+      return res.json(issueTokens({ clientId: client.client_id, user: entry.user, scope: entry.scope, resource: entry.resource }));
+    }
+
+    return tokenError(res, 400, "unsupported_grant_type", `지원하지 않는 grant_type: ${grantType}`);
+  });
+
+  return { router, verifyAccessToken, resourceMetadataUrl };
+}
@@ -0,0 +1,201 @@
+import express from "express";
+import { buildAudioUri } from "./audio-content.js";
+import { AUDIO_MIME_TYPES } from "./audio-utils.js";
+import { resolveSpeechOptions } from "./providers/index.js";
+import { buildPublicUrl } from "./public-url.js";
+
+// OpenAI 호환 음성 합성 REST 엔드포인트 (POST /v1/audio/speech)
+//
+// MCP를 쓰지 않는 스크립트·앱이 OpenAI SDK의 base URL만 바꿔 이 서버를 TTS 게이트웨이로 쓸 수 있게 합니다.
+// API 키 자리에 개인 API 토큰(또는 OAuth 액세스 토큰)을 넣으면 text_to_speech와 같은 사용자로 인증되고,
+// 같은 한도·합성 캐시·프로바이더 선택·감사 로그가 적용됩니다.
+//
+// 요청 바디 (OpenAI와 같은 형태):
+//   input, model, voice, response_format(기본 mp3), speed(기본 1.0), instructions, stream_format(audio | sse)
+// 합성이 끝나기를 기다리지 않고 생성되는 대로 오디오를 보내므로 클라이언트가 바로 재생을 시작할 수 있습니다.
+//   audio: chunked 전송으로 오디오 바이트 그대로 (도중에 실패하면 연결을 끊음)
+//   sse:   data: {"type":"speech.audio.delta","audio":"<base64>"} 이벤트들 뒤에 speech.audio.done (실패 시 type: "error")
+// 확장 필드 (OpenAI SDK에서는 extra_body로 전달):
+//   provider: TTS 프로바이더 (생략 시 TTS_PROVIDER)
+//   save:     true이면 라이브러리에도 저장하고 X-TTS-Filename / X-TTS-Audio-Url 헤더로 알려 줌 (기본 false)
+//             링크는 응답이 끝난 뒤부터 유효 (저장이 끝나기 전에는 목록에도 나타나지 않음)
+//   no_cache: true이면 합성 캐시를 사용하지 않음
+// 오류는 OpenAI와 같은 { error: { message, type, param, code } } 형태로 응답합니다.
+
+// audio: 오디오 바이트를 chunked 전송으로 그대로, sse: base64 오디오 조각을 SSE 이벤트로
+const STREAM_FORMATS = ["audio", "sse"];
+
+// 서버 오류 코드 → HTTP 상태와 OpenAI 오류 type (목록에 없는 UPSTREAM_* 은 502)
+const ERROR_RESPONSES = {
+  QUOTA_EXCEEDED: { status: 429, type: "rate_limit_error" },
+  UPSTREAM_RATE_LIMITED: { status: 429, type: "rate_limit_error" },
+  UPSTREAM_CONTENT_POLICY: { status: 400, type: "invalid_request_error" },
+  UPSTREAM_BAD_REQUEST: { status: 400, type: "invalid_request_error" },
+  UPSTREAM_CIRCUIT_OPEN: { status: 503, type: "server_error" },
+  UPSTREAM_TIMEOUT: { status: 504, type: "server_error" },
+};
+
+function sendOpenAIError(res, status, message, { type = "invalid_request_error", param = null, code = null } = {}) {
+  res.status(status).json({ error: { message, type, param, code } });
+}
+
+// 합성 중 오류 → OpenAI 형식 오류 응답 (한도 초과·서킷 차단은 Retry-After 포함)
+function sendSynthesisError(res, error) {
+  const mapped = ERROR_RESPONSES[error.code]
+    ?? (error.code?.startsWith("UPSTREAM_") ? { status: 502, type: "server_error" } : { status: 500, type: "server_error" });
+  if (error.resetAt) {
+    res.set("Retry-After", String(Math.max(1, Math.ceil((error.resetAt.getTime() - Date.now()) / 1000))));
+  }
+  sendOpenAIError(res, mapped.status, error.message, { type: mapped.type, code: error.code ?? null });
+}
+
+// SSE 이벤트 1건 (false면 쓰기 버퍼가 가득 참)
+function writeEvent(res, event) {
+  return res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+// 쓰기 버퍼가 비거나 연결이 끊길 때까지 대기
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// OpenAI 요청 바디 → resolveSpeechOptions 인자 (형식이 틀린 필드는 param과 함께 오류)
+function parseSpeechRequest(body) {
+  const invalid = (param, message) => Object.assign(new Error(message), { param });
+  const optionalString = (param) => {
+    if (body[param] !== undefined && typeof body[param] !== "string") {
+      throw invalid(param, `${param}는 문자열이어야 합니다.`);
+    }
+    return body[param];
+  };
+
+  if (typeof body.input !== "string" || body.input.trim() === "") {
+    throw invalid("input", "input(합성할 텍스트)이 필요합니다.");
+  }
+  if (body.stream_format !== undefined && !STREAM_FORMATS.includes(body.stream_format)) {
+    throw invalid("stream_format", `지원하지 않는 stream_format입니다: ${body.stream_format} (지원: ${STREAM_FORMATS.join(", ")})`);
+  }
+
+  return {
+    text: body.input,
+    provider: optionalString("provider"),
+    model: optionalString("model"),
+    voice: optionalString("voice"),
+    format: optionalString("response_format"),
+    instructions: optionalString("instructions"),
+    speed: body.speed,
+  };
+}
+
+export function createOpenAISpeechRouter(runtime, { requireAuth }) {
+  const { synthesizer, usageTracker } = runtime;
+  const router = express.Router();
+
+  router.post("/v1/audio/speech", requireAuth, async (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const log = req.log.child({ user: req.user.name });
+
+    let options;
+    try {
+      options = resolveSpeechOptions(parseSpeechRequest(body));
+    } catch (error) {
+      sendOpenAIError(res, 400, error.message, { param: error.param ?? null });
+      return;
+    }
+
+    // 클라이언트가 응답을 다 받기 전에 연결을 끊으면 남은 합성을 중단 (라이브러리에도 저장하지 않음)
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    const save = body.save === true;
+    const sse = body.stream_format === "sse";
+    let savedFile = null;
+    // 응답 헤더는 첫 오디오 조각과 함께 보냄 (그 전의 오류는 일반 오류 응답)
+    const onStart = ({ cacheHit, filename }) => {
+      res.set("X-TTS-Cache", cacheHit ? "hit" : "miss");
+      if (save && filename) {
+        savedFile = {
+          filename,
+          url: buildAudioUri({ filename, publicUrl: (pathname) => buildPublicUrl(req, pathname), owner: req.user.name }),
+        };
+        res.set("X-TTS-Filename", savedFile.filename);
+        res.set("X-TTS-Audio-Url", savedFile.url);
+      }
+      if (sse) {
+        res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "X-Accel-Buffering": "no" });
+      } else {
+        res.type(AUDIO_MIME_TYPES[options.format]);
+      }
+      res.flushHeaders();
+    };
+    const onAudio = async (piece) => {
+      if (res.destroyed) {
+        return;
+      }
+      const flushed = sse ? writeEvent(res, { type: "speech.audio.delta", audio: piece.toString("base64") }) : res.write(piece);
+      if (!flushed) {
+        await waitForDrain(res);
+      }
+    };
+
+    let result;
+    try {
+      usageTracker.consumeRequest(req.user);
+      result = await synthesizer.synthesize(options, {
+        user: req.user,
+        noCache: body.no_cache === true,
+        save,
+        signal: controller.signal,
+        onStart,
+        onAudio,
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        log.info("음성 합성 취소 (연결 종료)", { provider: options.provider.name });
+        return;
+      }
+      log.warn("음성 합성 실패", { provider: options.provider.name, streamed: res.headersSent, error });
+      if (!res.headersSent) {
+        sendSynthesisError(res, error);
+      } else if (sse) {
+        writeEvent(res, { type: "error", error: { message: error.message, type: "server_error", code: error.code ?? null } });
+        res.end();
+      } else {
+        // 이미 일부 오디오를 보냈으므로 연결을 끊어 불완전한 응답임을 알림
+        res.destroy();
+      }
+      return;
+    }
+
+    const { record, cacheHit } = result;
+    // 입력 텍스트는 LOG_REDACT_TEXT=false일 때만 원문으로 기록
+    log.info("음성 합성", {
+      audit: true,
+      api: "openai",
+      ...(record && { file: record.filename }),
+      provider: options.provider.name,
+      chars: options.text.length,
+      cache: cacheHit ? "hit" : "miss",
+      text: options.text,
+    });
+
+    if (sse) {
+      writeEvent(res, { type: "speech.audio.done", cache: cacheHit ? "hit" : "miss", ...savedFile });
+    }
+    res.end();
+  });
+
+  return router;
+}
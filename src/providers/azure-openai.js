@@ -0,0 +1,73 @@
+import { OPENAI_FORMATS, OPENAI_MODELS } from "./openai-catalog.js";
+import { requestSpeech, requestSpeechStream } from "./openai.js";
+
+// Azure OpenAI TTS
+//   AZURE_OPENAI_ENDPOINT:        https://<resource>.openai.azure.com
+//   AZURE_OPENAI_API_KEY:         리소스 키
+//   AZURE_OPENAI_TTS_DEPLOYMENTS: TTS 배포 목록 (쉼표 구분, "배포이름[:모델]", 기본 "tts")
+//                                 모델을 생략하면 배포 이름이 모델 이름이면 그 모델, 아니면 tts-1로 간주
+//                                 예: "tts,tts-hd:tts-1-hd,mini:gpt-4o-mini-tts"
+//   AZURE_OPENAI_API_VERSION:     API 버전 (기본 2025-03-01-preview)
+// Azure에서는 model 대신 배포 이름을 선택하며, 음성·형식·instructions 지원 여부는 배포된 모델을 따릅니다.
+
+// "배포이름[:모델]" 목록 → Map(배포 이름 → 카탈로그 모델)
+function parseDeployments(value) {
+  return new Map(value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, model = Object.hasOwn(OPENAI_MODELS, name) ? name : "tts-1"] = entry.split(":").map((part) => part.trim());
+      if (!Object.hasOwn(OPENAI_MODELS, model)) {
+        throw new Error(`AZURE_OPENAI_TTS_DEPLOYMENTS의 모델을 알 수 없습니다: ${entry} (사용 가능: ${Object.keys(OPENAI_MODELS).join(", ")})`);
+      }
+      return [name, model];
+    }));
+}
+
+export function createAzureOpenAIProvider(env = process.env) {
+  const deployments = parseDeployments(env.AZURE_OPENAI_TTS_DEPLOYMENTS || "tts");
+  const deployedModels = [...new Set(deployments.values())].map((model) => OPENAI_MODELS[model]);
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || "2025-03-01-preview";
+  const speechOptions = ({ text, voice, model, speed, format, instructions, signal }) => ({
+    provider: "azure-openai",
+    label: "Azure OpenAI",
+    url: `${env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, "")}/openai/deployments/${encodeURIComponent(model)}/audio/speech?api-version=${apiVersion}`,
+    headers: {
+      'api-key': env.AZURE_OPENAI_API_KEY,
+    },
+    model, voice, text, speed, format, instructions, signal,
+  });
+
+  return {
+    name: "azure-openai",
+    label: "Azure OpenAI",
+    voices: [...new Set(deployedModels.flatMap((model) => model.voices))],
+    models: [...deployments.keys()],
+    formats: OPENAI_FORMATS,
+    describeModel: (deployment) => (deployments.has(deployment)
+      ? { ...OPENAI_MODELS[deployments.get(deployment)], baseModel: deployments.get(deployment) }
+      : undefined),
+    defaultVoice: "alloy",
+    defaultModel: [...deployments.keys()][0],
+    capabilities: {
+      speed: true,
+      offline: false,
+      maxInputLength: 4096,
+    },
+
+    isConfigured() {
+      return Boolean(env.AZURE_OPENAI_ENDPOINT && env.AZURE_OPENAI_API_KEY);
+    },
+
+    configurationHint: "AZURE_OPENAI_ENDPOINT와 AZURE_OPENAI_API_KEY 환경변수가 필요합니다.",
+
+    async synthesize(options) {
+      return requestSpeech(speechOptions(options));
+    },
+
+    synthesizeStream(options) {
+      return requestSpeechStream(speechOptions(options));
+    },
+  };
+}
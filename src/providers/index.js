@@ -0,0 +1,157 @@
+import { createAzureOpenAIProvider } from "./azure-openai.js";
+import { createLocalCliProvider } from "./local-cli.js";
+import { createOpenAIProvider } from "./openai.js";
+
+// TTS 프로바이더 레지스트리
+//
+// 프로바이더 인터페이스:
+//   name, label                    식별자 / 표시 이름
+//   voices, models, formats        지원 카탈로그 (voices·formats는 모든 모델의 합집합)
+//   describeModel(model)           모델별 { description, voices, formats, instructions, baseModel? } (모르는 모델은 undefined)
+//                                  baseModel: 배포 이름을 모델로 쓰는 프로바이더(Azure)에서 실제 모델
+//   defaultVoice, defaultModel     기본값
+//   capabilities                   { speed, offline, maxInputLength }
+//   isConfigured()                 필요한 설정이 있는지 여부
+//   configurationHint              미설정 시 안내 메시지
+//   synthesize({ text, voice, model, speed, format, instructions, signal }) → Promise<Buffer>
+//                                  instructions: 말투·스타일 지시 (describeModel(model).instructions인 모델만)
+//                                  signal: AbortSignal (지원하는 프로바이더는 진행 중인 요청을 중단)
+//   synthesizeStream(options)      (선택) synthesize와 같은 인자 → 생성되는 오디오를 조각(Buffer) 단위로 전달하는 async iterable
+//                                  없으면 synthesize 결과 전체를 한 조각으로 취급
+
+const providers = new Map(
+  [createOpenAIProvider(), createAzureOpenAIProvider(), createLocalCliProvider()]
+    .map((provider) => [provider.name, provider])
+);
+
+export const DEFAULT_PROVIDER = process.env.TTS_PROVIDER || "openai";
+
+// 음성 속도 허용 범위 (OpenAI speech API와 같음)
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 4.0;
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+export function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`알 수 없는 TTS 프로바이더: ${name} (사용 가능: ${[...providers.keys()].join(", ")})`);
+  }
+  return provider;
+}
+
+// 도구 인자 검증 및 프로바이더 기본값 적용
+// 범위를 벗어난 속도는 param: "speed"가 붙은 오류 (/v1/audio/speech가 OpenAI 오류 형태로 그대로 응답)
+export function resolveSpeechOptions(args) {
+  const provider = getProvider(args.provider || DEFAULT_PROVIDER);
+  const {
+    text,
+    voice = provider.defaultVoice,
+    model = provider.defaultModel,
+    speed = 1.0,
+    format = "mp3",
+    instructions,
+  } = args;
+
+  if (!text || text.trim() === "") {
+    throw new Error("텍스트가 제공되지 않았습니다.");
+  }
+  if (!provider.isConfigured()) {
+    throw new Error(`${provider.label} 프로바이더가 설정되지 않았습니다: ${provider.configurationHint}`);
+  }
+  if (!provider.models.includes(model)) {
+    throw new Error(`${provider.label}에서 지원하지 않는 모델입니다: ${model} (사용 가능: ${provider.models.join(", ")})`);
+  }
+  // 음성·형식·instructions는 모델마다 다름 (list_voices 도구로 확인)
+  const modelInfo = provider.describeModel(model);
+  if (!modelInfo.voices.includes(voice)) {
+    throw new Error(`${provider.label} ${model} 모델에서 지원하지 않는 음성입니다: ${voice} (사용 가능: ${modelInfo.voices.join(", ")})`);
+  }
+  if (!modelInfo.formats.includes(format)) {
+    throw new Error(`${provider.label} ${model} 모델에서 지원하지 않는 형식입니다: ${format} (사용 가능: ${modelInfo.formats.join(", ")})`);
+  }
+  if (instructions && !modelInfo.instructions) {
+    const supported = provider.models.filter((name) => provider.describeModel(name).instructions);
+    throw new Error(`${provider.label} ${model} 모델은 instructions를 지원하지 않습니다.${supported.length ? ` (지원 모델: ${supported.join(", ")})` : ""}`);
+  }
+  if (typeof speed !== "number" || !(speed >= MIN_SPEED && speed <= MAX_SPEED)) {
+    throw Object.assign(new Error(`speed는 ${MIN_SPEED} ~ ${MAX_SPEED.toFixed(1)} 사이의 숫자여야 합니다.`), { param: "speed" });
+  }
+  if (!provider.capabilities.speed && speed !== 1.0) {
+    throw new Error(`${provider.label}는 속도 조절을 지원하지 않습니다.`);
+  }
+
+  return { provider, text, voice, model, speed, format, ...(instructions && { instructions }) };
+}
+
+// text_to_speech 도구 입력 스키마 (프로바이더 카탈로그로부터 생성)
+export function buildSpeechInputSchema() {
+  const all = listProviders();
+  const union = (key) => [...new Set(all.flatMap((provider) => provider[key]))];
+  const catalog = all
+    .map((provider) => `${provider.name}: ${provider.voices.join("/") || "(설정 필요)"}`)
+    .join("; ");
+  const instructionModels = all.flatMap((provider) => (
+    provider.models.filter((model) => provider.describeModel(model).instructions)
+  ));
+
+  return {
+    type: "object",
+    properties: {
+      text: {
+        type: "string",
+        description: "음성으로 변환할 텍스트",
+      },
+      provider: {
+        type: "string",
+        enum: all.map((provider) => provider.name),
+        default: DEFAULT_PROVIDER,
+        description: "사용할 TTS 프로바이더 (openai, azure-openai, local)",
+      },
+      voice: {
+        type: "string",
+        description: `사용할 음성 종류 (프로바이더별 — ${catalog}). 모델마다 지원 음성이 다르므로 list_voices 도구로 확인. 생략 시 프로바이더 기본 음성`,
+      },
+      model: {
+        type: "string",
+        enum: union("models"),
+        description: "사용할 TTS 모델 (openai: tts-1 빠름, tts-1-hd 고품질, gpt-4o-mini-tts instructions 지원). 생략 시 프로바이더 기본 모델",
+      },
+      instructions: {
+        type: "string",
+        description: `말투·감정·억양 등 스타일 지시 (예: "차분하고 따뜻한 내레이션 톤으로"). 지원 모델: ${[...new Set(instructionModels)].join(", ") || "없음"}`,
+      },
+      speed: {
+        type: "number",
+        minimum: MIN_SPEED,
+        maximum: MAX_SPEED,
+        default: 1.0,
+        description: `음성 속도 (${MIN_SPEED} ~ ${MAX_SPEED.toFixed(1)})`,
+      },
+      format: {
+        type: "string",
+        enum: union("formats"),
+        default: "mp3",
+        description: "오디오 파일 형식",
+      },
+      include_audio: {
+        type: "boolean",
+        default: true,
+        description: "결과에 재생 가능한 오디오 데이터(base64)를 포함할지 여부 (크기 제한 초과 시 링크만 제공)",
+      },
+      no_cache: {
+        type: "boolean",
+        default: false,
+        description: "true이면 동일한 요청으로 만든 기존 파일이 있어도 새로 합성",
+      },
+      async: {
+        type: "boolean",
+        default: false,
+        description: "true이면 합성을 기다리지 않고 작업 ID를 바로 반환 (긴 텍스트용). get_tts_job으로 결과 조회",
+      },
+    },
+    required: ["text"],
+  };
+}
@@ -0,0 +1,87 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { transcodeAudio } from "../ffmpeg.js";
+import { runCommand } from "../run-command.js";
+
+// 로컬 명령줄 TTS 엔진 (오프라인 동작)
+//   LOCAL_TTS_ENGINE:    espeak-ng | piper
+//   LOCAL_TTS_COMMAND:   실행 파일 경로 (기본: 엔진 이름)
+//   LOCAL_TTS_VOICES:    음성 목록 (쉼표 구분)
+//                        espeak-ng: 음성 이름 (기본 "en-us,ko")
+//                        piper:     PIPER_MODEL_DIR 안의 .onnx 모델 이름
+//   PIPER_MODEL_DIR:     piper 모델 디렉토리
+// 엔진은 WAV를 출력하며, wav 외의 형식은 ffmpeg로 변환합니다.
+
+const FORMATS = ["mp3", "opus", "aac", "flac", "wav", "pcm"];
+
+// espeak-ng 기본 말하기 속도 (분당 단어 수)
+const ESPEAK_BASE_WPM = 175;
+
+const ENGINES = {
+  "espeak-ng": {
+    defaultVoices: ["en-us", "ko"],
+    async synthesize({ command, text, voice, speed }) {
+      const wpm = Math.round(ESPEAK_BASE_WPM * speed);
+      return runCommand(command, ["-v", voice, "-s", String(wpm), "--stdout"], { input: text });
+    },
+  },
+  piper: {
+    defaultVoices: [],
+    async synthesize({ command, text, voice, speed, env }) {
+      const modelDir = env.PIPER_MODEL_DIR || ".";
+      const modelPath = path.join(modelDir, `${voice}.onnx`);
+      const outputPath = path.join(os.tmpdir(), `piper_${process.pid}_${Date.now()}_${Math.random().toString(36).slice(2)}.wav`);
+      try {
+        await runCommand(
+          command,
+          ["--model", modelPath, "--length_scale", String(1 / speed), "--output_file", outputPath],
+          { input: text }
+        );
+        return fs.readFileSync(outputPath);
+      } finally {
+        fs.rmSync(outputPath, { force: true });
+      }
+    },
+  },
+};
+
+export function createLocalCliProvider(env = process.env) {
+  const engineName = env.LOCAL_TTS_ENGINE || "espeak-ng";
+  const engine = ENGINES[engineName];
+  const voices = env.LOCAL_TTS_VOICES
+    ? env.LOCAL_TTS_VOICES.split(",").map((voice) => voice.trim()).filter(Boolean)
+    : (engine ? engine.defaultVoices : []);
+
+  return {
+    name: "local",
+    label: `Local (${engineName})`,
+    voices,
+    models: [engineName],
+    formats: FORMATS,
+    describeModel: (model) => (model === engineName
+      ? { description: "로컬 엔진 (오프라인)", voices, formats: FORMATS, instructions: false }
+      : undefined),
+    defaultVoice: voices[0],
+    defaultModel: engineName,
+    capabilities: {
+      speed: true,
+      offline: true,
+      maxInputLength: 4096,
+    },
+
+    isConfigured() {
+      return Boolean(env.LOCAL_TTS_ENGINE && engine && voices.length > 0);
+    },
+
+    configurationHint: "LOCAL_TTS_ENGINE(espeak-ng | piper)과 LOCAL_TTS_VOICES 환경변수가 필요합니다.",
+
+    async synthesize({ text, voice, speed, format }) {
+      const wav = await engine.synthesize({
+        command: env.LOCAL_TTS_COMMAND || engineName,
+        text, voice, speed, env,
+      });
+      return format === "wav" ? wav : transcodeAudio(wav, { to: format });
+    },
+  };
+}
@@ -0,0 +1,35 @@
+// OpenAI 음성 API 카탈로그 (OpenAI / Azure OpenAI 공용)
+//
+// 음성·모델·출력 형식을 추가하거나 바꿀 때는 이 파일만 수정합니다.
+// 도구 입력 스키마, 인자 검증, list_voices 도구가 모두 이 카탈로그를 사용합니다.
+
+// tts-1 / tts-1-hd가 지원하는 음성
+const STANDARD_VOICES = ["alloy", "ash", "coral", "echo", "fable", "nova", "onyx", "sage", "shimmer"];
+// gpt-4o-mini-tts 전용 음성
+const GPT_VOICES = ["ballad", "verse", "marin", "cedar"];
+
+export const OPENAI_FORMATS = ["mp3", "opus", "aac", "flac", "wav", "pcm"];
+
+// 모델 → { description, voices, formats, instructions(말투·스타일 지시 지원 여부) }
+export const OPENAI_MODELS = {
+  "tts-1": {
+    description: "빠른 응답, 표준 품질",
+    voices: STANDARD_VOICES,
+    formats: OPENAI_FORMATS,
+    instructions: false,
+  },
+  "tts-1-hd": {
+    description: "고품질",
+    voices: STANDARD_VOICES,
+    formats: OPENAI_FORMATS,
+    instructions: false,
+  },
+  "gpt-4o-mini-tts": {
+    description: "instructions로 말투·감정·속도감 등 스타일 지정",
+    voices: [...STANDARD_VOICES, ...GPT_VOICES],
+    formats: OPENAI_FORMATS,
+    instructions: true,
+  },
+};
+
+export const OPENAI_VOICES = [...new Set(Object.values(OPENAI_MODELS).flatMap((model) => model.voices))];
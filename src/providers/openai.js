@@ -0,0 +1,97 @@
+import axios from "axios";
+import https from "https";
+import { logger } from "../logger.js";
+import { OPENAI_FORMATS, OPENAI_MODELS, OPENAI_VOICES } from "./openai-catalog.js";
+import { callUpstream, streamUpstream } from "./upstream.js";
+
+// OpenAI TTS (https://api.openai.com/v1/audio/speech)
+// 음성·모델·형식 카탈로그는 openai-catalog.js
+
+// OpenAI 호환 /audio/speech 요청 1회 (responseType: arraybuffer 또는 stream)
+// instructions: 말투·스타일 지시 (gpt-4o-mini-tts 계열만, 없으면 보내지 않음)
+// httpsAgent: 기본 에이전트 대신 쓸 에이전트 (OPENAI_TLS_INSECURE용, 없으면 인증서를 검증하는 기본값)
+function speechRequest({ url, headers, model, voice, text, speed, format, instructions, signal, httpsAgent }, responseType) {
+  return (timeoutMs) => axios({
+    method: 'POST',
+    url,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+    },
+    data: {
+      model: model,
+      voice: voice,
+      input: text,
+      speed: speed,
+      response_format: format,
+      ...(instructions && { instructions }),
+    },
+    responseType,
+    ...(httpsAgent && { httpsAgent }),
+    timeout: timeoutMs,
+    signal,
+  });
+}
+
+// OpenAI 호환 /audio/speech 요청 (Azure OpenAI 어댑터와 공유)
+// 재시도·서킷 브레이커·오류 메시지 변환은 upstream.js (provider, label: 서킷 구분과 메시지용)
+export async function requestSpeech(options) {
+  const { provider, label, signal } = options;
+  const response = await callUpstream({ provider, label, signal, send: speechRequest(options, 'arraybuffer') });
+  return Buffer.from(response.data);
+}
+
+// requestSpeech의 스트리밍 버전: 생성되는 오디오를 받는 대로 조각(Buffer) 단위로 전달하는 async iterable
+export function requestSpeechStream(options) {
+  const { provider, label, signal } = options;
+  return streamUpstream({ provider, label, signal, send: speechRequest(options, 'stream') });
+}
+
+export function createOpenAIProvider(env = process.env) {
+  // 자체 서명 인증서를 쓰는 사내 OpenAI 호환 게이트웨이(OPENAI_BASE_URL)용 명시적 예외. 기본은 인증서 검증
+  // OpenAI 프로바이더에만 적용되며 Azure OpenAI 요청은 항상 검증합니다.
+  const httpsAgent = env.OPENAI_TLS_INSECURE === "true" ? new https.Agent({ rejectUnauthorized: false }) : null;
+  if (httpsAgent) {
+    logger.warn("OPENAI_TLS_INSECURE=true: OpenAI 업스트림의 TLS 인증서를 검증하지 않습니다.", { baseUrl: env.OPENAI_BASE_URL });
+  }
+
+  const speechOptions = ({ text, voice, model, speed, format, instructions, signal }) => ({
+    provider: "openai",
+    label: "OpenAI",
+    url: `${env.OPENAI_BASE_URL || 'https://api.openai.com/v1'}/audio/speech`,
+    headers: {
+      'Authorization': `Bearer ${env.OPENAI_API_KEY}`,
+    },
+    model, voice, text, speed, format, instructions, signal, httpsAgent,
+  });
+
+  return {
+    name: "openai",
+    label: "OpenAI",
+    voices: OPENAI_VOICES,
+    models: Object.keys(OPENAI_MODELS),
+    formats: OPENAI_FORMATS,
+    describeModel: (model) => OPENAI_MODELS[model],
+    defaultVoice: "alloy",
+    defaultModel: "tts-1",
+    capabilities: {
+      speed: true,
+      offline: false,
+      maxInputLength: 4096,
+    },
+
+    isConfigured() {
+      return Boolean(env.OPENAI_API_KEY);
+    },
+
+    configurationHint: "OPENAI_API_KEY 환경변수가 설정되지 않았습니다.",
+
+    async synthesize(options) {
+      return requestSpeech(speechOptions(options));
+    },
+
+    synthesizeStream(options) {
+      return requestSpeechStream(speechOptions(options));
+    },
+  };
+}
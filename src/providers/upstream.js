@@ -0,0 +1,288 @@
+import { logger } from "../logger.js";
+import { createGauge, upstreamRetriesTotal } from "../metrics.js";
+import { readPrefix } from "../stream-utils.js";
+
+// 외부 TTS API 호출 보호: 재시도(지수 백오프 + 지터, Retry-After 준수), 서킷 브레이커, 오류 메시지 변환, 응답 스트리밍
+//
+//   UPSTREAM_TIMEOUT_MS:              요청 1회 타임아웃 (기본 30000)
+//   UPSTREAM_MAX_RETRIES:             재시도 횟수 (기본 2, 0이면 재시도 안 함)
+//   UPSTREAM_RETRY_BASE_MS:           첫 재시도 대기 상한 (기본 500, 시도마다 2배)
+//   UPSTREAM_RETRY_MAX_MS:            재시도 대기 최대값 (기본 10000). Retry-After가 이보다 길면 재시도하지 않음
+//   UPSTREAM_CIRCUIT_THRESHOLD:       연속 실패 시 서킷을 여는 횟수 (기본 5, 0이면 사용 안 함)
+//   UPSTREAM_CIRCUIT_COOLDOWN_SECONDS: 서킷이 열린 뒤 다시 시도해 보기까지 대기 (기본 30)
+// 서킷 브레이커는 프로바이더별로 동작하며 5xx·타임아웃·네트워크 오류만 실패로 셉니다 (4xx는 업스트림 정상).
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504]);
+const NETWORK_ERROR_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EPIPE", "ETIMEDOUT", "ECONNABORTED"]);
+// 스트리밍 요청의 오류 응답 본문은 메시지만 읽으면 되므로 앞부분만
+const MAX_ERROR_BODY_BYTES = 64 * 1024;
+
+export function loadUpstreamPolicy(env = process.env) {
+  const number = (value, fallback) => (value === undefined || value === "" || !(Number(value) >= 0) ? fallback : Number(value));
+  return {
+    timeoutMs: number(env.UPSTREAM_TIMEOUT_MS, 30000),
+    maxRetries: number(env.UPSTREAM_MAX_RETRIES, 2),
+    retryBaseMs: number(env.UPSTREAM_RETRY_BASE_MS, 500),
+    retryMaxMs: number(env.UPSTREAM_RETRY_MAX_MS, 10000),
+    circuitThreshold: number(env.UPSTREAM_CIRCUIT_THRESHOLD, 5),
+    circuitCooldownMs: number(env.UPSTREAM_CIRCUIT_COOLDOWN_SECONDS, 30) * 1000,
+  };
+}
+
+const policy = loadUpstreamPolicy();
+
+function isTimeout(error) {
+  return error.code === "ECONNABORTED" || error.code === "ETIMEDOUT" || error.code === "ERR_CANCELED_TIMEOUT";
+}
+
+// 업스트림이 내려가 있다고 볼 수 있는 실패 (서킷 브레이커 집계 대상)
+function isUpstreamFailure(error) {
+  const status = error.response?.status;
+  return status ? status >= 500 : NETWORK_ERROR_CODES.has(error.code) || isTimeout(error);
+}
+
+// 오류 응답 바디 (responseType: arraybuffer라 Buffer로 옴) → { message, type, code }
+export function parseUpstreamErrorBody(data) {
+  if (!data) {
+    return {};
+  }
+  const text = Buffer.isBuffer(data) || data instanceof ArrayBuffer
+    ? Buffer.from(data).toString("utf8")
+    : (typeof data === "string" ? data : JSON.stringify(data));
+  try {
+    const body = JSON.parse(text);
+    const error = body.error && typeof body.error === "object" ? body.error : body;
+    return {
+      message: typeof error.message === "string" ? error.message : undefined,
+      type: error.type,
+      code: error.code ?? undefined,
+    };
+  } catch {
+    return { message: text.slice(0, 300) || undefined };
+  }
+}
+
+// Retry-After / retry-after-ms 헤더 → 대기 시간(ms) (없으면 null)
+export function parseRetryAfter(headers = {}, now = Date.now()) {
+  const retryAfterMs = Number(headers["retry-after-ms"]);
+  if (retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+  const retryAfter = headers["retry-after"];
+  if (retryAfter === undefined) {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function upstreamError(message, { code, status, resetAt, cause }) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.resetAt = resetAt;
+  error.cause = cause;
+  return error;
+}
+
+// axios 오류 → 사용자가 이해할 수 있는 메시지와 오류 코드
+export function describeUpstreamError(error, label) {
+  if (!error.response) {
+    if (isTimeout(error)) {
+      return upstreamError(`${label} 응답 시간이 초과되었습니다. (${policy.timeoutMs / 1000}초) 잠시 후 다시 시도하거나 텍스트를 줄여 보세요.`, { code: "UPSTREAM_TIMEOUT", status: "timeout", cause: error });
+    }
+    return upstreamError(`${label}에 연결할 수 없습니다: ${error.message}`, { code: "UPSTREAM_UNAVAILABLE", status: error.code || "network", cause: error });
+  }
+
+  const { status, headers } = error.response;
+  const body = parseUpstreamErrorBody(error.response.data);
+  const detail = body.message ? ` (${body.message})` : "";
+  const retryAfterMs = parseRetryAfter(headers);
+  const resetAt = retryAfterMs !== null ? new Date(Date.now() + retryAfterMs) : undefined;
+  const options = { status, resetAt, cause: error };
+
+  if (status === 401) {
+    return upstreamError(`${label} API 키가 올바르지 않거나 만료되었습니다. 서버 관리자에게 키 설정을 확인해 달라고 요청하세요.${detail}`, { ...options, code: "UPSTREAM_INVALID_KEY" });
+  }
+  if (status === 403) {
+    return upstreamError(`${label} 요청 권한이 없습니다. 키의 권한이나 지역 제한을 확인하세요.${detail}`, { ...options, code: "UPSTREAM_FORBIDDEN" });
+  }
+  if (status === 429 && (body.code === "insufficient_quota" || body.type === "insufficient_quota")) {
+    return upstreamError(`${label} 계정의 사용 한도(크레딧)가 소진되었습니다. 결제·한도 설정을 확인하세요.${detail}`, { ...options, code: "UPSTREAM_QUOTA_EXHAUSTED" });
+  }
+  if (status === 429) {
+    return upstreamError(`${label} 요청 속도 제한에 걸렸습니다. 잠시 후 다시 시도하세요.${detail}`, { ...options, code: "UPSTREAM_RATE_LIMITED" });
+  }
+  if (status === 400 && /content_policy|content_filter|safety|moderation/i.test(`${body.code} ${body.type} ${body.message}`)) {
+    return upstreamError(`입력 텍스트가 ${label} 콘텐츠 정책에 의해 거부되었습니다. 내용을 수정해 다시 시도하세요.${detail}`, { ...options, code: "UPSTREAM_CONTENT_POLICY" });
+  }
+  if (status === 404) {
+    return upstreamError(`${label}에서 모델 또는 배포를 찾을 수 없습니다.${detail}`, { ...options, code: "UPSTREAM_NOT_FOUND" });
+  }
+  if (status >= 400 && status < 500) {
+    return upstreamError(`${label}가 요청을 거부했습니다 (HTTP ${status}).${detail}`, { ...options, code: "UPSTREAM_BAD_REQUEST" });
+  }
+  return upstreamError(`${label} 서버에 일시적인 오류가 발생했습니다 (HTTP ${status}). 잠시 후 다시 시도하세요.${detail}`, { ...options, code: "UPSTREAM_UNAVAILABLE" });
+}
+
+// 프로바이더별 서킷 브레이커 (closed → 연속 실패 threshold회 → open → cooldown 후 half-open 시험 요청 1건)
+const circuits = new Map();
+
+function getCircuit(name) {
+  if (!circuits.has(name)) {
+    circuits.set(name, { state: "closed", failures: 0, openedAt: null, trialInFlight: false });
+  }
+  return circuits.get(name);
+}
+
+function assertCircuitClosed(name, label) {
+  const circuit = getCircuit(name);
+  if (policy.circuitThreshold === 0 || circuit.state === "closed") {
+    return;
+  }
+  const reopenAt = circuit.openedAt + policy.circuitCooldownMs;
+  if (circuit.state === "open" && Date.now() >= reopenAt) {
+    circuit.state = "half-open";
+  }
+  if (circuit.state === "half-open" && !circuit.trialInFlight) {
+    circuit.trialInFlight = true;
+    return;
+  }
+  const resetAt = new Date(Math.max(reopenAt, Date.now()));
+  throw upstreamError(
+    `${label} 서비스가 일시적으로 응답하지 않아 요청을 보내지 않았습니다. ${Math.ceil((resetAt.getTime() - Date.now()) / 1000)}초 후 다시 시도하세요.`,
+    { code: "UPSTREAM_CIRCUIT_OPEN", status: "circuit_open", resetAt },
+  );
+}
+
+function recordCircuitResult(name, failed) {
+  const circuit = getCircuit(name);
+  circuit.trialInFlight = false;
+  if (!failed) {
+    if (circuit.state !== "closed") {
+      logger.info("업스트림 서킷 닫힘", { provider: name });
+    }
+    circuit.state = "closed";
+    circuit.failures = 0;
+    return;
+  }
+  circuit.failures++;
+  if (policy.circuitThreshold > 0 && (circuit.state === "half-open" || circuit.failures >= policy.circuitThreshold)) {
+    if (circuit.state !== "open") {
+      logger.warn("업스트림 서킷 열림", { provider: name, failures: circuit.failures, cooldownMs: policy.circuitCooldownMs });
+    }
+    circuit.state = "open";
+    circuit.openedAt = Date.now();
+  }
+}
+
+// /health 및 메트릭용
+export function circuitStatus() {
+  return Object.fromEntries([...circuits].map(([name, { state, failures, openedAt }]) => [
+    name,
+    { state, failures, ...(openedAt && state !== "closed" && { openedAt: new Date(openedAt).toISOString() }) },
+  ]));
+}
+
+createGauge("tts_upstream_circuit_open", "1 while the provider circuit breaker rejects requests", () => (
+  [...circuits].map(([name, { state }]) => ({ labels: { provider: name }, value: state === "closed" ? 0 : 1 }))
+));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// send(timeoutMs): 요청 1회 실행 함수. 실패 시 변환된 오류를 throw
+// signal: 중단되면 재시도하지 않고 원래 오류를 그대로 전달 (서킷 실패로 세지 않음)
+export async function callUpstream({ provider, label, send, signal }) {
+  for (let attempt = 0; ; attempt++) {
+    assertCircuitClosed(provider, label);
+    try {
+      const result = await send(policy.timeoutMs);
+      recordCircuitResult(provider, false);
+      return result;
+    } catch (error) {
+      if (signal?.aborted) {
+        getCircuit(provider).trialInFlight = false;
+        throw error;
+      }
+      recordCircuitResult(provider, isUpstreamFailure(error));
+      const mapped = describeUpstreamError(error, label);
+
+      const status = error.response?.status;
+      const retryable = mapped.code !== "UPSTREAM_QUOTA_EXHAUSTED"
+        && (status ? RETRYABLE_STATUSES.has(status) : NETWORK_ERROR_CODES.has(error.code) || isTimeout(error));
+      // 이번 실패로 서킷이 열렸으면 재시도하지 않고 실제 오류를 그대로 전달
+      if (!retryable || attempt >= policy.maxRetries || getCircuit(provider).state === "open") {
+        throw mapped;
+      }
+
+      // Retry-After가 있으면 그 시간만큼, 없으면 full jitter 지수 백오프
+      const retryAfterMs = status ? parseRetryAfter(error.response.headers) : null;
+      if (retryAfterMs !== null && retryAfterMs > policy.retryMaxMs) {
+        throw mapped;
+      }
+      const delayMs = retryAfterMs ?? Math.round(Math.random() * Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** attempt));
+      logger.warn("업스트림 요청 재시도", { provider, attempt: attempt + 1, maxRetries: policy.maxRetries, status: mapped.status, delayMs });
+      upstreamRetriesTotal.inc({ provider });
+      await sleep(delayMs);
+      if (signal?.aborted) {
+        throw mapped;
+      }
+    }
+  }
+}
+
+// 응답 본문을 받는 대로 조각(Buffer) 단위로 전달하는 요청 (send는 responseType: "stream"으로 요청)
+// 응답 헤더를 받을 때까지는 callUpstream과 같은 재시도·서킷 브레이커를 적용하고, 본문 도중 실패는 재시도하지 않음
+// (이미 전달한 오디오와 이어지지 않으므로). 본문은 timeoutMs 동안 데이터가 오지 않으면 타임아웃
+export async function* streamUpstream({ provider, label, send, signal }) {
+  const response = await callUpstream({
+    provider,
+    label,
+    signal,
+    send: async (timeoutMs) => {
+      try {
+        return await send(timeoutMs);
+      } catch (error) {
+        // 오류 응답 바디도 스트림으로 오므로 메시지 변환 전에 앞부분만 읽어 둠
+        const body = error.response?.data;
+        if (body && typeof body.pipe === "function") {
+          error.response.data = await readPrefix(body, MAX_ERROR_BODY_BYTES);
+        }
+        throw error;
+      }
+    },
+  });
+
+  const stream = response.data;
+  let timer;
+  const armTimeout = () => {
+    timer = setTimeout(() => {
+      const error = new Error(`timeout of ${policy.timeoutMs}ms exceeded while streaming`);
+      error.code = "ETIMEDOUT";
+      stream.destroy(error);
+    }, policy.timeoutMs);
+  };
+
+  try {
+    armTimeout();
+    for await (const chunk of stream) {
+      // 받는 쪽이 조각을 처리하는 동안은 타임아웃을 세지 않음
+      clearTimeout(timer);
+      yield chunk;
+      armTimeout();
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    recordCircuitResult(provider, isUpstreamFailure(error));
+    throw describeUpstreamError(error, label);
+  } finally {
+    clearTimeout(timer);
+    stream.destroy();
+  }
+}
@@ -0,0 +1,26 @@
+// 퍼블릭 URL 계산 (프록시/서브패스 배포 대응)
+
+// 퍼블릭 경로 프리픽스 정규화 (예: Nginx로 /tts 하위에 노출 시 '/tts', Cloud Run은 기본 '')
+export function normalizeBasePath(raw) {
+  const value = (raw || '').trim();
+  if (!value || value === '/') {
+    return '';
+  }
+  return value.startsWith('/') ? value : `/${value}`;
+}
+
+export const PUBLIC_BASE_PATH = normalizeBasePath(process.env.PUBLIC_BASE_PATH);
+
+// 프록시 유무에 따라 절대 URL의 origin(scheme://host) 생성
+export function getPublicOrigin(req) {
+  const forwardedProto = req.get('x-forwarded-proto');
+  const forwardedHost = req.get('x-forwarded-host');
+  const scheme = forwardedProto || req.protocol || 'http';
+  const host = forwardedHost || req.get('host');
+  return `${scheme}://${host}`;
+}
+
+// 공개 경로: Cloud Run("") 또는 Nginx("/tts") 등 환경에 맞춰 조정된 절대 URL
+export function buildPublicUrl(req, pathname) {
+  return `${getPublicOrigin(req)}${PUBLIC_BASE_PATH}${pathname}`;
+}
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+
+import path from "path";
+import fs from "fs";
+import { projectRoot } from "./env.js";
+import { createAudioCatalog } from "./audio-catalog.js";
+import { createAudioStorage } from "./storage/index.js";
+
+// 오디오 메타데이터 카탈로그를 저장소 기준으로 재구성
+// (카탈로그 파일이 손상·삭제되었거나 파일을 수동으로 옮긴 경우, AUDIO_STORAGE 설정을 따름)
+
+const audioDir = path.join(projectRoot, 'generated_audio');
+
+if ((process.env.AUDIO_STORAGE || "local") === "local" && !fs.existsSync(audioDir)) {
+  console.log("generated_audio 디렉토리가 없습니다.");
+  process.exit(0);
+}
+fs.mkdirSync(audioDir, { recursive: true });
+
+const storage = createAudioStorage({ audioDir });
+const result = await createAudioCatalog(audioDir, { storage }).rebuild();
+console.log(`✅ 카탈로그 재구성 완료 (${storage.location}): 총 ${result.total}개 (추가 ${result.added}, 제거 ${result.removed})`);
@@ -0,0 +1,213 @@
+import { assertCanManageAudio } from "./audio-files.js";
+import { notifyAudioLibraryChanged } from "./audio-resources.js";
+import { logger } from "./logger.js";
+
+// 오디오 라이브러리 보존 정책과 주기적 정리(sweeper)
+//
+//   AUDIO_RETENTION_MAX_AGE_HOURS:   생성 후 이 시간이 지난 파일 삭제
+//   AUDIO_RETENTION_MAX_TOTAL_MB:    전체 용량 상한 (초과 시 가장 오래 사용되지 않은 파일부터 삭제)
+//   AUDIO_RETENTION_MAX_FILES:       파일 개수 상한 (초과 시 LRU 순으로 삭제)
+//   AUDIO_RETENTION_SWEEP_MINUTES:   정리 주기 (기본 10분)
+//   AUDIO_RETENTION_GRACE_MINUTES:   최근 이 시간 안에 만들었거나 사용한 파일은 삭제하지 않음 (기본 5분, 재생·다운로드 중인 파일 보호)
+// 값이 없거나 0이면 해당 제한을 적용하지 않습니다. pin_audio_file로 고정한 파일은 삭제하지 않습니다.
+
+export function loadRetentionPolicy(env = process.env) {
+  const number = (value) => (Number(value) > 0 ? Number(value) : null);
+  const maxAgeHours = number(env.AUDIO_RETENTION_MAX_AGE_HOURS);
+  const maxTotalMb = number(env.AUDIO_RETENTION_MAX_TOTAL_MB);
+  const graceMinutes = env.AUDIO_RETENTION_GRACE_MINUTES === undefined ? 5 : number(env.AUDIO_RETENTION_GRACE_MINUTES) || 0;
+  return {
+    maxAgeMs: maxAgeHours ? maxAgeHours * 3600 * 1000 : null,
+    maxTotalBytes: maxTotalMb ? Math.floor(maxTotalMb * 1024 * 1024) : null,
+    maxFiles: number(env.AUDIO_RETENTION_MAX_FILES),
+    sweepIntervalMs: (number(env.AUDIO_RETENTION_SWEEP_MINUTES) || 10) * 60 * 1000,
+    graceMs: graceMinutes * 60 * 1000,
+  };
+}
+
+function isPolicyActive(policy) {
+  return Boolean(policy.maxAgeMs || policy.maxTotalBytes || policy.maxFiles);
+}
+
+// 마지막 사용 시각 (재생·다운로드·캐시 재사용 기록이 없으면 생성 시각)
+function lastUsedAt(record) {
+  return Date.parse(record.lastAccessedAt || record.createdAt);
+}
+
+export function createRetentionSweeper({ storage, audioCatalog, policy = loadRetentionPolicy() }) {
+  let timer = null;
+  let lastSweep = null;
+  // 진행 중인 정리 (끝나기 전의 주기 실행은 건너뛰고, 직접 호출은 같은 결과를 기다림)
+  let running = null;
+
+  async function evict(record, reason, evicted) {
+    try {
+      await storage.remove(record.filename);
+    } catch (error) {
+      logger.error("보존 정책 파일 삭제 실패", { filename: record.filename, error });
+      return;
+    }
+    audioCatalog.remove(record.filename);
+    evicted.push({ filename: record.filename, reason, bytes: record.bytes });
+  }
+
+  async function runSweep() {
+    const startedAt = Date.now();
+    const evicted = [];
+    let records = audioCatalog.list();
+    // 고정했거나 유예 시간 안에 만들었거나 사용한 파일은 삭제 대상에서 제외
+    const evictable = (record) => !record.pinned && startedAt - lastUsedAt(record) > policy.graceMs;
+
+    // 1) 보존 기간 초과
+    if (policy.maxAgeMs) {
+      for (const record of records) {
+        if (evictable(record) && startedAt - Date.parse(record.createdAt) > policy.maxAgeMs) {
+          await evict(record, "age", evicted);
+        }
+      }
+      records = audioCatalog.list();
+    }
+
+    // 2) 용량·개수 상한: 고정되지 않은 파일을 LRU 순으로 삭제
+    let totalBytes = records.reduce((sum, record) => sum + (record.bytes || 0), 0);
+    let fileCount = records.length;
+    const lru = records
+      .filter(evictable)
+      .sort((a, b) => lastUsedAt(a) - lastUsedAt(b));
+    for (const record of lru) {
+      const overBytes = policy.maxTotalBytes && totalBytes > policy.maxTotalBytes;
+      const overCount = policy.maxFiles && fileCount > policy.maxFiles;
+      if (!overBytes && !overCount) {
+        break;
+      }
+      const before = evicted.length;
+      await evict(record, overBytes ? "size" : "count", evicted);
+      if (evicted.length > before) {
+        totalBytes -= record.bytes || 0;
+        fileCount--;
+      }
+    }
+
+    if (evicted.length > 0) {
+      notifyAudioLibraryChanged();
+    }
+
+    lastSweep = {
+      at: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      evictedCount: evicted.length,
+      freedBytes: evicted.reduce((sum, item) => sum + (item.bytes || 0), 0),
+      remainingFiles: fileCount,
+      remainingBytes: totalBytes,
+      evicted,
+    };
+
+    if (evicted.length > 0) {
+      logger.info(`보존 정책 정리: ${evicted.length}개 파일 삭제`, {
+        freedBytes: lastSweep.freedBytes,
+        fileCount,
+        totalBytes,
+        evicted: evicted.map(({ filename, reason }) => ({ filename, reason })),
+      });
+    } else {
+      logger.debug("보존 정책 정리: 정리할 파일 없음", { fileCount, totalBytes });
+    }
+    return lastSweep;
+  }
+
+  function sweep() {
+    running ??= runSweep().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  return {
+    policy,
+
+    sweep,
+
+    start() {
+      if (!isPolicyActive(policy) || timer) {
+        return;
+      }
+      const tick = () => {
+        if (running) {
+          logger.debug("보존 정책 정리: 이전 정리가 진행 중이라 건너뜀");
+          return;
+        }
+        sweep().catch((error) => {
+          logger.error("보존 정책 정리 중 오류", { error });
+        });
+      };
+      tick();
+      timer = setInterval(tick, policy.sweepIntervalMs);
+      // 정리 타이머 때문에 프로세스가 종료되지 않는 일이 없도록
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    status() {
+      return {
+        enabled: isPolicyActive(policy),
+        policy: {
+          maxAgeHours: policy.maxAgeMs ? policy.maxAgeMs / 3600 / 1000 : null,
+          maxTotalMb: policy.maxTotalBytes ? Number((policy.maxTotalBytes / 1024 / 1024).toFixed(2)) : null,
+          maxFiles: policy.maxFiles,
+          sweepIntervalMinutes: policy.sweepIntervalMs / 60 / 1000,
+          graceMinutes: policy.graceMs / 60 / 1000,
+        },
+        running: Boolean(running),
+        lastSweep: lastSweep && { ...lastSweep, evicted: lastSweep.evicted.slice(0, 20) },
+      };
+    },
+  };
+}
+
+// pin_audio_file 도구 정의 (stdio / SSE / HTTP 서버 공용)
+export const PIN_AUDIO_FILE_TOOL = {
+  name: "pin_audio_file",
+  description: "오디오 파일을 고정해 보존 정책(기간·용량·개수 제한)에 의한 자동 삭제에서 제외하거나, 고정을 해제합니다.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      filename: {
+        type: "string",
+        description: "고정할 오디오 파일명 (본인이 생성한 파일만 가능, 관리자는 모든 파일)",
+      },
+      pinned: {
+        type: "boolean",
+        description: "true면 고정, false면 고정 해제",
+        default: true,
+      },
+    },
+    required: ["filename"],
+  },
+};
+
+export function pinAudioFile(audioCatalog, args, { user }) {
+  const { filename, pinned = true } = args;
+  if (!filename) {
+    throw new Error("고정할 파일명이 제공되지 않았습니다.");
+  }
+  const record = audioCatalog.get(filename);
+  if (!record) {
+    throw new Error(`파일을 찾을 수 없습니다: ${filename}`);
+  }
+  assertCanManageAudio(user, record, filename);
+  audioCatalog.update(filename, { pinned: Boolean(pinned) });
+  return {
+    content: [
+      {
+        type: "text",
+        text: pinned
+          ? `📌 파일을 고정했습니다. 보존 정책에 의해 자동 삭제되지 않습니다: ${filename}`
+          : `✅ 파일 고정을 해제했습니다: ${filename}`,
+      },
+    ],
+  };
+}
@@ -0,0 +1,49 @@
+import { spawn } from "child_process";
+
+// 외부 명령 실행: stdin으로 입력을 넘기고 stdout을 Buffer로 수집
+export function runCommand(command, args, { input, timeoutMs = 60000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    const stdout = [];
+    const stderr = [];
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`${command} 실행 시간이 초과되었습니다. (${timeoutMs}ms)`));
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      if (error.code === "ENOENT") {
+        reject(new Error(`${command} 명령을 찾을 수 없습니다. 설치 여부와 PATH를 확인하세요.`));
+      } else {
+        reject(error);
+      }
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        const message = Buffer.concat(stderr).toString("utf8").trim();
+        reject(new Error(`${command} 실행 실패 (exit ${code}): ${message}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout));
+    });
+
+    // 프로세스가 stdin을 읽기 전에 종료되는 경우의 EPIPE 무시
+    child.stdin.on("error", () => {});
+    if (input !== undefined) {
+      child.stdin.end(input);
+    } else {
+      child.stdin.end();
+    }
+  });
+}
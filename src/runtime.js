@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  CallToolRequestSchema,
+  InitializeRequestSchema,
+  ListToolsRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { projectRoot } from "./env.js";
+import { createAudioCatalog } from "./audio-catalog.js";
+import { canManageAudio } from "./audio-files.js";
+import { registerAudioResourceHandlers } from "./audio-resources.js";
+import { createJobQueue } from "./jobs.js";
+import { currentRequestId, logger } from "./logger.js";
+import { createRetentionSweeper } from "./retention.js";
+import { createAudioStorage } from "./storage/index.js";
+import { createSynthesisCache } from "./synthesis-cache.js";
+import { createSpeechSynthesizer } from "./text-to-speech.js";
+import { createToolRegistry } from "./tools.js";
+import { createUsageTracker } from "./usage-quota.js";
+
+// 전송 방식과 무관한 서버 공통 구성 (저장소, 카탈로그, 캐시, 보존 정책, 작업 큐, 도구 레지스트리)
+//
+// 오디오 파일은 AUDIO_STORAGE로 고른 저장소(storage/index.js)에 두고, 카탈로그·사용량·작업 상태 파일은
+// 인스턴스마다 로컬 generated_audio 디렉토리에 둡니다.
+//   STORAGE_SYNC_SECONDS: 공유 저장소(S3)를 쓸 때 다른 인스턴스의 파일 추가·삭제를 카탈로그에 반영하는 주기 (기본 60초)
+
+export const SERVER_INFO = {
+  name: "openai-tts-server",
+  version: "1.0.0",
+};
+
+export const SERVER_CAPABILITIES = {
+  tools: {},
+  resources: { listChanged: true },
+};
+
+// 지원하는 MCP 프로토콜 버전 (최신순)
+export const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05", "2024-10-07"];
+
+// 클라이언트가 요청한 버전을 지원하면 그대로, 아니면 지원하는 최신 버전으로 응답
+export function negotiateProtocolVersion(requested) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+// showFilePath: 도구 결과에 서버 내 저장 경로 표시
+// audioDir: 로컬 상태 파일(카탈로그·사용량·작업) 디렉토리, 로컬 저장소이면 오디오 파일도 여기에 저장
+export function createRuntime({ showFilePath = false, audioDir = path.join(projectRoot, 'generated_audio') } = {}) {
+  if (!fs.existsSync(audioDir)) {
+    fs.mkdirSync(audioDir, { recursive: true });
+  }
+
+  // 오디오 파일 저장소 (로컬 디스크 또는 S3 호환 오브젝트 스토리지)
+  const storage = createAudioStorage({ audioDir });
+
+  // 오디오 메타데이터 카탈로그 (시작 시 저장소 기준으로 재구성, 공유 저장소는 주기적으로 다시 동기화)
+  const audioCatalog = createAudioCatalog(audioDir, { storage });
+  let syncing = null;
+  const syncCatalog = () => {
+    // 이전 동기화가 아직 진행 중이면 건너뜀
+    syncing ??= audioCatalog.rebuild()
+      .catch((error) => {
+        logger.error("저장소 기준 카탈로그 재구성 실패", { storage: storage.name, error });
+      })
+      .finally(() => {
+        syncing = null;
+      });
+  };
+  syncCatalog();
+  if (storage.shared) {
+    const syncSeconds = Number(process.env.STORAGE_SYNC_SECONDS) > 0 ? Number(process.env.STORAGE_SYNC_SECONDS) : 60;
+    setInterval(syncCatalog, syncSeconds * 1000).unref();
+  }
+
+  // 합성 캐시 (동일 텍스트·파라미터 요청 시 기존 파일 재사용)
+  const synthesisCache = createSynthesisCache({ storage, audioCatalog });
+
+  // 보존 정책 (기간·용량·개수 제한에 따른 주기적 정리)
+  const retentionSweeper = createRetentionSweeper({ storage, audioCatalog });
+  retentionSweeper.start();
+
+  // 사용자별 사용량 집계와 한도
+  const usageTracker = createUsageTracker({ audioDir });
+
+  // 음성 합성 + 라이브러리 저장 (동기 호출과 비동기 작업 공용)
+  const synthesizer = createSpeechSynthesizer({ storage, audioCatalog, synthesisCache, usageTracker });
+
+  // 비동기 합성 작업 큐 (재시작 전 작업 복원)
+  const jobQueue = createJobQueue({ audioDir, synthesize: synthesizer.synthesize });
+  jobQueue.start();
+
+  const toolRegistry = createToolRegistry({ storage, audioCatalog, synthesizer, jobQueue, usageTracker, showFilePath });
+
+  // 연결(세션)별 MCP 서버 생성
+  // context: { user: 인증된 사용자, publicUrl: 공개 절대 URL 생성 함수 }
+  function createMcpServer(context) {
+    const server = new Server(SERVER_INFO, { capabilities: SERVER_CAPABILITIES });
+
+    // SDK 기본 initialize 처리(클라이언트 정보 저장)는 유지하고 버전 협상만 확장
+    // (SDK가 아는 버전은 2024-11-05까지라 최신 클라이언트에도 구버전으로 응답하는 문제)
+    server.setRequestHandler(InitializeRequestSchema, async (request) => ({
+      ...(await server._oninitialize(request)),
+      protocolVersion: negotiateProtocolVersion(request.params.protocolVersion),
+    }));
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => toolRegistry.listTools());
+    // 도구 호출마다 요청 ID를 붙인 로거 전달 (HTTP 요청이면 X-Request-Id와 같은 값, stdio는 새로 생성)
+    // signal: 클라이언트가 notifications/cancelled로 요청을 취소하면 중단
+    // reportProgress: 클라이언트가 progressToken을 보낸 요청에만 notifications/progress 전송
+    server.setRequestHandler(CallToolRequestSchema, (request, extra) => {
+      const requestId = currentRequestId() ?? crypto.randomUUID();
+      const progressToken = request.params._meta?.progressToken;
+      return toolRegistry.callTool(request.params.name, request.params.arguments, {
+        ...context,
+        requestId,
+        log: logger.child({ requestId, user: context.user.name }),
+        signal: extra?.signal,
+        reportProgress: progressToken === undefined ? undefined : (progress, total) => {
+          server.notification({
+            method: "notifications/progress",
+            params: { progressToken, progress, total },
+          }).catch(() => {});
+        },
+      });
+    });
+    // 오디오 라이브러리 리소스, 본인 파일만 (연결 종료 시 변경 알림 구독 해제)
+    server.onclose = registerAudioResourceHandlers(server, storage, {
+      audioCatalog,
+      canRead: (filename) => canManageAudio(context.user, audioCatalog.get(filename)),
+    });
+
+    return server;
+  }
+
+  return {
+    audioDir,
+    storage,
+    audioCatalog,
+    synthesisCache,
+    retentionSweeper,
+    usageTracker,
+    synthesizer,
+    jobQueue,
+    toolRegistry,
+    createMcpServer,
+  };
+}
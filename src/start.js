@@ -0,0 +1,32 @@
+import { createRuntime } from "./runtime.js";
+import { startHttpServer } from "./transports/http.js";
+import { startSseServer } from "./transports/sse.js";
+import { startStdioServer } from "./transports/stdio.js";
+
+// 전송 방식별 서버 시작 (CLI와 기존 진입 파일 공용)
+//   stdio: 로컬 프로세스 (Claude Desktop 등)
+//   sse:   레거시 HTTP+SSE (GET /sse + POST /messages)
+//   http:  Streamable HTTP (POST /mcp/v1/messages)
+
+export const TRANSPORTS = ["stdio", "sse", "http"];
+
+export async function startServer({ transport = "stdio", port = process.env.PORT || 8080 } = {}) {
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`지원하지 않는 전송 방식입니다: ${transport} (사용 가능: ${TRANSPORTS.join(", ")})`);
+  }
+
+  // 서버 내 저장 경로 표시: 기본은 클라이언트와 파일시스템을 공유하는 stdio에서만
+  const showFilePath = process.env.MCP_SHOW_FILE_PATHS
+    ? process.env.MCP_SHOW_FILE_PATHS === "true"
+    : transport === "stdio";
+  const runtime = createRuntime({ showFilePath });
+
+  switch (transport) {
+    case "stdio":
+      return startStdioServer(runtime);
+    case "sse":
+      return startSseServer(runtime, { port });
+    case "http":
+      return startHttpServer(runtime, { port });
+  }
+}
@@ -0,0 +1,110 @@
+import crypto from "crypto";
+
+// AWS Signature Version 4 (S3 호환 스토리지 요청 서명과 미리 서명된 URL)
+//
+// AWS SDK 없이 S3 API를 직접 호출하기 위한 최소 구현입니다.
+// path는 이미 인코딩된 경로(encodeS3Key 결과), query는 인코딩 전 값의 객체입니다.
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+
+export function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+export const EMPTY_PAYLOAD_HASH = sha256Hex("");
+// 미리 서명된 URL은 본문을 알 수 없으므로 본문 해시 대신 사용
+export const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 인코딩 (encodeURIComponent가 남겨 두는 !'()* 도 인코딩)
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// 오브젝트 키 → URL 경로 (구분자 /는 그대로)
+export function encodeS3Key(key) {
+  return key.split("/").map(encodeRfc3986).join("/");
+}
+
+// 쿼리 객체 → 정렬·인코딩된 쿼리 문자열 (서명과 실제 요청 URL 공용)
+export function encodeQuery(query) {
+  return Object.entries(query)
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(String(value))])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+}
+
+// 20130524T000000Z 형식
+function amzDate(now) {
+  return now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+function signature({ method, path, query, headers, payloadHash, credentials, region, service, timestamp }) {
+  const names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+  const normalized = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, " ")])
+  );
+  const signedHeaders = names.join(";");
+  const canonicalRequest = [
+    method,
+    path,
+    encodeQuery(query),
+    ...names.map((name) => `${name}:${normalized[name]}`),
+    "",
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const date = timestamp.slice(0, 8);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, timestamp, scope, sha256Hex(canonicalRequest)].join("\n");
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region), service), "aws4_request");
+  return {
+    signedHeaders,
+    scope,
+    value: crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex"),
+  };
+}
+
+// Authorization 헤더 방식 서명 → 요청에 붙일 헤더 (host 포함, 호출하는 쪽 헤더도 모두 서명 대상)
+//   payloadHash: 본문 SHA-256 (16진수). x-amz-content-sha256 헤더로도 보냄
+export function signRequest({ method, host, path, query = {}, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, credentials, region, service = "s3", now = new Date() }) {
+  const timestamp = amzDate(now);
+  const signed = {
+    ...headers,
+    host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": timestamp,
+    ...(credentials.sessionToken && { "x-amz-security-token": credentials.sessionToken }),
+  };
+  const { signedHeaders, scope, value } = signature({
+    method, path, query, headers: signed, payloadHash, credentials, region, service, timestamp,
+  });
+  return {
+    ...signed,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${value}`,
+  };
+}
+
+// 미리 서명된 URL의 쿼리 문자열 (host 헤더만 서명)
+//   expiresSeconds: 유효 시간 (S3 최대 7일)
+export function presignQuery({ method = "GET", host, path, query = {}, credentials, region, service = "s3", expiresSeconds, now = new Date() }) {
+  const timestamp = amzDate(now);
+  const params = {
+    ...query,
+    "X-Amz-Algorithm": ALGORITHM,
+    "X-Amz-Credential": `${credentials.accessKeyId}/${timestamp.slice(0, 8)}/${region}/${service}/aws4_request`,
+    "X-Amz-Date": timestamp,
+    "X-Amz-Expires": String(expiresSeconds),
+    ...(credentials.sessionToken && { "X-Amz-Security-Token": credentials.sessionToken }),
+    "X-Amz-SignedHeaders": "host",
+  };
+  const { value } = signature({
+    method, path, query: params, headers: { host }, payloadHash: UNSIGNED_PAYLOAD, credentials, region, service, timestamp,
+  });
+  return `${encodeQuery(params)}&X-Amz-Signature=${value}`;
+}
@@ -0,0 +1,40 @@
+import { createLocalStorage } from "./local.js";
+import { createS3Storage, loadS3Settings } from "./s3.js";
+
+// 오디오 파일 저장소 (AUDIO_STORAGE)
+//
+//   local: 서버 디렉토리의 generated_audio (기본)
+//   s3:    S3 호환 오브젝트 스토리지 (AWS S3, MinIO 등, 설정은 s3.js). 재시작·여러 인스턴스에서도 파일 유지
+//
+// 저장소 인터페이스 (표시한 것 외에는 모두 Promise 반환):
+//   name, location                 식별자 / 표시용 위치 (디렉토리 경로 또는 s3://버킷/접두사)
+//   shared                         여러 인스턴스가 함께 쓰는 저장소인지 (카탈로그 기록을 저장소에도 두고 주기적으로 동기화)
+//   list()                         오디오 파일 목록 → [{ filename, bytes, modifiedAt }]
+//   stat(filename)                 → { bytes, modifiedAt } (없으면 null)
+//   read(filename)                 → Buffer (없으면 null)
+//   write(filename, buffer)        완성된 파일을 한 번에 저장
+//   createWriter(filename)         (동기) 조각을 이어 쓰는 저장 → { write(chunk), commit(), discard() }
+//                                  commit이 끝나기 전에는 목록·다운로드에 나타나지 않음, discard는 실패·취소 시 정리
+//   remove(filename)               삭제 (없는 파일이어도 오류 아님)
+//   serve(req, res, filename)      /audio 다운로드 응답 (Range 요청 지원) → 파일이 없으면 아무것도 보내지 않고 false
+//   directUrl(filename)            (동기) HTTP 서버 없이 쓸 수 있는 다운로드 URL (local: file://, s3: 미리 서명된 URL)
+//   locate(filename)               (동기) 결과에 표시할 저장 위치 (로컬 경로 또는 s3:// URI)
+//   checkHealth()                  준비 상태 점검 (읽기·쓰기 불가 시 오류)
+//   readRecords()                  (shared 저장소만) 인스턴스 간 공유 카탈로그 기록 → Map(파일명 → 기록)
+//   writeRecord(record), removeRecord(filename)
+//                                  (shared 저장소만) 카탈로그 기록 저장·삭제
+// 파일명은 저장소 루트 바로 아래의 오디오 파일명만 허용합니다. (assertAudioFilename)
+
+export const STORAGE_BACKENDS = ["local", "s3"];
+
+export function createAudioStorage({ audioDir, env = process.env }) {
+  const backend = env.AUDIO_STORAGE || "local";
+  switch (backend) {
+    case "local":
+      return createLocalStorage(audioDir);
+    case "s3":
+      return createS3Storage(loadS3Settings(env));
+    default:
+      throw new Error(`알 수 없는 AUDIO_STORAGE: ${backend} (사용 가능: ${STORAGE_BACKENDS.join(", ")})`);
+  }
+}
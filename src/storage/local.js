@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import { once } from "events";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { assertAudioFilename } from "../audio-files.js";
+import { getAudioMimeType, isAudioFile } from "../audio-resources.js";
+import { logger } from "../logger.js";
+
+// 로컬 디스크 저장소 (AUDIO_STORAGE=local, 기본)
+//
+// 서버 디렉토리의 generated_audio에 파일을 저장합니다. 한 서버(또는 같은 디스크를 공유하는 프로세스들)에서만 보입니다.
+// 쓰는 중인 파일은 숨김 임시 파일(.<파일명>.<pid>.tmp)에 쓰고 완료되면 원래 이름으로 원자적으로 바꾸므로,
+// 오디오 확장자 파일만 다루는 목록·다운로드·카탈로그 재구성에는 쓰는 도중이거나 실패한 파일이 보이지 않습니다.
+
+const TEMP_FILE_PATTERN = /^\.(.+)\.\d+\.tmp$/;
+// 이보다 오래된 임시 파일은 비정상 종료로 남은 것으로 보고 시작 시 정리 (다른 프로세스가 쓰는 중인 파일은 건드리지 않도록)
+const STALE_TEMP_FILE_MS = 60 * 60 * 1000;
+
+function isMissing(error) {
+  return error.code === "ENOENT";
+}
+
+// 비정상 종료로 남은 임시 파일 정리 (서버 시작 시)
+function removeStaleTempFiles(audioDir, now = Date.now()) {
+  for (const name of fs.readdirSync(audioDir)) {
+    const match = name.match(TEMP_FILE_PATTERN);
+    if (!match || !isAudioFile(match[1])) {
+      continue;
+    }
+    const filepath = path.join(audioDir, name);
+    try {
+      if (now - fs.statSync(filepath).mtimeMs > STALE_TEMP_FILE_MS) {
+        fs.rmSync(filepath, { force: true });
+        logger.info("남은 임시 오디오 파일 삭제", { file: name });
+      }
+    } catch (error) {
+      logger.warn("임시 오디오 파일 정리 실패", { file: name, error });
+    }
+  }
+}
+
+export function createLocalStorage(audioDir) {
+  fs.mkdirSync(audioDir, { recursive: true });
+  removeStaleTempFiles(audioDir);
+  const root = path.resolve(audioDir);
+
+  // 파일명 → 저장소 루트 안의 절대 경로 (심볼릭 링크로 저장소 밖을 가리키는 경우도 거부)
+  function resolve(filename) {
+    assertAudioFilename(filename);
+    const filepath = path.join(root, filename);
+    if (fs.existsSync(filepath) && path.dirname(fs.realpathSync(filepath)) !== fs.realpathSync(root)) {
+      throw new Error(`저장소 밖의 파일에는 접근할 수 없습니다: ${filename}`);
+    }
+    return filepath;
+  }
+
+  function tempPathFor(filepath) {
+    return path.join(root, `.${path.basename(filepath)}.${process.pid}.tmp`);
+  }
+
+  return {
+    name: "local",
+    location: root,
+    shared: false,
+
+    async list() {
+      return fs.readdirSync(root).filter(isAudioFile).flatMap((filename) => {
+        try {
+          const stats = fs.statSync(path.join(root, filename));
+          return stats.isFile() ? [{ filename, bytes: stats.size, modifiedAt: stats.mtime }] : [];
+        } catch {
+          // 목록을 읽은 뒤 삭제된 파일
+          return [];
+        }
+      });
+    },
+
+    async stat(filename) {
+      try {
+        const stats = fs.statSync(resolve(filename));
+        return { bytes: stats.size, modifiedAt: stats.mtime };
+      } catch (error) {
+        if (isMissing(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async read(filename) {
+      try {
+        return fs.readFileSync(resolve(filename));
+      } catch (error) {
+        if (isMissing(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async write(filename, buffer) {
+      const filepath = resolve(filename);
+      const tmpPath = tempPathFor(filepath);
+      fs.writeFileSync(tmpPath, buffer);
+      fs.renameSync(tmpPath, filepath);
+    },
+
+    createWriter(filename) {
+      const filepath = resolve(filename);
+      const tmpPath = tempPathFor(filepath);
+      const stream = fs.createWriteStream(tmpPath);
+      const closed = new Promise((resolveClosed, reject) => {
+        stream.on("close", resolveClosed);
+        stream.on("error", reject);
+      });
+      closed.catch(() => {});
+
+      return {
+        async write(chunk) {
+          if (!stream.write(chunk)) {
+            await once(stream, "drain");
+          }
+        },
+
+        async commit() {
+          stream.end();
+          await closed;
+          fs.renameSync(tmpPath, filepath);
+        },
+
+        discard() {
+          stream.destroy();
+          closed.finally(() => fs.rmSync(tmpPath, { force: true })).catch(() => {});
+        },
+      };
+    },
+
+    async remove(filename) {
+      try {
+        fs.unlinkSync(resolve(filename));
+      } catch (error) {
+        if (!isMissing(error)) {
+          throw error;
+        }
+      }
+    },
+
+    // 파일이 없으면 아무것도 보내지 않고 false
+    serve(req, res, filename) {
+      return new Promise((resolveServed, reject) => {
+        res.type(getAudioMimeType(filename));
+        res.sendFile(filename, { root, dotfiles: "deny" }, (error) => {
+          if (!error || res.headersSent) {
+            resolveServed(true);
+          } else if (error.status === 404) {
+            resolveServed(false);
+          } else {
+            reject(error);
+          }
+        });
+      });
+    },
+
+    directUrl(filename) {
+      return pathToFileURL(path.join(root, filename)).href;
+    },
+
+    locate(filename) {
+      return path.join(root, filename);
+    },
+
+    async checkHealth() {
+      const probePath = path.join(root, `.ready-${process.pid}-${crypto.randomUUID()}.tmp`);
+      fs.writeFileSync(probePath, "");
+      fs.unlinkSync(probePath);
+    },
+  };
+}
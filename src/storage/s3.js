@@ -0,0 +1,412 @@
+import { pipeline } from "stream/promises";
+import axios from "axios";
+import { assertAudioFilename } from "../audio-files.js";
+import { getAudioMimeType, isAudioFile } from "../audio-resources.js";
+import { loadAudioUrlSettings } from "../audio-urls.js";
+import { logger } from "../logger.js";
+import { readPrefix } from "../stream-utils.js";
+import { mapWithConcurrency } from "../synthesis.js";
+import { EMPTY_PAYLOAD_HASH, encodeQuery, encodeS3Key, presignQuery, sha256Hex, signRequest } from "./aws-signature.js";
+
+// S3 호환 오브젝트 스토리지 (AUDIO_STORAGE=s3)
+//
+// AWS S3, MinIO, Cloudflare R2, GCS(HMAC 키 상호 운용) 등 S3 API를 지원하는 스토리지에 오디오를 저장합니다.
+// 여러 서버 인스턴스가 같은 버킷을 쓰면 서로 만든 파일을 보고 재생·삭제할 수 있고, 재시작해도 파일이 남습니다.
+//
+//   S3_BUCKET:             버킷 이름 (필수)
+//   S3_REGION:             리전 (기본 AWS_REGION 또는 us-east-1)
+//   S3_ENDPOINT:           S3 호환 스토리지 주소 (예: http://localhost:9000). 생략 시 AWS S3
+//   S3_FORCE_PATH_STYLE:   true이면 <endpoint>/<bucket>/<key> 경로 방식 주소 (기본: S3_ENDPOINT 지정 시 true)
+//   S3_PREFIX:             오브젝트 키 접두사 (기본 generated_audio/)
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_SESSION_TOKEN
+//                          자격 증명 (생략 시 AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN)
+//   S3_DOWNLOAD_REDIRECT:  true이면 /audio 다운로드를 서버가 중계하지 않고 짧게 유효한 미리 서명된 URL로 리다이렉트
+//
+// 오브젝트 배치:
+//   <prefix><파일명>                   오디오 파일
+//   <prefix>.catalog/<파일명>.json     카탈로그 기록 (인스턴스 간 메타데이터 공유, audio-catalog.js)
+// 쓰는 중인 파일은 PART_SIZE 단위로 멀티파트 업로드하고(작은 파일은 모았다가 한 번에 업로드) 완료 요청을 보낼 때
+// 오브젝트가 만들어지므로, 완성되기 전에는 다른 인스턴스에도 보이지 않습니다. 비정상 종료로 남은 미완료 업로드는
+// 버킷 수명 주기 규칙(AbortIncompleteMultipartUpload)으로 정리하세요.
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const RECORD_PREFIX = ".catalog/";
+// 미리 서명된 URL의 최대 유효 시간 (SigV4 제한 7일)
+const MAX_PRESIGN_SECONDS = 7 * 24 * 3600;
+// S3_DOWNLOAD_REDIRECT 리다이렉트 URL 유효 시간 (서명된 /audio 링크를 확인한 직후 바로 쓰므로 짧게)
+const REDIRECT_URL_SECONDS = 5 * 60;
+const RECORD_FETCH_CONCURRENCY = 8;
+// 멀티파트 업로드 파트 크기 (S3 최소 5MiB, 마지막 파트는 예외). 쓰는 중인 파일 하나가 메모리에 두는 최대 크기
+const PART_SIZE = 8 * 1024 * 1024;
+// 오류 응답 본문은 <Code>·<Message>만 읽으면 되므로 앞부분만
+const MAX_ERROR_BODY_BYTES = 64 * 1024;
+// 다운로드 중계 시 클라이언트 → 스토리지로 전달하는 요청 헤더 / 스토리지 → 클라이언트로 전달하는 응답 헤더
+const FORWARDED_REQUEST_HEADERS = ["range", "if-range", "if-none-match", "if-modified-since"];
+const FORWARDED_RESPONSE_HEADERS = ["content-length", "content-range", "accept-ranges", "etag", "last-modified"];
+
+export function loadS3Settings(env = process.env) {
+  const endpoint = env.S3_ENDPOINT ? env.S3_ENDPOINT.replace(/\/+$/, "") : null;
+  const region = env.S3_REGION || env.AWS_REGION || "us-east-1";
+  const prefix = env.S3_PREFIX ?? "generated_audio/";
+  return {
+    bucket: env.S3_BUCKET || null,
+    region,
+    endpoint: endpoint || `https://s3.${region}.amazonaws.com`,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === "true" : Boolean(endpoint),
+    prefix: prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix,
+    credentials: {
+      accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID || null,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY || null,
+      sessionToken: env.S3_SESSION_TOKEN || env.AWS_SESSION_TOKEN || null,
+    },
+    redirectDownloads: env.S3_DOWNLOAD_REDIRECT === "true",
+    directUrlSeconds: Math.min(loadAudioUrlSettings(env).ttlSeconds, MAX_PRESIGN_SECONDS),
+  };
+}
+
+function storageError(message, cause) {
+  const error = new Error(message, { cause });
+  error.code = "STORAGE_ERROR";
+  return error;
+}
+
+function decodeXml(value = "") {
+  return value
+    .replace(/&#(x?)([0-9a-fA-F]+);/g, (_, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function escapeXml(value = "") {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function xmlTag(xml, name) {
+  const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// ListObjectsV2 응답 XML → { objects, nextToken }
+function parseListObjects(xml) {
+  const objects = [...xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)].map(([, entry]) => ({
+    key: xmlTag(entry, "Key"),
+    bytes: Number(xmlTag(entry, "Size")),
+    modifiedAt: new Date(xmlTag(entry, "LastModified")),
+    etag: xmlTag(entry, "ETag"),
+  }));
+  return { objects, nextToken: xmlTag(xml, "IsTruncated") === "true" ? xmlTag(xml, "NextContinuationToken") : null };
+}
+
+// S3 오류 응답 → 한국어 오류 (<Code>·<Message>가 있으면 포함)
+async function describeS3Error(error, action) {
+  if (!error.response) {
+    return storageError(`S3 ${action} 요청 실패: ${error.message}`, error);
+  }
+  let body = error.response.data;
+  if (body && typeof body.pipe === "function") {
+    body = await readPrefix(body, MAX_ERROR_BODY_BYTES);
+  }
+  const xml = (Buffer.isBuffer(body) ? body.toString("utf8") : String(body ?? "")).slice(0, MAX_ERROR_BODY_BYTES);
+  const code = xmlTag(xml, "Code");
+  const message = xmlTag(xml, "Message");
+  return storageError(
+    `S3 ${action} 요청 실패 (HTTP ${error.response.status}${code ? ` ${code}` : ""})${message ? `: ${message}` : ""}`,
+    error,
+  );
+}
+
+export function createS3Storage(settings = loadS3Settings()) {
+  const { bucket, region, credentials, prefix } = settings;
+  if (!bucket) {
+    throw new Error("AUDIO_STORAGE=s3 사용 시 S3_BUCKET을 설정해야 합니다.");
+  }
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error("AUDIO_STORAGE=s3 사용 시 S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (또는 AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY)를 설정해야 합니다.");
+  }
+
+  const endpoint = new URL(settings.endpoint);
+  const host = settings.forcePathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const origin = `${endpoint.protocol}//${host}`;
+  const basePath = settings.forcePathStyle ? `/${encodeS3Key(bucket)}/` : "/";
+  // 카탈로그 기록은 ETag가 바뀐 것만 다시 받음
+  const recordCache = new Map();
+
+  const objectKey = (filename) => `${prefix}${filename}`;
+  const recordKey = (filename) => `${prefix}${RECORD_PREFIX}${filename}.json`;
+
+  // 서명된 S3 API 요청. acceptStatus의 상태 코드(404 등)는 오류 대신 응답으로 돌려줌
+  async function send(action, { method = "GET", key = "", query = {}, headers = {}, body, responseType = "arraybuffer", acceptStatus = [] }) {
+    const path = `${basePath}${encodeS3Key(key)}`;
+    const search = encodeQuery(query);
+    const signed = signRequest({
+      method, host, path, query, headers, credentials, region,
+      payloadHash: body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH,
+    });
+    try {
+      return await axios({
+        method,
+        url: `${origin}${path}${search ? `?${search}` : ""}`,
+        headers: signed,
+        data: body,
+        responseType,
+        timeout: REQUEST_TIMEOUT_MS,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        decompress: false,
+        validateStatus: (status) => (status >= 200 && status < 300) || acceptStatus.includes(status),
+      });
+    } catch (error) {
+      throw await describeS3Error(error, action);
+    }
+  }
+
+  // 접두사 아래 오브젝트 전체 (delimiter가 있으면 하위 "디렉토리"는 제외)
+  async function listObjects(keyPrefix, { delimiter } = {}) {
+    const objects = [];
+    let token = null;
+    do {
+      const response = await send("ListObjectsV2", {
+        query: {
+          "list-type": "2",
+          prefix: keyPrefix,
+          ...(delimiter && { delimiter }),
+          ...(token && { "continuation-token": token }),
+        },
+      });
+      const page = parseListObjects(response.data.toString("utf8"));
+      objects.push(...page.objects);
+      token = page.nextToken;
+    } while (token);
+    return objects;
+  }
+
+  async function putObject(key, body, contentType) {
+    await send("PutObject", { method: "PUT", key, body, headers: { "content-type": contentType } });
+  }
+
+  async function deleteObject(key) {
+    // DeleteObject는 없는 키도 성공(204)으로 응답
+    await send("DeleteObject", { method: "DELETE", key });
+  }
+
+  // 멀티파트 업로드 (CreateMultipartUpload → UploadPart → CompleteMultipartUpload, 실패 시 AbortMultipartUpload)
+  async function createMultipartUpload(key, contentType) {
+    const response = await send("CreateMultipartUpload", { method: "POST", key, query: { uploads: "" }, headers: { "content-type": contentType } });
+    const uploadId = xmlTag(response.data.toString("utf8"), "UploadId");
+    if (!uploadId) {
+      throw storageError("S3 CreateMultipartUpload 응답에 UploadId가 없습니다.");
+    }
+    return uploadId;
+  }
+
+  async function uploadPart(key, uploadId, partNumber, body) {
+    const response = await send("UploadPart", { method: "PUT", key, query: { partNumber: String(partNumber), uploadId }, body });
+    return { partNumber, etag: response.headers.etag };
+  }
+
+  async function completeMultipartUpload(key, uploadId, parts) {
+    const xml = `<CompleteMultipartUpload>${parts
+      .map(({ partNumber, etag }) => `<Part><PartNumber>${partNumber}</PartNumber><ETag>${escapeXml(etag)}</ETag></Part>`)
+      .join("")}</CompleteMultipartUpload>`;
+    const response = await send("CompleteMultipartUpload", {
+      method: "POST", key, query: { uploadId }, body: Buffer.from(xml), headers: { "content-type": "application/xml" },
+    });
+    // 완료 요청은 200 응답 본문에 오류를 담아 보낼 수 있음
+    const result = response.data.toString("utf8");
+    if (/<Error>/.test(result)) {
+      throw storageError(`S3 CompleteMultipartUpload 요청 실패 (${xmlTag(result, "Code")})${xmlTag(result, "Message") ? `: ${xmlTag(result, "Message")}` : ""}`);
+    }
+  }
+
+  async function abortMultipartUpload(key, uploadId) {
+    await send("AbortMultipartUpload", { method: "DELETE", key, query: { uploadId }, acceptStatus: [404] });
+  }
+
+  function presignedUrl(filename, expiresSeconds) {
+    const path = `${basePath}${encodeS3Key(objectKey(filename))}`;
+    return `${origin}${path}?${presignQuery({ host, path, credentials, region, expiresSeconds })}`;
+  }
+
+  return {
+    name: "s3",
+    location: `s3://${bucket}/${prefix}`,
+    shared: true,
+
+    async list() {
+      const objects = await listObjects(prefix, { delimiter: "/" });
+      return objects
+        .map(({ key, bytes, modifiedAt }) => ({ filename: key.slice(prefix.length), bytes, modifiedAt }))
+        .filter(({ filename }) => isAudioFile(filename) && !filename.startsWith("."));
+    },
+
+    async stat(filename) {
+      assertAudioFilename(filename);
+      const response = await send("HeadObject", { method: "HEAD", key: objectKey(filename), acceptStatus: [404] });
+      if (response.status === 404) {
+        return null;
+      }
+      return {
+        bytes: Number(response.headers["content-length"]),
+        modifiedAt: new Date(response.headers["last-modified"]),
+      };
+    },
+
+    async read(filename) {
+      assertAudioFilename(filename);
+      const response = await send("GetObject", { key: objectKey(filename), acceptStatus: [404] });
+      return response.status === 404 ? null : Buffer.from(response.data);
+    },
+
+    async write(filename, buffer) {
+      assertAudioFilename(filename);
+      await putObject(objectKey(filename), buffer, getAudioMimeType(filename));
+    },
+
+    // 조각을 PART_SIZE까지 모아 파트로 업로드 (commit까지 PART_SIZE를 넘지 않은 파일은 PutObject 한 번)
+    createWriter(filename) {
+      assertAudioFilename(filename);
+      const key = objectKey(filename);
+      const contentType = getAudioMimeType(filename);
+      let chunks = [];
+      let bufferedBytes = 0;
+      let upload = null;
+      const parts = [];
+
+      const uploadBuffered = async () => {
+        const body = Buffer.concat(chunks);
+        chunks = [];
+        bufferedBytes = 0;
+        if (!upload) {
+          upload = createMultipartUpload(key, contentType);
+        }
+        parts.push(await uploadPart(key, await upload, parts.length + 1, body));
+      };
+
+      return {
+        async write(chunk) {
+          chunks.push(chunk);
+          bufferedBytes += chunk.length;
+          if (bufferedBytes >= PART_SIZE) {
+            await uploadBuffered();
+          }
+        },
+
+        async commit() {
+          if (!upload) {
+            const body = Buffer.concat(chunks);
+            chunks = [];
+            await putObject(key, body, contentType);
+            return;
+          }
+          if (bufferedBytes > 0) {
+            await uploadBuffered();
+          }
+          await completeMultipartUpload(key, await upload, parts);
+        },
+
+        discard() {
+          chunks = [];
+          upload?.then((uploadId) => abortMultipartUpload(key, uploadId), () => {}).catch((error) => {
+            logger.warn("S3 멀티파트 업로드 취소 실패", { key, error });
+          });
+        },
+      };
+    },
+
+    async remove(filename) {
+      assertAudioFilename(filename);
+      await deleteObject(objectKey(filename));
+    },
+
+    // 서버가 중계하거나(Range·조건부 요청 전달) 미리 서명된 URL로 리다이렉트. 파일이 없으면 false
+    async serve(req, res, filename) {
+      assertAudioFilename(filename);
+      if (settings.redirectDownloads) {
+        if (!(await this.stat(filename))) {
+          return false;
+        }
+        res.redirect(302, presignedUrl(filename, REDIRECT_URL_SECONDS));
+        return true;
+      }
+
+      const headers = Object.fromEntries(
+        FORWARDED_REQUEST_HEADERS.filter((name) => req.headers[name]).map((name) => [name, req.headers[name]])
+      );
+      const response = await send("GetObject", {
+        method: req.method === "HEAD" ? "HEAD" : "GET",
+        key: objectKey(filename),
+        headers,
+        responseType: "stream",
+        acceptStatus: [304, 404, 416],
+      });
+      if (response.status === 404) {
+        response.data.destroy();
+        return false;
+      }
+      res.status(response.status);
+      for (const name of FORWARDED_RESPONSE_HEADERS) {
+        if (response.headers[name]) {
+          res.set(name, response.headers[name]);
+        }
+      }
+      res.type(getAudioMimeType(filename));
+      try {
+        await pipeline(response.data, res);
+      } catch (error) {
+        // 클라이언트가 다운로드 도중 연결을 끊은 경우는 오류로 보지 않음
+        if (!res.destroyed) {
+          throw error;
+        }
+      }
+      return true;
+    },
+
+    directUrl(filename) {
+      return presignedUrl(filename, settings.directUrlSeconds);
+    },
+
+    locate(filename) {
+      return `s3://${bucket}/${objectKey(filename)}`;
+    },
+
+    async checkHealth() {
+      await send("ListObjectsV2", { query: { "list-type": "2", prefix, "max-keys": "1" } });
+    },
+
+    // 인스턴스 간 공유 카탈로그 기록 → Map(파일명 → 기록)
+    async readRecords() {
+      const objects = await listObjects(`${prefix}${RECORD_PREFIX}`);
+      const records = new Map();
+      await mapWithConcurrency(objects, RECORD_FETCH_CONCURRENCY, async ({ key, etag }) => {
+        let cached = recordCache.get(key);
+        if (!cached || cached.etag !== etag) {
+          const response = await send("GetObject", { key, acceptStatus: [404] });
+          if (response.status === 404) {
+            return;
+          }
+          try {
+            cached = { etag, record: JSON.parse(response.data.toString("utf8")) };
+          } catch {
+            // 손상된 기록은 건너뜀 (파일이 남아 있으면 재구성 시 다시 기록)
+            return;
+          }
+          recordCache.set(key, cached);
+        }
+        records.set(cached.record.filename, cached.record);
+      });
+      return records;
+    },
+
+    async writeRecord(record) {
+      await putObject(recordKey(record.filename), Buffer.from(JSON.stringify(record)), "application/json");
+    },
+
+    async removeRecord(filename) {
+      recordCache.delete(recordKey(filename));
+      await deleteObject(recordKey(filename));
+    },
+  };
+}
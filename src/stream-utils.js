@@ -0,0 +1,21 @@
+// 스트림 보조 함수
+
+// 스트림 앞부분(maxBytes)만 읽고 나머지는 버림 (오류 응답 본문처럼 크기를 믿을 수 없는 본문용)
+// 읽는 도중 실패하면 그때까지 읽은 부분만 반환
+export async function readPrefix(stream, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= maxBytes) {
+        break;
+      }
+    }
+  } catch {
+    // 본문을 읽지 못해도 상태 코드로 오류를 알릴 수 있음
+  }
+  stream.destroy();
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
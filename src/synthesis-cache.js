@@ -0,0 +1,91 @@
+import crypto from "crypto";
+
+// 콘텐츠 주소 기반 합성 캐시
+//
+// 정규화한 텍스트와 합성 파라미터(프로바이더, 모델, 음성, 속도, 형식, instructions)의 해시를 카탈로그 기록의
+// cacheKey로 저장해 두고, 같은 요청이 오면 API를 다시 호출하지 않고 기존 파일을 돌려줍니다.
+// 요청별로는 no_cache 인자로 우회합니다.
+//   TTS_CACHE_ENABLED: false이면 전체 비활성화
+//   TTS_CACHE_SCOPE:   shared(기본) — 모든 사용자가 같은 파일을 재사용
+//                      user — 요청한 사용자가 만든 파일만 재사용 (다른 사용자의 원문·파일이 드러나지 않고,
+//                             재사용한 파일을 본인이 삭제·고정할 수 있음)
+
+const CACHE_KEY_VERSION = 1;
+
+// 유니코드 정규화(NFC) + 공백 정리
+export function normalizeSpeechText(text) {
+  return text.normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+// instructions가 없는 요청은 기존 캐시 키와 같도록 있을 때만 포함
+export function computeCacheKey({ provider, text, voice, model, speed, format, instructions }) {
+  const payload = JSON.stringify([
+    CACHE_KEY_VERSION,
+    provider.name,
+    model,
+    voice,
+    Number(speed),
+    format,
+    normalizeSpeechText(text),
+    ...(instructions ? [instructions.trim()] : []),
+  ]);
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+export const CACHE_SCOPES = ["shared", "user"];
+
+export function loadSynthesisCacheSettings(env = process.env) {
+  const scope = env.TTS_CACHE_SCOPE || "shared";
+  if (!CACHE_SCOPES.includes(scope)) {
+    throw new Error(`알 수 없는 TTS_CACHE_SCOPE: ${scope} (사용 가능: ${CACHE_SCOPES.join(", ")})`);
+  }
+  return {
+    enabled: env.TTS_CACHE_ENABLED !== "false",
+    scope,
+  };
+}
+
+export function createSynthesisCache({ storage, audioCatalog, settings = loadSynthesisCacheSettings() }) {
+  const { enabled, scope } = settings;
+  const counters = { hits: 0, misses: 0, bypassed: 0 };
+
+  return {
+    enabled,
+    scope,
+
+    // cacheKey와 일치하고 파일이 온전히 남아 있는 카탈로그 기록 (scope가 user이면 user가 만든 것만)
+    async lookup(cacheKey, user) {
+      const [record] = audioCatalog.list((entry) => (
+        entry.cacheKey === cacheKey && (scope === "shared" || entry.owner === user.name)
+      ));
+      if (!record) {
+        return null;
+      }
+      const stats = await storage.stat(record.filename);
+      return stats?.bytes === record.bytes ? record : null;
+    },
+
+    recordHit() {
+      counters.hits++;
+    },
+
+    recordMiss() {
+      counters.misses++;
+    },
+
+    recordBypass() {
+      counters.bypassed++;
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        enabled,
+        scope,
+        ...counters,
+        hitRate: lookups > 0 ? Number((counters.hits / lookups).toFixed(4)) : 0,
+        entries: audioCatalog.list((entry) => Boolean(entry.cacheKey)).length,
+      };
+    },
+  };
+}
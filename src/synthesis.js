@@ -0,0 +1,136 @@
+import { FRAME_CONCAT_FORMATS, concatAudio, concatFrames, getAudioDuration } from "./audio-utils.js";
+import { upstreamErrorsTotal } from "./metrics.js";
+import { splitTextIntoChunks } from "./text-chunker.js";
+
+// 긴 텍스트 합성: 프로바이더 입력 한도에 맞춰 청크로 나눠 합성 후 하나의 오디오로 연결
+
+// 동시에 합성할 최대 청크 수
+export const CHUNK_CONCURRENCY = Math.max(1, Number(process.env.TTS_CHUNK_CONCURRENCY) || 3);
+
+// 순서를 유지하면서 최대 limit개씩 병렬 실행
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// 취소된 합성 (작업 취소, notifications/cancelled)
+export function synthesisCancelled() {
+  const error = new Error("음성 합성이 취소되었습니다.");
+  error.code = "CANCELLED";
+  return error;
+}
+
+// 최대 limit개씩 병렬로 실행하되 결과는 순서대로 onResult에 전달 (앞 결과를 처리하는 동안 뒤 항목을 미리 실행)
+async function forEachInOrder(items, limit, fn, onResult) {
+  const pending = [];
+  const start = (index) => {
+    pending[index] = fn(items[index], index);
+    // 앞 항목을 기다리는 동안 먼저 실패해도 처리되지 않은 거부로 남지 않도록
+    pending[index].catch(() => {});
+  };
+
+  for (let index = 0; index < Math.min(limit, items.length); index++) {
+    start(index);
+  }
+  for (let index = 0; index < items.length; index++) {
+    const result = await pending[index];
+    if (index + limit < items.length) {
+      start(index + limit);
+    }
+    await onResult(result, index);
+  }
+}
+
+// concurrency: 동시에 합성할 청크 수 (여러 합성을 함께 돌리는 쪽에서 전체 동시 요청 수를 제한할 때 지정)
+// signal: AbortSignal (중단되면 남은 청크를 합성하지 않고 CANCELLED 오류)
+// onProgress(completed, total): 청크 하나가 끝날 때마다 호출
+// onAudio(piece): 지정하면 합성이 끝나기 전에 오디오를 앞부분부터 조각 단위로 전달 (반환한 Promise를 기다린 뒤 다음 조각)
+//   - 청크가 하나면 프로바이더 스트림(synthesizeStream)을 받는 대로 전달
+//   - 여러 청크이고 프레임 단위로 연결되는 형식(mp3, aac, pcm)이면 청크가 끝나는 대로 순서대로 전달
+//   - 그 외(wav, opus, flac의 여러 청크)는 전체를 연결한 뒤 한 번에 전달
+//   전달한 조각을 이어 붙이면 반환하는 buffer와 같음
+export async function synthesizeSpeech({ provider, text, voice, model, speed, format, instructions, concurrency = CHUNK_CONCURRENCY, signal, onProgress, onAudio }) {
+  const chunks = splitTextIntoChunks(text, provider.capabilities.maxInputLength);
+  let completed = 0;
+
+  // deliver: 프로바이더 스트림 조각을 받는 대로 넘길 함수 (없으면 청크 전체를 한 번에 받음)
+  async function synthesizeChunk(chunk, deliver) {
+    if (signal?.aborted) {
+      throw synthesisCancelled();
+    }
+    const request = { text: chunk, voice, model, speed, format, instructions, signal };
+    let buffer;
+    // 받는 쪽(onAudio)의 실패는 업스트림 오류로 집계하지 않음
+    let deliveryFailed = false;
+    const forward = async (piece) => {
+      try {
+        await deliver(piece);
+      } catch (error) {
+        deliveryFailed = true;
+        throw error;
+      }
+    };
+    try {
+      if (deliver && provider.synthesizeStream) {
+        const pieces = [];
+        for await (const piece of provider.synthesizeStream(request)) {
+          pieces.push(piece);
+          await forward(piece);
+        }
+        buffer = Buffer.concat(pieces);
+      } else {
+        buffer = await provider.synthesize(request);
+        if (deliver) {
+          await forward(buffer);
+        }
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        throw synthesisCancelled();
+      }
+      // HTTP 오류는 상태 코드, 그 외(타임아웃·서킷 차단·로컬 엔진 실패 등)는 오류 코드로 집계
+      if (!deliveryFailed) {
+        upstreamErrorsTotal.inc({ provider: provider.name, status: error.status ?? error.code ?? "error" });
+      }
+      throw error;
+    }
+    onProgress?.(++completed, chunks.length);
+    return buffer;
+  }
+
+  let buffer;
+  if (onAudio && chunks.length === 1) {
+    buffer = await synthesizeChunk(chunks[0], onAudio);
+  } else if (onAudio && FRAME_CONCAT_FORMATS.includes(format)) {
+    const parts = [];
+    await forEachInOrder(chunks, concurrency, (chunk) => synthesizeChunk(chunk), async (chunkBuffer) => {
+      const frames = concatFrames(chunkBuffer, format);
+      parts.push(frames);
+      await onAudio(frames);
+    });
+    buffer = Buffer.concat(parts);
+  } else {
+    const buffers = await mapWithConcurrency(chunks, concurrency, (chunk) => synthesizeChunk(chunk));
+    buffer = await concatAudio(buffers, format);
+    await onAudio?.(buffer);
+  }
+
+  let durationSeconds = null;
+  try {
+    durationSeconds = getAudioDuration(buffer, format);
+  } catch {
+    // 길이를 알 수 없는 출력이어도 합성 결과는 그대로 반환
+  }
+
+  return { buffer, chunkCount: chunks.length, durationSeconds };
+}
@@ -0,0 +1,150 @@
+// 긴 텍스트를 프로바이더 입력 한도 이하의 청크로 분할
+//
+// 1) 문장 단위로 자름 (영문 . ! ? …, 한중일 전각 。！？, 줄바꿈)
+// 2) 한도를 넘지 않는 범위에서 이웃한 문장을 원문 그대로 (사이의 공백·줄바꿈 포함) 이어 붙임
+// 3) 한 문장이 한도를 넘으면 쉼표 등 절 단위 → 공백 → 글자 수 순으로 더 잘게 자름
+
+const SENTENCE_TERMINATORS = new Set([".", "!", "?", "…", "。", "！", "？"]);
+const CLOSING_CHARS = new Set(['"', "'", "”", "’", ")", "]", "」", "』", "》", "〉"]);
+// 절 끝 (구두점 바로 뒤) / 단어 끝 (공백)
+const CLAUSE_PATTERN = /[,;:，、；：]/g;
+const WORD_PATTERN = /\s+/g;
+
+// 앞뒤 공백을 뺀 구간 (공백뿐이면 null)
+function trimSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) {
+    start++;
+  }
+  while (end > start && /\s/.test(text[end - 1])) {
+    end--;
+  }
+  return start < end ? { start, end } : null;
+}
+
+// 문장 구간 목록 ({ start, end }: 원문 text의 위치)
+function sentenceSpans(text) {
+  const spans = [];
+  let start = 0;
+  let i = 0;
+  const pushSpan = (end) => {
+    const span = trimSpan(text, start, end);
+    if (span) {
+      spans.push(span);
+    }
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === "\n") {
+      pushSpan(i);
+      while (i < text.length && /\s/.test(text[i])) {
+        i++;
+      }
+      start = i;
+      continue;
+    }
+
+    if (SENTENCE_TERMINATORS.has(char)) {
+      let end = i + 1;
+      while (end < text.length && (SENTENCE_TERMINATORS.has(text[end]) || CLOSING_CHARS.has(text[end]))) {
+        end++;
+      }
+      // "3.14", "e.g." 처럼 뒤에 공백 없이 이어지는 경우는 문장 끝으로 보지 않음 (전각 부호는 예외)
+      const fullWidth = char === "。" || char === "！" || char === "？";
+      if (end >= text.length || /\s/.test(text[end]) || fullWidth) {
+        pushSpan(end);
+        i = end;
+        while (i < text.length && /[^\S\n]/.test(text[i])) {
+          i++;
+        }
+        start = i;
+        continue;
+      }
+      i = end;
+      continue;
+    }
+
+    i++;
+  }
+
+  pushSpan(text.length);
+  return spans;
+}
+
+export function splitSentences(text) {
+  return sentenceSpans(text).map(({ start, end }) => text.slice(start, end));
+}
+
+// span 안에서 pattern과 일치하는 부분마다 나눈 구간 목록 (pattern은 g 플래그, 일치한 부분은 앞 구간에 포함)
+function splitSpan(text, { start, end }, pattern) {
+  const spans = [];
+  let pieceStart = start;
+  for (const match of text.slice(start, end).matchAll(pattern)) {
+    const boundary = start + match.index + match[0].length;
+    const span = trimSpan(text, pieceStart, boundary);
+    if (span) {
+      spans.push(span);
+    }
+    pieceStart = boundary;
+  }
+  const rest = trimSpan(text, pieceStart, end);
+  if (rest) {
+    spans.push(rest);
+  }
+  return spans;
+}
+
+// 한도를 넘는 단일 문장 분할: 절 → 단어 → 글자 수
+function splitOversized(text, sentence, maxLength) {
+  const fits = (span) => span.end - span.start <= maxLength;
+  return packSpans(splitSpan(text, sentence, CLAUSE_PATTERN), maxLength).flatMap((clause) => {
+    if (fits(clause)) {
+      return [clause];
+    }
+    return packSpans(splitSpan(text, clause, WORD_PATTERN), maxLength).flatMap((part) => (
+      fits(part) ? [part] : hardSplit(part, maxLength)
+    ));
+  });
+}
+
+function hardSplit({ start, end }, maxLength) {
+  const spans = [];
+  for (let i = start; i < end; i += maxLength) {
+    spans.push({ start: i, end: Math.min(i + maxLength, end) });
+  }
+  return spans;
+}
+
+// 이웃한 구간들을 원문의 구분 문자(공백·줄바꿈)를 포함한 채로 묶되 maxLength를 넘지 않도록 함
+function packSpans(spans, maxLength) {
+  const packed = [];
+  let current = null;
+  for (const span of spans) {
+    if (current && span.end - current.start <= maxLength) {
+      current = { start: current.start, end: span.end };
+    } else {
+      if (current) {
+        packed.push(current);
+      }
+      current = span;
+    }
+  }
+  if (current) {
+    packed.push(current);
+  }
+  return packed;
+}
+
+// 청크는 원문을 잘라낸 것이므로 청크 사이의 공백 외에는 원문의 구두점·띄어쓰기·줄바꿈이 그대로 유지됩니다.
+export function splitTextIntoChunks(text, maxLength) {
+  const normalized = text.replace(/\r\n?/g, "\n").trim();
+  if (normalized.length <= maxLength) {
+    return [normalized];
+  }
+
+  const sentences = sentenceSpans(normalized).flatMap((sentence) => (
+    sentence.end - sentence.start <= maxLength ? [sentence] : splitOversized(normalized, sentence, maxLength)
+  ));
+  return packSpans(sentences, maxLength).map(({ start, end }) => normalized.slice(start, end));
+}
@@ -0,0 +1,233 @@
+import { buildAudioContent } from "./audio-content.js";
+import { sha256Hex } from "./audio-catalog.js";
+import { createAudioFilename } from "./audio-files.js";
+import { notifyAudioLibraryChanged } from "./audio-resources.js";
+import { formatDuration } from "./audio-utils.js";
+import { synthesizedBytesTotal, synthesizedCharactersTotal } from "./metrics.js";
+import { logger } from "./logger.js";
+import { getProvider, resolveSpeechOptions } from "./providers/index.js";
+import { computeCacheKey } from "./synthesis-cache.js";
+import { synthesizeSpeech } from "./synthesis.js";
+
+// 음성 합성 후 라이브러리에 저장 (text_to_speech 동기 호출과 비동기 작업 공용)
+//   usageTracker: 사용자별 문자 수 한도 적용 (캐시 적중은 문자 수에 포함하지 않음)
+// synthesize(options, { user, noCache, save, signal, onProgress, onStart, onAudio }) → { record, buffer, cacheHit, cacheStatus, durationSeconds }
+//   options:    resolveSpeechOptions() 결과
+//   save:       false이면 새로 합성한 오디오를 라이브러리에 저장하지 않음 (record: null, 캐시 적중 시에는 기존 파일 반환)
+//   signal:     AbortSignal (취소 시 남은 청크를 합성하지 않음)
+//   onProgress: 청크 합성이 끝날 때마다 (완료 청크 수, 전체 청크 수)
+//   onStart:    첫 오디오 조각 직전에 한 번 ({ cacheHit, filename }, filename은 저장하지 않으면 null)
+//   onAudio:    합성되는 대로 오디오 조각 전달 (synthesizeSpeech 참고, 캐시 적중 시에는 파일 전체를 한 번에)
+// 업스트림 응답은 받는 대로 저장소의 writer에 이어 쓰고, 합성이 끝나면 저장을 완료해 라이브러리에 추가합니다.
+export function createSpeechSynthesizer({ storage, audioCatalog, synthesisCache, usageTracker }) {
+  async function synthesize({ provider, text, voice, model, speed, format, instructions }, { user, noCache = false, save = true, signal, onProgress, onStart, onAudio }) {
+    const cacheKey = computeCacheKey({ provider, text, voice, model, speed, format, instructions });
+
+    // 동일한 텍스트·파라미터로 만든 파일이 있으면 재사용
+    if (!synthesisCache.enabled || noCache) {
+      synthesisCache.recordBypass();
+    } else {
+      const cached = await synthesisCache.lookup(cacheKey, user);
+      const buffer = cached && await storage.read(cached.filename);
+      if (buffer) {
+        synthesisCache.recordHit();
+        audioCatalog.touch(cached.filename);
+        onProgress?.(1, 1);
+        onStart?.({ cacheHit: true, filename: cached.filename });
+        await onAudio?.(buffer);
+        return {
+          record: cached,
+          buffer,
+          cacheHit: true,
+          cacheStatus: "적중",
+          durationSeconds: cached.durationSeconds,
+        };
+      }
+      synthesisCache.recordMiss();
+    }
+
+    // 합성이 끝나면 사용량으로 확정, 실패·취소되면 예약 해제
+    const reservation = usageTracker.reserveChars(user, text.length);
+
+    const filename = createAudioFilename(format);
+
+    let writer = null;
+    let result;
+    try {
+      writer = save ? storage.createWriter(filename) : null;
+
+      // 선택된 프로바이더로 음성 합성 (입력 한도를 넘는 텍스트는 문장 단위로 나눠 합성 후 연결)
+      let started = false;
+      const deliver = writer || onAudio
+        ? async (piece) => {
+          if (!started) {
+            started = true;
+            onStart?.({ cacheHit: false, filename: save ? filename : null });
+          }
+          await writer?.write(piece);
+          await onAudio?.(piece);
+        }
+        : undefined;
+      result = await synthesizeSpeech({ provider, text, voice, model, speed, format, instructions, signal, onProgress, onAudio: deliver });
+      await writer?.commit();
+    } catch (error) {
+      writer?.discard();
+      reservation.release();
+      throw error;
+    }
+    const { buffer } = result;
+    reservation.settle();
+    synthesizedCharactersTotal.inc({ provider: provider.name, model }, text.length);
+    synthesizedBytesTotal.inc({ provider: provider.name, model, format }, buffer.length);
+    const cacheStatus = !synthesisCache.enabled || noCache ? "사용 안 함" : "미적중";
+    if (!save) {
+      return { record: null, buffer, cacheHit: false, cacheStatus, durationSeconds: result.durationSeconds };
+    }
+    const record = audioCatalog.add({
+      filename,
+      text,
+      provider: provider.name,
+      voice,
+      model,
+      speed,
+      format,
+      ...(instructions && { instructions }),
+      owner: user.name,
+      bytes: buffer.length,
+      durationSeconds: result.durationSeconds,
+      chunkCount: result.chunkCount,
+      sha256: sha256Hex(buffer),
+      cacheKey,
+      createdAt: new Date().toISOString(),
+    });
+    await audioCatalog.flush();
+    notifyAudioLibraryChanged();
+
+    return {
+      record,
+      buffer,
+      cacheHit: false,
+      cacheStatus,
+      durationSeconds: result.durationSeconds,
+    };
+  }
+
+  return { synthesize };
+}
+
+// 합성 결과 → 도구 결과 콘텐츠 (text_to_speech, get_tts_job 공용)
+//   heading:      첫 줄 안내 문구 (없으면 캐시 적중 여부에 따라)
+//   showFilePath: 결과에 서버 내 저장 경로 표시 (로컬 stdio 서버용)
+//   user:         결과를 받는 사용자 (다운로드 링크를 이 사용자에게 묶음)
+export function formatSpeechResult({ storage, record, buffer, cacheHit, cacheStatus, publicUrl, user, includeAudio = true, showFilePath = false, heading }) {
+  const { filename, text, voice, model, speed, format, instructions } = record;
+
+  // 재생 가능한 audio 블록과 파일 링크(resource_link)
+  const audio = buildAudioContent({
+    filename, storage, buffer, format,
+    publicUrl,
+    owner: user.name,
+    includeAudio,
+  });
+
+  const lines = [
+    heading ?? (cacheHit
+      ? `♻️ 동일한 요청으로 생성된 파일을 재사용했습니다. (캐시 적중)`
+      : `✅ 텍스트가 성공적으로 음성으로 변환되었습니다!`),
+    ``,
+    `📝 **입력 텍스트**: ${text}`,
+    `🔌 **프로바이더**: ${getProvider(record.provider).label}`,
+    `🎵 **음성**: ${voice}`,
+    `🤖 **모델**: ${model}`,
+    ...(instructions ? [`🎭 **스타일 지시**: ${instructions}`] : []),
+    `⚡ **속도**: ${speed}x`,
+    `📁 **형식**: ${format}`,
+    `💾 **파일명**: ${filename}`,
+    `📊 **크기**: ${(buffer.length / 1024).toFixed(2)} KB`,
+    `⏱️ **길이**: ${formatDuration(record.durationSeconds)}`,
+    `🧩 **청크 수**: ${record.chunkCount ?? "-"}`,
+    `♻️ **캐시**: ${cacheStatus}`,
+    `🔗 **다운로드**: ${audio.uri}`,
+  ];
+  if (showFilePath) {
+    lines.push(`💾 **저장 위치**: ${storage.locate(filename)}`, ``);
+  }
+  lines.push(`파일이 서버에 저장되었습니다.`);
+  if (includeAudio && !audio.inlined) {
+    lines.push(`(파일이 커서 인라인 오디오는 생략되었습니다. 다운로드 링크를 이용하세요.)`);
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: lines.join("\n"),
+      },
+      ...audio.content,
+    ],
+  };
+}
+
+// text_to_speech 도구 핸들러 (stdio / SSE / HTTP 서버 공용)
+//   async: true이면 작업 큐에 등록하고 작업 ID를 바로 반환 (jobs.js)
+//          응답과 함께 요청이 끝나므로 이 요청의 progressToken으로는 진행 알림을 보내지 않음
+//          (MCP 규격상 진행 알림은 진행 중인 요청에만 보낼 수 있음, get_tts_job의 wait_seconds 대기 중에 전달)
+//   그 외에는 합성이 끝날 때까지 기다리며, progressToken이 있으면 청크마다 진행 알림 전송
+export function createTextToSpeechHandler({ storage, synthesizer, jobQueue, usageTracker, showFilePath = false }) {
+  return async function handleTextToSpeech(args, { user, publicUrl, signal, reportProgress, log = logger }) {
+    const options = resolveSpeechOptions(args);
+    usageTracker.consumeRequest(user);
+
+    if (args.async) {
+      const job = jobQueue.submit({ user, options, noCache: Boolean(args.no_cache), includeAudio: args.include_audio !== false });
+      log.info("음성 합성 작업 등록", { audit: true, jobId: job.id, provider: options.provider.name, chars: options.text.length, text: options.text });
+      return {
+        content: [
+          {
+            type: "text",
+            text: [
+              `⏳ 음성 합성 작업이 등록되었습니다.`,
+              ``,
+              `🆔 **작업 ID**: ${job.id}`,
+              `📋 **상태**: ${job.status === "queued" ? "대기 중" : "실행 중"}`,
+              ``,
+              `get_tts_job 도구로 진행 상황과 결과를 확인하고, cancel_tts_job 도구로 취소할 수 있습니다.`,
+              `(진행 알림은 get_tts_job에 wait_seconds를 지정해 기다리는 동안 전달됩니다.)`,
+            ].join("\n"),
+          },
+        ],
+        _meta: {
+          jobId: job.id,
+          status: job.status,
+        },
+      };
+    }
+
+    const { record, buffer, cacheHit, cacheStatus } = await synthesizer.synthesize(options, {
+      user,
+      noCache: Boolean(args.no_cache),
+      signal,
+      onProgress: reportProgress,
+    });
+    // 입력 텍스트는 LOG_REDACT_TEXT=false일 때만 원문으로 기록
+    log.info("음성 합성", {
+      audit: true,
+      file: record.filename,
+      provider: options.provider.name,
+      chars: options.text.length,
+      cache: cacheHit ? "hit" : "miss",
+      text: options.text,
+    });
+
+    return {
+      ...formatSpeechResult({
+        storage, record, buffer, cacheHit, cacheStatus, publicUrl, user,
+        includeAudio: args.include_audio !== false,
+        showFilePath,
+      }),
+      _meta: {
+        cacheHit,
+      },
+    };
+  };
+}
@@ -0,0 +1,167 @@
+import { describeAudioRecord } from "./audio-catalog.js";
+import { buildAudioUri } from "./audio-content.js";
+import { DELETE_AUDIO_FILES_TOOL, DELETE_AUDIO_FILE_TOOL, canManageAudio, createAudioDeletionHandlers } from "./audio-files.js";
+import { SYNTHESIZE_DIALOGUE_TOOL, createDialogueHandler } from "./dialogue.js";
+import { CANCEL_TTS_JOB_TOOL, GET_TTS_JOB_TOOL, createJobToolHandlers } from "./jobs.js";
+import { toolCallDuration, toolCallsTotal } from "./metrics.js";
+import { DEFAULT_PROVIDER, buildSpeechInputSchema, getProvider, resolveSpeechOptions } from "./providers/index.js";
+import { PIN_AUDIO_FILE_TOOL, pinAudioFile } from "./retention.js";
+import { createTextToSpeechHandler } from "./text-to-speech.js";
+import { GET_MY_USAGE_TOOL, getMyUsage } from "./usage-quota.js";
+import { LIST_VOICES_TOOL, listVoices } from "./voices.js";
+
+// MCP 도구 레지스트리 (stdio / SSE / Streamable HTTP 공용)
+//
+// 도구 정의와 핸들러를 한곳에 모아 모든 전송 방식에서 같은 도구가 같은 동작을 하도록 합니다.
+// 핸들러는 (args, context)를 받으며 context는 { user, publicUrl, requestId, log, signal, reportProgress } 입니다.
+//   user:      인증된 사용자 (stdio는 LOCAL_USER)
+//   publicUrl: 공개 절대 URL 생성 함수 (없으면 file:// URI 사용)
+//   requestId: 요청 ID (HTTP 요청의 X-Request-Id와 같은 값)
+//   log:       requestId·user가 붙은 로거 (logger.js)
+//   signal:    요청 취소 시 중단되는 AbortSignal
+//   reportProgress(progress, total): 진행 알림 (클라이언트가 progressToken을 보낸 경우에만 존재)
+// showFilePath: 결과에 서버 내 저장 경로 표시 (클라이언트와 파일시스템을 공유하는 로컬 실행용)
+
+// text_to_speech 메트릭 라벨 (검증에 실패한 요청은 라벨 없이 집계)
+function speechMetricLabels(args) {
+  try {
+    const { provider, model, voice } = resolveSpeechOptions(args);
+    return { provider: provider.name, model, voice };
+  } catch {
+    return {};
+  }
+}
+
+// synthesize_dialogue 메트릭 라벨 (화자마다 음성이 달라 voice는 비움)
+function dialogueMetricLabels(args) {
+  try {
+    const provider = getProvider(args.provider || DEFAULT_PROVIDER);
+    return { provider: provider.name, model: args.model || provider.defaultModel };
+  } catch {
+    return {};
+  }
+}
+
+export function createToolRegistry({ storage, audioCatalog, synthesizer, jobQueue, usageTracker, showFilePath = false }) {
+  const handleTextToSpeech = createTextToSpeechHandler({ storage, synthesizer, jobQueue, usageTracker, showFilePath });
+  const { deleteAudioFile, deleteAudioFiles } = createAudioDeletionHandlers({ storage, audioCatalog });
+  const { getTtsJob, cancelTtsJob } = createJobToolHandlers({ storage, audioCatalog, jobQueue, showFilePath });
+  const handleSynthesizeDialogue = createDialogueHandler({ storage, audioCatalog, usageTracker, showFilePath });
+
+  async function listAudioFiles(args, { user, publicUrl }) {
+    // 카탈로그 기준 최신순 목록 (디렉토리 스캔/birthtime에 의존하지 않음), 본인 파일만 (admin은 모두)
+    const records = audioCatalog.list((record) => canManageAudio(user, record));
+
+    if (records.length === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "생성된 오디오 파일이 없습니다.",
+          },
+        ],
+      };
+    }
+
+    const fileList = records
+      .map((record, index) => describeAudioRecord(record, index, {
+        // HTTP 서버에서만 서명된 다운로드 링크 (stdio는 저장 경로로 충분)
+        url: publicUrl ? buildAudioUri({ filename: record.filename, publicUrl, owner: user.name }) : undefined,
+        filepath: showFilePath ? storage.locate(record.filename) : undefined,
+      }))
+      .join('\n\n');
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🎵 **생성된 오디오 파일 목록** (총 ${records.length}개)\n\n${fileList}`,
+        },
+      ],
+    };
+  }
+
+  const tools = [
+    {
+      definition: {
+        name: "text_to_speech",
+        description: "텍스트를 음성으로 변환합니다. OpenAI, Azure OpenAI 또는 로컬 엔진(espeak-ng, piper) 중 프로바이더를 선택할 수 있습니다.",
+        inputSchema: buildSpeechInputSchema(),
+      },
+      handler: handleTextToSpeech,
+      metricLabels: speechMetricLabels,
+    },
+    { definition: SYNTHESIZE_DIALOGUE_TOOL, handler: handleSynthesizeDialogue, metricLabels: dialogueMetricLabels },
+    { definition: LIST_VOICES_TOOL, handler: (args) => listVoices(args) },
+    {
+      definition: {
+        name: "list_audio_files",
+        description: "생성된 오디오 파일 목록을 조회합니다. 본인이 생성한 파일만 표시됩니다. (관리자는 모든 파일)",
+        inputSchema: {
+          type: "object",
+          properties: {},
+        },
+      },
+      handler: listAudioFiles,
+    },
+    { definition: DELETE_AUDIO_FILE_TOOL, handler: deleteAudioFile },
+    { definition: DELETE_AUDIO_FILES_TOOL, handler: deleteAudioFiles },
+    { definition: PIN_AUDIO_FILE_TOOL, handler: (args, context) => pinAudioFile(audioCatalog, args, context) },
+    { definition: GET_MY_USAGE_TOOL, handler: (args, context) => getMyUsage(usageTracker, context) },
+    { definition: GET_TTS_JOB_TOOL, handler: getTtsJob },
+    { definition: CANCEL_TTS_JOB_TOOL, handler: cancelTtsJob },
+  ];
+  const toolsByName = new Map(tools.map((tool) => [tool.definition.name, tool]));
+
+  return {
+    listTools() {
+      return { tools: tools.map((tool) => tool.definition) };
+    },
+
+    // 도구 실행. 실패는 JSON-RPC 오류가 아니라 isError 결과로 반환
+    async callTool(name, args = {}, context) {
+      const { log } = context;
+      log.info("도구 호출", { audit: true, tool: name });
+      log.debug("도구 인자", { tool: name, args });
+
+      const tool = toolsByName.get(name);
+      // 알 수 없는 도구 이름은 라벨 값이 무한히 늘어나지 않도록 하나로 묶음
+      const labels = { tool: tool ? name : "unknown", ...tool?.metricLabels?.(args) };
+      const startedAt = process.hrtime.bigint();
+      let status = "success";
+
+      try {
+        if (!tool) {
+          throw new Error(`알 수 없는 도구: ${name}`);
+        }
+        const result = await tool.handler(args, context);
+        if (result.isError) {
+          status = "error";
+        }
+        return result;
+      } catch (error) {
+        status = "error";
+        log.warn("도구 실행 실패", { tool: name, error });
+        const result = {
+          content: [
+            {
+              type: "text",
+              text: `❌ 오류가 발생했습니다: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+        // 한도 초과 등 재시도 시점을 알 수 있는 오류는 기계가 읽을 수 있게 함께 전달
+        if (error.code) {
+          result._meta = { error: error.code, ...(error.resetAt && { resetAt: error.resetAt.toISOString() }) };
+        }
+        return result;
+      } finally {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        toolCallsTotal.inc({ ...labels, status });
+        toolCallDuration.observe(labels, seconds);
+        log.info("도구 호출 완료", { tool: name, status, durationMs: Math.round(seconds * 1000) });
+      }
+    },
+  };
+}
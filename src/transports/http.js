@@ -0,0 +1,256 @@
+import crypto from "crypto";
+import { createHttpApp, logAuthHint } from "../http-app.js";
+import { logger } from "../logger.js";
+import { createGauge } from "../metrics.js";
+import { buildPublicUrl } from "../public-url.js";
+import { SERVER_CAPABILITIES, SERVER_INFO, SUPPORTED_PROTOCOL_VERSIONS } from "../runtime.js";
+import { createStreamableHttpTransport } from "./streamable-http-transport.js";
+
+// Streamable HTTP 전송 (MCP 2025-03-26 / 2025-06-18)
+//   POST   /mcp  JSON-RPC 메시지(단건 또는 배치) 전송 → application/json 또는 text/event-stream 응답
+//   GET    /mcp  서버 → 클라이언트 알림 스트림 (Last-Event-ID로 재연결)
+//   DELETE /mcp  세션 종료
+// initialize 응답의 Mcp-Session-Id 헤더를 이후 모든 요청에 포함해야 합니다.
+// /mcp/v1/messages 는 하위 호환용 같은 엔드포인트입니다.
+
+const MCP_ENDPOINTS = ["/mcp", "/mcp/v1/messages"];
+// 클라이언트가 MCP-Protocol-Version 헤더를 보내지 않으면 이 버전으로 간주 (스펙 규정)
+const DEFAULT_NEGOTIATED_VERSION = "2025-03-26";
+const SESSION_IDLE_TIMEOUT_MS = (Number(process.env.MCP_SESSION_IDLE_MINUTES) || 30) * 60 * 1000;
+// false면 tools/call도 text/event-stream 대신 application/json 한 번에 응답 (버퍼링 프록시 환경용)
+const STREAMING_ENABLED = process.env.MCP_HTTP_STREAMING !== "false";
+
+// HTTP 상태 코드와 함께 JSON-RPC 오류 응답 (id를 알 수 없으면 null)
+function sendJsonRpcError(res, status, code, message, id = null) {
+  res.status(status).json({ jsonrpc: "2.0", id, error: { code, message } });
+}
+
+function isJsonRpcMessage(message) {
+  return Boolean(message)
+    && typeof message === "object"
+    && !Array.isArray(message)
+    && message.jsonrpc === "2.0"
+    && (typeof message.method === "string" || "id" in message);
+}
+
+function accepts(req, type) {
+  const accept = req.get("accept") || "*/*";
+  return accept.includes(type) || accept.includes("*/*");
+}
+
+export function startHttpServer(runtime, { port }) {
+  // Streamable HTTP 세션 레지스트리 (sessionId → { transport, server, user, lastSeenAt })
+  const sessions = new Map();
+  createGauge("mcp_active_sessions", "Connected MCP sessions", () => [{ labels: { transport: 'http' }, value: sessions.size }]);
+
+  const { app, requireAuth, authMode } = createHttpApp(runtime, {
+    healthDetails: () => ({ transport: 'http', activeSessions: sessions.size }),
+  });
+
+  const serverInfo = {
+    ...SERVER_INFO,
+    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+    supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+    capabilities: SERVER_CAPABILITIES,
+    auth: {
+      type: authMode
+    }
+  };
+
+  function closeSession(sessionId, reason) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    sessions.delete(sessionId);
+    session.server.close().catch(() => {});
+    logger.info("HTTP 세션 종료", { sessionId, reason, user: session.user.name, activeSessions: sessions.size });
+  }
+
+  // 오래 사용하지 않은 세션 정리 (DELETE 없이 떠난 클라이언트)
+  setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, session] of sessions) {
+      if (!session.transport.isBusy() && now - session.lastSeenAt > SESSION_IDLE_TIMEOUT_MS) {
+        closeSession(sessionId, "유휴 시간 초과");
+      }
+    }
+  }, 60 * 1000).unref();
+
+  // Mcp-Session-Id / MCP-Protocol-Version 헤더 검증 후 세션 반환 (실패 시 응답 후 null)
+  function resolveSession(req, res) {
+    const sessionId = req.get("mcp-session-id");
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, "Bad Request: Mcp-Session-Id 헤더가 필요합니다. 먼저 initialize를 호출하세요.");
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    // 다른 사용자의 세션은 존재하지 않는 것으로 취급
+    if (!session || session.user.name !== req.user.name) {
+      sendJsonRpcError(res, 404, -32001, `Unknown or expired session: ${sessionId}`);
+      return null;
+    }
+    const protocolVersion = req.get("mcp-protocol-version") || DEFAULT_NEGOTIATED_VERSION;
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      sendJsonRpcError(res, 400, -32000, `Bad Request: 지원하지 않는 MCP-Protocol-Version입니다: ${protocolVersion} (지원: ${SUPPORTED_PROTOCOL_VERSIONS.join(", ")})`);
+      return null;
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+  }
+
+  // JSON-RPC 메시지 수신 (POST)
+  app.post(MCP_ENDPOINTS, requireAuth, async (req, res) => {
+    if (!req.is("application/json")) {
+      sendJsonRpcError(res, 415, -32700, "Unsupported Media Type: Content-Type은 application/json이어야 합니다.");
+      return;
+    }
+    const acceptsJson = accepts(req, "application/json");
+    const acceptsSse = accepts(req, "text/event-stream");
+    if (!acceptsJson && !acceptsSse) {
+      sendJsonRpcError(res, 406, -32000, "Not Acceptable: Accept 헤더에 application/json 또는 text/event-stream이 필요합니다.");
+      return;
+    }
+
+    const isBatch = Array.isArray(req.body);
+    const messages = isBatch ? req.body : [req.body];
+    if (messages.length === 0 || !messages.every(isJsonRpcMessage)) {
+      sendJsonRpcError(res, 400, -32600, "Invalid Request: 올바른 JSON-RPC 2.0 메시지가 아닙니다.");
+      return;
+    }
+
+    // 요청 로그에 JSON-RPC 메서드와 세션 기록 (바디 전체는 LOG_REQUEST_BODIES일 때만)
+    res.locals.logFields = {
+      sessionId: req.get("mcp-session-id"),
+      rpc: messages.map((message) => message.method ?? "response"),
+    };
+
+    // 스트리밍 응답: 오래 걸리는 도구 호출은 진행 알림과 함께 text/event-stream으로
+    const stream = acceptsSse && (!acceptsJson || (STREAMING_ENABLED && messages.some((message) => message.method === "tools/call")));
+
+    try {
+      const initialize = messages.find((message) => message.method === "initialize");
+      if (initialize) {
+        if (messages.length > 1) {
+          sendJsonRpcError(res, 400, -32600, "Invalid Request: initialize는 배치에 포함할 수 없습니다.", initialize.id ?? null);
+          return;
+        }
+
+        const sessionId = crypto.randomUUID();
+        const transport = createStreamableHttpTransport({ sessionId });
+        const server = runtime.createMcpServer({
+          user: req.user,
+          publicUrl: (pathname) => buildPublicUrl(req, pathname),
+        });
+        await server.connect(transport);
+        sessions.set(sessionId, { transport, server, user: req.user, lastSeenAt: Date.now() });
+        res.locals.logFields.sessionId = sessionId;
+        req.log.info("HTTP 세션 시작", { sessionId, user: req.user.name, activeSessions: sessions.size });
+
+        res.setHeader("Mcp-Session-Id", sessionId);
+        transport.handlePost(req, res, { messages, isBatch, stream: false });
+        return;
+      }
+
+      const session = resolveSession(req, res);
+      if (!session) {
+        return;
+      }
+      res.setHeader("Mcp-Session-Id", session.transport.sessionId);
+      session.transport.handlePost(req, res, { messages, isBatch, stream });
+    } catch (error) {
+      req.log.error("MCP 메시지 처리 중 오류", { error });
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, error.message);
+      }
+    }
+  });
+
+  // 서버 → 클라이언트 스트림 (GET)
+  app.get(MCP_ENDPOINTS, requireAuth, (req, res) => {
+    if (!accepts(req, "text/event-stream")) {
+      res.set("Allow", "POST, GET, DELETE");
+      sendJsonRpcError(res, 406, -32000, "Not Acceptable: Accept 헤더에 text/event-stream이 필요합니다.");
+      return;
+    }
+    const session = resolveSession(req, res);
+    if (session) {
+      session.transport.handleGet(req, res);
+    }
+  });
+
+  // 세션 종료 (DELETE)
+  app.delete(MCP_ENDPOINTS, requireAuth, (req, res) => {
+    const session = resolveSession(req, res);
+    if (session) {
+      closeSession(session.transport.sessionId, "클라이언트 요청");
+      res.status(204).end();
+    }
+  });
+
+  // 바디 JSON 파싱 실패 → JSON-RPC Parse error
+  app.use((error, req, res, next) => {
+    if (error.type === "entity.parse.failed") {
+      sendJsonRpcError(res, 400, -32700, "Parse error: 요청 바디가 올바른 JSON이 아닙니다.");
+      return;
+    }
+    next(error);
+  });
+
+  // MCP 서버 발견 엔드포인트 (.well-known)
+  app.get('/.well-known/mcp', (req, res) => {
+    res.json({
+      ...serverInfo,
+      transport: {
+        type: "streamable-http",
+        endpoint: MCP_ENDPOINTS[0]
+      },
+      description: "OpenAI TTS Remote MCP Server"
+    });
+  });
+
+  // MCP 서버 정보 엔드포인트 (Claude Desktop 검증용)
+  app.get('/mcp/v1/server-info', (req, res) => {
+    res.json({
+      ...serverInfo,
+      description: "OpenAI TTS Remote MCP Server"
+    });
+  });
+
+  // 서버 정보 엔드포인트 (Claude Desktop 자동 발견용)
+  app.get('/', (req, res) => {
+    res.json({
+      name: serverInfo.name,
+      version: serverInfo.version,
+      description: "OpenAI TTS Remote MCP Server",
+      protocolVersion: serverInfo.protocolVersion,
+      capabilities: serverInfo.capabilities,
+      transport: {
+        type: "streamable-http",
+        endpoint: MCP_ENDPOINTS[0]
+      },
+      endpoints: {
+        mcp: MCP_ENDPOINTS,
+        serverInfo: "/mcp/v1/server-info",
+        health: "/health",
+        metrics: "/metrics",
+        audio: "/audio",
+        console: "/console",
+        speech: "/v1/audio/speech"
+      },
+      authentication: authMode
+    });
+  });
+
+  // 서버 시작
+  return app.listen(port, '0.0.0.0', () => {
+    logger.info("Remote MCP TTS 서버가 시작되었습니다. (Streamable HTTP)", {
+      port,
+      mcp: `http://0.0.0.0:${port}${MCP_ENDPOINTS[0]}`,
+      legacyMcp: `http://0.0.0.0:${port}${MCP_ENDPOINTS[1]}`,
+      health: `http://0.0.0.0:${port}/health`,
+      serverInfo: `http://0.0.0.0:${port}/`,
+    });
+    logAuthHint(authMode);
+  });
+}
@@ -0,0 +1,113 @@
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { createHttpApp, logAuthHint } from "../http-app.js";
+import { logger } from "../logger.js";
+import { createGauge } from "../metrics.js";
+import { buildPublicUrl } from "../public-url.js";
+import { SERVER_INFO } from "../runtime.js";
+
+// 레거시 HTTP+SSE 전송 (GET /sse 스트림 + POST /messages?sessionId=)
+export function startSseServer(runtime, { port }) {
+  // SSE 세션 레지스트리 (sessionId → { transport, server, user, createdAt })
+  const sessions = new Map();
+  createGauge("mcp_active_sessions", "Connected MCP sessions", () => [{ labels: { transport: 'sse' }, value: sessions.size }]);
+
+  // /messages는 raw-body를 사용하므로 express.json()에서 제외
+  const { app, requireAuth, authMode } = createHttpApp(runtime, {
+    rawBodyPaths: ['/messages'],
+    healthDetails: () => ({ transport: 'sse', activeSessions: sessions.size }),
+  });
+
+  // CORS 사전요청(Preflight) 빠른 응답
+  app.options('/sse', (req, res) => res.sendStatus(204));
+  app.options('/messages', (req, res) => res.sendStatus(204));
+
+  // SSE 스트림 연결 (GET)
+  app.get('/sse', requireAuth, async (req, res) => {
+    try {
+      // 프록시 유무와 PUBLIC_BASE_PATH에 맞춘 절대 URL 엔드포인트 생성
+      const absoluteEndpoint = buildPublicUrl(req, '/messages');
+
+      // SDK가 발급한 sessionId로 세션 등록 (엔드포인트 URL의 ?sessionId= 값과 동일)
+      const transport = new SSEServerTransport(absoluteEndpoint, res);
+      const server = runtime.createMcpServer({
+        user: req.user,
+        publicUrl: (pathname) => buildPublicUrl(req, pathname),
+      });
+      const { sessionId } = transport;
+      res.locals.logFields = { sessionId };
+      sessions.set(sessionId, { transport, server, user: req.user, createdAt: Date.now() });
+
+      // 클라이언트 연결 종료 시 세션 정리
+      res.on('close', () => {
+        if (sessions.delete(sessionId)) {
+          req.log.info('SSE 세션 종료', { sessionId, user: req.user.name, activeSessions: sessions.size });
+          server.close().catch(() => {});
+        }
+      });
+
+      await server.connect(transport); // connect()가 start()를 자동 호출
+      req.log.info('MCP 서버가 SSE 전송으로 연결되었습니다.', { sessionId, user: req.user.name, activeSessions: sessions.size });
+    } catch (error) {
+      req.log.error('SSE 연결 중 오류', { error });
+      if (!res.headersSent) {
+        res.status(500).json({ error: String(error) });
+      }
+    }
+  });
+
+  // MCP 메시지 수신 (POST)
+  app.post('/messages', requireAuth, async (req, res) => {
+    try {
+      const { sessionId } = req.query;
+      res.locals.logFields = { sessionId };
+      if (!sessionId) {
+        res.status(400).json({ error: 'sessionId query parameter is required' });
+        return;
+      }
+      const session = sessions.get(String(sessionId));
+      // 다른 사용자의 세션은 존재하지 않는 것으로 취급
+      if (!session || session.user.name !== req.user.name) {
+        res.status(404).json({ error: `Unknown or expired session: ${sessionId}` });
+        return;
+      }
+      await session.transport.handlePostMessage(req, res);
+    } catch (error) {
+      req.log.error('POST 메시지 처리 중 오류', { error });
+      if (!res.headersSent) {
+        res.status(500).json({ error: String(error) });
+      }
+    }
+  });
+
+  // 서버 정보
+  app.get('/', (req, res) => {
+    res.json({
+      name: SERVER_INFO.name,
+      version: SERVER_INFO.version,
+      description: 'Remote MCP server for OpenAI Text-to-Speech API',
+      transport: 'sse',
+      endpoints: {
+        health: '/health',
+        metrics: '/metrics',
+        sse: '/sse',
+        audio: '/audio',
+        console: '/console',
+        speech: '/v1/audio/speech'
+      },
+      authentication: authMode,
+      usage: 'Add this server to Claude Desktop via Settings → Connectors'
+    });
+  });
+
+  // 서버 시작
+  return app.listen(port, '0.0.0.0', () => {
+    logger.info('OpenAI TTS Remote MCP 서버가 시작되었습니다. (SSE)', {
+      port,
+      sse: `http://0.0.0.0:${port}/sse`,
+      health: `http://0.0.0.0:${port}/health`,
+      console: `http://0.0.0.0:${port}/console`,
+    });
+    logger.info(`Claude Desktop 연결: Settings → Connectors → Add Custom Connector → URL http://YOUR_SERVER_IP:${port}/sse`);
+    logAuthHint(authMode);
+  });
+}
@@ -0,0 +1,12 @@
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { LOCAL_USER } from "../auth.js";
+import { logger } from "../logger.js";
+
+// stdio 전송 (Claude Desktop 등에서 로컬 프로세스로 실행)
+// stdout은 프로토콜 채널이므로 모든 로그는 stderr로 출력합니다 (logger.js 기본 동작).
+export async function startStdioServer(runtime) {
+  const server = runtime.createMcpServer({ user: LOCAL_USER });
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  logger.info("OpenAI TTS MCP 서버가 시작되었습니다. (stdio)");
+}
@@ -0,0 +1,304 @@
+import crypto from "crypto";
+
+// Streamable HTTP 세션 전송 (SDK Transport 인터페이스 구현)
+//
+// 세션 하나당 하나씩 만들어 SDK Server에 connect()합니다. HTTP 라우팅·인증·세션 조회는 http.js가 맡고,
+// 여기서는 JSON-RPC 메시지를 어느 HTTP 응답으로 돌려보낼지만 결정합니다.
+//   - POST에 요청이 없으면(알림·응답만) 202 Accepted
+//   - 요청이 있으면 application/json 한 번에 응답하거나, text/event-stream으로 진행 알림과 응답을 스트리밍
+//   - 처리 중인 요청과 id가 겹치는 요청은 POST 전체를 400으로 거부 (SDK가 요청·응답을 id로만 구분하므로)
+//   - GET은 서버 → 클라이언트 알림용 독립 스트림 (resources/list_changed 등)
+//   - SSE 이벤트마다 id를 붙이고 최근 이벤트를 보관해 Last-Event-ID로 재연결 시 이어서 전송
+
+const EVENT_HISTORY_LIMIT = 100;  // 스트림별 재전송용으로 보관하는 최근 이벤트 수
+const STREAM_HISTORY_LIMIT = 50;  // 재연결을 위해 보관하는 완료된 스트림 수
+const KEEPALIVE_INTERVAL_MS = 25 * 1000;
+const STANDALONE_STREAM_ID = "standalone";
+
+function isRequest(message) {
+  return "method" in message && "id" in message;
+}
+
+function isResponse(message) {
+  return !("method" in message) && "id" in message;
+}
+
+// JSON-RPC id는 문자열·숫자 모두 가능하므로 타입까지 구분하는 키 사용
+function idKey(id) {
+  return JSON.stringify(id);
+}
+
+export function parseEventId(eventId) {
+  const separator = String(eventId).lastIndexOf("_");
+  if (separator <= 0) {
+    return null;
+  }
+  const seq = Number(String(eventId).slice(separator + 1));
+  return Number.isInteger(seq) ? { streamId: String(eventId).slice(0, separator), seq } : null;
+}
+
+export function createStreamableHttpTransport({ sessionId }) {
+  // streamId → { id, res, nextSeq, events, pending: Set<idKey>, done }
+  const streams = new Map();
+  // 요청 id → 응답을 돌려보낼 대상 ({ stream } 또는 { collector }), 세션 안에서 처리 중인 id는 하나씩만
+  const routes = new Map();
+  // progressToken → 요청 id (진행 알림을 해당 요청의 스트림으로 보내기 위해)
+  const progressTokens = new Map();
+  let closed = false;
+
+  function openStream(id, res) {
+    const stream = { id, res: null, nextSeq: 1, events: [], pending: new Set(), done: false, keepalive: null };
+    streams.set(id, stream);
+    attach(stream, res);
+    return stream;
+  }
+
+  function writeHead(res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "Mcp-Session-Id": sessionId,
+      // Nginx 등 프록시 버퍼링 비활성화
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+  }
+
+  function attach(stream, res) {
+    stream.res = res;
+    stream.keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_INTERVAL_MS);
+    stream.keepalive.unref();
+    res.on("close", () => {
+      // 연결이 끊겨도 요청 처리는 계속하고, 결과는 재연결(Last-Event-ID) 시 전달
+      if (stream.res === res) {
+        clearInterval(stream.keepalive);
+        stream.res = null;
+      }
+    });
+  }
+
+  function writeEvent(stream, message) {
+    const event = { id: `${stream.id}_${stream.nextSeq++}`, data: JSON.stringify(message) };
+    stream.events.push(event);
+    if (stream.events.length > EVENT_HISTORY_LIMIT) {
+      stream.events.shift();
+    }
+    stream.res?.write(`id: ${event.id}\nevent: message\ndata: ${event.data}\n\n`);
+  }
+
+  function finishStream(stream) {
+    stream.done = true;
+    clearInterval(stream.keepalive);
+    stream.res?.end();
+    stream.res = null;
+
+    // 완료된 스트림은 재연결용으로 일정 개수만 보관
+    const finished = [...streams.values()].filter((item) => item.done);
+    for (const item of finished.slice(0, Math.max(0, finished.length - STREAM_HISTORY_LIMIT))) {
+      streams.delete(item.id);
+    }
+  }
+
+  // 요청 하나가 끝남 (응답 전송 또는 취소)
+  function settle(key, response) {
+    const route = routes.get(key);
+    if (!route) {
+      return false;
+    }
+    routes.delete(key);
+    for (const [token, requestKey] of progressTokens) {
+      if (requestKey === key) {
+        progressTokens.delete(token);
+      }
+    }
+
+    if (route.collector) {
+      const { collector } = route;
+      if (response) {
+        collector.responses.push(response);
+      }
+      collector.pending.delete(key);
+      if (collector.pending.size === 0 && !collector.res.writableEnded) {
+        const { responses } = collector;
+        if (responses.length === 0) {
+          collector.res.status(202).end();
+        } else {
+          collector.res.json(collector.isBatch ? responses : responses[0]);
+        }
+      }
+    } else {
+      const { stream } = route;
+      if (response) {
+        writeEvent(stream, response);
+      }
+      stream.pending.delete(key);
+      if (stream.pending.size === 0) {
+        finishStream(stream);
+      }
+    }
+    return true;
+  }
+
+  function deliver(messages) {
+    for (const message of messages) {
+      // 취소된 요청은 SDK가 응답을 보내지 않으므로 여기서 정리
+      if (message.method === "notifications/cancelled" && message.params?.requestId !== undefined) {
+        settle(idKey(message.params.requestId));
+      }
+      transport.onmessage?.(message);
+    }
+  }
+
+  const transport = {
+    sessionId,
+
+    async start() {
+      // HTTP 요청이 들어올 때 메시지를 전달하므로 별도 시작 절차 없음
+    },
+
+    // POST 처리. messages는 유효성 검사를 마친 JSON-RPC 메시지 배열
+    //   stream: true면 text/event-stream, false면 application/json으로 응답
+    handlePost(req, res, { messages, isBatch, stream: useStream }) {
+      const requests = messages.filter(isRequest);
+      if (requests.length === 0) {
+        res.status(202).end();
+        deliver(messages);
+        return;
+      }
+
+      // 같은 id의 요청이 처리 중이거나 배치 안에서 겹치면 응답이 엉뚱한 스트림으로 갈 수 있으므로 거부
+      const seen = new Set();
+      const duplicate = requests.find((request) => {
+        const key = idKey(request.id);
+        const found = routes.has(key) || seen.has(key);
+        seen.add(key);
+        return found;
+      });
+      if (duplicate) {
+        res.status(400).json({
+          jsonrpc: "2.0",
+          id: duplicate.id,
+          error: { code: -32600, message: `Invalid Request: 같은 id의 요청이 이미 처리 중입니다: ${idKey(duplicate.id)}` },
+        });
+        return;
+      }
+
+      for (const request of requests) {
+        const token = request.params?._meta?.progressToken;
+        if (token !== undefined) {
+          progressTokens.set(idKey(token), idKey(request.id));
+        }
+      }
+
+      if (useStream) {
+        const stream = openStream(crypto.randomUUID(), res);
+        writeHead(res);
+        for (const request of requests) {
+          stream.pending.add(idKey(request.id));
+          routes.set(idKey(request.id), { stream });
+        }
+      } else {
+        const collector = { res, isBatch, responses: [], pending: new Set() };
+        for (const request of requests) {
+          collector.pending.add(idKey(request.id));
+          routes.set(idKey(request.id), { collector });
+        }
+      }
+      deliver(messages);
+    },
+
+    // GET 처리: 독립 알림 스트림을 열거나, Last-Event-ID 이후 이벤트를 재전송하고 이어서 전송
+    handleGet(req, res) {
+      const lastEventId = req.get("last-event-id");
+      const resumeFrom = lastEventId ? parseEventId(lastEventId) : null;
+      const stream = (resumeFrom && streams.get(resumeFrom.streamId)) || streams.get(STANDALONE_STREAM_ID);
+
+      if (stream?.res) {
+        res.status(409).json({
+          jsonrpc: "2.0",
+          id: null,
+          error: { code: -32000, message: "Conflict: 이 세션의 스트림이 이미 연결되어 있습니다." },
+        });
+        return;
+      }
+
+      if (!stream) {
+        openStream(STANDALONE_STREAM_ID, res);
+        writeHead(res);
+        return;
+      }
+
+      writeHead(res);
+      const replay = resumeFrom && resumeFrom.streamId === stream.id
+        ? stream.events.filter((event) => parseEventId(event.id).seq > resumeFrom.seq)
+        : [];
+      for (const event of replay) {
+        res.write(`id: ${event.id}\nevent: message\ndata: ${event.data}\n\n`);
+      }
+      if (stream.done) {
+        res.end();
+        return;
+      }
+      attach(stream, res);
+    },
+
+    // 활성 연결(열린 스트림 또는 처리 중인 요청)이 있는지 (유휴 세션 정리용)
+    isBusy() {
+      return routes.size > 0 || [...streams.values()].some((stream) => stream.res);
+    },
+
+    async send(message) {
+      if (closed) {
+        return;
+      }
+
+      if (isResponse(message)) {
+        settle(idKey(message.id), message);
+        return;
+      }
+
+      // 진행 알림은 원래 요청의 스트림으로 (JSON 응답 모드에서는 전달할 수 없음)
+      const token = message.params?.progressToken;
+      const requestKey = token !== undefined ? progressTokens.get(idKey(token)) : undefined;
+      const route = requestKey && routes.get(requestKey);
+      if (route) {
+        if (route.stream) {
+          writeEvent(route.stream, message);
+        }
+        return;
+      }
+
+      // 그 외 서버 → 클라이언트 메시지는 GET 독립 스트림으로 (끊겨 있으면 재연결 시 재전송)
+      const standalone = streams.get(STANDALONE_STREAM_ID);
+      if (standalone) {
+        writeEvent(standalone, message);
+      }
+    },
+
+    async close() {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      for (const [key, route] of routes) {
+        if (route.collector && !route.collector.res.writableEnded) {
+          route.collector.res.status(404).json({
+            jsonrpc: "2.0",
+            id: JSON.parse(key),
+            error: { code: -32000, message: "세션이 종료되었습니다." },
+          });
+        }
+      }
+      routes.clear();
+      for (const stream of streams.values()) {
+        clearInterval(stream.keepalive);
+        stream.res?.end();
+      }
+      streams.clear();
+      transport.onclose?.();
+    },
+  };
+
+  return transport;
+}
@@ -0,0 +1,235 @@
+import fs from "fs";
+import path from "path";
+
+// 사용자별 사용량 집계와 한도(쿼터)
+//
+//   QUOTA_REQUESTS_PER_MINUTE: 분당 text_to_speech 요청 수
+//   QUOTA_CHARS_PER_DAY:       하루 합성 문자 수 (UTC 자정에 초기화)
+//   QUOTA_CHARS_PER_MONTH:     한 달 합성 문자 수 (UTC 매월 1일에 초기화)
+// 값이 없거나 0이면 제한하지 않습니다. 토큰 파일의 "quota" 항목으로 사용자별로 덮어쓸 수 있습니다.
+//   { "name": "alice", "token": "...", "quota": { "charsPerDay": 50000 } }
+// 문자 수는 실제로 합성한 요청만 집계합니다 (캐시 적중은 분당 요청 수에만 포함).
+// 합성 시작 전에 문자 수를 예약해 두므로 동시에 들어온 요청(비동기 작업, 대화, 여러 세션)이 함께 한도를 넘을 수 없습니다.
+// 일·월 사용량은 audioDir/.usage.json 에 저장되어 재시작 후에도 유지됩니다.
+
+const USAGE_FILENAME = ".usage.json";
+const MINUTE_MS = 60 * 1000;
+
+// 한도 초과 오류 (code로 구분, resetAt: 한도가 다시 풀리는 시각)
+function quotaExceeded(message, resetAt) {
+  const error = new Error(message);
+  error.code = "QUOTA_EXCEEDED";
+  error.resetAt = resetAt;
+  return error;
+}
+
+export function loadQuotaLimits(env = process.env) {
+  return {
+    requestsPerMinute: Number(env.QUOTA_REQUESTS_PER_MINUTE) || 0,
+    charsPerDay: Number(env.QUOTA_CHARS_PER_DAY) || 0,
+    charsPerMonth: Number(env.QUOTA_CHARS_PER_MONTH) || 0,
+  };
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function nextUtcMidnight(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function nextUtcMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+function formatResetTime(date) {
+  return `${date.toISOString().replace(/\.\d{3}Z$/, "Z")} (${date.toLocaleString('ko-KR')})`;
+}
+
+function formatCount(value) {
+  return value.toLocaleString('ko-KR');
+}
+
+export function createUsageTracker({ audioDir, limits = loadQuotaLimits() }) {
+  const usagePath = path.join(audioDir, USAGE_FILENAME);
+  // user → { day, dayChars, month, monthChars, totalChars, totalRequests }
+  let usage = {};
+  try {
+    usage = JSON.parse(fs.readFileSync(usagePath, "utf8"));
+  } catch {
+    // 처음 실행이거나 손상된 파일이면 새로 시작
+  }
+  // user → 최근 1분간 요청 시각 (메모리에만 보관)
+  const recentRequests = new Map();
+  // user → 합성 중인 요청이 예약한 문자 수 (메모리에만 보관)
+  const reservedChars = new Map();
+
+  function save() {
+    const tmpPath = `${usagePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(usage));
+    fs.renameSync(tmpPath, usagePath);
+  }
+
+  // 사용자 토큰에 지정된 한도가 있으면 우선 적용
+  function limitsFor(user) {
+    return { ...limits, ...user.quota };
+  }
+
+  // 날짜가 바뀐 집계는 초기화해서 반환
+  function currentUsage(user, now = new Date()) {
+    const entry = usage[user.name] || { totalChars: 0, totalRequests: 0 };
+    if (entry.day !== dayKey(now)) {
+      entry.day = dayKey(now);
+      entry.dayChars = 0;
+    }
+    if (entry.month !== monthKey(now)) {
+      entry.month = monthKey(now);
+      entry.monthChars = 0;
+    }
+    usage[user.name] = entry;
+    return entry;
+  }
+
+  function recentRequestTimes(user, now = Date.now()) {
+    const times = (recentRequests.get(user.name) || []).filter((time) => now - time < MINUTE_MS);
+    recentRequests.set(user.name, times);
+    return times;
+  }
+
+  return {
+    limits,
+
+    // 요청 1회 (분당 요청 수 한도 검사 후 기록)
+    consumeRequest(user) {
+      const { requestsPerMinute } = limitsFor(user);
+      const now = Date.now();
+      const times = recentRequestTimes(user, now);
+      if (requestsPerMinute > 0 && times.length >= requestsPerMinute) {
+        const resetAt = new Date(times[0] + MINUTE_MS);
+        const seconds = Math.ceil((resetAt.getTime() - now) / 1000);
+        throw quotaExceeded(
+          `분당 요청 한도(${formatCount(requestsPerMinute)}회)를 초과했습니다. ${seconds}초 후 ${formatResetTime(resetAt)}에 다시 시도하세요.`,
+          resetAt,
+        );
+      }
+      times.push(now);
+    },
+
+    // 합성 전 문자 수 예약 (사용량 + 진행 중인 요청의 예약 + 이번 요청이 한도를 넘으면 거부)
+    // → { settle() 합성 완료 시 사용량으로 기록, release() 실패·취소 시 예약 해제 } (둘 중 먼저 호출한 것만 적용)
+    reserveChars(user, chars) {
+      const { charsPerDay, charsPerMonth } = limitsFor(user);
+      const now = new Date();
+      const entry = currentUsage(user, now);
+      const reserved = reservedChars.get(user.name) || 0;
+      if (charsPerDay > 0 && entry.dayChars + reserved + chars > charsPerDay) {
+        throw quotaExceeded(
+          `일일 문자 한도(${formatCount(charsPerDay)}자)를 초과합니다. 오늘 사용 ${formatCount(entry.dayChars)}자`
+          + `${reserved ? `(진행 중 ${formatCount(reserved)}자 별도)` : ""}, 이번 요청 ${formatCount(chars)}자. `
+          + `한도는 ${formatResetTime(nextUtcMidnight(now))}에 초기화됩니다.`,
+          nextUtcMidnight(now),
+        );
+      }
+      if (charsPerMonth > 0 && entry.monthChars + reserved + chars > charsPerMonth) {
+        throw quotaExceeded(
+          `월간 문자 한도(${formatCount(charsPerMonth)}자)를 초과합니다. 이번 달 사용 ${formatCount(entry.monthChars)}자`
+          + `${reserved ? `(진행 중 ${formatCount(reserved)}자 별도)` : ""}, 이번 요청 ${formatCount(chars)}자. `
+          + `한도는 ${formatResetTime(nextUtcMonth(now))}에 초기화됩니다.`,
+          nextUtcMonth(now),
+        );
+      }
+      reservedChars.set(user.name, reserved + chars);
+
+      let done = false;
+      const unreserve = () => {
+        const remaining = (reservedChars.get(user.name) || 0) - chars;
+        if (remaining > 0) {
+          reservedChars.set(user.name, remaining);
+        } else {
+          reservedChars.delete(user.name);
+        }
+      };
+      return {
+        settle() {
+          if (done) {
+            return;
+          }
+          done = true;
+          unreserve();
+          const settled = currentUsage(user);
+          settled.dayChars += chars;
+          settled.monthChars += chars;
+          settled.totalChars += chars;
+          settled.totalRequests += 1;
+          save();
+        },
+        release() {
+          if (!done) {
+            done = true;
+            unreserve();
+          }
+        },
+      };
+    },
+
+    // get_my_usage 도구용 요약
+    describe(user) {
+      const { requestsPerMinute, charsPerDay, charsPerMonth } = limitsFor(user);
+      const now = new Date();
+      const entry = currentUsage(user, now);
+      const requestsLastMinute = recentRequestTimes(user).length;
+      const remaining = (limit, used) => (limit > 0 ? Math.max(0, limit - used) : null);
+      return {
+        user: user.name,
+        requestsPerMinute: { used: requestsLastMinute, limit: requestsPerMinute || null, remaining: remaining(requestsPerMinute, requestsLastMinute) },
+        charsToday: { used: entry.dayChars, limit: charsPerDay || null, remaining: remaining(charsPerDay, entry.dayChars), resetsAt: nextUtcMidnight(now).toISOString() },
+        charsThisMonth: { used: entry.monthChars, limit: charsPerMonth || null, remaining: remaining(charsPerMonth, entry.monthChars), resetsAt: nextUtcMonth(now).toISOString() },
+        totalChars: entry.totalChars,
+        totalRequests: entry.totalRequests,
+      };
+    },
+  };
+}
+
+// get_my_usage 도구 정의 (stdio / SSE / HTTP 서버 공용)
+export const GET_MY_USAGE_TOOL = {
+  name: "get_my_usage",
+  description: "내 text_to_speech 사용량과 남은 한도(분당 요청 수, 일일·월간 문자 수)를 조회합니다.",
+  inputSchema: {
+    type: "object",
+    properties: {},
+  },
+};
+
+export function getMyUsage(usageTracker, { user }) {
+  const summary = usageTracker.describe(user);
+  const line = (label, { used, limit, remaining, resetsAt }, unit) => (
+    limit
+      ? `${label}: ${formatCount(used)}${unit} / ${formatCount(limit)}${unit} (남은 한도 ${formatCount(remaining)}${unit}${resetsAt ? `, 초기화 ${formatResetTime(new Date(resetsAt))}` : ""})`
+      : `${label}: ${formatCount(used)}${unit} (제한 없음)`
+  );
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: [
+          `📊 **${summary.user}님의 사용량**`,
+          ``,
+          line(`⏱️ 최근 1분 요청`, summary.requestsPerMinute, "회"),
+          line(`📅 오늘 합성 문자`, summary.charsToday, "자"),
+          line(`🗓️ 이번 달 합성 문자`, summary.charsThisMonth, "자"),
+          `📈 누적: ${formatCount(summary.totalChars)}자 / ${formatCount(summary.totalRequests)}회`,
+        ].join("\n"),
+      },
+    ],
+    _meta: {
+      usage: summary,
+    },
+  };
+}
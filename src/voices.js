@@ -0,0 +1,61 @@
+import { DEFAULT_PROVIDER, getProvider, listProviders } from "./providers/index.js";
+
+// list_voices 도구: 프로바이더·모델별 지원 음성, 출력 형식, instructions 지원 여부 (stdio / SSE / HTTP 서버 공용)
+
+export const LIST_VOICES_TOOL = {
+  name: "list_voices",
+  description: "TTS 프로바이더와 모델별로 사용할 수 있는 음성, 출력 형식, instructions(스타일 지시) 지원 여부를 조회합니다.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      provider: {
+        type: "string",
+        enum: listProviders().map((provider) => provider.name),
+        description: "조회할 프로바이더 (생략 시 전체)",
+      },
+    },
+  },
+};
+
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    default: provider.name === DEFAULT_PROVIDER,
+    defaultModel: provider.defaultModel,
+    defaultVoice: provider.defaultVoice,
+    speed: provider.capabilities.speed,
+    models: provider.models.map((model) => {
+      const { description, voices, formats, instructions, baseModel } = provider.describeModel(model);
+      return { name: model, ...(baseModel && { baseModel }), description, voices, formats, instructions };
+    }),
+  };
+}
+
+export function listVoices(args = {}) {
+  const providers = (args.provider ? [getProvider(args.provider)] : listProviders()).map(describeProvider);
+
+  const sections = providers.map((provider) => [
+    `🔌 **${provider.label}** (\`${provider.name}\`)${provider.default ? " · 기본" : ""}${provider.configured ? "" : " · ⚠️ 설정 필요"}`,
+    ...provider.models.map((model) => [
+      `  🤖 **${model.name}**${model.baseModel && model.baseModel !== model.name ? ` (${model.baseModel})` : ""}`
+        + `${model.name === provider.defaultModel ? " · 기본" : ""}${model.description ? ` — ${model.description}` : ""}`,
+      `     🎵 음성: ${model.voices.join(", ") || "(없음)"}`,
+      `     📁 형식: ${model.formats.join(", ")}`,
+      `     🎭 instructions: ${model.instructions ? "지원" : "미지원"} · ⚡ 속도 조절: ${provider.speed ? "지원" : "미지원"}`,
+    ].join("\n")),
+  ].join("\n"));
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `🗣️ **사용 가능한 음성**\n\n${sections.join("\n\n")}`,
+      },
+    ],
+    _meta: {
+      providers,
+    },
+  };
+}
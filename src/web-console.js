@@ -0,0 +1,421 @@
+import express from "express";
+import { buildAudioUri } from "./audio-content.js";
+import { canManageAudio } from "./audio-files.js";
+import { PUBLIC_BASE_PATH, buildPublicUrl } from "./public-url.js";
+import { listVoices } from "./voices.js";
+
+// 웹 콘솔 (/console): 오디오 라이브러리 검색·재생·다운로드·삭제와 간단한 음성 합성 폼
+//
+// 페이지 자체는 데이터 없이 내려가고, 데이터는 /console/api/* 를 MCP 엔드포인트와 같은 인증(Bearer 토큰 / OAuth)으로 호출합니다.
+// 브라우저에서는 개인 API 토큰을 입력받아 sessionStorage에 보관합니다.
+// 합성·삭제는 MCP 도구 레지스트리(text_to_speech, delete_audio_file)를 그대로 호출하므로 권한·한도·감사 로그가 같습니다.
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const PREVIEW_LENGTH = 120;
+// 합성 폼에서 text_to_speech로 넘기는 인자
+const SYNTHESIZE_ARGS = ["text", "provider", "voice", "model", "speed", "format", "instructions", "no_cache"];
+
+function matchesQuery(record, query) {
+  if (!query) {
+    return true;
+  }
+  const needle = query.toLowerCase();
+  return [record.filename, record.text].some((value) => value && value.toLowerCase().includes(needle));
+}
+
+// 목록 필터: q(텍스트·파일명), voice, model, provider, mine, from/to(ISO 시각)
+function buildFilter(query, user) {
+  const from = query.from ? Date.parse(query.from) : null;
+  const to = query.to ? Date.parse(query.to) : null;
+  return (record) => (
+    matchesQuery(record, query.q)
+    && (!query.voice || (record.voice || "").split(", ").includes(query.voice))
+    && (!query.model || (record.model || "").split(", ").includes(query.model))
+    && (!query.provider || record.provider === query.provider)
+    && (query.mine !== "true" || record.owner === user.name)
+    && (from === null || Number.isNaN(from) || Date.parse(record.createdAt) >= from)
+    && (to === null || Number.isNaN(to) || Date.parse(record.createdAt) <= to)
+  );
+}
+
+// 도구 결과 → 콘솔 API 응답 (isError면 첫 텍스트 블록이 오류 메시지)
+function toolResultText(result) {
+  return result.content.find((block) => block.type === "text")?.text ?? "";
+}
+
+// 도구 오류 결과 → HTTP 오류 응답 (한도 초과는 429)
+function sendToolError(res, result) {
+  const code = result._meta?.error;
+  res.status(code === "QUOTA_EXCEEDED" || code === "UPSTREAM_RATE_LIMITED" ? 429 : 400).json({
+    error: toolResultText(result).replace(/^❌ 오류가 발생했습니다: /, ""),
+    ...(code && { code }),
+    ...(result._meta?.resetAt && { resetAt: result._meta.resetAt }),
+  });
+}
+
+export function createWebConsoleRouter(runtime, { requireAuth }) {
+  const { audioCatalog, toolRegistry } = runtime;
+  const router = express.Router();
+
+  // 도구 호출 컨텍스트 (MCP 요청과 같은 형태)
+  const toolContext = (req) => ({
+    user: req.user,
+    publicUrl: (pathname) => buildPublicUrl(req, pathname),
+    requestId: req.id,
+    log: req.log.child({ user: req.user.name }),
+  });
+
+  router.get("/console", (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.type("html").send(renderConsolePage());
+  });
+
+  router.use("/console/api", requireAuth);
+
+  router.get("/console/api/me", (req, res) => {
+    res.json({ user: req.user.name, role: req.user.role });
+  });
+
+  // 본인이 생성한 파일만 (admin은 모든 파일)
+  router.get("/console/api/files", (req, res) => {
+    const all = audioCatalog.list((record) => canManageAudio(req.user, record));
+    const matched = all.filter(buildFilter(req.query, req.user));
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(req.query.limit) || PAGE_SIZE));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const publicUrl = (pathname) => buildPublicUrl(req, pathname);
+    const values = (key) => [...new Set(all.flatMap((record) => (record[key] ? record[key].split(", ") : [])))].sort();
+
+    res.set("Cache-Control", "no-store");
+    res.json({
+      total: matched.length,
+      offset,
+      limit,
+      files: matched.slice(offset, offset + limit).map((record) => ({
+        filename: record.filename,
+        preview: record.text && record.text.length > PREVIEW_LENGTH ? `${record.text.slice(0, PREVIEW_LENGTH)}…` : record.text,
+        provider: record.provider,
+        voice: record.voice,
+        model: record.model,
+        format: record.format,
+        owner: record.owner,
+        bytes: record.bytes,
+        durationSeconds: record.durationSeconds,
+        createdAt: record.createdAt,
+        pinned: Boolean(record.pinned),
+        url: buildAudioUri({ filename: record.filename, publicUrl, owner: req.user.name }),
+        canDelete: canManageAudio(req.user, record),
+      })),
+      // 필터 선택지 (볼 수 있는 파일 전체 기준)
+      facets: {
+        voices: values("voice"),
+        models: values("model"),
+        providers: values("provider"),
+      },
+    });
+  });
+
+  router.get("/console/api/voices", (req, res) => {
+    res.json({ providers: listVoices()._meta.providers.filter((provider) => provider.configured) });
+  });
+
+  router.post("/console/api/synthesize", async (req, res) => {
+    const args = Object.fromEntries(
+      SYNTHESIZE_ARGS
+        .filter((key) => req.body?.[key] !== undefined && req.body[key] !== "")
+        .map((key) => [key, req.body[key]])
+    );
+    if (args.speed !== undefined) {
+      args.speed = Number(args.speed);
+    }
+    const result = await toolRegistry.callTool("text_to_speech", { ...args, include_audio: false }, toolContext(req));
+    if (result.isError) {
+      sendToolError(res, result);
+      return;
+    }
+    const link = result.content.find((block) => block.type === "resource_link");
+    res.json({ message: toolResultText(result), filename: link?.name, url: link?.uri, cacheHit: result._meta?.cacheHit });
+  });
+
+  router.delete("/console/api/files/:filename", async (req, res) => {
+    const result = await toolRegistry.callTool("delete_audio_file", { filename: req.params.filename }, toolContext(req));
+    if (result.isError) {
+      sendToolError(res, result);
+      return;
+    }
+    res.json({ message: toolResultText(result) });
+  });
+
+  return router;
+}
+
+function renderConsolePage() {
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>OpenAI TTS MCP Server - 오디오 콘솔</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 24px auto; padding: 0 16px; color: #222; }
+    h1 { font-size: 1.3rem; }
+    h2 { font-size: 1.05rem; margin-top: 28px; }
+    .hidden { display: none; }
+    .error { color: #b91c1c; }
+    .muted { color: #6b7280; font-size: 0.85rem; }
+    .panel { background: #f4f4f5; padding: 12px; border-radius: 8px; }
+    .row { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin: 8px 0; }
+    input, select, textarea, button { font: inherit; padding: 6px 8px; }
+    textarea { width: 100%; box-sizing: border-box; min-height: 80px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+    th, td { text-align: left; padding: 8px 6px; border-bottom: 1px solid #e4e4e7; vertical-align: top; }
+    td.text { max-width: 420px; word-break: break-word; }
+    audio { width: 240px; height: 32px; }
+  </style>
+</head>
+<body>
+  <h1>🎵 OpenAI TTS 오디오 콘솔 <span id="who" class="muted"></span></h1>
+
+  <form id="login" class="panel hidden">
+    <label for="token">개인 API 토큰</label>
+    <div class="row">
+      <input type="password" id="token" autocomplete="current-password" required>
+      <button type="submit">로그인</button>
+    </div>
+    <p id="login-error" class="error"></p>
+  </form>
+
+  <div id="app" class="hidden">
+    <h2>🗣️ 텍스트 → 음성</h2>
+    <form id="synth" class="panel">
+      <textarea id="synth-text" placeholder="음성으로 변환할 텍스트" required></textarea>
+      <div class="row">
+        <select id="synth-provider"></select>
+        <select id="synth-model"></select>
+        <select id="synth-voice"></select>
+        <select id="synth-format"></select>
+        <label>속도 <input id="synth-speed" type="number" min="0.25" max="4" step="0.05" value="1" style="width: 5em"></label>
+        <input id="synth-instructions" placeholder="스타일 지시 (instructions 지원 모델)" style="flex: 1">
+        <button type="submit">합성</button>
+      </div>
+      <p id="synth-result" class="muted"></p>
+    </form>
+
+    <h2>📚 오디오 라이브러리</h2>
+    <form id="filters" class="row">
+      <input id="q" type="search" placeholder="텍스트·파일명 검색" style="flex: 1">
+      <select id="voice"><option value="">모든 음성</option></select>
+      <select id="model"><option value="">모든 모델</option></select>
+      <label>부터 <input id="from" type="date"></label>
+      <label>까지 <input id="to" type="date"></label>
+      <label><input id="mine" type="checkbox"> 내 파일만</label>
+      <button type="submit">검색</button>
+    </form>
+    <p id="summary" class="muted"></p>
+    <table>
+      <thead><tr><th>생성일</th><th>텍스트</th><th>음성 · 모델</th><th>길이 · 크기</th><th>재생</th><th></th></tr></thead>
+      <tbody id="files"></tbody>
+    </table>
+    <div class="row">
+      <button id="prev" type="button">이전</button>
+      <button id="next" type="button">다음</button>
+    </div>
+  </div>
+
+  <script>
+    const API = ${JSON.stringify(`${PUBLIC_BASE_PATH}/console/api`)};
+    const PAGE_SIZE = ${PAGE_SIZE};
+    const $ = (id) => document.getElementById(id);
+    let token = sessionStorage.getItem("tts-console-token") || "";
+    let offset = 0;
+    let voiceCatalog = [];
+
+    function escapeHtml(value) {
+      return String(value == null ? "" : value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+    }
+
+    function formatDuration(seconds) {
+      if (seconds == null) return "-";
+      const minutes = Math.floor(seconds / 60);
+      return (minutes ? minutes + "분 " : "") + (seconds - minutes * 60).toFixed(1) + "초";
+    }
+
+    async function api(path, options = {}) {
+      const headers = { ...(options.body && { "Content-Type": "application/json" }), ...(token && { Authorization: "Bearer " + token }) };
+      const res = await fetch(API + path, { ...options, headers });
+      if (res.status === 401) {
+        showLogin(token ? "토큰이 올바르지 않거나 만료되었습니다." : "");
+        throw new Error("unauthorized");
+      }
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || body.message || ("HTTP " + res.status));
+      return body;
+    }
+
+    function showLogin(message) {
+      $("app").classList.add("hidden");
+      $("login").classList.remove("hidden");
+      $("login-error").textContent = message || "";
+    }
+
+    // 사용자에게 묶인 링크는 토큰이 필요하므로 직접 받아서 재생
+    async function audioSource(file) {
+      if (!/[?&]owner=/.test(file.url)) return file.url;
+      const res = await fetch(file.url, { headers: token ? { Authorization: "Bearer " + token } : {} });
+      if (!res.ok) throw new Error("HTTP " + res.status);
+      return URL.createObjectURL(await res.blob());
+    }
+
+    function fillSelect(select, values, { keep, blank } = {}) {
+      const current = keep ? select.value : "";
+      select.innerHTML = (blank ? '<option value="">' + escapeHtml(blank) + "</option>" : "")
+        + values.map((value) => '<option value="' + escapeHtml(value) + '">' + escapeHtml(value) + "</option>").join("");
+      if (values.includes(current)) select.value = current;
+    }
+
+    function selectedModel() {
+      const provider = voiceCatalog.find((entry) => entry.name === $("synth-provider").value);
+      return provider && provider.models.find((model) => model.name === $("synth-model").value);
+    }
+
+    function onModelChange() {
+      const model = selectedModel();
+      fillSelect($("synth-voice"), model ? model.voices : [], { keep: true });
+      fillSelect($("synth-format"), model ? model.formats : [], { keep: true });
+      $("synth-instructions").disabled = !(model && model.instructions);
+    }
+
+    function onProviderChange() {
+      const provider = voiceCatalog.find((entry) => entry.name === $("synth-provider").value);
+      fillSelect($("synth-model"), provider ? provider.models.map((model) => model.name) : []);
+      if (provider) $("synth-model").value = provider.defaultModel;
+      onModelChange();
+      if (provider && provider.defaultVoice) $("synth-voice").value = provider.defaultVoice;
+    }
+
+    async function loadVoices() {
+      voiceCatalog = (await api("/voices")).providers;
+      fillSelect($("synth-provider"), voiceCatalog.map((provider) => provider.name));
+      const preferred = voiceCatalog.find((provider) => provider.default);
+      if (preferred) $("synth-provider").value = preferred.name;
+      onProviderChange();
+    }
+
+    function filterParams() {
+      const params = new URLSearchParams({ offset: String(offset), limit: String(PAGE_SIZE) });
+      const set = (key, value) => { if (value) params.set(key, value); };
+      set("q", $("q").value.trim());
+      set("voice", $("voice").value);
+      set("model", $("model").value);
+      set("from", $("from").value && new Date($("from").value + "T00:00:00").toISOString());
+      set("to", $("to").value && new Date($("to").value + "T23:59:59.999").toISOString());
+      set("mine", $("mine").checked ? "true" : "");
+      return params;
+    }
+
+    async function loadFiles() {
+      const data = await api("/files?" + filterParams());
+      fillSelect($("voice"), data.facets.voices, { keep: true, blank: "모든 음성" });
+      fillSelect($("model"), data.facets.models, { keep: true, blank: "모든 모델" });
+      $("summary").textContent = data.total
+        ? "총 " + data.total + "개 중 " + (data.offset + 1) + "–" + (data.offset + data.files.length) + "번째"
+        : "조건에 맞는 파일이 없습니다.";
+      $("prev").disabled = data.offset === 0;
+      $("next").disabled = data.offset + data.files.length >= data.total;
+
+      $("files").innerHTML = data.files.map((file, index) => "<tr>"
+        + "<td>" + escapeHtml(new Date(file.createdAt).toLocaleString("ko-KR")) + '<div class="muted">' + escapeHtml(file.owner || "(알 수 없음)") + "</div></td>"
+        + '<td class="text">' + escapeHtml(file.preview || "(알 수 없음)") + (file.pinned ? " 📌" : "") + '<div class="muted">' + escapeHtml(file.filename) + "</div></td>"
+        + "<td>" + escapeHtml(file.voice || "-") + '<div class="muted">' + escapeHtml(file.model || "-") + "</div></td>"
+        + "<td>" + formatDuration(file.durationSeconds) + '<div class="muted">' + (file.bytes / 1024).toFixed(1) + " KB</div></td>"
+        + '<td><button type="button" data-play="' + index + '">▶ 재생</button></td>'
+        + '<td><button type="button" data-download="' + index + '">⬇ 다운로드</button> '
+        + (file.canDelete ? '<button type="button" data-delete="' + index + '">🗑 삭제</button>' : "") + "</td>"
+        + "</tr>").join("");
+
+      $("files").onclick = async (event) => {
+        const button = event.target.closest("button");
+        if (!button) return;
+        const file = data.files[Number(button.dataset.play ?? button.dataset.download ?? button.dataset.delete)];
+        try {
+          if (button.dataset.play !== undefined) {
+            const player = document.createElement("audio");
+            player.controls = true;
+            player.src = await audioSource(file);
+            button.replaceWith(player);
+            player.play().catch(() => {});
+          } else if (button.dataset.download !== undefined) {
+            const link = document.createElement("a");
+            link.href = await audioSource(file);
+            link.download = file.filename;
+            link.click();
+          } else if (confirm(file.filename + " 파일을 삭제할까요?")) {
+            await api("/files/" + encodeURIComponent(file.filename), { method: "DELETE" });
+            await loadFiles();
+          }
+        } catch (error) {
+          alert(error.message);
+        }
+      };
+    }
+
+    async function start() {
+      try {
+        const me = await api("/me");
+        $("who").textContent = "· " + me.user + (me.role === "admin" ? " (관리자)" : "");
+        $("login").classList.add("hidden");
+        $("app").classList.remove("hidden");
+        await Promise.all([loadVoices(), loadFiles()]);
+      } catch (error) {
+        if (error.message !== "unauthorized") showLogin(error.message);
+      }
+    }
+
+    $("login").onsubmit = (event) => {
+      event.preventDefault();
+      token = $("token").value.trim();
+      sessionStorage.setItem("tts-console-token", token);
+      start();
+    };
+    $("filters").onsubmit = (event) => {
+      event.preventDefault();
+      offset = 0;
+      loadFiles().catch((error) => alert(error.message));
+    };
+    $("prev").onclick = () => { offset = Math.max(0, offset - PAGE_SIZE); loadFiles(); };
+    $("next").onclick = () => { offset += PAGE_SIZE; loadFiles(); };
+    $("synth-provider").onchange = onProviderChange;
+    $("synth-model").onchange = onModelChange;
+    $("synth").onsubmit = async (event) => {
+      event.preventDefault();
+      const button = event.submitter;
+      button.disabled = true;
+      $("synth-result").textContent = "합성 중…";
+      try {
+        const result = await api("/synthesize", {
+          method: "POST",
+          body: JSON.stringify({
+            text: $("synth-text").value,
+            provider: $("synth-provider").value,
+            model: $("synth-model").value,
+            voice: $("synth-voice").value,
+            format: $("synth-format").value,
+            speed: $("synth-speed").value,
+            instructions: $("synth-instructions").disabled ? "" : $("synth-instructions").value.trim(),
+          }),
+        });
+        $("synth-result").textContent = (result.cacheHit ? "♻️ 캐시 적중: " : "✅ 생성됨: ") + result.filename;
+        offset = 0;
+        await loadFiles();
+      } catch (error) {
+        $("synth-result").textContent = "❌ " + error.message;
+      } finally {
+        button.disabled = false;
+      }
+    };
+
+    start();
+  </script>
+</body>
+</html>`;
+}
@@ -0,0 +1,159 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { createAudioCatalog, sha256Hex } from "../src/audio-catalog.js";
+import { createLocalStorage } from "../src/storage/local.js";
+
+let audioDir;
+let storage;
+
+beforeEach(() => {
+  audioDir = fs.mkdtempSync(path.join(os.tmpdir(), "tts-catalog-"));
+  storage = createLocalStorage(audioDir);
+});
+
+afterEach(() => {
+  fs.rmSync(audioDir, { recursive: true, force: true });
+});
+
+function record(filename, extra = {}) {
+  return {
+    filename,
+    text: `text of ${filename}`,
+    format: "wav",
+    owner: "alice",
+    bytes: 4,
+    createdAt: new Date(Date.now() - 60 * 1000).toISOString(),
+    ...extra,
+  };
+}
+
+test("기록은 파일에 남아 새로 만든 카탈로그에서도 보인다", () => {
+  const catalog = createAudioCatalog(audioDir, { storage });
+  catalog.add(record("a.wav"));
+  catalog.add(record("b.wav", { createdAt: new Date().toISOString() }));
+  catalog.update("a.wav", { pinned: true });
+  catalog.remove("b.wav");
+
+  const reopened = createAudioCatalog(audioDir, { storage });
+  assert.deepEqual(reopened.list().map((entry) => entry.filename), ["a.wav"]);
+  assert.equal(reopened.get("a.wav").pinned, true);
+  assert.equal(reopened.get("b.wav"), null);
+});
+
+test("목록은 최신순이고 필터를 적용한다", () => {
+  const catalog = createAudioCatalog(audioDir, { storage });
+  catalog.add(record("old.wav", { createdAt: "2026-01-01T00:00:00.000Z" }));
+  catalog.add(record("new.wav", { createdAt: "2026-02-01T00:00:00.000Z", owner: "bob" }));
+  assert.deepEqual(catalog.list().map((entry) => entry.filename), ["new.wav", "old.wav"]);
+  assert.deepEqual(catalog.list((entry) => entry.owner === "alice").map((entry) => entry.filename), ["old.wav"]);
+});
+
+test("rebuild는 기록 없는 파일을 추가하고 파일이 사라진 기록을 지운다", async () => {
+  const catalog = createAudioCatalog(audioDir, { storage });
+  await storage.write("kept.wav", Buffer.from("keep"));
+  await storage.write("untracked.wav", Buffer.from("new!"));
+  catalog.add(record("kept.wav"));
+  catalog.add(record("gone.wav"));
+
+  const result = await catalog.rebuild();
+  assert.deepEqual(result, { total: 2, added: 1, removed: 1 });
+  assert.equal(catalog.get("gone.wav"), null);
+  assert.equal(catalog.get("kept.wav").text, "text of kept.wav");
+  assert.equal(catalog.get("untracked.wav").owner, null);
+  assert.equal(catalog.get("untracked.wav").bytes, 4);
+});
+
+test("rebuild 중에도 이전 기록이 보이고, 그 사이 바뀐 기록은 교체 후에도 유지된다", async () => {
+  await storage.write("slow.wav", Buffer.from("slow"));
+  await storage.write("deleted-meanwhile.wav", Buffer.from("bye!"));
+  const catalog = createAudioCatalog(audioDir, { storage: { ...storage, read: async (filename) => {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return storage.read(filename);
+  } } });
+  catalog.add(record("gone.wav"));
+  catalog.add(record("deleted-meanwhile.wav", { bytes: 1 }));
+
+  const rebuilding = catalog.rebuild();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  // 재구성이 끝나기 전에는 이전 기록 그대로
+  assert.ok(catalog.get("gone.wav"));
+  assert.equal(catalog.get("slow.wav"), null);
+  catalog.add(record("added-meanwhile.wav", { createdAt: "2000-01-01T00:00:00.000Z" }));
+  catalog.remove("deleted-meanwhile.wav");
+  await rebuilding;
+
+  assert.deepEqual(catalog.list().map((entry) => entry.filename).sort(), ["added-meanwhile.wav", "slow.wav"]);
+  const reopened = createAudioCatalog(audioDir, { storage });
+  assert.deepEqual(reopened.list().map((entry) => entry.filename).sort(), ["added-meanwhile.wav", "slow.wav"]);
+});
+
+test("다른 인스턴스가 기록한 내용을 다음 조회 때 다시 읽는다", () => {
+  const first = createAudioCatalog(audioDir, { storage });
+  const second = createAudioCatalog(audioDir, { storage });
+  assert.equal(second.get("a.wav"), null);
+
+  first.add(record("a.wav"));
+  assert.equal(second.get("a.wav").text, "text of a.wav");
+  second.remove("a.wav");
+  assert.equal(first.get("a.wav"), null);
+});
+
+test("잘린 줄은 건너뛰고 삭제 기록이 쌓이면 현재 상태만 남기도록 압축한다", () => {
+  fs.writeFileSync(path.join(audioDir, ".catalog.jsonl"), `${JSON.stringify({ op: "put", ...record("a.wav") })}\n{"op":"put","filen`);
+  const catalog = createAudioCatalog(audioDir, { storage });
+  assert.deepEqual(catalog.list().map((entry) => entry.filename), ["a.wav"]);
+
+  for (let index = 0; index < 300; index++) {
+    catalog.add(record(`tmp-${index}.wav`));
+    catalog.remove(`tmp-${index}.wav`);
+  }
+  const lines = fs.readFileSync(catalog.path, "utf8").trim().split("\n");
+  assert.ok(lines.length < 200, `lines=${lines.length}`);
+  assert.deepEqual(createAudioCatalog(audioDir, { storage }).list().map((entry) => entry.filename), ["a.wav"]);
+});
+
+test("touch는 사용 시각을 기록하되 짧은 간격의 반복 기록은 생략한다", () => {
+  const catalog = createAudioCatalog(audioDir, { storage });
+  catalog.add(record("a.wav"));
+  catalog.touch("missing.wav");
+  assert.equal(catalog.get("missing.wav"), null);
+
+  catalog.touch("a.wav");
+  const first = catalog.get("a.wav").lastAccessedAt;
+  assert.ok(first);
+  const size = fs.statSync(catalog.path).size;
+  catalog.touch("a.wav");
+  assert.equal(catalog.get("a.wav").lastAccessedAt, first);
+  assert.equal(fs.statSync(catalog.path).size, size);
+});
+
+test("rebuild는 크기가 바뀐 파일의 크기·체크섬을 갱신하고 새 WAV 파일의 길이를 계산한다", async () => {
+  const wav = Buffer.alloc(44 + 16000);
+  wav.write("RIFF", 0);
+  wav.writeUInt32LE(36 + 16000, 4);
+  wav.write("WAVEfmt ", 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(8000, 24);
+  wav.writeUInt32LE(16000, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write("data", 36);
+  wav.writeUInt32LE(16000, 40);
+  await storage.write("untracked.wav", wav);
+  await storage.write("changed.wav", Buffer.from("changed"));
+
+  const catalog = createAudioCatalog(audioDir, { storage });
+  catalog.add(record("changed.wav", { bytes: 4, sha256: "old" }));
+  await catalog.rebuild();
+
+  assert.equal(catalog.get("changed.wav").bytes, 7);
+  assert.equal(catalog.get("changed.wav").sha256, sha256Hex(Buffer.from("changed")));
+  assert.equal(catalog.get("changed.wav").text, "text of changed.wav");
+  assert.equal(catalog.get("untracked.wav").durationSeconds, 1);
+  assert.equal(catalog.get("untracked.wav").sha256, sha256Hex(wav));
+});
@@ -0,0 +1,79 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { INLINE_AUDIO_MAX_BYTES, buildAudioContent } from "../src/audio-content.js";
+import { verifyAudioSignature } from "../src/audio-urls.js";
+import { USERS, createTestRuntime, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+
+before(() => {
+  runtime = createTestRuntime();
+});
+
+after(() => {
+  runtime.close();
+});
+
+const publicUrl = (pathname) => `http://tts.test${pathname}`;
+
+function verifyLink(uri, filename) {
+  const url = new URL(uri);
+  assert.equal(url.origin, "http://tts.test");
+  assert.equal(url.pathname, `/audio/${filename}`);
+  return verifyAudioSignature(filename, Object.fromEntries(url.searchParams));
+}
+
+test("작은 오디오는 audio 블록으로 싣고 서명된 resource_link를 함께 보낸다", () => {
+  const buffer = Buffer.from("RIFF----WAVE");
+  const { uri, inlined, content } = buildAudioContent({
+    filename: "tts_a.wav", storage: runtime.storage, buffer, format: "wav", publicUrl, owner: "alice",
+  });
+
+  assert.equal(inlined, true);
+  assert.deepEqual(content[0], { type: "audio", data: buffer.toString("base64"), mimeType: "audio/wav" });
+  assert.equal(content[1].type, "resource_link");
+  assert.equal(content[1].uri, uri);
+  assert.equal(content[1].name, "tts_a.wav");
+  assert.equal(content[1].size, buffer.length);
+  assert.deepEqual(verifyLink(uri, "tts_a.wav"), { ok: true, owner: "alice" });
+});
+
+test("include_audio가 false이거나 인라인 한도를 넘으면 링크만 보낸다", () => {
+  const options = { filename: "tts_b.mp3", storage: runtime.storage, format: "mp3", publicUrl, owner: "alice" };
+
+  const skipped = buildAudioContent({ ...options, buffer: Buffer.alloc(10), includeAudio: false });
+  assert.equal(skipped.inlined, false);
+  assert.deepEqual(skipped.content.map((block) => block.type), ["resource_link"]);
+  assert.equal(skipped.content[0].mimeType, "audio/mpeg");
+
+  const large = buildAudioContent({ ...options, buffer: Buffer.alloc(INLINE_AUDIO_MAX_BYTES + 1) });
+  assert.equal(large.inlined, false);
+  assert.deepEqual(large.content.map((block) => block.type), ["resource_link"]);
+});
+
+test("publicUrl이 없으면(stdio) 저장소가 주는 파일 URL을 쓴다", () => {
+  const { uri } = buildAudioContent({ filename: "tts_c.wav", storage: runtime.storage, buffer: Buffer.alloc(4), format: "wav" });
+  assert.equal(uri, runtime.storage.directUrl("tts_c.wav"));
+  assert.match(uri, /^file:\/\//);
+});
+
+test("text_to_speech 결과에 저장된 파일과 같은 오디오와 호출한 사용자에게 묶인 링크가 들어 있다", async () => {
+  const result = await runtime.toolRegistry.callTool("text_to_speech", {
+    provider: "local", voice: "en-us", format: "wav", text: "audio content block",
+  }, toolContext(USERS.bob));
+  assert.equal(result.isError, undefined);
+
+  const [text, audio, link] = result.content;
+  assert.equal(text.type, "text");
+  assert.equal(audio.type, "audio");
+  assert.equal(audio.mimeType, "audio/wav");
+  assert.deepEqual(Buffer.from(audio.data, "base64"), await runtime.storage.read(link.name));
+  assert.ok(text.text.includes(`🔗 **다운로드**: ${link.uri}`));
+  assert.equal(verifyLink(link.uri, link.name).owner, "bob");
+
+  const withoutAudio = await runtime.toolRegistry.callTool("text_to_speech", {
+    provider: "local", voice: "en-us", format: "wav", text: "audio content block", include_audio: false,
+  }, toolContext(USERS.bob));
+  assert.deepEqual(withoutAudio.content.map((block) => block.type), ["text", "resource_link"]);
+});
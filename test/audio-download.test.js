@@ -0,0 +1,62 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { signAudioPath } from "../src/audio-urls.js";
+import { bearer, closeServer, createTestRuntime, startTestApp } from "./helpers/runtime.js";
+
+const FILENAME = "tts_test.wav";
+let runtime;
+let server;
+let baseUrl;
+
+before(async () => {
+  runtime = createTestRuntime();
+  await runtime.storage.write(FILENAME, Buffer.from("RIFF----WAVE"));
+  ({ server, baseUrl } = await startTestApp(runtime));
+});
+
+after(async () => {
+  await closeServer(server);
+  runtime.close();
+});
+
+function download(pathname, headers = {}) {
+  return fetch(`${baseUrl}${pathname}`, { headers });
+}
+
+test("사용자에게 묶이지 않은 링크는 토큰 없이 받을 수 있다", async () => {
+  const response = await download(signAudioPath(FILENAME));
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), "RIFF----WAVE");
+});
+
+test("서명이 없거나 틀린 링크는 403", async () => {
+  assert.equal((await download(`/audio/${FILENAME}`)).status, 403);
+  const tampered = signAudioPath(FILENAME).replace(/sig=[^&]+/, "sig=AAAA");
+  assert.equal((await download(tampered)).status, 403);
+});
+
+test("만료된 링크는 403", async () => {
+  const expired = signAudioPath(FILENAME, { now: Date.now() - 2 * 24 * 3600 * 1000 });
+  assert.equal((await download(expired)).status, 403);
+});
+
+test("묶인 링크는 발급받은 사용자와 admin만 받을 수 있다", async () => {
+  const link = signAudioPath(FILENAME, { owner: "alice" });
+  assert.match(link, /owner=alice/);
+
+  assert.equal((await download(link)).status, 401);
+  assert.equal((await download(link, bearer("bob"))).status, 403);
+  assert.equal((await download(link, bearer("alice"))).status, 200);
+  assert.equal((await download(link, bearer("root"))).status, 200);
+});
+
+test("묶인 소유자를 바꾼 링크는 서명 검증에서 거부된다", async () => {
+  const forged = signAudioPath(FILENAME, { owner: "alice" }).replace("owner=alice", "owner=bob");
+  assert.equal((await download(forged, bearer("bob"))).status, 403);
+});
+
+test("오디오 파일이 아니거나 경로가 섞인 파일명은 404", async () => {
+  assert.equal((await download(signAudioPath(".catalog.jsonl"))).status, 404);
+  assert.equal((await download(signAudioPath("missing.wav"))).status, 404);
+});
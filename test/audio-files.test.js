@@ -0,0 +1,12 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { assertAudioFilename, createAudioFilename } from "../src/audio-files.js";
+
+test("새 파일명에는 원문 텍스트 없이 생성 시각과 임의 값만 들어간다", () => {
+  const first = createAudioFilename("mp3");
+  const second = createAudioFilename("mp3");
+  assert.match(first, /^tts_\d{4}-\d{2}-\d{2}T[\d-]+Z_[0-9a-f]{16}\.mp3$/);
+  assert.notEqual(first, second);
+  assert.match(createAudioFilename("wav", { kind: "dialogue" }), /^tts_[\dTZ-]+_dialogue_[0-9a-f]{16}\.wav$/);
+  assert.doesNotThrow(() => assertAudioFilename(first));
+});
@@ -0,0 +1,112 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { ResourceListChangedNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { AUDIO_RESOURCE_TEMPLATES, listAudioResources, toAudioUri } from "../src/audio-resources.js";
+import { USERS, connectClient, createTestRuntime, synthesizeAs, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+let aliceFile;
+let bobFile;
+
+before(async () => {
+  runtime = createTestRuntime();
+  aliceFile = (await synthesizeAs(runtime, USERS.alice, "alice resource")).filename;
+  bobFile = (await synthesizeAs(runtime, USERS.bob, "bob resource")).filename;
+});
+
+after(() => {
+  runtime.close();
+});
+
+test("resources/list는 세션 사용자가 생성한 파일만 보여준다", async () => {
+  const client = await connectClient(runtime, USERS.bob);
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map((resource) => resource.name), [bobFile]);
+  assert.equal(resources[0].uri, toAudioUri(bobFile));
+  assert.equal(resources[0].mimeType, "audio/wav");
+  await client.close();
+});
+
+test("resources/list는 admin에게 모든 파일을 보여준다", async () => {
+  const client = await connectClient(runtime, USERS.root);
+  const { resources } = await client.listResources();
+  assert.deepEqual(resources.map((resource) => resource.name).sort(), [aliceFile, bobFile].sort());
+  await client.close();
+});
+
+test("resources/read는 다른 사용자의 파일을 없는 것으로 취급한다", async () => {
+  const client = await connectClient(runtime, USERS.bob);
+  await assert.rejects(client.readResource({ uri: toAudioUri(aliceFile) }), /리소스를 찾을 수 없습니다/);
+
+  const { contents } = await client.readResource({ uri: toAudioUri(bobFile) });
+  const expected = await runtime.storage.read(bobFile);
+  assert.equal(contents[0].blob, expected.toString("base64"));
+  await client.close();
+});
+
+test("resources/read는 하위 경로와 숨김 파일을 거부한다", async () => {
+  const client = await connectClient(runtime, USERS.root);
+  await assert.rejects(client.readResource({ uri: "audio://..%2F.catalog.jsonl" }), /잘못된 오디오 파일명/);
+  await assert.rejects(client.readResource({ uri: toAudioUri(".catalog.jsonl") }), /리소스를 찾을 수 없습니다/);
+  await client.close();
+});
+
+test("resources/read는 읽은 파일의 사용 시각을 기록한다", async () => {
+  const client = await connectClient(runtime, USERS.alice);
+  assert.equal(runtime.audioCatalog.get(aliceFile).lastAccessedAt, undefined);
+  await client.readResource({ uri: toAudioUri(aliceFile) });
+  assert.ok(runtime.audioCatalog.get(aliceFile).lastAccessedAt);
+  await client.close();
+});
+
+test("resources/templates/list는 audio:// 템플릿을 알려 준다", async () => {
+  const client = await connectClient(runtime, USERS.alice);
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepEqual(resourceTemplates, AUDIO_RESOURCE_TEMPLATES);
+  await client.close();
+});
+
+test("파일이 생기거나 지워지면 list_changed 알림을 보낸다", async () => {
+  const client = await connectClient(runtime, USERS.alice);
+  let notified = 0;
+  let onNotified;
+  client.setNotificationHandler(ResourceListChangedNotificationSchema, () => {
+    notified++;
+    onNotified?.();
+  });
+  const waitNotified = () => new Promise((resolve) => {
+    onNotified = resolve;
+  });
+
+  let changed = waitNotified();
+  const created = await runtime.toolRegistry.callTool("text_to_speech", {
+    provider: "local", voice: "en-us", format: "wav", text: "notify me", include_audio: false,
+  }, toolContext(USERS.alice));
+  await changed;
+  assert.equal(notified, 1);
+
+  changed = waitNotified();
+  await runtime.toolRegistry.callTool("delete_audio_file", { filename: created.content[1].name }, toolContext(USERS.alice));
+  await changed;
+  assert.equal(notified, 2);
+  await client.close();
+});
+
+test("목록은 최신순으로 나누어 주고 커서로 이어서 읽는다", async () => {
+  const filenames = Array.from({ length: 120 }, (_, index) => `tts_${String(index).padStart(3, "0")}.mp3`);
+  const storage = { list: async () => filenames.map((filename) => ({ filename, bytes: 1024 })) };
+  const canRead = (filename) => filename !== "tts_050.mp3";
+
+  const pages = [];
+  let cursor;
+  do {
+    const page = await listAudioResources(storage, cursor, canRead);
+    pages.push(page.resources.map((resource) => resource.name));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(pages.map((page) => page.length), [50, 50, 19]);
+  const expected = filenames.filter(canRead).reverse();
+  assert.deepEqual(pages.flat(), expected);
+});
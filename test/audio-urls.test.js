@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+
+// 설정은 모듈을 불러올 때 읽으므로 환경변수를 먼저 지정
+process.env.AUDIO_URL_SECRET = "test-secret";
+process.env.AUDIO_URL_TTL_SECONDS = "600";
+process.env.AUDIO_URL_BIND_OWNER = "true";
+
+let signAudioPath;
+let verifyAudioSignature;
+before(async () => {
+  ({ signAudioPath, verifyAudioSignature } = await import("../src/audio-urls.js"));
+});
+
+const NOW = Date.UTC(2025, 0, 1);
+
+// 서명된 경로 → { filename, query } (Express가 req.params·req.query로 넘겨주는 형태)
+function parse(signedPath) {
+  const url = new URL(signedPath, "http://localhost");
+  return {
+    filename: decodeURIComponent(url.pathname.replace(/^\/audio\//, "")),
+    query: Object.fromEntries(url.searchParams),
+  };
+}
+
+test("서명한 링크는 유효 시간 안에 검증된다", () => {
+  const { filename, query } = parse(signAudioPath("tts_hello.mp3", { now: NOW }));
+  assert.equal(filename, "tts_hello.mp3");
+  assert.equal(Number(query.expires), NOW / 1000 + 600);
+  assert.deepEqual(verifyAudioSignature(filename, query, NOW + 1000), { ok: true, owner: null });
+});
+
+test("파일명에 특수문자가 있어도 경로가 인코딩되어 검증된다", () => {
+  const { filename, query } = parse(signAudioPath("tts_안녕 #1.mp3", { now: NOW }));
+  assert.equal(filename, "tts_안녕 #1.mp3");
+  assert.equal(verifyAudioSignature(filename, query, NOW).ok, true);
+});
+
+test("만료된 링크는 거부한다", () => {
+  const { filename, query } = parse(signAudioPath("tts_hello.mp3", { now: NOW }));
+  const result = verifyAudioSignature(filename, query, NOW + 600 * 1000);
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /만료/);
+});
+
+test("파일명·만료 시각·서명을 바꾸면 거부한다", () => {
+  const { filename, query } = parse(signAudioPath("tts_hello.mp3", { now: NOW }));
+  assert.equal(verifyAudioSignature("tts_other.mp3", query, NOW).ok, false);
+  assert.equal(verifyAudioSignature(filename, { ...query, expires: String(Number(query.expires) + 3600) }, NOW).ok, false);
+  const flipped = `${query.sig.slice(0, -1)}${query.sig.endsWith("A") ? "B" : "A"}`;
+  assert.equal(verifyAudioSignature(filename, { ...query, sig: flipped }, NOW).ok, false);
+  assert.equal(verifyAudioSignature(filename, { ...query, sig: "short" }, NOW).ok, false);
+});
+
+test("서명 쿼리가 없거나 형식이 다르면 거부한다", () => {
+  assert.equal(verifyAudioSignature("tts_hello.mp3", {}, NOW).ok, false);
+  assert.equal(verifyAudioSignature("tts_hello.mp3", undefined, NOW).ok, false);
+  const { query } = parse(signAudioPath("tts_hello.mp3", { now: NOW }));
+  assert.equal(verifyAudioSignature("tts_hello.mp3", { ...query, expires: [query.expires, "1"] }, NOW).ok, false);
+});
+
+test("묶인 사용자는 서명에 포함되어 바꾸거나 지울 수 없다", () => {
+  const { filename, query } = parse(signAudioPath("tts_hello.mp3", { owner: "alice", now: NOW }));
+  assert.equal(query.owner, "alice");
+  assert.deepEqual(verifyAudioSignature(filename, query, NOW), { ok: true, owner: "alice" });
+  assert.equal(verifyAudioSignature(filename, { ...query, owner: "bob" }, NOW).ok, false);
+  const { owner, ...withoutOwner } = query;
+  assert.equal(owner, "alice");
+  assert.equal(verifyAudioSignature(filename, withoutOwner, NOW).ok, false);
+});
@@ -0,0 +1,47 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { afterEach, mock, test } from "node:test";
+import { findUserByToken, loadTokens } from "../src/auth.js";
+import { logger } from "../src/logger.js";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test("AUTH_TOKENS의 이름:토큰 항목은 user 역할이다", () => {
+  const tokens = loadTokens({ AUTH_TOKENS: "alice:alice-token, bob:bob-token" });
+  assert.deepEqual(findUserByToken(tokens, "alice-token"), { name: "alice", role: "user" });
+  assert.deepEqual(findUserByToken(tokens, "bob-token"), { name: "bob", role: "user" });
+  assert.equal(findUserByToken(tokens, "nope"), null);
+});
+
+test("AUTH_TOKENS의 이름:토큰:역할 항목은 역할을 읽는다", () => {
+  const tokens = loadTokens({ AUTH_TOKENS: "root:root-token:admin,carol:carol-token:user" });
+  assert.deepEqual(findUserByToken(tokens, "root-token"), { name: "root", role: "admin" });
+  assert.deepEqual(findUserByToken(tokens, "carol-token"), { name: "carol", role: "user" });
+});
+
+test("역할을 적은 항목은 토큰에 ':'이 들어 있어도 된다", () => {
+  const warn = mock.method(logger, "warn");
+  const tokens = loadTokens({ AUTH_TOKENS: "root:a:b:c:admin" });
+  assert.deepEqual(findUserByToken(tokens, "a:b:c"), { name: "root", role: "admin" });
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test("마지막 필드가 역할이 아니면 첫 ':' 뒤 전체를 토큰으로 쓰고 경고한다 (하위 호환)", () => {
+  const warn = mock.method(logger, "warn");
+  const tokens = loadTokens({ AUTH_TOKENS: "alice:abc:def,bob:bob-token" });
+  assert.deepEqual(findUserByToken(tokens, "abc:def"), { name: "alice", role: "user" });
+  assert.equal(findUserByToken(tokens, "abc"), null);
+  assert.deepEqual(findUserByToken(tokens, "bob-token"), { name: "bob", role: "user" });
+
+  assert.equal(warn.mock.callCount(), 1);
+  const [message, fields] = warn.mock.calls[0].arguments;
+  assert.match(message, /AUTH_TOKENS/);
+  assert.deepEqual(fields, { name: "alice" });
+});
+
+test("토큰이 비어 있는 항목은 거부한다", () => {
+  assert.throws(() => loadTokens({ AUTH_TOKENS: "alice" }), /name과 token이 모두 필요합니다/);
+  assert.throws(() => loadTokens({ AUTH_TOKENS: "alice:" }), /name과 token이 모두 필요합니다/);
+});
@@ -0,0 +1,113 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { getProvider } from "../src/providers/index.js";
+import { CHUNK_CONCURRENCY } from "../src/synthesis.js";
+import { USERS, createTestRuntime, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+
+before(() => {
+  runtime = createTestRuntime();
+});
+
+after(() => {
+  runtime.close();
+});
+
+afterEach(() => {
+  delete process.env.FAKE_ESPEAK_FAIL_ON;
+});
+
+const SCRIPT = {
+  provider: "local",
+  format: "wav",
+  speakers: { 진행자: { voice: "ko" }, 게스트: { voice: "en-us", speed: 1.2 } },
+  turns: [
+    { speaker: "진행자", text: "안녕하세요" },
+    { speaker: "게스트", text: "hello there", pause_ms: 500 },
+  ],
+  include_audio: false,
+};
+
+const charsOf = (script) => script.turns.reduce((sum, turn) => sum + turn.text.length, 0);
+const usedChars = (user) => runtime.usageTracker.describe(user).charsToday.used;
+
+test("대본을 하나의 파일로 저장하고 대사별 시각을 기록한다", async () => {
+  const before = usedChars(USERS.alice);
+  const result = await runtime.toolRegistry.callTool("synthesize_dialogue", SCRIPT, toolContext(USERS.alice));
+  assert.equal(result.isError, undefined);
+
+  const [first, second] = result._meta.turns;
+  assert.equal(first.start, 0);
+  assert.equal(second.start, Number((first.end + 0.5).toFixed(3)));
+  assert.equal(result._meta.durationSeconds, second.end);
+
+  const [record] = runtime.audioCatalog.list((entry) => entry.dialogue);
+  assert.match(record.filename, /^tts_.+_dialogue_[0-9a-f]+\.wav$/);
+  assert.equal(record.owner, "alice");
+  assert.equal(record.text, "진행자: 안녕하세요\n게스트: hello there");
+  assert.equal(record.voice, "ko, en-us");
+  assert.ok(await runtime.storage.stat(record.filename));
+  assert.equal(usedChars(USERS.alice), before + charsOf(SCRIPT));
+});
+
+test("정의되지 않은 화자는 몇 번째 대사인지 알려 준다", async () => {
+  const result = await runtime.toolRegistry.callTool("synthesize_dialogue", {
+    ...SCRIPT,
+    turns: [...SCRIPT.turns, { speaker: "청중", text: "질문" }],
+  }, toolContext(USERS.alice));
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /3번째 대사의 화자가 speakers에 없습니다: 청중/);
+});
+
+test("합성이 실패하면 예약한 문자 수를 해제하고 파일을 남기지 않는다", async () => {
+  process.env.FAKE_ESPEAK_FAIL_ON = "hello";
+  const files = (await runtime.storage.list()).length;
+  const result = await runtime.toolRegistry.callTool("synthesize_dialogue", SCRIPT, toolContext(USERS.bob));
+  assert.equal(result.isError, true);
+  assert.equal(usedChars(USERS.bob), 0);
+  assert.equal((await runtime.storage.list()).length, files);
+});
+
+test("저장이 실패하면 예약한 문자 수를 해제한다", async () => {
+  const { write } = runtime.storage;
+  runtime.storage.write = async () => {
+    throw new Error("disk full");
+  };
+  try {
+    const result = await runtime.toolRegistry.callTool("synthesize_dialogue", SCRIPT, toolContext(USERS.bob));
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /disk full/);
+  } finally {
+    runtime.storage.write = write;
+  }
+  assert.equal(usedChars(USERS.bob), 0);
+});
+
+test("긴 대사가 여러 개여도 업스트림 동시 요청은 CHUNK_CONCURRENCY를 넘지 않는다", async () => {
+  const provider = getProvider("local");
+  const { synthesize } = provider;
+  let inFlight = 0;
+  let peak = 0;
+  provider.synthesize = async (request) => {
+    peak = Math.max(peak, ++inFlight);
+    try {
+      return await synthesize(request);
+    } finally {
+      inFlight--;
+    }
+  };
+  // 대사마다 입력 한도(4096자)를 넘겨 청크 여러 개로 나뉘도록
+  const longText = "This sentence is repeated to make a long turn. ".repeat(120);
+  try {
+    const result = await runtime.toolRegistry.callTool("synthesize_dialogue", {
+      ...SCRIPT,
+      turns: Array.from({ length: CHUNK_CONCURRENCY }, () => ({ speaker: "게스트", text: longText })),
+    }, toolContext(USERS.root));
+    assert.equal(result.isError, undefined);
+  } finally {
+    provider.synthesize = synthesize;
+  }
+  assert.ok(peak <= CHUNK_CONCURRENCY, `동시 요청 ${peak}개`);
+});
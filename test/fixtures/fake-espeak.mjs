@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+// 테스트용 espeak-ng 대역: 표준 입력 텍스트 길이에 비례하는 무음 WAV를 표준 출력으로
+//   FAKE_ESPEAK_FAIL_ON: 이 문자열이 들어 있는 텍스트는 실패 (오류 경로 테스트용)
+
+import { Buffer } from "node:buffer";
+
+const chunks = [];
+for await (const chunk of process.stdin) {
+  chunks.push(chunk);
+}
+const text = Buffer.concat(chunks).toString("utf8");
+
+if (process.env.FAKE_ESPEAK_FAIL_ON && text.includes(process.env.FAKE_ESPEAK_FAIL_ON)) {
+  process.stderr.write("fake espeak failure\n");
+  process.exit(1);
+}
+
+const sampleRate = 8000;
+const data = Buffer.alloc(Math.max(2, text.length * 80));
+const header = Buffer.alloc(44);
+header.write("RIFF", 0);
+header.writeUInt32LE(36 + data.length, 4);
+header.write("WAVEfmt ", 8);
+header.writeUInt32LE(16, 16);
+header.writeUInt16LE(1, 20);
+header.writeUInt16LE(1, 22);
+header.writeUInt32LE(sampleRate, 24);
+header.writeUInt32LE(sampleRate * 2, 28);
+header.writeUInt16LE(2, 32);
+header.writeUInt16LE(16, 34);
+header.write("data", 36);
+header.writeUInt32LE(data.length, 40);
+process.stdout.write(Buffer.concat([header, data]));
@@ -0,0 +1,21 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+// 테스트 공통 환경 (src 모듈이 로드 시점에 읽는 설정이 있으므로 테스트 파일에서 가장 먼저 import)
+//   합성은 가짜 espeak-ng(test/fixtures/fake-espeak.mjs)로 오프라인 실행
+//   사용자: alice, bob (user), root (admin)
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+Object.assign(process.env, {
+  TTS_PROVIDER: "local",
+  LOCAL_TTS_ENGINE: "espeak-ng",
+  LOCAL_TTS_VOICES: "en-us,ko",
+  LOCAL_TTS_COMMAND: path.join(fixtures, "fake-espeak.mjs"),
+  AUTH_TOKENS: "alice:alice-token,bob:bob-token,root:root-token:admin",
+  AUDIO_URL_SECRET: "test-audio-url-secret",
+  AUDIO_URL_BIND_OWNER: "true",
+  LOG_LEVEL: "error",
+});
+
+export const TOKENS = { alice: "alice-token", bob: "bob-token", root: "root-token" };
@@ -0,0 +1,77 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { TOKENS } from "./env.js";
+import { createHttpApp } from "../../src/http-app.js";
+import { logger } from "../../src/logger.js";
+import { resolveSpeechOptions } from "../../src/providers/index.js";
+import { createRuntime } from "../../src/runtime.js";
+
+export { TOKENS };
+
+export const USERS = {
+  alice: { name: "alice", role: "user" },
+  bob: { name: "bob", role: "user" },
+  root: { name: "root", role: "admin" },
+};
+
+// 임시 디렉토리를 쓰는 런타임 (close()로 정리)
+export function createTestRuntime(options = {}) {
+  const audioDir = fs.mkdtempSync(path.join(os.tmpdir(), "tts-test-"));
+  const runtime = createRuntime({ audioDir, ...options });
+  return {
+    ...runtime,
+    close() {
+      runtime.retentionSweeper.stop();
+      fs.rmSync(audioDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// 가짜 엔진으로 합성해 라이브러리에 저장 → 카탈로그 기록
+export async function synthesizeAs(runtime, user, text, args = {}) {
+  const options = resolveSpeechOptions({ provider: "local", voice: "en-us", format: "wav", text, ...args });
+  const { record } = await runtime.synthesizer.synthesize(options, { user, noCache: true });
+  return record;
+}
+
+// 도구 호출 컨텍스트 (MCP 요청과 같은 형태)
+export function toolContext(user, extra = {}) {
+  return { user, log: logger, publicUrl: (pathname) => `http://tts.test${pathname}`, ...extra };
+}
+
+// 세션 사용자가 user인 MCP 서버에 메모리 전송으로 연결한 클라이언트
+export async function connectClient(runtime, user) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const server = runtime.createMcpServer({ user, publicUrl: (pathname) => `http://tts.test${pathname}` });
+  await server.connect(serverTransport);
+  const client = new Client({ name: "test-client", version: "1.0.0" }, { capabilities: {} });
+  await client.connect(clientTransport);
+  return client;
+}
+
+// 서버가 열릴 때까지 기다린 뒤 → { server, baseUrl }
+export async function waitListening(server) {
+  if (!server.listening) {
+    await new Promise((resolve) => server.once("listening", resolve));
+  }
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// 공통 HTTP 앱(/audio, /console, /v1/audio/speech, /metrics) 시작
+// createHttpApp은 프로세스 전역 메트릭을 등록하므로 테스트 파일마다 한 번만 호출
+export async function startTestApp(runtime) {
+  const { app } = createHttpApp(runtime);
+  return waitListening(app.listen(0, "127.0.0.1"));
+}
+
+export function bearer(name) {
+  return { authorization: `Bearer ${TOKENS[name]}` };
+}
+
+export function closeServer(server) {
+  server.closeAllConnections?.();
+  return new Promise((resolve) => server.close(resolve));
+}
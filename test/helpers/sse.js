@@ -0,0 +1,80 @@
+// fetch로 text/event-stream 응답을 열어 이벤트를 하나씩 읽는 도우미
+//   next(): 다음 이벤트 { event, id, data } (스트림이 끝나면 null)
+export async function openEventStream(url, init = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, { ...init, signal: controller.signal });
+  const events = readEvents(response);
+  return {
+    response,
+    ...events,
+    close() {
+      events.cancel();
+      controller.abort();
+    },
+  };
+}
+
+// 이미 받은 응답(POST의 SSE 응답 등)에서 이벤트 읽기
+export function readEvents(response) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let ended = false;
+
+  async function next() {
+    for (;;) {
+      const boundary = buffer.indexOf("\n\n");
+      if (boundary !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const event = parseEvent(block);
+        if (event) {
+          return event;
+        }
+        continue;
+      }
+      if (ended) {
+        return null;
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        ended = true;
+      } else {
+        buffer += value;
+      }
+    }
+  }
+
+  // 스트림이 끝날 때까지 남은 이벤트 모두
+  async function rest() {
+    const events = [];
+    for (let event = await next(); event; event = await next()) {
+      events.push(event);
+    }
+    return events;
+  }
+
+  return { next, rest, cancel: () => reader.cancel().catch(() => {}) };
+}
+
+// ": keepalive" 같은 주석만 있는 블록은 null
+function parseEvent(block) {
+  const event = { event: "message", id: undefined, data: "" };
+  let hasData = false;
+  for (const line of block.split("\n")) {
+    const separator = line.indexOf(":");
+    if (separator === 0) {
+      continue;
+    }
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+    if (field === "event") {
+      event.event = value;
+    } else if (field === "id") {
+      event.id = value;
+    } else if (field === "data") {
+      event.data = hasData ? `${event.data}\n${value}` : value;
+      hasData = true;
+    }
+  }
+  return hasData ? event : null;
+}
@@ -0,0 +1,206 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { SERVER_INFO, SUPPORTED_PROTOCOL_VERSIONS } from "../src/runtime.js";
+import { startHttpServer } from "../src/transports/http.js";
+import { USERS, bearer, closeServer, createTestRuntime, synthesizeAs, waitListening } from "./helpers/runtime.js";
+import { openEventStream, readEvents } from "./helpers/sse.js";
+
+let runtime;
+let server;
+let baseUrl;
+const streams = [];
+
+before(async () => {
+  runtime = createTestRuntime();
+  ({ server, baseUrl } = await waitListening(startHttpServer(runtime, { port: 0 })));
+});
+
+after(async () => {
+  streams.forEach((stream) => stream.close());
+  await closeServer(server);
+  runtime.close();
+});
+
+const ACCEPT_BOTH = "application/json, text/event-stream";
+const longText = (sentence, repeat = 600) => `${sentence}. `.repeat(repeat).trim();
+
+function post(body, { name = "alice", sessionId, headers = {} } = {}) {
+  return fetch(`${baseUrl}/mcp`, {
+    method: "POST",
+    headers: {
+      ...bearer(name),
+      "content-type": "application/json",
+      accept: ACCEPT_BOTH,
+      ...(sessionId ? { "mcp-session-id": sessionId } : {}),
+      ...headers,
+    },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+}
+
+const initialize = (protocolVersion = "2025-03-26") => ({
+  jsonrpc: "2.0",
+  id: 0,
+  method: "initialize",
+  params: { protocolVersion, capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } },
+});
+
+// initialize 후 Mcp-Session-Id 반환
+async function openSession(name = "alice") {
+  const response = await post(initialize(), { name });
+  assert.equal(response.status, 200);
+  await response.json();
+  const sessionId = response.headers.get("mcp-session-id");
+  assert.equal((await post({ jsonrpc: "2.0", method: "notifications/initialized" }, { name, sessionId })).status, 202);
+  return sessionId;
+}
+
+async function activeSessions() {
+  const response = await fetch(`${baseUrl}/health`);
+  return (await response.json()).activeSessions;
+}
+
+test("initialize는 세션 id 헤더와 협상한 프로토콜 버전을 돌려준다", async () => {
+  const response = await post(initialize("2025-03-26"));
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /application\/json/);
+  const sessionId = response.headers.get("mcp-session-id");
+  assert.ok(sessionId);
+  const body = await response.json();
+  assert.equal(body.id, 0);
+  assert.equal(body.result.protocolVersion, "2025-03-26");
+  assert.equal(body.result.serverInfo.name, SERVER_INFO.name);
+
+  const unknownVersion = await post(initialize("1999-01-01"));
+  assert.equal((await unknownVersion.json()).result.protocolVersion, SUPPORTED_PROTOCOL_VERSIONS[0]);
+  assert.ok(await activeSessions() >= 2);
+});
+
+test("세션 헤더·프로토콜 버전·콘텐츠 협상이 맞지 않으면 거부한다", async () => {
+  const sessionId = await openSession();
+  const list = { jsonrpc: "2.0", id: 1, method: "tools/list", params: {} };
+
+  const missing = await post(list);
+  assert.equal(missing.status, 400);
+  assert.match((await missing.json()).error.message, /Mcp-Session-Id/);
+
+  const unknown = await post(list, { sessionId: "nope" });
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).error.code, -32001);
+
+  // 다른 사용자의 세션은 없는 것으로 취급
+  const asBob = await post(list, { name: "bob", sessionId });
+  assert.equal(asBob.status, 404);
+  await asBob.body?.cancel();
+
+  const badVersion = await post(list, { sessionId, headers: { "mcp-protocol-version": "1999-01-01" } });
+  assert.equal(badVersion.status, 400);
+  assert.match((await badVersion.json()).error.message, /MCP-Protocol-Version/);
+
+  const badType = await post(JSON.stringify(list), { sessionId, headers: { "content-type": "text/plain" } });
+  assert.equal(badType.status, 415);
+  await badType.body?.cancel();
+
+  const badAccept = await post(list, { sessionId, headers: { accept: "text/html" } });
+  assert.equal(badAccept.status, 406);
+  await badAccept.body?.cancel();
+
+  const notRpc = await post({ hello: "world" }, { sessionId });
+  assert.equal(notRpc.status, 400);
+  assert.equal((await notRpc.json()).error.code, -32600);
+
+  const parseError = await post("{", { sessionId });
+  assert.equal(parseError.status, 400);
+  assert.equal((await parseError.json()).error.code, -32700);
+
+  const unauthorized = await fetch(`${baseUrl}/mcp`, { method: "POST", headers: { "content-type": "application/json" }, body: "{}" });
+  assert.equal(unauthorized.status, 401);
+  await unauthorized.body?.cancel();
+
+  const ok = await post(list, { sessionId, headers: { "mcp-protocol-version": "2025-03-26" } });
+  assert.equal(ok.status, 200);
+  assert.ok((await ok.json()).result.tools.length > 0);
+});
+
+test("tools/call은 진행 알림과 결과를 text/event-stream으로 보내고 Last-Event-ID로 이어 받을 수 있다", async () => {
+  const sessionId = await openSession();
+  const response = await post({
+    jsonrpc: "2.0",
+    id: "call-1",
+    method: "tools/call",
+    params: {
+      name: "text_to_speech",
+      arguments: { provider: "local", voice: "en-us", format: "wav", text: longText("http streaming"), include_audio: false },
+      _meta: { progressToken: "p1" },
+    },
+  }, { sessionId });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/event-stream/);
+
+  const events = await readEvents(response).rest();
+  const messages = events.map((event) => JSON.parse(event.data));
+  const progress = messages.filter((message) => message.method === "notifications/progress");
+  assert.ok(progress.length > 1);
+  assert.ok(progress.every((message) => message.params.progressToken === "p1"));
+  const result = messages.at(-1);
+  assert.equal(result.id, "call-1");
+  assert.equal(result.result.isError, undefined);
+
+  // 이벤트 id는 스트림 안에서 순번이 이어지고, 첫 이벤트 뒤부터 다시 받을 수 있음
+  const [streamId] = events[0].id.split("_");
+  assert.deepEqual(events.map((event) => event.id), events.map((_, index) => `${streamId}_${index + 1}`));
+  const resumed = await openEventStream(`${baseUrl}/mcp`, {
+    headers: { ...bearer("alice"), accept: "text/event-stream", "mcp-session-id": sessionId, "last-event-id": events[0].id },
+  });
+  streams.push(resumed);
+  assert.deepEqual((await resumed.rest()).map((event) => event.id), events.slice(1).map((event) => event.id));
+});
+
+test("JSON만 받는 클라이언트에게는 tools/call 결과도 한 번에 JSON으로 응답한다", async () => {
+  const sessionId = await openSession();
+  const response = await post([
+    { jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "get_my_usage", arguments: {} } },
+    { jsonrpc: "2.0", id: 2, method: "tools/list", params: {} },
+  ], { sessionId, headers: { accept: "application/json" } });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual(body.map((message) => message.id).sort(), [1, 2]);
+
+  const initBatch = await post([initialize(), { jsonrpc: "2.0", id: 3, method: "tools/list", params: {} }], { sessionId });
+  assert.equal(initBatch.status, 400);
+  await initBatch.body?.cancel();
+});
+
+test("GET 스트림으로 서버 알림을 받고 DELETE로 세션을 끝낸다", async () => {
+  const sessionId = await openSession();
+  const headers = { ...bearer("alice"), accept: "text/event-stream", "mcp-session-id": sessionId };
+
+  const notAcceptable = await fetch(`${baseUrl}/mcp`, { headers: { ...headers, accept: "application/json" } });
+  assert.equal(notAcceptable.status, 406);
+  await notAcceptable.body?.cancel();
+
+  const stream = await openEventStream(`${baseUrl}/mcp`, { headers });
+  streams.push(stream);
+  assert.equal(stream.response.status, 200);
+
+  // 같은 세션의 두 번째 스트림은 거부
+  const conflict = await fetch(`${baseUrl}/mcp`, { headers });
+  assert.equal(conflict.status, 409);
+  await conflict.body?.cancel();
+
+  await synthesizeAs(runtime, USERS.alice, "http list changed");
+  const event = await stream.next();
+  assert.equal(event.id, "standalone_1");
+  assert.equal(JSON.parse(event.data).method, "notifications/resources/list_changed");
+
+  const sessions = await activeSessions();
+  const deleted = await fetch(`${baseUrl}/mcp`, { method: "DELETE", headers });
+  assert.equal(deleted.status, 204);
+  assert.equal(await stream.next(), null);
+  assert.equal(await activeSessions(), sessions - 1);
+
+  const gone = await post({ jsonrpc: "2.0", id: 1, method: "tools/list", params: {} }, { sessionId });
+  assert.equal(gone.status, 404);
+  await gone.body?.cancel();
+});
@@ -0,0 +1,122 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { setImmediate as tick } from "node:timers/promises";
+import { createJobQueue, loadJobSettings } from "../src/jobs.js";
+
+// 합성 도구 없이 작업 큐만 검증 (synthesize는 테스트가 끝내는 시점을 정함)
+// createJobQueue는 프로세스 전역 게이지(tts_jobs)를 등록하므로 파일 전체에서 큐 하나를 씀
+
+const HOUR = 3600 * 1000;
+const request = (text) => ({ provider: "local", text, voice: "en-us", format: "wav", noCache: false, includeAudio: false });
+const user = { name: "alice", role: "user" };
+
+let audioDir;
+let queue;
+// 텍스트 → { resolve, reject, signal } (실행 중인 합성)
+const started = new Map();
+
+function savedJob(id, status, { createdAt, finishedAt } = {}) {
+  return {
+    id,
+    owner: "alice",
+    user,
+    status,
+    request: request(`restored ${id}`),
+    progress: { completed: 1, total: 3 },
+    createdAt: createdAt ?? new Date(Date.now() - HOUR).toISOString(),
+    ...(finishedAt && { finishedAt }),
+  };
+}
+
+function fakeSynthesize(options, { signal }) {
+  return new Promise((resolve, reject) => {
+    started.set(options.text, { resolve, reject, signal });
+    signal.addEventListener("abort", () => reject(new Error("aborted")));
+  });
+}
+
+function finish(text, filename = "tts_done.wav") {
+  started.get(text).resolve({ record: { filename, bytes: 10, durationSeconds: 1 }, cacheHit: false, cacheStatus: "miss" });
+}
+
+const readJobsFile = () => JSON.parse(fs.readFileSync(path.join(audioDir, ".jobs.json"), "utf8"));
+
+before(() => {
+  audioDir = fs.mkdtempSync(path.join(os.tmpdir(), "tts-jobs-"));
+  fs.writeFileSync(path.join(audioDir, ".jobs.json"), JSON.stringify([
+    savedJob("queued-1", "queued", { createdAt: new Date(Date.now() - 2 * HOUR).toISOString() }),
+    savedJob("running-1", "running"),
+    savedJob("done-recent", "succeeded", { finishedAt: new Date(Date.now() - HOUR).toISOString() }),
+    savedJob("failed-old", "failed", { finishedAt: new Date(Date.now() - 48 * HOUR).toISOString() }),
+  ]));
+  queue = createJobQueue({ audioDir, synthesize: fakeSynthesize, settings: { concurrency: 1, retentionMs: 24 * HOUR } });
+  queue.start();
+});
+
+after(() => {
+  for (const job of queue.list()) {
+    queue.cancel(job.id);
+  }
+  fs.rmSync(audioDir, { recursive: true, force: true });
+});
+
+test("작업 설정은 잘못된 값을 기본값으로 대신하고 동시 실행 수는 1 이상이다", () => {
+  assert.deepEqual(loadJobSettings({}), { concurrency: 2, retentionMs: 24 * HOUR });
+  assert.deepEqual(loadJobSettings({ TTS_JOB_CONCURRENCY: "0", TTS_JOB_RETENTION_HOURS: "abc" }), { concurrency: 2, retentionMs: 24 * HOUR });
+  assert.equal(loadJobSettings({ TTS_JOB_CONCURRENCY: "4" }).concurrency, 4);
+  assert.equal(loadJobSettings({ TTS_JOB_CONCURRENCY: "-3" }).concurrency, 1);
+});
+
+test("재시작하면 끝나지 않은 작업을 처음부터 다시 실행하고 보관 기간이 지난 기록은 지운다", async () => {
+  assert.equal(queue.get("failed-old"), null);
+  assert.equal(queue.get("done-recent").status, "succeeded");
+  assert.deepEqual(readJobsFile().map((job) => job.id).sort(), ["done-recent", "queued-1", "running-1"]);
+
+  // 동시 실행 1개: 먼저 만들어진 작업부터
+  const first = queue.get("queued-1");
+  assert.equal(first.status, "running");
+  assert.deepEqual(first.progress, { completed: 0, total: null });
+  assert.equal(queue.get("running-1").status, "queued");
+  assert.equal(queue.queuePosition("running-1"), 1);
+  assert.deepEqual([...started.keys()], ["restored queued-1"]);
+
+  finish("restored queued-1");
+  await tick();
+  assert.equal(first.status, "succeeded");
+  assert.equal(first.result.filename, "tts_done.wav");
+  assert.equal(queue.get("running-1").status, "running");
+  assert.equal(readJobsFile().find((job) => job.id === "queued-1").status, "succeeded");
+
+  finish("restored running-1");
+  await tick();
+  assert.equal(queue.get("running-1").status, "succeeded");
+});
+
+test("새 작업은 대기 순번을 받고 실행 중인 작업을 취소하면 다음 작업이 시작된다", async () => {
+  const a = queue.submit({ user, options: { ...request("new a"), provider: { name: "local" } } });
+  const b = queue.submit({ user, options: { ...request("new b"), provider: { name: "local" } } });
+  assert.equal(a.status, "running");
+  assert.equal(queue.queuePosition(b.id), 1);
+  assert.equal(queue.status().running, 1);
+
+  const updates = [];
+  const unsubscribe = queue.subscribe(a.id, (job) => updates.push(job.status));
+  queue.cancel(a.id);
+  await tick();
+  unsubscribe();
+  assert.equal(a.status, "cancelled");
+  assert.ok(started.get("new a").signal.aborted);
+  assert.deepEqual(updates, ["cancelled"]);
+  assert.equal(b.status, "running");
+  assert.equal(queue.queuePosition(b.id), null);
+
+  started.get("new b").reject(Object.assign(new Error("엔진 오류"), { code: "ENGINE_FAILED" }));
+  await tick();
+  assert.equal(b.status, "failed");
+  assert.deepEqual(b.error, { message: "엔진 오류", code: "ENGINE_FAILED" });
+  assert.deepEqual(queue.status().counts, { succeeded: 3, cancelled: 1, failed: 1 });
+});
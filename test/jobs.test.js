@@ -0,0 +1,115 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, afterEach, before, mock, test } from "node:test";
+import { USERS, createTestRuntime, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+
+before(() => {
+  runtime = createTestRuntime();
+});
+
+after(() => {
+  runtime.close();
+});
+
+afterEach(() => {
+  delete process.env.FAKE_ESPEAK_FAIL_ON;
+  mock.restoreAll();
+});
+
+// 로컬 프로바이더 입력 한도(4096자)를 넘겨 여러 청크로 나뉘는 텍스트
+// (캐시에 걸리지 않도록 테스트마다 다른 문장 사용)
+const longText = (sentence) => `${sentence}. `.repeat(600).trim();
+
+function call(name, args, user = USERS.alice, extra = {}) {
+  return runtime.toolRegistry.callTool(name, args, toolContext(user, extra));
+}
+
+async function submit(text, user = USERS.alice) {
+  const result = await call("text_to_speech", { provider: "local", voice: "en-us", format: "wav", text, async: true, include_audio: false }, user);
+  assert.equal(result.isError, undefined);
+  return result;
+}
+
+test("async 호출은 작업 ID를 바로 반환하고 진행 알림 받는 방법을 알려 준다", async () => {
+  const result = await submit("hello");
+  assert.ok(result._meta.jobId);
+  assert.match(result.content[0].text, /wait_seconds/);
+
+  const done = await call("get_tts_job", { job_id: result._meta.jobId, wait_seconds: 10 });
+  assert.equal(done._meta.job.status, "succeeded");
+});
+
+test("get_tts_job 대기 중에 청크 진행 알림을 보내고 결과를 반환한다", async () => {
+  const { _meta: { jobId } } = await submit(longText("progress reported"));
+  const reports = [];
+  const result = await call("get_tts_job", { job_id: jobId, wait_seconds: 30 }, USERS.alice, {
+    reportProgress: (completed, total) => reports.push({ completed, total }),
+  });
+
+  assert.equal(result._meta.job.status, "succeeded");
+  assert.match(result.content[0].text, /음성 합성 작업이 완료되었습니다/);
+  assert.ok(reports.length > 1);
+  const { total } = reports.at(-1);
+  assert.ok(total > 1);
+  assert.deepEqual(reports.at(-1), { completed: total, total });
+  assert.ok(reports.every((report, index) => index === 0 || report.completed > reports[index - 1].completed));
+});
+
+test("작업 파일은 청크 수와 관계없이 상태가 바뀔 때만 기록한다", async () => {
+  const writeFileSync = mock.method(fs, "writeFileSync");
+  const { _meta: { jobId } } = await submit(longText("persisted on status changes"));
+  const result = await call("get_tts_job", { job_id: jobId, wait_seconds: 30 });
+  assert.equal(result._meta.job.status, "succeeded");
+  assert.ok(result._meta.job.progress.total > 1);
+
+  const jobWrites = writeFileSync.mock.calls.filter(({ arguments: [file] }) => String(file).includes(".jobs.json"));
+  // 등록(queued) → running → succeeded
+  assert.equal(jobWrites.length, 3);
+});
+
+test("다른 사용자의 작업은 조회·취소할 수 없고 관리자는 조회할 수 있다", async () => {
+  const { _meta: { jobId } } = await submit("hello", USERS.alice);
+
+  for (const name of ["get_tts_job", "cancel_tts_job"]) {
+    const result = await call(name, { job_id: jobId }, USERS.bob);
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /작업을 찾을 수 없습니다/);
+  }
+  const listed = await call("get_tts_job", {}, USERS.bob);
+  assert.ok(listed._meta.jobs.every((job) => job.owner === "bob"));
+
+  const asAdmin = await call("get_tts_job", { job_id: jobId, wait_seconds: 10 }, USERS.root);
+  assert.equal(asAdmin._meta.job.owner, "alice");
+});
+
+test("실패한 작업은 오류 메시지를 보여 준다", async () => {
+  process.env.FAKE_ESPEAK_FAIL_ON = "boom";
+  const { _meta: { jobId } } = await submit("this will boom");
+  const result = await call("get_tts_job", { job_id: jobId, wait_seconds: 10 });
+  assert.equal(result._meta.job.status, "failed");
+  assert.match(result.content[0].text, /❌ \*\*오류\*\*/);
+});
+
+test("대기 중인 작업을 취소하고 끝난 작업은 취소하지 않는다", async () => {
+  // 동시 실행 수(기본 2)만큼 채운 뒤 세 번째 작업은 대기 상태로 남는다
+  const jobIds = [];
+  for (let index = 0; index < runtime.jobQueue.settings.concurrency + 1; index++) {
+    jobIds.push((await submit(longText(`queued job ${index}`)))._meta.jobId);
+  }
+  const queuedId = jobIds.at(-1);
+  assert.equal(runtime.jobQueue.get(queuedId).status, "queued");
+
+  const cancelled = await call("cancel_tts_job", { job_id: queuedId });
+  assert.equal(cancelled._meta.job.status, "cancelled");
+
+  const again = await call("cancel_tts_job", { job_id: queuedId });
+  assert.equal(again.isError, true);
+  assert.match(again.content[0].text, /이미 끝난 작업입니다/);
+
+  for (const jobId of jobIds.slice(0, -1)) {
+    await call("get_tts_job", { job_id: jobId, wait_seconds: 30 });
+  }
+});
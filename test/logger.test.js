@@ -0,0 +1,127 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, afterEach, before, mock, test } from "node:test";
+import { createLogger, loadLogConfig, redact, requestContext } from "../src/logger.js";
+import { USERS, closeServer, connectClient, createTestRuntime, startTestApp } from "./helpers/runtime.js";
+
+let runtime;
+let server;
+let baseUrl;
+
+before(async () => {
+  runtime = createTestRuntime();
+  ({ server, baseUrl } = await startTestApp(runtime));
+});
+
+after(async () => {
+  await closeServer(server);
+  runtime.close();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// stderr로 나간 로그 줄을 JSON으로 모음
+function captureLogs() {
+  const lines = [];
+  mock.method(process.stderr, "write", (chunk) => {
+    lines.push(JSON.parse(chunk));
+    return true;
+  });
+  return lines;
+}
+
+test("로그 설정은 알 수 없는 수준을 info로, 텍스트 가림은 기본으로 켠다", () => {
+  assert.deepEqual(loadLogConfig({}), { level: "info", format: "json", logBodies: false, redactText: true });
+  assert.deepEqual(
+    loadLogConfig({ LOG_LEVEL: "DEBUG", LOG_FORMAT: "pretty", LOG_REQUEST_BODIES: "true", LOG_REDACT_TEXT: "false" }),
+    { level: "debug", format: "pretty", logBodies: true, redactText: false },
+  );
+  assert.equal(loadLogConfig({ LOG_LEVEL: "loud" }).level, "info");
+});
+
+test("인증 헤더·토큰·비밀 값과 합성 입력 텍스트를 가린다", () => {
+  const redacted = redact({
+    headers: { authorization: "Bearer alice-token", "x-api-key": "k", accept: "*/*" },
+    body: { refresh_token: "r", client_secret: "s", code_verifier: "v", input: "안녕하세요", voice: "alloy" },
+    args: [{ text: "hello", instructions: "calm" }],
+    note: "called with Bearer abc.def and sk-abcdefghijklmnopqrstuv",
+    audio: Buffer.alloc(3),
+    missingToken: null,
+  });
+  assert.deepEqual(redacted, {
+    headers: { authorization: "[REDACTED]", "x-api-key": "[REDACTED]", accept: "*/*" },
+    body: {
+      refresh_token: "[REDACTED]",
+      client_secret: "[REDACTED]",
+      code_verifier: "[REDACTED]",
+      input: "[REDACTED 5 chars]",
+      voice: "alloy",
+    },
+    args: [{ text: "[REDACTED 5 chars]", instructions: "[REDACTED 4 chars]" }],
+    note: "called with Bearer [REDACTED] and sk-[REDACTED]",
+    audio: "[Buffer 3 bytes]",
+    missingToken: null,
+  });
+});
+
+test("오류는 이름·메시지·코드만 남기고 메시지 안의 설정된 API 키도 가린다", () => {
+  process.env.OPENAI_API_KEY = "configured-openai-key";
+  try {
+    const error = Object.assign(new Error("401 from upstream with key configured-openai-key"), { code: "UPSTREAM" });
+    assert.deepEqual(redact({ error }).error, {
+      name: "Error",
+      message: "401 from upstream with key [REDACTED]",
+      code: "UPSTREAM",
+    });
+  } finally {
+    delete process.env.OPENAI_API_KEY;
+  }
+});
+
+test("로그 한 줄은 JSON이고 child 로거의 필드가 붙으며 LOG_LEVEL 미만은 남기지 않는다", () => {
+  const lines = captureLogs();
+  const log = createLogger({ service: "tts" }).child({ requestId: "req-1" });
+  log.info("보이지 않음");
+  log.error("합성 실패", { token: "t", status: 500 });
+
+  assert.equal(lines.length, 1);
+  const { time, ...fields } = lines[0];
+  assert.ok(!Number.isNaN(Date.parse(time)));
+  assert.deepEqual(fields, {
+    level: "error", msg: "합성 실패", service: "tts", requestId: "req-1", token: "[REDACTED]", status: 500,
+  });
+  assert.equal(log.isLevelEnabled("warn"), false);
+  assert.equal(log.isLevelEnabled("error"), true);
+});
+
+test("안전한 X-Request-Id는 그대로 돌려주고 아니면 새로 만든다", async () => {
+  const kept = await fetch(`${baseUrl}/health/live`, { headers: { "x-request-id": "proxy-req.42:a" } });
+  assert.equal(kept.headers.get("x-request-id"), "proxy-req.42:a");
+  await kept.body?.cancel();
+
+  for (const incoming of [undefined, "bad id\twith spaces", "x".repeat(129)]) {
+    const response = await fetch(`${baseUrl}/health/live`, { headers: incoming ? { "x-request-id": incoming } : {} });
+    assert.match(response.headers.get("x-request-id"), /^[0-9a-f-]{36}$/, incoming);
+    await response.body?.cancel();
+  }
+});
+
+test("HTTP 요청 ID가 MCP 도구 호출의 컨텍스트와 로거까지 이어진다", async () => {
+  const callTool = mock.method(runtime.toolRegistry, "callTool");
+  const client = await connectClient(runtime, USERS.alice);
+  await requestContext.run({ requestId: "req-from-http" }, () => client.callTool({ name: "get_my_usage", arguments: {} }));
+  await client.callTool({ name: "get_my_usage", arguments: {} });
+
+  const [withHttp, withoutHttp] = callTool.mock.calls.map((call) => call.arguments[2]);
+  assert.equal(withHttp.requestId, "req-from-http");
+  // HTTP 요청 밖(stdio)에서는 호출마다 새 ID
+  assert.match(withoutHttp.requestId, /^[0-9a-f-]{36}$/);
+
+  const lines = captureLogs();
+  withHttp.log.error("도구 로그");
+  assert.equal(lines[0].requestId, "req-from-http");
+  assert.equal(lines[0].user, "alice");
+  await client.close();
+});
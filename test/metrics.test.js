@@ -0,0 +1,112 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { createCounter, createGauge, createHistogram, renderMetrics } from "../src/metrics.js";
+import { USERS, closeServer, createTestRuntime, startTestApp, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+let server;
+let baseUrl;
+
+before(async () => {
+  runtime = createTestRuntime();
+  ({ server, baseUrl } = await startTestApp(runtime));
+});
+
+after(async () => {
+  await closeServer(server);
+  runtime.close();
+});
+
+afterEach(() => {
+  delete process.env.METRICS_TOKEN;
+});
+
+// 출력에서 이름·라벨이 정확히 같은 샘플의 값 (없으면 undefined)
+function sample(text, series) {
+  const line = text.split("\n").find((item) => item.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+async function scrape(headers = {}) {
+  const response = await fetch(`${baseUrl}/metrics`, { headers });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  return response.text();
+}
+
+test("카운터·히스토그램·게이지를 Prometheus 텍스트 형식으로 출력한다", () => {
+  const counter = createCounter("test_events_total", "Test events", ["kind"]);
+  counter.inc({ kind: 'a"b\\c\nd' });
+  counter.inc({ kind: 'a"b\\c\nd' }, 2);
+  const histogram = createHistogram("test_latency_seconds", "Test latency", ["op"], [1, 5]);
+  histogram.observe({ op: "read" }, 0.5);
+  histogram.observe({ op: "read" }, 3);
+  createGauge("test_queue_depth", "Test queue depth", () => 7);
+
+  const text = renderMetrics();
+  assert.ok(text.includes("# TYPE test_events_total counter"));
+  assert.equal(sample(text, 'test_events_total{kind="a\\"b\\\\c\\nd"}'), 3);
+  assert.equal(sample(text, 'test_latency_seconds_bucket{op="read",le="1"}'), 1);
+  assert.equal(sample(text, 'test_latency_seconds_bucket{op="read",le="5"}'), 2);
+  assert.equal(sample(text, 'test_latency_seconds_bucket{op="read",le="+Inf"}'), 2);
+  assert.equal(sample(text, 'test_latency_seconds_sum{op="read"}'), 3.5);
+  assert.equal(sample(text, 'test_latency_seconds_count{op="read"}'), 2);
+  assert.equal(sample(text, "test_queue_depth"), 7);
+
+  assert.throws(() => createCounter("test_events_total", "again"), /이미 등록된 메트릭입니다/);
+});
+
+test("게이지 수집이 실패해도 다른 메트릭은 출력한다", () => {
+  createGauge("test_broken", "Broken gauge", () => {
+    throw new Error("디스크\n없음");
+  });
+  const text = renderMetrics();
+  assert.ok(text.includes("# test_broken 수집 실패: 디스크 없음"));
+  assert.ok(text.includes("# TYPE tts_tool_calls_total counter"));
+});
+
+test("도구 호출과 합성이 카운터와 저장소 게이지에 반영된다", async () => {
+  const text = "metrics counted text";
+  const result = await runtime.toolRegistry.callTool("text_to_speech", {
+    provider: "local", voice: "en-us", format: "wav", text, include_audio: false,
+  }, toolContext(USERS.alice));
+  assert.equal(result.isError, undefined);
+  await runtime.toolRegistry.callTool("nope", {}, toolContext(USERS.alice));
+
+  const metrics = await scrape();
+  const success = metrics.split("\n").find((line) => (
+    line.startsWith('tts_tool_calls_total{tool="text_to_speech",provider="local",') && line.includes('voice="en-us",status="success"}')
+  ));
+  assert.ok(success, metrics);
+  assert.equal(Number(success.split(" ").at(-1)), 1);
+  assert.equal(sample(metrics, 'tts_tool_calls_total{tool="unknown",provider="",model="",voice="",status="error"}'), 1);
+  assert.ok(metrics.split("\n").some((line) => line.startsWith("tts_synthesized_characters_total{provider=\"local\"") && line.endsWith(` ${text.length}`)));
+
+  const [record] = runtime.audioCatalog.list();
+  assert.equal(sample(metrics, "tts_audio_storage_files"), 1);
+  assert.equal(sample(metrics, "tts_audio_storage_bytes"), record.bytes);
+});
+
+test("METRICS_TOKEN이 설정되면 같은 Bearer 토큰 없이는 401이다", async () => {
+  process.env.METRICS_TOKEN = "scrape-secret";
+  for (const authorization of [undefined, "Bearer wrong", "Bearer scrape-secret-longer"]) {
+    const response = await fetch(`${baseUrl}/metrics`, { headers: authorization ? { authorization } : {} });
+    assert.equal(response.status, 401, authorization);
+    await response.body?.cancel();
+  }
+  assert.match(await scrape({ authorization: "Bearer scrape-secret" }), /tts_tool_calls_total/);
+});
+
+test("/health/live는 항상, /health/ready는 저장소와 기본 프로바이더를 점검해 응답한다", async () => {
+  const live = await fetch(`${baseUrl}/health/live`);
+  assert.equal(live.status, 200);
+  assert.equal((await live.json()).status, "alive");
+
+  const ready = await fetch(`${baseUrl}/health/ready`);
+  assert.equal(ready.status, 200);
+  const body = await ready.json();
+  assert.equal(body.status, "ready");
+  assert.deepEqual(body.checks.storage, { ok: true, backend: runtime.storage.name });
+  assert.deepEqual(body.checks.provider, { ok: true, provider: "local" });
+});
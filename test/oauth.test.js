@@ -0,0 +1,290 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { after, before, describe, test } from "node:test";
+import express from "express";
+import { createOAuthProvider } from "../src/oauth.js";
+
+const REDIRECT_URI = "http://localhost:6274/callback";
+const USERS = { "alice-token": { name: "alice", role: "user" } };
+
+function pkcePair() {
+  const verifier = crypto.randomBytes(32).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge };
+}
+
+async function startServer(options = {}) {
+  const oauth = createOAuthProvider({ authenticateToken: (token) => USERS[token] || null, ...options });
+  const app = express();
+  app.use(oauth.router);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  return { oauth, server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+function postJson(url, body) {
+  return fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+}
+
+// 값이 null·undefined인 필드는 보내지 않음
+function postForm(url, fields, headers = {}) {
+  const body = new URLSearchParams(Object.entries(fields).filter(([, value]) => value != null));
+  return fetch(url, { method: "POST", headers, body, redirect: "manual" });
+}
+
+async function register(baseUrl, metadata = {}) {
+  const response = await postJson(`${baseUrl}/register`, {
+    redirect_uris: [REDIRECT_URI],
+    token_endpoint_auth_method: "none",
+    client_name: "test client",
+    ...metadata,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// 동의 페이지에서 승인 → 리디렉션 URL의 code
+async function authorize(baseUrl, clientId, challenge, { redirectUri = REDIRECT_URI } = {}) {
+  const response = await postForm(`${baseUrl}/authorize`, {
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+    state: "xyz",
+    decision: "approve",
+    login_token: "alice-token",
+  });
+  assert.equal(response.status, 302);
+  const location = new URL(response.headers.get("location"));
+  assert.equal(location.searchParams.get("state"), "xyz");
+  return location.searchParams.get("code");
+}
+
+async function exchangeCode(baseUrl, fields) {
+  const response = await postForm(`${baseUrl}/token`, { grant_type: "authorization_code", redirect_uri: REDIRECT_URI, ...fields });
+  return { status: response.status, body: await response.json() };
+}
+
+async function refresh(baseUrl, clientId, refreshToken) {
+  const response = await postForm(`${baseUrl}/token`, { grant_type: "refresh_token", client_id: clientId, refresh_token: refreshToken });
+  return { status: response.status, body: await response.json() };
+}
+
+describe("OAuth 인가 코드 + PKCE", () => {
+  let context;
+  before(async () => {
+    context = await startServer();
+  });
+  after(() => context.server.close());
+
+  test("올바른 code_verifier로 토큰을 받고 액세스 토큰이 사용자로 검증된다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    const { verifier, challenge } = pkcePair();
+    const code = await authorize(context.baseUrl, client.client_id, challenge);
+
+    const { status, body } = await exchangeCode(context.baseUrl, { client_id: client.client_id, code, code_verifier: verifier });
+    assert.equal(status, 200);
+    assert.equal(body.token_type, "Bearer");
+    assert.deepEqual(context.oauth.verifyAccessToken(body.access_token), USERS["alice-token"]);
+  });
+
+  test("code_verifier가 틀리면 거부되고 인가 코드는 다시 쓸 수 없다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    const { verifier, challenge } = pkcePair();
+    const code = await authorize(context.baseUrl, client.client_id, challenge);
+
+    const wrong = await exchangeCode(context.baseUrl, { client_id: client.client_id, code, code_verifier: pkcePair().verifier });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.error, "invalid_grant");
+
+    const replay = await exchangeCode(context.baseUrl, { client_id: client.client_id, code, code_verifier: verifier });
+    assert.equal(replay.status, 400);
+    assert.equal(replay.body.error, "invalid_grant");
+  });
+
+  test("code_challenge 없이 요청하면 인가 코드를 발급하지 않는다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    const response = await fetch(
+      `${context.baseUrl}/authorize?response_type=code&client_id=${client.client_id}&redirect_uri=${encodeURIComponent(REDIRECT_URI)}`,
+      { redirect: "manual" }
+    );
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.get("location"));
+    assert.equal(location.searchParams.get("error"), "invalid_request");
+    assert.equal(location.searchParams.get("code"), null);
+  });
+
+  test("plain 방식 code_challenge는 거부한다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    const response = await fetch(
+      `${context.baseUrl}/authorize?response_type=code&client_id=${client.client_id}&code_challenge=abc&code_challenge_method=plain`,
+      { redirect: "manual" }
+    );
+    assert.equal(response.status, 302);
+    assert.equal(new URL(response.headers.get("location")).searchParams.get("error"), "invalid_request");
+  });
+
+  test("다른 클라이언트의 인가 코드는 쓸 수 없다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    const { body: other } = await register(context.baseUrl);
+    const { verifier, challenge } = pkcePair();
+    const code = await authorize(context.baseUrl, client.client_id, challenge);
+
+    const { status, body } = await exchangeCode(context.baseUrl, { client_id: other.client_id, code, code_verifier: verifier });
+    assert.equal(status, 400);
+    assert.equal(body.error, "invalid_grant");
+  });
+
+  test("인가 요청에 redirect_uri를 보냈으면 토큰 요청에서 생략하거나 바꿀 수 없다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    for (const redirectUri of [undefined, "http://localhost:6274/other"]) {
+      const { verifier, challenge } = pkcePair();
+      const code = await authorize(context.baseUrl, client.client_id, challenge);
+      const { status, body } = await exchangeCode(context.baseUrl, { client_id: client.client_id, code, code_verifier: verifier, redirect_uri: redirectUri });
+      assert.equal(status, 400);
+      assert.equal(body.error, "invalid_grant");
+    }
+  });
+
+  test("인가 요청에서 redirect_uri를 생략했으면 토큰 요청에서도 생략할 수 있다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    const { challenge } = pkcePair();
+    // 동의 페이지가 등록된 redirect_uri를 채워 넣지 않아야 승인 요청에서도 생략 여부가 유지됨
+    const consent = await fetch(
+      `${context.baseUrl}/authorize?response_type=code&client_id=${client.client_id}&code_challenge=${challenge}&code_challenge_method=S256`
+    );
+    assert.equal(consent.status, 200);
+    assert.doesNotMatch(await consent.text(), /name="redirect_uri"/);
+
+    const { verifier, challenge: approved } = pkcePair();
+    const code = await authorize(context.baseUrl, client.client_id, approved, { redirectUri: null });
+    const { status } = await exchangeCode(context.baseUrl, { client_id: client.client_id, code, code_verifier: verifier, redirect_uri: undefined });
+    assert.equal(status, 200);
+  });
+
+  test("Basic 인증의 잘못된 퍼센트 인코딩은 invalid_client로 거부한다", async () => {
+    const credentials = Buffer.from("%E0%A4%A:secret").toString("base64");
+    const response = await postForm(`${context.baseUrl}/token`, { grant_type: "authorization_code", code: "x" }, {
+      authorization: `Basic ${credentials}`,
+    });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error, "invalid_client");
+  });
+
+  test("동의 페이지는 iframe에 넣을 수 없다", async () => {
+    const { body: client } = await register(context.baseUrl);
+    const { challenge } = pkcePair();
+    const response = await fetch(
+      `${context.baseUrl}/authorize?response_type=code&client_id=${client.client_id}&code_challenge=${challenge}&code_challenge_method=S256`
+    );
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("x-frame-options"), "DENY");
+    assert.equal(response.headers.get("content-security-policy"), "frame-ancestors 'none'");
+  });
+});
+
+describe("OAuth 리프레시 토큰 회전", () => {
+  let context;
+  let client;
+  let tokens;
+  before(async () => {
+    context = await startServer();
+    ({ body: client } = await register(context.baseUrl));
+    const { verifier, challenge } = pkcePair();
+    const code = await authorize(context.baseUrl, client.client_id, challenge);
+    ({ body: tokens } = await exchangeCode(context.baseUrl, { client_id: client.client_id, code, code_verifier: verifier }));
+  });
+  after(() => context.server.close());
+
+  test("리프레시하면 새 토큰 쌍이 발급되고 사용한 리프레시 토큰은 폐기된다", async () => {
+    const first = await refresh(context.baseUrl, client.client_id, tokens.refresh_token);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refresh_token, tokens.refresh_token);
+    assert.notEqual(first.body.access_token, tokens.access_token);
+    assert.deepEqual(context.oauth.verifyAccessToken(first.body.access_token), USERS["alice-token"]);
+
+    const reused = await refresh(context.baseUrl, client.client_id, tokens.refresh_token);
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.error, "invalid_grant");
+
+    const second = await refresh(context.baseUrl, client.client_id, first.body.refresh_token);
+    assert.equal(second.status, 200);
+  });
+
+  test("다른 클라이언트는 리프레시 토큰을 쓸 수 없다", async () => {
+    const { body: other } = await register(context.baseUrl);
+    const { verifier, challenge } = pkcePair();
+    const code = await authorize(context.baseUrl, client.client_id, challenge);
+    const { body: issued } = await exchangeCode(context.baseUrl, { client_id: client.client_id, code, code_verifier: verifier });
+
+    const stolen = await refresh(context.baseUrl, other.client_id, issued.refresh_token);
+    assert.equal(stolen.status, 400);
+    // 실패한 시도가 원래 클라이언트의 토큰을 소모하지 않음
+    const own = await refresh(context.baseUrl, client.client_id, issued.refresh_token);
+    assert.equal(own.status, 200);
+  });
+
+  test("만료된 리프레시 토큰은 거부한다", async () => {
+    const expiring = await startServer({ refreshTokenTtlSeconds: 0 });
+    try {
+      const { body: shortClient } = await register(expiring.baseUrl);
+      const { verifier, challenge } = pkcePair();
+      const code = await authorize(expiring.baseUrl, shortClient.client_id, challenge);
+      const { body: issued } = await exchangeCode(expiring.baseUrl, { client_id: shortClient.client_id, code, code_verifier: verifier });
+      const { status } = await refresh(expiring.baseUrl, shortClient.client_id, issued.refresh_token);
+      assert.equal(status, 400);
+    } finally {
+      expiring.server.close();
+    }
+  });
+});
+
+describe("OAuth 동적 클라이언트 등록 제한", () => {
+  test("같은 IP의 등록 횟수를 제한한다", async () => {
+    const context = await startServer({ registrationsPerIp: 2 });
+    try {
+      assert.equal((await register(context.baseUrl)).status, 201);
+      assert.equal((await register(context.baseUrl)).status, 201);
+      const response = await postJson(`${context.baseUrl}/register`, { redirect_uris: [REDIRECT_URI] });
+      assert.equal(response.status, 429);
+      assert.ok(Number(response.headers.get("retry-after")) > 0);
+    } finally {
+      context.server.close();
+    }
+  });
+
+  test("최대 클라이언트 수에 도달하면 등록을 거부한다", async () => {
+    const context = await startServer({ maxClients: 1 });
+    try {
+      assert.equal((await register(context.baseUrl)).status, 201);
+      const { status, body } = await register(context.baseUrl);
+      assert.equal(status, 503);
+      assert.equal(body.error, "temporarily_unavailable");
+    } finally {
+      context.server.close();
+    }
+  });
+
+  test("너무 긴 redirect_uri와 client_name, 너무 많은 redirect_uris를 거부한다", async () => {
+    const context = await startServer();
+    try {
+      const longUri = await register(context.baseUrl, { redirect_uris: [`https://example.com/${"a".repeat(3000)}`] });
+      assert.equal(longUri.status, 400);
+      assert.equal(longUri.body.error, "invalid_redirect_uri");
+
+      const manyUris = await register(context.baseUrl, {
+        redirect_uris: Array.from({ length: 11 }, (_, index) => `https://example.com/${index}`),
+      });
+      assert.equal(manyUris.status, 400);
+
+      const longName = await register(context.baseUrl, { client_name: "x".repeat(201) });
+      assert.equal(longName.status, 400);
+      assert.equal(longName.body.error, "invalid_client_metadata");
+
+      assert.equal((await register(context.baseUrl, { redirect_uris: [42] })).status, 400);
+    } finally {
+      context.server.close();
+    }
+  });
+});
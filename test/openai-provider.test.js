@@ -0,0 +1,122 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { getAudioDuration } from "../src/audio-utils.js";
+import { createAzureOpenAIProvider } from "../src/providers/azure-openai.js";
+import { resolveSpeechOptions } from "../src/providers/index.js";
+import { OPENAI_MODELS, OPENAI_VOICES } from "../src/providers/openai-catalog.js";
+import { createOpenAIProvider } from "../src/providers/openai.js";
+import { listVoices } from "../src/voices.js";
+import { closeServer, waitListening } from "./helpers/runtime.js";
+
+// 가짜 OpenAI 호환 /audio/speech (받은 요청을 기록하고 고정 오디오 반환)
+const AUDIO = Buffer.from("fake audio bytes");
+const received = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  ({ server, baseUrl } = await waitListening(http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { "content-type": "application/octet-stream" }).end(AUDIO);
+    });
+  }).listen(0, "127.0.0.1")));
+  // 레지스트리의 OpenAI 프로바이더는 호출 시점에 process.env를 읽음
+  process.env.OPENAI_API_KEY = "sk-test-openai-key";
+});
+
+after(async () => {
+  delete process.env.OPENAI_API_KEY;
+  await closeServer(server);
+});
+
+test("gpt-4o-mini-tts는 전용 음성과 instructions를 받고 tts-1은 거부한다", () => {
+  const options = resolveSpeechOptions({ provider: "openai", model: "gpt-4o-mini-tts", voice: "marin", text: "hi", instructions: "차분하게", format: "pcm" });
+  assert.equal(options.voice, "marin");
+  assert.equal(options.instructions, "차분하게");
+  assert.equal(options.format, "pcm");
+
+  assert.throws(
+    () => resolveSpeechOptions({ provider: "openai", model: "tts-1", voice: "marin", text: "hi" }),
+    /OpenAI tts-1 모델에서 지원하지 않는 음성입니다: marin/,
+  );
+  assert.throws(
+    () => resolveSpeechOptions({ provider: "openai", model: "tts-1-hd", text: "hi", instructions: "차분하게" }),
+    /OpenAI tts-1-hd 모델은 instructions를 지원하지 않습니다\. \(지원 모델: gpt-4o-mini-tts\)/,
+  );
+  // 빈 instructions는 보내지 않은 것과 같음
+  assert.equal("instructions" in resolveSpeechOptions({ provider: "openai", text: "hi", instructions: "" }), false);
+  assert.deepEqual(OPENAI_VOICES, OPENAI_MODELS["gpt-4o-mini-tts"].voices);
+});
+
+test("OpenAI 요청 바디에 instructions는 있을 때만 넣는다", async () => {
+  const provider = createOpenAIProvider({ OPENAI_API_KEY: "sk-test-openai-key", OPENAI_BASE_URL: `${baseUrl}/v1` });
+  received.length = 0;
+
+  const audio = await provider.synthesize({ text: "안녕", voice: "cedar", model: "gpt-4o-mini-tts", speed: 1.25, format: "wav", instructions: "밝게" });
+  assert.deepEqual(audio, AUDIO);
+  await provider.synthesize({ text: "안녕", voice: "alloy", model: "tts-1", speed: 1, format: "pcm" });
+
+  const [withInstructions, without] = received;
+  assert.equal(withInstructions.url, "/v1/audio/speech");
+  assert.equal(withInstructions.headers.authorization, "Bearer sk-test-openai-key");
+  assert.deepEqual(withInstructions.body, {
+    model: "gpt-4o-mini-tts", voice: "cedar", input: "안녕", speed: 1.25, response_format: "wav", instructions: "밝게",
+  });
+  assert.deepEqual(without.body, { model: "tts-1", voice: "alloy", input: "안녕", speed: 1, response_format: "pcm" });
+});
+
+test("Azure 배포는 지정한 모델의 음성·instructions 지원 여부를 따른다", async () => {
+  const provider = createAzureOpenAIProvider({
+    AZURE_OPENAI_ENDPOINT: `${baseUrl}/`,
+    AZURE_OPENAI_API_KEY: "azure-key",
+    AZURE_OPENAI_TTS_DEPLOYMENTS: "tts, tts-1-hd, mini:gpt-4o-mini-tts",
+  });
+  assert.deepEqual(provider.models, ["tts", "tts-1-hd", "mini"]);
+  assert.equal(provider.defaultModel, "tts");
+  assert.equal(provider.describeModel("tts").baseModel, "tts-1");
+  assert.equal(provider.describeModel("tts-1-hd").baseModel, "tts-1-hd");
+  assert.equal(provider.describeModel("mini").instructions, true);
+  assert.equal(provider.describeModel("nope"), undefined);
+  assert.ok(provider.voices.includes("marin"));
+
+  received.length = 0;
+  await provider.synthesize({ text: "hi", voice: "marin", model: "mini", speed: 1, format: "mp3", instructions: "calm" });
+  assert.equal(received[0].url, "/openai/deployments/mini/audio/speech?api-version=2025-03-01-preview");
+  assert.equal(received[0].headers["api-key"], "azure-key");
+  assert.equal(received[0].body.instructions, "calm");
+
+  assert.throws(
+    () => createAzureOpenAIProvider({ AZURE_OPENAI_TTS_DEPLOYMENTS: "tts:gpt-5-tts" }),
+    /AZURE_OPENAI_TTS_DEPLOYMENTS의 모델을 알 수 없습니다: tts:gpt-5-tts/,
+  );
+});
+
+test("list_voices는 모델별 음성·형식·instructions 지원 여부를 알려 준다", () => {
+  const { content, _meta } = listVoices({ provider: "openai" });
+  assert.equal(_meta.providers.length, 1);
+  const [openai] = _meta.providers;
+  assert.equal(openai.configured, true);
+  assert.equal(openai.defaultModel, "tts-1");
+  const mini = openai.models.find((model) => model.name === "gpt-4o-mini-tts");
+  assert.equal(mini.instructions, true);
+  assert.ok(mini.voices.includes("ballad"));
+  assert.ok(mini.formats.includes("pcm"));
+  assert.equal(openai.models.find((model) => model.name === "tts-1").instructions, false);
+  assert.match(content[0].text, /🤖 \*\*gpt-4o-mini-tts\*\*/);
+  assert.match(content[0].text, /🎭 instructions: 지원/);
+
+  assert.deepEqual(listVoices()._meta.providers.map((provider) => provider.name), ["openai", "azure-openai", "local"]);
+  assert.throws(() => listVoices({ provider: "nope" }), /알 수 없는 TTS 프로바이더: nope/);
+});
+
+test("pcm 출력은 24kHz 16bit 모노로 길이를 계산한다", () => {
+  assert.equal(getAudioDuration(Buffer.alloc(48000), "pcm"), 1);
+  assert.equal(getAudioDuration(Buffer.alloc(12000), "pcm"), 0.25);
+});
@@ -0,0 +1,104 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { bearer, closeServer, createTestRuntime, startTestApp } from "./helpers/runtime.js";
+
+let runtime;
+let server;
+let baseUrl;
+
+before(async () => {
+  // 한도는 런타임을 만들 때 읽음 (bob만 한도 초과 테스트에 사용)
+  process.env.QUOTA_CHARS_PER_DAY = "500";
+  runtime = createTestRuntime();
+  delete process.env.QUOTA_CHARS_PER_DAY;
+  ({ server, baseUrl } = await startTestApp(runtime));
+});
+
+after(async () => {
+  await closeServer(server);
+  runtime.close();
+});
+
+function speech(body, headers = bearer("alice")) {
+  return fetch(`${baseUrl}/v1/audio/speech`, {
+    method: "POST",
+    headers: { ...headers, "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+const request = (input, extra = {}) => ({ input, provider: "local", voice: "en-us", response_format: "wav", ...extra });
+
+test("API 토큰 없이는 합성할 수 없다", async () => {
+  const response = await speech(request("no token"), {});
+  assert.equal(response.status, 401);
+  await response.body?.cancel();
+});
+
+test("잘못된 요청은 OpenAI 오류 형태로 param과 함께 400을 돌려준다", async () => {
+  const cases = [
+    [{ input: "" }, "input"],
+    [request("bad speed", { speed: 10 }), "speed"],
+    [request("bad voice type", { voice: 3 }), "voice"],
+    [request("bad stream", { stream_format: "ws" }), "stream_format"],
+    [request("unknown voice", { voice: "nova" }), null],
+  ];
+  for (const [body, param] of cases) {
+    const response = await speech(body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    const { error } = await response.json();
+    assert.equal(error.type, "invalid_request_error");
+    assert.equal(error.param, param);
+    assert.equal(error.code, null);
+    assert.equal(typeof error.message, "string");
+  }
+});
+
+test("오디오 바이트를 형식에 맞는 Content-Type으로 돌려주고 같은 요청은 캐시에서 준다", async () => {
+  const files = runtime.audioCatalog.list().length;
+  const first = await speech(request("openai compatible speech"));
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("content-type"), "audio/wav");
+  assert.equal(first.headers.get("x-tts-cache"), "miss");
+  assert.equal(first.headers.get("x-tts-filename"), null);
+  const audio = Buffer.from(await first.arrayBuffer());
+  assert.equal(audio.subarray(0, 4).toString(), "RIFF");
+  // save를 지정하지 않으면 라이브러리에 저장하지 않음
+  assert.equal(runtime.audioCatalog.list().length, files);
+
+  const saved = await speech(request("openai compatible saved", { save: true }));
+  const filename = saved.headers.get("x-tts-filename");
+  assert.deepEqual(Buffer.from(await saved.arrayBuffer()), await runtime.storage.read(filename));
+  assert.equal(runtime.audioCatalog.get(filename).owner, "alice");
+  assert.match(saved.headers.get("x-tts-audio-url"), new RegExp(`/audio/${filename}\\?.*owner=alice`));
+
+  const cached = await speech(request("openai compatible saved"));
+  assert.equal(cached.headers.get("x-tts-cache"), "hit");
+  assert.deepEqual(Buffer.from(await cached.arrayBuffer()), await runtime.storage.read(filename));
+
+  const bypassed = await speech(request("openai compatible saved", { no_cache: true }));
+  assert.equal(bypassed.headers.get("x-tts-cache"), "miss");
+  await bypassed.body?.cancel();
+});
+
+test("문자 수 한도를 넘으면 429와 Retry-After로 응답한다", async () => {
+  const response = await speech(request("x".repeat(600)), bearer("bob"));
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get("retry-after")) >= 1);
+  const { error } = await response.json();
+  assert.equal(error.type, "rate_limit_error");
+  assert.equal(error.code, "QUOTA_EXCEEDED");
+});
+
+test("엔진 실패는 server_error 500으로 응답한다", async () => {
+  process.env.FAKE_ESPEAK_FAIL_ON = "engine boom";
+  try {
+    const response = await speech(request("engine boom"));
+    assert.equal(response.status, 500);
+    const { error } = await response.json();
+    assert.equal(error.type, "server_error");
+  } finally {
+    delete process.env.FAKE_ESPEAK_FAIL_ON;
+  }
+});
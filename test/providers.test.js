@@ -0,0 +1,91 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  DEFAULT_PROVIDER,
+  buildSpeechInputSchema,
+  getProvider,
+  listProviders,
+  resolveSpeechOptions,
+} from "../src/providers/index.js";
+import { createLocalCliProvider } from "../src/providers/local-cli.js";
+
+test("속도는 0.25 ~ 4.0만 허용하고 param: speed가 붙은 오류를 던진다", () => {
+  for (const speed of [0, 0.2, 4.01, 100, -1, Number.NaN, "1.5", null]) {
+    assert.throws(
+      () => resolveSpeechOptions({ provider: "local", text: "hi", speed }),
+      { param: "speed", message: "speed는 0.25 ~ 4.0 사이의 숫자여야 합니다." },
+      `speed=${speed}`,
+    );
+  }
+  assert.equal(resolveSpeechOptions({ provider: "local", text: "hi", speed: 0.25 }).speed, 0.25);
+  assert.equal(resolveSpeechOptions({ provider: "local", text: "hi", speed: 4 }).speed, 4);
+});
+
+test("프로바이더 기본 음성·모델과 기본 속도·형식을 적용한다", () => {
+  const options = resolveSpeechOptions({ provider: "local", text: "hi" });
+  assert.equal(options.provider, getProvider("local"));
+  assert.equal(options.voice, "en-us");
+  assert.equal(options.model, "espeak-ng");
+  assert.equal(options.speed, 1);
+  assert.equal(options.format, "mp3");
+  assert.equal("instructions" in options, false);
+
+  // provider를 생략하면 TTS_PROVIDER
+  assert.equal(DEFAULT_PROVIDER, "local");
+  assert.equal(resolveSpeechOptions({ text: "hi" }).provider.name, "local");
+});
+
+test("지원하지 않는 프로바이더·모델·음성·형식과 빈 텍스트를 거부한다", () => {
+  assert.throws(() => getProvider("nope"), /알 수 없는 TTS 프로바이더: nope \(사용 가능: openai, azure-openai, local\)/);
+  assert.throws(() => resolveSpeechOptions({ provider: "local", text: "  " }), /텍스트가 제공되지 않았습니다/);
+  assert.throws(() => resolveSpeechOptions({ provider: "local", text: "hi", model: "piper" }), /지원하지 않는 모델입니다: piper/);
+  assert.throws(() => resolveSpeechOptions({ provider: "local", text: "hi", voice: "alloy" }), /지원하지 않는 음성입니다: alloy \(사용 가능: en-us, ko\)/);
+  assert.throws(() => resolveSpeechOptions({ provider: "local", text: "hi", format: "ogg" }), /지원하지 않는 형식입니다: ogg/);
+  assert.throws(() => resolveSpeechOptions({ provider: "local", text: "hi", instructions: "calm" }), /instructions를 지원하지 않습니다/);
+});
+
+test("설정되지 않은 프로바이더는 설정 안내와 함께 거부한다", () => {
+  assert.equal(getProvider("azure-openai").isConfigured(), false);
+  assert.throws(
+    () => resolveSpeechOptions({ provider: "azure-openai", text: "hi" }),
+    /Azure OpenAI 프로바이더가 설정되지 않았습니다: AZURE_OPENAI_ENDPOINT와 AZURE_OPENAI_API_KEY/,
+  );
+});
+
+test("로컬 프로바이더는 엔진과 음성 목록이 있어야 설정된 것으로 본다", () => {
+  assert.equal(createLocalCliProvider({}).isConfigured(), false);
+  assert.equal(createLocalCliProvider({ LOCAL_TTS_ENGINE: "festival", LOCAL_TTS_VOICES: "a" }).isConfigured(), false);
+  assert.equal(createLocalCliProvider({ LOCAL_TTS_ENGINE: "piper" }).isConfigured(), false);
+
+  const espeak = createLocalCliProvider({ LOCAL_TTS_ENGINE: "espeak-ng" });
+  assert.equal(espeak.isConfigured(), true);
+  assert.deepEqual(espeak.voices, ["en-us", "ko"]);
+  assert.equal(espeak.describeModel("espeak-ng").instructions, false);
+  assert.equal(espeak.describeModel("piper"), undefined);
+});
+
+test("로컬 엔진이 만든 WAV를 돌려주고 엔진 실패는 오류로 전달한다", async () => {
+  const provider = getProvider("local");
+  const wav = await provider.synthesize({ text: "hello", voice: "en-us", speed: 1, format: "wav" });
+  assert.equal(wav.subarray(0, 4).toString(), "RIFF");
+  assert.equal(wav.length, 44 + "hello".length * 80);
+
+  process.env.FAKE_ESPEAK_FAIL_ON = "boom";
+  try {
+    await assert.rejects(provider.synthesize({ text: "boom", voice: "en-us", speed: 1, format: "wav" }));
+  } finally {
+    delete process.env.FAKE_ESPEAK_FAIL_ON;
+  }
+});
+
+test("도구 입력 스키마는 등록된 프로바이더의 카탈로그로 만든다", () => {
+  const schema = buildSpeechInputSchema();
+  assert.deepEqual(schema.properties.provider.enum, listProviders().map((provider) => provider.name));
+  assert.equal(schema.properties.provider.default, "local");
+  assert.ok(schema.properties.model.enum.includes("espeak-ng"));
+  assert.ok(schema.properties.model.enum.includes("gpt-4o-mini-tts"));
+  assert.equal(schema.properties.speed.minimum, 0.25);
+  assert.equal(schema.properties.speed.maximum, 4);
+  assert.deepEqual(schema.required, ["text"]);
+});
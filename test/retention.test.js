@@ -0,0 +1,134 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createRetentionSweeper, loadRetentionPolicy, pinAudioFile } from "../src/retention.js";
+
+const HOUR = 3600 * 1000;
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+// 보존 정책에 필요한 만큼만 구현한 카탈로그·저장소
+function createLibrary(records, { removeDelayMs = 0, failOn = null } = {}) {
+  const catalog = new Map(records.map((record) => [record.filename, { bytes: 100, ...record }]));
+  const removed = [];
+  return {
+    removed,
+    audioCatalog: {
+      list: (filter = () => true) => [...catalog.values()].filter(filter),
+      get: (filename) => catalog.get(filename) || null,
+      update: (filename, patch) => catalog.set(filename, { ...catalog.get(filename), ...patch }),
+      remove: (filename) => catalog.delete(filename),
+    },
+    storage: {
+      async remove(filename) {
+        if (filename === failOn) {
+          throw new Error("remove failed");
+        }
+        removed.push(filename);
+        await new Promise((resolve) => setTimeout(resolve, removeDelayMs));
+      },
+    },
+  };
+}
+
+test("보존 기간이 지난 파일을 지우되 고정·최근 사용 파일은 남긴다", async () => {
+  const library = createLibrary([
+    { filename: "old.mp3", createdAt: ago(48 * HOUR) },
+    { filename: "pinned.mp3", createdAt: ago(48 * HOUR), pinned: true },
+    { filename: "playing.mp3", createdAt: ago(48 * HOUR), lastAccessedAt: ago(60 * 1000) },
+    { filename: "new.mp3", createdAt: ago(HOUR) },
+  ]);
+  const policy = loadRetentionPolicy({ AUDIO_RETENTION_MAX_AGE_HOURS: "24" });
+  const result = await createRetentionSweeper({ ...library, policy }).sweep();
+  assert.deepEqual(library.removed, ["old.mp3"]);
+  assert.deepEqual(result.evicted.map(({ filename, reason }) => [filename, reason]), [["old.mp3", "age"]]);
+});
+
+test("개수 상한을 넘으면 가장 오래 사용되지 않은 파일부터 지우고 유예 시간 안의 파일은 건너뛴다", async () => {
+  const library = createLibrary([
+    { filename: "a.mp3", createdAt: ago(5 * HOUR), lastAccessedAt: ago(HOUR) },
+    { filename: "b.mp3", createdAt: ago(4 * HOUR) },
+    { filename: "c.mp3", createdAt: ago(3 * HOUR), lastAccessedAt: ago(2 * HOUR) },
+    { filename: "just-made.mp3", createdAt: ago(1000) },
+  ]);
+  const policy = loadRetentionPolicy({ AUDIO_RETENTION_MAX_FILES: "1" });
+  const result = await createRetentionSweeper({ ...library, policy }).sweep();
+  assert.deepEqual(library.removed, ["b.mp3", "c.mp3", "a.mp3"]);
+  assert.equal(result.remainingFiles, 1);
+});
+
+test("유예 시간은 AUDIO_RETENTION_GRACE_MINUTES로 바꾸거나 0으로 끌 수 있다", () => {
+  assert.equal(loadRetentionPolicy({}).graceMs, 5 * 60 * 1000);
+  assert.equal(loadRetentionPolicy({ AUDIO_RETENTION_GRACE_MINUTES: "30" }).graceMs, 30 * 60 * 1000);
+  assert.equal(loadRetentionPolicy({ AUDIO_RETENTION_GRACE_MINUTES: "0" }).graceMs, 0);
+});
+
+test("정리가 끝나기 전의 주기 실행은 건너뛰고 직접 호출은 진행 중인 정리를 기다린다", async () => {
+  const library = createLibrary([{ filename: "old.mp3", createdAt: ago(48 * HOUR) }], { removeDelayMs: 150 });
+  const policy = { ...loadRetentionPolicy({ AUDIO_RETENTION_MAX_AGE_HOURS: "1" }), sweepIntervalMs: 10 };
+  const sweeper = createRetentionSweeper({ ...library, policy });
+  sweeper.start();
+  try {
+    assert.equal(sweeper.status().running, true);
+    const result = await sweeper.sweep();
+    assert.equal(result.evictedCount, 1);
+  } finally {
+    sweeper.stop();
+  }
+  assert.deepEqual(library.removed, ["old.mp3"]);
+});
+
+test("제한이 없으면 시작해도 정리하지 않는다", () => {
+  const library = createLibrary([{ filename: "old.mp3", createdAt: ago(48 * HOUR) }]);
+  const sweeper = createRetentionSweeper({ ...library, policy: loadRetentionPolicy({}) });
+  sweeper.start();
+  sweeper.stop();
+  assert.equal(sweeper.status().enabled, false);
+  assert.deepEqual(library.removed, []);
+});
+
+test("용량 상한을 넘으면 상한 아래로 내려갈 때까지만 지운다", async () => {
+  const MB = 1024 * 1024;
+  const library = createLibrary([
+    { filename: "a.mp3", createdAt: ago(3 * HOUR), bytes: MB },
+    { filename: "b.mp3", createdAt: ago(2 * HOUR), bytes: MB },
+    { filename: "c.mp3", createdAt: ago(HOUR), bytes: MB },
+  ]);
+  const policy = loadRetentionPolicy({ AUDIO_RETENTION_MAX_TOTAL_MB: "2.5" });
+  const sweeper = createRetentionSweeper({ ...library, policy });
+  const result = await sweeper.sweep();
+  assert.deepEqual(result.evicted, [{ filename: "a.mp3", reason: "size", bytes: MB }]);
+  assert.equal(result.freedBytes, MB);
+  assert.equal(result.remainingBytes, 2 * MB);
+
+  const status = sweeper.status();
+  assert.equal(status.enabled, true);
+  assert.equal(status.policy.maxTotalMb, 2.5);
+  assert.equal(status.running, false);
+  assert.equal(status.lastSweep.evictedCount, 1);
+});
+
+test("삭제에 실패한 파일은 기록을 남기고 다음 파일로 넘어간다", async () => {
+  const library = createLibrary([
+    { filename: "locked.mp3", createdAt: ago(3 * HOUR) },
+    { filename: "old.mp3", createdAt: ago(2 * HOUR) },
+  ], { failOn: "locked.mp3" });
+  const policy = loadRetentionPolicy({ AUDIO_RETENTION_MAX_AGE_HOURS: "1" });
+  const result = await createRetentionSweeper({ ...library, policy }).sweep();
+  assert.deepEqual(library.removed, ["old.mp3"]);
+  assert.equal(result.evictedCount, 1);
+  assert.ok(library.audioCatalog.get("locked.mp3"));
+});
+
+test("pin_audio_file은 본인 파일(관리자는 모든 파일)만 고정·해제한다", () => {
+  const library = createLibrary([{ filename: "a.mp3", createdAt: ago(HOUR), owner: "alice" }]);
+  const { audioCatalog } = library;
+
+  assert.throws(() => pinAudioFile(audioCatalog, { filename: "a.mp3" }, { user: { name: "bob", role: "user" } }), /권한이 없습니다/);
+  assert.equal(audioCatalog.get("a.mp3").pinned, undefined);
+  assert.throws(() => pinAudioFile(audioCatalog, { filename: "missing.mp3" }, { user: { name: "alice", role: "user" } }), /파일을 찾을 수 없습니다/);
+
+  pinAudioFile(audioCatalog, { filename: "a.mp3" }, { user: { name: "alice", role: "user" } });
+  assert.equal(audioCatalog.get("a.mp3").pinned, true);
+  pinAudioFile(audioCatalog, { filename: "a.mp3", pinned: false }, { user: { name: "root", role: "admin" } });
+  assert.equal(audioCatalog.get("a.mp3").pinned, false);
+});
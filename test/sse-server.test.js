@@ -0,0 +1,118 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, before, test } from "node:test";
+import { SERVER_INFO } from "../src/runtime.js";
+import { startSseServer } from "../src/transports/sse.js";
+import { bearer, closeServer, createTestRuntime, waitListening } from "./helpers/runtime.js";
+import { openEventStream } from "./helpers/sse.js";
+
+let runtime;
+let server;
+let baseUrl;
+const streams = [];
+
+before(async () => {
+  runtime = createTestRuntime();
+  ({ server, baseUrl } = await waitListening(startSseServer(runtime, { port: 0 })));
+});
+
+after(async () => {
+  streams.forEach((stream) => stream.close());
+  await closeServer(server);
+  runtime.close();
+});
+
+// GET /sse로 세션을 열고 endpoint 이벤트에서 POST 주소를 받음
+async function openSession(name) {
+  const stream = await openEventStream(`${baseUrl}/sse`, { headers: bearer(name) });
+  streams.push(stream);
+  assert.equal(stream.response.status, 200);
+  const endpoint = await stream.next();
+  assert.equal(endpoint.event, "endpoint");
+  const url = new URL(endpoint.data, baseUrl);
+  return { ...stream, url, sessionId: url.searchParams.get("sessionId") };
+}
+
+function post(session, message, name = "alice") {
+  return fetch(session.url, {
+    method: "POST",
+    headers: { ...bearer(name), "content-type": "application/json" },
+    body: JSON.stringify(message),
+  });
+}
+
+async function nextMessage(session) {
+  const event = await session.next();
+  assert.equal(event.event, "message");
+  return JSON.parse(event.data);
+}
+
+const initialize = (id) => ({
+  jsonrpc: "2.0",
+  id,
+  method: "initialize",
+  params: { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } },
+});
+
+async function activeSessions() {
+  const response = await fetch(`${baseUrl}/health`);
+  return (await response.json()).activeSessions;
+}
+
+test("토큰 없이는 SSE 스트림을 열 수 없다", async () => {
+  const response = await fetch(`${baseUrl}/sse`);
+  assert.equal(response.status, 401);
+  await response.body?.cancel();
+});
+
+test("동시에 연결한 세션은 각자의 스트림으로만 응답을 받는다", async () => {
+  const alice = await openSession("alice");
+  const bob = await openSession("bob");
+  assert.notEqual(alice.sessionId, bob.sessionId);
+  assert.equal(await activeSessions(), 2);
+
+  assert.equal((await post(alice, initialize(1), "alice")).status, 202);
+  assert.equal((await post(bob, initialize("bob-1"), "bob")).status, 202);
+  assert.equal((await nextMessage(bob)).id, "bob-1");
+  const response = await nextMessage(alice);
+  assert.equal(response.id, 1);
+  assert.equal(response.result.serverInfo.name, SERVER_INFO.name);
+
+  await post(alice, { jsonrpc: "2.0", method: "notifications/initialized" }, "alice");
+  await post(alice, { jsonrpc: "2.0", id: 2, method: "tools/call", params: { name: "list_audio_files", arguments: {} } }, "alice");
+  const listed = await nextMessage(alice);
+  assert.equal(listed.id, 2);
+  assert.match(listed.result.content[0].text, /생성된 오디오 파일이 없습니다/);
+
+  alice.close();
+  bob.close();
+});
+
+test("다른 사용자의 세션이나 없는 세션으로는 메시지를 보낼 수 없다", async () => {
+  const alice = await openSession("alice");
+
+  const asBob = await post(alice, initialize(1), "bob");
+  assert.equal(asBob.status, 404);
+
+  const missing = await fetch(`${baseUrl}/messages`, {
+    method: "POST",
+    headers: { ...bearer("alice"), "content-type": "application/json" },
+    body: JSON.stringify(initialize(1)),
+  });
+  assert.equal(missing.status, 400);
+
+  const unknown = await post({ url: new URL(`${baseUrl}/messages?sessionId=nope`) }, initialize(1));
+  assert.equal(unknown.status, 404);
+  alice.close();
+});
+
+test("스트림이 끊기면 세션을 정리한다", async () => {
+  const alice = await openSession("alice");
+  alice.close();
+  for (let attempt = 0; attempt < 50 && (await activeSessions()) > 0; attempt++) {
+    await sleep(20);
+  }
+  assert.equal(await activeSessions(), 0);
+  assert.equal((await post(alice, initialize(1))).status, 404);
+});
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { test } from "node:test";
+import { createStreamableHttpTransport, parseEventId } from "../src/transports/streamable-http-transport.js";
+
+// express 응답 중 전송 계층이 쓰는 부분만 흉내 낸 객체
+function fakeResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    body: undefined,
+    chunks: [],
+    writableEnded: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.writableEnded = true;
+    },
+    end() {
+      res.writableEnded = true;
+    },
+    writeHead(code) {
+      res.statusCode = code;
+    },
+    flushHeaders() {},
+    write(chunk) {
+      res.chunks.push(chunk);
+    },
+  });
+  return res;
+}
+
+function createTransport() {
+  const transport = createStreamableHttpTransport({ sessionId: "session-1" });
+  const received = [];
+  transport.onmessage = (message) => received.push(message);
+  return { transport, received };
+}
+
+const request = (id, method = "tools/list") => ({ jsonrpc: "2.0", id, method, params: {} });
+
+test("처리 중인 요청과 id가 같은 요청은 400으로 거부한다", async () => {
+  const { transport, received } = createTransport();
+  const first = fakeResponse();
+  transport.handlePost({}, first, { messages: [request(1)], isBatch: false, stream: false });
+
+  const second = fakeResponse();
+  transport.handlePost({}, second, { messages: [request(1, "tools/call")], isBatch: false, stream: true });
+  assert.equal(second.statusCode, 400);
+  assert.equal(second.body.id, 1);
+  assert.equal(second.body.error.code, -32600);
+  assert.equal(received.length, 1);
+
+  // 먼저 온 요청의 응답은 원래 HTTP 응답으로 전달
+  await transport.send({ jsonrpc: "2.0", id: 1, result: { tools: [] } });
+  assert.deepEqual(first.body, { jsonrpc: "2.0", id: 1, result: { tools: [] } });
+  assert.equal(second.body.result, undefined);
+});
+
+test("배치 안에서 id가 겹치면 아무 요청도 처리하지 않는다", () => {
+  const { transport, received } = createTransport();
+  const res = fakeResponse();
+  transport.handlePost({}, res, { messages: [request("a"), request(2), request("a")], isBatch: true, stream: false });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.id, "a");
+  assert.equal(received.length, 0);
+  assert.equal(transport.isBusy(), false);
+});
+
+test("응답이 끝난 id는 다시 쓸 수 있고 숫자와 문자열 id는 구분한다", async () => {
+  const { transport, received } = createTransport();
+  const first = fakeResponse();
+  transport.handlePost({}, first, { messages: [request(7)], isBatch: false, stream: false });
+
+  // 숫자 7과 문자열 "7"은 다른 id
+  const other = fakeResponse();
+  transport.handlePost({}, other, { messages: [request("7")], isBatch: false, stream: false });
+  assert.equal(other.writableEnded, false);
+
+  await transport.send({ jsonrpc: "2.0", id: 7, result: {} });
+  const again = fakeResponse();
+  transport.handlePost({}, again, { messages: [request(7)], isBatch: false, stream: false });
+  assert.equal(again.writableEnded, false);
+  assert.equal(received.length, 3);
+});
+
+test("SSE 이벤트 id에서 스트림과 순번을 읽는다", () => {
+  assert.deepEqual(parseEventId("abc-def_12"), { streamId: "abc-def", seq: 12 });
+  assert.deepEqual(parseEventId("standalone_3"), { streamId: "standalone", seq: 3 });
+  assert.equal(parseEventId("nope"), null);
+  assert.equal(parseEventId("_1"), null);
+  assert.equal(parseEventId("stream_x"), null);
+});
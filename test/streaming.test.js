@@ -0,0 +1,151 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, test } from "node:test";
+import { resolveSpeechOptions } from "../src/providers/index.js";
+import { synthesizeSpeech } from "../src/synthesis.js";
+import { USERS, bearer, closeServer, createTestRuntime, startTestApp, toolContext } from "./helpers/runtime.js";
+import { readEvents } from "./helpers/sse.js";
+
+let runtime;
+let server;
+let baseUrl;
+
+before(async () => {
+  runtime = createTestRuntime();
+  ({ server, baseUrl } = await startTestApp(runtime));
+});
+
+after(async () => {
+  await closeServer(server);
+  runtime.close();
+});
+
+// 청크 텍스트를 그대로 오디오로 돌려주는 스트리밍 프로바이더
+//   pieces: 청크 하나를 몇 조각으로 나눠 보낼지, failAfter: 이 조각 수만큼 보낸 뒤 실패
+function fakeStreamingProvider({ maxInputLength = 4096, pieces = 3, failAfter = Infinity, delays = {} } = {}) {
+  return {
+    name: "fake-stream",
+    capabilities: { speed: true, offline: true, maxInputLength },
+    async synthesize({ text }) {
+      await new Promise((resolve) => setTimeout(resolve, delays[text] ?? 0));
+      return Buffer.from(text);
+    },
+    async* synthesizeStream({ text }) {
+      const size = Math.ceil(text.length / pieces);
+      for (let offset = 0, sent = 0; offset < text.length; offset += size, sent++) {
+        if (sent >= failAfter) {
+          throw Object.assign(new Error("stream broke"), { code: "UPSTREAM_UNAVAILABLE" });
+        }
+        yield Buffer.from(text.slice(offset, offset + size));
+      }
+    },
+  };
+}
+
+const speechOptions = (provider, text, format = "pcm") => ({ provider, text, voice: "v", model: "m", speed: 1, format });
+
+test("청크가 하나면 프로바이더 스트림 조각을 받는 대로 넘긴다", async () => {
+  const provider = fakeStreamingProvider({ pieces: 3 });
+  const delivered = [];
+  const result = await synthesizeSpeech({
+    ...speechOptions(provider, "abcdefghi"),
+    onAudio: async (piece) => delivered.push(piece.toString()),
+  });
+  assert.deepEqual(delivered, ["abc", "def", "ghi"]);
+  assert.equal(result.buffer.toString(), "abcdefghi");
+});
+
+test("여러 청크의 pcm은 늦게 끝난 청크가 있어도 순서대로 청크 단위로 넘긴다", async () => {
+  const provider = fakeStreamingProvider({ maxInputLength: 12, delays: { "first one.": 30 } });
+  const delivered = [];
+  const result = await synthesizeSpeech({
+    ...speechOptions(provider, "first one. second one. third one."),
+    onAudio: async (piece) => delivered.push(piece.toString()),
+  });
+  assert.deepEqual(delivered, ["first one.", "second one.", "third one."]);
+  assert.equal(result.buffer.toString(), delivered.join(""));
+  assert.equal(result.chunkCount, 3);
+});
+
+test("이어 붙일 수 없는 형식(wav)의 여러 청크는 연결한 뒤 한 번에 넘긴다", async () => {
+  const options = resolveSpeechOptions({ provider: "local", voice: "en-us", format: "wav", text: `${"streamed wav chunk. ".repeat(300)}` });
+  const delivered = [];
+  const result = await synthesizeSpeech({ ...options, onAudio: async (piece) => delivered.push(piece) });
+  assert.ok(result.chunkCount > 1);
+  assert.equal(delivered.length, 1);
+  assert.deepEqual(delivered[0], result.buffer);
+});
+
+test("저장하며 스트리밍하는 동안에는 파일이 목록에 나타나지 않고 끝나면 전체가 저장된다", async () => {
+  const provider = fakeStreamingProvider({ pieces: 4 });
+  const text = "streamed to disk while generating";
+  const seen = [];
+  const { record } = await runtime.synthesizer.synthesize(speechOptions(provider, text), {
+    user: USERS.alice,
+    noCache: true,
+    onStart: ({ filename }) => seen.push(`start ${filename}`),
+    onAudio: async () => {
+      const stored = (await runtime.storage.list()).map((file) => file.filename);
+      const listed = await runtime.toolRegistry.callTool("list_audio_files", {}, toolContext(USERS.alice));
+      seen.push({ stored, catalog: runtime.audioCatalog.list().length, listed: listed.content[0].text });
+    },
+  });
+
+  assert.equal(seen[0], `start ${record.filename}`);
+  assert.equal(seen.length, 5);
+  for (const state of seen.slice(1)) {
+    assert.deepEqual(state.stored, []);
+    assert.equal(state.catalog, 0);
+    assert.match(state.listed, /생성된 오디오 파일이 없습니다/);
+  }
+  assert.equal((await runtime.storage.read(record.filename)).toString(), text);
+  assert.equal(record.bytes, text.length);
+});
+
+test("스트림이 도중에 끊기면 쓰던 파일을 지우고 예약한 문자 수를 해제한다", async () => {
+  const provider = fakeStreamingProvider({ pieces: 4, failAfter: 2 });
+  const before = runtime.usageTracker.describe(USERS.bob).charsToday.used;
+  const files = runtime.audioCatalog.list().length;
+  const delivered = [];
+  await assert.rejects(
+    runtime.synthesizer.synthesize(speechOptions(provider, "this stream breaks halfway"), {
+      user: USERS.bob,
+      noCache: true,
+      onAudio: async (piece) => delivered.push(piece),
+    }),
+    { code: "UPSTREAM_UNAVAILABLE" },
+  );
+  assert.equal(delivered.length, 2);
+  assert.equal(runtime.usageTracker.describe(USERS.bob).charsToday.used, before);
+  assert.equal(runtime.audioCatalog.list().length, files);
+  // 임시 파일 삭제는 스트림이 닫힌 뒤라 잠시 기다림
+  for (let attempt = 0; attempt < 50 && fs.readdirSync(runtime.storage.location).some((name) => name.endsWith(".tmp")); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(fs.readdirSync(runtime.storage.location).filter((name) => name.endsWith(".tmp")), []);
+});
+
+test("/v1/audio/speech의 stream_format: sse는 base64 오디오 조각 뒤에 done 이벤트를 보낸다", async () => {
+  const response = await fetch(`${baseUrl}/v1/audio/speech`, {
+    method: "POST",
+    headers: { ...bearer("alice"), "content-type": "application/json" },
+    body: JSON.stringify({ input: "sse streamed speech", provider: "local", voice: "en-us", response_format: "wav", stream_format: "sse", save: true }),
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/event-stream/);
+  const filename = response.headers.get("x-tts-filename");
+
+  const events = (await readEvents(response).rest()).map((event) => JSON.parse(event.data));
+  const done = events.at(-1);
+  assert.equal(done.type, "speech.audio.done");
+  assert.equal(done.cache, "miss");
+  assert.equal(done.filename, filename);
+  assert.equal(done.url, response.headers.get("x-tts-audio-url"));
+
+  const deltas = events.slice(0, -1);
+  assert.ok(deltas.length >= 1);
+  assert.ok(deltas.every((event) => event.type === "speech.audio.delta"));
+  const audio = Buffer.concat(deltas.map((event) => Buffer.from(event.audio, "base64")));
+  assert.deepEqual(audio, await runtime.storage.read(filename));
+});
@@ -0,0 +1,122 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { createAudioCatalog } from "../src/audio-catalog.js";
+import { resolveSpeechOptions } from "../src/providers/index.js";
+import { createLocalStorage } from "../src/storage/local.js";
+import { computeCacheKey, createSynthesisCache, loadSynthesisCacheSettings, normalizeSpeechText } from "../src/synthesis-cache.js";
+import { createSpeechSynthesizer } from "../src/text-to-speech.js";
+import { createUsageTracker } from "../src/usage-quota.js";
+import { USERS } from "./helpers/runtime.js";
+
+let audioDir;
+
+beforeEach(() => {
+  audioDir = fs.mkdtempSync(path.join(os.tmpdir(), "tts-cache-"));
+});
+
+afterEach(() => {
+  fs.rmSync(audioDir, { recursive: true, force: true });
+});
+
+function createSynthesizer(settings) {
+  const storage = createLocalStorage(audioDir);
+  const audioCatalog = createAudioCatalog(audioDir, { storage });
+  const synthesisCache = createSynthesisCache({ storage, audioCatalog, settings });
+  const usageTracker = createUsageTracker({ audioDir });
+  return { ...createSpeechSynthesizer({ storage, audioCatalog, synthesisCache, usageTracker }), synthesisCache, storage, usageTracker };
+}
+
+const options = (args = {}) => resolveSpeechOptions({ provider: "local", text: "hello cache", voice: "en-us", format: "wav", ...args });
+
+test("TTS_CACHE_SCOPE=user이면 다른 사용자가 만든 파일은 재사용하지 않는다", async () => {
+  const { synthesize } = createSynthesizer({ enabled: true, scope: "user" });
+  const first = await synthesize(options(), { user: USERS.alice });
+  const again = await synthesize(options(), { user: USERS.alice });
+  assert.equal(again.cacheHit, true);
+  assert.equal(again.record.filename, first.record.filename);
+
+  const other = await synthesize(options(), { user: USERS.bob });
+  assert.equal(other.cacheHit, false);
+  assert.notEqual(other.record.filename, first.record.filename);
+  assert.equal(other.record.owner, "bob");
+
+  // 관리자도 본인이 만든 파일만
+  const admin = await synthesize(options(), { user: USERS.root });
+  assert.equal(admin.cacheHit, false);
+  assert.equal(admin.record.owner, "root");
+});
+
+test("TTS_CACHE_SCOPE=shared이면 같은 요청은 사용자와 관계없이 재사용한다", async () => {
+  const { synthesize } = createSynthesizer({ enabled: true, scope: "shared" });
+  const first = await synthesize(options(), { user: USERS.alice });
+  const other = await synthesize(options(), { user: USERS.bob });
+  assert.equal(other.cacheHit, true);
+  assert.equal(other.record.filename, first.record.filename);
+});
+
+test("캐시 범위는 다운로드 링크 설정과 별개로 TTS_CACHE_SCOPE로 정한다", () => {
+  assert.equal(loadSynthesisCacheSettings({ AUDIO_URL_BIND_OWNER: "true" }).scope, "shared");
+  assert.equal(loadSynthesisCacheSettings({ TTS_CACHE_SCOPE: "user" }).scope, "user");
+  assert.throws(() => loadSynthesisCacheSettings({ TTS_CACHE_SCOPE: "team" }), /TTS_CACHE_SCOPE/);
+});
+
+test("캐시 키는 공백·유니코드 정규화만 무시하고 합성 파라미터가 다르면 달라진다", () => {
+  const key = computeCacheKey(options());
+  assert.equal(normalizeSpeechText("  hello \n\t cache "), "hello cache");
+  assert.equal(computeCacheKey(options({ text: " hello\n  cache " })), key);
+  // NFD로 쓴 "가"도 NFC와 같은 키
+  assert.equal(
+    computeCacheKey(options({ text: "\u1100\u1161" })),
+    computeCacheKey(options({ text: "\uAC00" })),
+  );
+
+  for (const changed of [{ text: "hello Cache" }, { voice: "ko" }, { speed: 1.5 }, { format: "mp3" }]) {
+    assert.notEqual(computeCacheKey(options(changed)), key, JSON.stringify(changed));
+  }
+  assert.notEqual(computeCacheKey({ ...options(), instructions: "calm" }), key);
+  assert.equal(computeCacheKey({ ...options(), instructions: "" }), key);
+});
+
+test("캐시 적중은 문자 수를 쓰지 않고 no_cache·비활성화는 매번 합성한다", async () => {
+  const { synthesize, synthesisCache, usageTracker } = createSynthesizer({ enabled: true, scope: "shared" });
+  const used = () => usageTracker.describe(USERS.alice).charsToday.used;
+  const first = await synthesize(options(), { user: USERS.alice });
+  assert.equal(first.cacheStatus, "미적중");
+  assert.equal(used(), "hello cache".length);
+
+  const hit = await synthesize(options({ text: "hello   cache" }), { user: USERS.alice });
+  assert.equal(hit.cacheHit, true);
+  assert.equal(hit.cacheStatus, "적중");
+  assert.equal(used(), "hello cache".length);
+
+  const bypassed = await synthesize(options(), { user: USERS.alice, noCache: true });
+  assert.equal(bypassed.cacheHit, false);
+  assert.equal(bypassed.cacheStatus, "사용 안 함");
+  assert.notEqual(bypassed.record.filename, first.record.filename);
+
+  assert.deepEqual(synthesisCache.stats(), { enabled: true, scope: "shared", hits: 1, misses: 1, bypassed: 1, hitRate: 0.5, entries: 2 });
+
+  const disabled = createSynthesizer({ enabled: false, scope: "shared" });
+  const again = await disabled.synthesize(options(), { user: USERS.alice });
+  assert.equal(again.cacheHit, false);
+  assert.equal(again.cacheStatus, "사용 안 함");
+});
+
+test("캐시된 파일이 지워졌거나 크기가 다르면 다시 합성한다", async () => {
+  const { synthesize, storage } = createSynthesizer({ enabled: true, scope: "shared" });
+  const first = await synthesize(options(), { user: USERS.alice });
+
+  await storage.write(first.record.filename, Buffer.from("truncated"));
+  const afterTruncate = await synthesize(options(), { user: USERS.alice });
+  assert.equal(afterTruncate.cacheHit, false);
+
+  await storage.remove(afterTruncate.record.filename);
+  await storage.remove(first.record.filename);
+  const afterRemove = await synthesize(options(), { user: USERS.alice });
+  assert.equal(afterRemove.cacheHit, false);
+  assert.ok(await storage.stat(afterRemove.record.filename));
+});
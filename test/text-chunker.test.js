@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { splitSentences, splitTextIntoChunks } from "../src/text-chunker.js";
+
+// 청크가 원문의 순서대로 잘라낸 조각이고, 청크 사이에는 공백만 빠졌는지 확인
+function assertSlicesOfSource(text, chunks, maxLength) {
+  let position = 0;
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= maxLength, `청크 길이 ${chunk.length} > ${maxLength}`);
+    const index = text.indexOf(chunk, position);
+    assert.ok(index >= 0, `원문에 없는 청크: ${JSON.stringify(chunk)}`);
+    assert.match(text.slice(position, index), /^\s*$/);
+    position = index + chunk.length;
+  }
+  assert.match(text.slice(position), /^\s*$/);
+}
+
+test("한도 이하의 텍스트는 그대로 한 청크", () => {
+  assert.deepEqual(splitTextIntoChunks("  안녕하세요. 반갑습니다.  ", 100), ["안녕하세요. 반갑습니다."]);
+});
+
+test("문장 사이의 줄바꿈과 공백을 그대로 유지한다", () => {
+  const text = "First line.\nSecond line.\n\nThird  paragraph here. Fourth sentence!";
+  const chunks = splitTextIntoChunks(text, 30);
+  assert.deepEqual(chunks, ["First line.\nSecond line.", "Third  paragraph here.", "Fourth sentence!"]);
+  assertSlicesOfSource(text, chunks, 30);
+});
+
+test("전각 문장부호 뒤에 공백을 끼워 넣지 않는다", () => {
+  const text = "今日は晴れです。明日は雨です。明後日は曇りでしょう。";
+  const chunks = splitTextIntoChunks(text, 16);
+  assert.deepEqual(chunks, ["今日は晴れです。明日は雨です。", "明後日は曇りでしょう。"]);
+});
+
+test("긴 문장은 절 → 단어 → 글자 수 순으로 나누고 원문 조각을 유지한다", () => {
+  const text = `하나、둘、셋，넷 다섯, ${"가".repeat(25)} 여섯 일곱 여덟 아홉 열.`;
+  const chunks = splitTextIntoChunks(text, 10);
+  assertSlicesOfSource(text, chunks, 10);
+  assert.equal(chunks[0], "하나、둘、셋，");
+  assert.ok(chunks.includes("가".repeat(10)));
+});
+
+test("청크 순서대로 이어 붙이면 공백을 제외한 원문과 같다", () => {
+  const text = Array.from({ length: 40 }, (_, index) => `Sentence number ${index}, with a clause; and more words.${index % 3 ? " " : "\n"}`).join("");
+  const chunks = splitTextIntoChunks(text, 120);
+  assertSlicesOfSource(text, chunks, 120);
+  assert.equal(chunks.join("").replace(/\s/g, ""), text.replace(/\s/g, ""));
+});
+
+test("splitSentences는 뒤에 공백이 없는 마침표를 문장 끝으로 보지 않는다", () => {
+  assert.deepEqual(splitSentences("Pi is 3.14, i.e.roughly. \"Done!\" Next"), ["Pi is 3.14, i.e.roughly.", "\"Done!\"", "Next"]);
+});
@@ -0,0 +1,98 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { ResultSchema } from "@modelcontextprotocol/sdk/types.js";
+import { SUPPORTED_PROTOCOL_VERSIONS, negotiateProtocolVersion } from "../src/runtime.js";
+import { TRANSPORTS, startServer } from "../src/start.js";
+import { USERS, connectClient, createTestRuntime, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+
+before(() => {
+  runtime = createTestRuntime();
+});
+
+after(() => {
+  runtime.close();
+});
+
+// 로컬 프로바이더 입력 한도(4096자)를 넘겨 여러 청크로 나뉘는 텍스트
+const longText = (sentence, repeat = 600) => `${sentence}. `.repeat(repeat).trim();
+const usedChars = (user) => runtime.usageTracker.describe(user).charsToday.used;
+
+test("모든 전송 방식이 같은 도구 레지스트리를 MCP tools/list로 노출한다", async () => {
+  const client = await connectClient(runtime, USERS.alice);
+  const { tools } = await client.listTools();
+  assert.deepEqual(tools, runtime.toolRegistry.listTools().tools);
+  assert.deepEqual(tools.map((tool) => tool.name).sort(), [
+    "cancel_tts_job",
+    "delete_audio_file",
+    "delete_audio_files",
+    "get_my_usage",
+    "get_tts_job",
+    "list_audio_files",
+    "list_voices",
+    "pin_audio_file",
+    "synthesize_dialogue",
+    "text_to_speech",
+  ]);
+  for (const tool of tools) {
+    assert.equal(tool.inputSchema.type, "object", tool.name);
+  }
+  await client.close();
+});
+
+test("클라이언트가 요청한 프로토콜 버전을 지원하면 그대로, 아니면 최신 버전으로 응답한다", () => {
+  assert.equal(negotiateProtocolVersion("2025-03-26"), "2025-03-26");
+  assert.equal(negotiateProtocolVersion("1999-01-01"), SUPPORTED_PROTOCOL_VERSIONS[0]);
+  assert.equal(negotiateProtocolVersion(undefined), SUPPORTED_PROTOCOL_VERSIONS[0]);
+});
+
+test("도구 실행 실패와 알 수 없는 도구는 JSON-RPC 오류가 아니라 isError 결과로 돌려준다", async () => {
+  const client = await connectClient(runtime, USERS.alice);
+  const unknown = await client.callTool({ name: "nope", arguments: {} });
+  assert.equal(unknown.isError, true);
+  assert.equal(unknown.content[0].text, "❌ 오류가 발생했습니다: 알 수 없는 도구: nope");
+
+  const invalid = await client.callTool({ name: "text_to_speech", arguments: { provider: "local", text: "" } });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.content[0].text, /텍스트가 제공되지 않았습니다/);
+  await client.close();
+});
+
+test("progressToken을 보낸 동기 호출은 청크마다 진행 알림을 받는다", async () => {
+  const client = await connectClient(runtime, USERS.alice);
+  const progress = [];
+  const result = await client.callTool(
+    { name: "text_to_speech", arguments: { provider: "local", voice: "en-us", format: "wav", text: longText("sync progress"), include_audio: false } },
+    // SDK 스키마가 모르는 resource_link 블록도 받도록 검증 없이
+    ResultSchema,
+    { onprogress: (notification) => progress.push(notification) },
+  );
+  assert.equal(result.isError, undefined);
+  assert.ok(progress.length > 1);
+  const last = progress.at(-1);
+  assert.ok(last.total > 1);
+  assert.equal(last.progress, last.total);
+  await client.close();
+});
+
+test("요청을 취소하면 남은 청크를 합성하지 않고 예약한 문자 수를 해제한다", async () => {
+  const before = usedChars(USERS.bob);
+  const files = runtime.audioCatalog.list().length;
+  // 첫 청크의 진행 알림이 오면 취소 (MCP 서버가 notifications/cancelled를 받았을 때와 같은 signal)
+  const controller = new AbortController();
+  const result = await runtime.toolRegistry.callTool("text_to_speech", {
+    provider: "local", voice: "en-us", format: "wav", text: longText("cancel me", 3000), include_audio: false,
+  }, toolContext(USERS.bob, { signal: controller.signal, reportProgress: () => controller.abort("사용자 취소") }));
+
+  assert.equal(result.isError, true);
+  assert.equal(result._meta.error, "CANCELLED");
+  assert.equal(usedChars(USERS.bob), before);
+  assert.equal(runtime.audioCatalog.list().length, files);
+});
+
+test("지원하지 않는 전송 방식으로는 시작하지 않는다", async () => {
+  assert.deepEqual(TRANSPORTS, ["stdio", "sse", "http"]);
+  await assert.rejects(startServer({ transport: "websocket" }), /지원하지 않는 전송 방식입니다: websocket/);
+});
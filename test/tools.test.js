@@ -0,0 +1,101 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { USERS, createTestRuntime, synthesizeAs, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+let aliceFile;
+let bobFile;
+
+before(async () => {
+  runtime = createTestRuntime();
+  aliceFile = (await synthesizeAs(runtime, USERS.alice, "alice secret memo")).filename;
+  bobFile = (await synthesizeAs(runtime, USERS.bob, "bob grocery list")).filename;
+});
+
+after(() => {
+  runtime.close();
+});
+
+const callTool = (name, args, user) => runtime.toolRegistry.callTool(name, args, toolContext(user));
+const text = (result) => result.content.find((block) => block.type === "text").text;
+
+test("list_audio_files는 본인이 생성한 파일만 보여준다", async () => {
+  const listed = text(await callTool("list_audio_files", {}, USERS.bob));
+  assert.match(listed, new RegExp(bobFile));
+  assert.doesNotMatch(listed, new RegExp(aliceFile));
+  assert.doesNotMatch(listed, /alice secret memo/);
+});
+
+test("list_audio_files는 admin에게 모든 파일을 보여준다", async () => {
+  const listed = text(await callTool("list_audio_files", {}, USERS.root));
+  assert.match(listed, new RegExp(aliceFile));
+  assert.match(listed, new RegExp(bobFile));
+});
+
+test("파일이 없는 사용자에게는 빈 목록 안내", async () => {
+  const listed = text(await callTool("list_audio_files", {}, { name: "carol", role: "user" }));
+  assert.equal(listed, "생성된 오디오 파일이 없습니다.");
+});
+
+test("다른 사용자의 파일은 삭제할 수 없다", async () => {
+  const result = await callTool("delete_audio_file", { filename: aliceFile }, USERS.bob);
+  assert.equal(result.isError, true);
+  assert.match(text(result), /권한이 없습니다/);
+  assert.ok(await runtime.storage.stat(aliceFile));
+});
+
+test("본인 파일은 삭제되고 카탈로그 기록도 함께 지워진다", async () => {
+  const { filename } = await synthesizeAs(runtime, USERS.bob, "bob deletes this");
+  const result = await callTool("delete_audio_file", { filename }, USERS.bob);
+  assert.equal(result.isError, undefined);
+  assert.match(text(result), /삭제되었습니다/);
+  assert.equal(await runtime.storage.stat(filename), null);
+  assert.equal(runtime.audioCatalog.get(filename), null);
+});
+
+test("admin은 다른 사용자의 파일과 생성자를 알 수 없는 파일도 삭제할 수 있다", async () => {
+  const { filename } = await synthesizeAs(runtime, USERS.alice, "admin deletes this");
+  assert.equal((await callTool("delete_audio_file", { filename }, USERS.root)).isError, undefined);
+  assert.equal(await runtime.storage.stat(filename), null);
+
+  // 카탈로그 기록이 없는 파일은 admin만
+  await runtime.storage.write("tts_orphan.wav", Buffer.from("RIFF"));
+  const denied = await callTool("delete_audio_file", { filename: "tts_orphan.wav" }, USERS.alice);
+  assert.equal(denied.isError, true);
+  assert.match(text(denied), /권한이 없습니다/);
+  assert.equal((await callTool("delete_audio_file", { filename: "tts_orphan.wav" }, USERS.root)).isError, undefined);
+  assert.equal(await runtime.storage.stat("tts_orphan.wav"), null);
+});
+
+test("경로가 섞였거나 숨김·오디오가 아닌 파일명과 없는 파일은 거부한다", async () => {
+  for (const filename of ["../secret.wav", "sub/a.wav", ".catalog.jsonl", "notes.txt", ""]) {
+    const result = await callTool("delete_audio_file", { filename }, USERS.root);
+    assert.equal(result.isError, true, filename);
+    assert.match(text(result), /잘못된 오디오 파일명|파일명이 제공되지 않았습니다/, filename);
+  }
+  const missing = await callTool("delete_audio_file", { filename: "tts_missing.wav" }, USERS.root);
+  assert.match(text(missing), /파일을 찾을 수 없습니다/);
+});
+
+test("delete_audio_files는 조건이 필요하고 본인 파일 중 고정되지 않은 것만 지우며 dry_run은 지우지 않는다", async () => {
+  const rejected = await callTool("delete_audio_files", {}, USERS.bob);
+  assert.equal(rejected.isError, true);
+  assert.match(text(rejected), /older_than_hours 또는 created_by_me/);
+
+  const loose = await synthesizeAs(runtime, USERS.bob, "bulk loose");
+  const pinned = await synthesizeAs(runtime, USERS.bob, "bulk pinned");
+  await callTool("pin_audio_file", { filename: pinned.filename }, USERS.bob);
+  const bobFiles = runtime.audioCatalog.list((record) => record.owner === "bob" && !record.pinned).map((record) => record.filename);
+
+  const preview = await callTool("delete_audio_files", { older_than_hours: 0, dry_run: true }, USERS.bob);
+  assert.deepEqual(preview._meta.deleted, []);
+  assert.equal(preview._meta.matched, bobFiles.length);
+  assert.ok(await runtime.storage.stat(loose.filename));
+
+  const deleted = await callTool("delete_audio_files", { older_than_hours: 0 }, USERS.bob);
+  assert.deepEqual(deleted._meta.deleted.sort(), bobFiles.sort());
+  assert.ok(deleted._meta.deleted.includes(loose.filename));
+  assert.ok(await runtime.storage.stat(pinned.filename));
+  assert.ok(await runtime.storage.stat(aliceFile));
+});
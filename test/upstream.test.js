@@ -0,0 +1,202 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { afterEach, mock, test } from "node:test";
+import { renderMetrics } from "../src/metrics.js";
+import {
+  callUpstream,
+  circuitStatus,
+  describeUpstreamError,
+  loadUpstreamPolicy,
+  parseRetryAfter,
+  streamUpstream,
+} from "../src/providers/upstream.js";
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// axios가 HTTP 오류 응답에 던지는 것과 같은 형태의 오류
+function httpError(status, { headers = {}, body } = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: body === undefined ? undefined : Buffer.from(JSON.stringify(body)) };
+  return error;
+}
+
+function networkError(code) {
+  return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+// 정해 둔 순서대로 실패하거나 성공하는 send (호출 횟수 기록)
+function scriptedSend(outcomes) {
+  const send = async () => {
+    const outcome = outcomes[Math.min(send.calls++, outcomes.length - 1)];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  };
+  send.calls = 0;
+  return send;
+}
+
+function retriesCounted(provider) {
+  const line = renderMetrics().split("\n").find((item) => item.startsWith(`tts_upstream_retries_total{provider="${provider}"} `));
+  return line ? Number(line.split(" ").at(-1)) : 0;
+}
+
+// 재시도를 기다리지 않도록 Retry-After 0
+const NO_WAIT = { "retry-after-ms": "0" };
+
+// 끝없이 이어지는 오류 응답 본문 (읽은 바이트 수를 기록)
+function endlessBody(stats) {
+  return Readable.from((function* generate() {
+    const chunk = Buffer.from(`{"error":{"message":"${"x".repeat(1000)}`);
+    for (;;) {
+      stats.bytes += chunk.length;
+      yield chunk;
+    }
+  })());
+}
+
+test("스트리밍 요청의 오류 응답 본문은 앞부분(64KiB)만 읽는다", async () => {
+  const stats = { bytes: 0 };
+  const send = async () => {
+    const error = new Error("Request failed with status code 400");
+    error.response = { status: 400, headers: {}, data: endlessBody(stats) };
+    throw error;
+  };
+  const stream = streamUpstream({ provider: "test-cap", label: "테스트", send });
+  await assert.rejects(stream.next(), { code: "UPSTREAM_BAD_REQUEST", status: 400 });
+  assert.ok(stats.bytes < 128 * 1024, `${stats.bytes} bytes read`);
+});
+
+test("재시도 정책은 잘못된 값을 기본값으로 대신한다", () => {
+  assert.deepEqual(loadUpstreamPolicy({}), {
+    timeoutMs: 30000, maxRetries: 2, retryBaseMs: 500, retryMaxMs: 10000, circuitThreshold: 5, circuitCooldownMs: 30000,
+  });
+  const policy = loadUpstreamPolicy({ UPSTREAM_MAX_RETRIES: "0", UPSTREAM_TIMEOUT_MS: "-1", UPSTREAM_CIRCUIT_COOLDOWN_SECONDS: "abc" });
+  assert.equal(policy.maxRetries, 0);
+  assert.equal(policy.timeoutMs, 30000);
+  assert.equal(policy.circuitCooldownMs, 30000);
+});
+
+test("Retry-After는 밀리초·초·HTTP 날짜 형식을 모두 읽는다", () => {
+  const now = Date.UTC(2025, 0, 1);
+  assert.equal(parseRetryAfter({ "retry-after-ms": "250", "retry-after": "9" }, now), 250);
+  assert.equal(parseRetryAfter({ "retry-after": "2" }, now), 2000);
+  assert.equal(parseRetryAfter({ "retry-after": new Date(now + 5000).toUTCString() }, now), 5000);
+  assert.equal(parseRetryAfter({ "retry-after": new Date(now - 5000).toUTCString() }, now), 0);
+  assert.equal(parseRetryAfter({ "retry-after": "soon" }, now), null);
+  assert.equal(parseRetryAfter({}, now), null);
+});
+
+test("업스트림 오류를 원인별 코드와 안내 메시지로 바꾼다", () => {
+  const cases = [
+    [httpError(401, { body: { error: { message: "Incorrect API key" } } }), "UPSTREAM_INVALID_KEY", /Incorrect API key/],
+    [httpError(403), "UPSTREAM_FORBIDDEN", /권한/],
+    [httpError(429, { body: { error: { code: "insufficient_quota", message: "quota" } } }), "UPSTREAM_QUOTA_EXHAUSTED", /크레딧/],
+    [httpError(429), "UPSTREAM_RATE_LIMITED", /속도 제한/],
+    [httpError(400, { body: { error: { code: "content_policy_violation" } } }), "UPSTREAM_CONTENT_POLICY", /콘텐츠 정책/],
+    [httpError(400, { body: { error: { message: "bad voice" } } }), "UPSTREAM_BAD_REQUEST", /HTTP 400\)\. \(bad voice\)/],
+    [httpError(404), "UPSTREAM_NOT_FOUND", /찾을 수 없습니다/],
+    [httpError(502), "UPSTREAM_UNAVAILABLE", /HTTP 502/],
+    [networkError("ETIMEDOUT"), "UPSTREAM_TIMEOUT", /30초/],
+    [networkError("ECONNREFUSED"), "UPSTREAM_UNAVAILABLE", /연결할 수 없습니다/],
+  ];
+  for (const [error, code, message] of cases) {
+    const mapped = describeUpstreamError(error, "OpenAI");
+    assert.equal(mapped.code, code, error.message);
+    assert.match(mapped.message, message);
+    assert.equal(mapped.cause, error);
+  }
+
+  const limited = describeUpstreamError(httpError(429, { headers: { "retry-after": "3" } }), "OpenAI");
+  assert.ok(Math.abs(limited.resetAt.getTime() - (Date.now() + 3000)) < 1000);
+});
+
+test("일시적인 오류는 Retry-After만큼 기다려 재시도하고 재시도 횟수를 센다", async () => {
+  const send = scriptedSend([httpError(503, { headers: NO_WAIT }), networkError("ECONNRESET"), "audio"]);
+  assert.equal(await callUpstream({ provider: "test-retry", label: "테스트", send }), "audio");
+  assert.equal(send.calls, 3);
+  assert.equal(retriesCounted("test-retry"), 2);
+
+  // UPSTREAM_MAX_RETRIES(기본 2)회까지만
+  const failing = scriptedSend([httpError(500, { headers: NO_WAIT })]);
+  await assert.rejects(callUpstream({ provider: "test-retry-limit", label: "테스트", send: failing }), { code: "UPSTREAM_UNAVAILABLE", status: 500 });
+  assert.equal(failing.calls, 3);
+});
+
+test("요청 자체의 문제, 크레딧 소진, 너무 긴 Retry-After는 재시도하지 않는다", async () => {
+  const outcomes = [
+    [httpError(400), "UPSTREAM_BAD_REQUEST"],
+    [httpError(429, { headers: NO_WAIT, body: { error: { code: "insufficient_quota" } } }), "UPSTREAM_QUOTA_EXHAUSTED"],
+    [httpError(429, { headers: { "retry-after": "60" } }), "UPSTREAM_RATE_LIMITED"],
+  ];
+  for (const [error, code] of outcomes) {
+    const send = scriptedSend([error, "audio"]);
+    await assert.rejects(callUpstream({ provider: "test-no-retry", label: "테스트", send }), { code });
+    assert.equal(send.calls, 1, code);
+  }
+});
+
+test("중단된 요청은 재시도하지 않고 원래 오류를 그대로 던진다", async () => {
+  const controller = new AbortController();
+  const aborted = Object.assign(new Error("canceled"), { code: "ERR_CANCELED" });
+  const send = async () => {
+    controller.abort();
+    throw aborted;
+  };
+  await assert.rejects(callUpstream({ provider: "test-abort", label: "테스트", send, signal: controller.signal }), (error) => error === aborted);
+  assert.equal(circuitStatus()["test-abort"].failures, 0);
+});
+
+test("연속 실패가 임계값에 이르면 서킷을 열고, 대기 후 시험 요청 1건이 성공하면 닫는다", async () => {
+  const provider = "test-circuit";
+  const down = scriptedSend([httpError(503, { headers: NO_WAIT })]);
+  // 4xx는 업스트림 정상으로 보고 실패로 세지 않음
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: scriptedSend([httpError(400)]) }));
+  assert.equal(circuitStatus()[provider].failures, 0);
+
+  // 호출 1회에 3번 시도 → 두 번째 호출의 두 번째 시도(5번째 실패)에서 열림
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: down }), { code: "UPSTREAM_UNAVAILABLE" });
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: down }), { code: "UPSTREAM_UNAVAILABLE" });
+  assert.equal(down.calls, 5);
+  assert.equal(circuitStatus()[provider].state, "open");
+  assert.match(renderMetrics(), /tts_upstream_circuit_open\{provider="test-circuit"\} 1/);
+
+  // 열린 동안은 요청을 보내지 않음
+  const rejected = scriptedSend(["audio"]);
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: rejected }), (error) => {
+    assert.equal(error.code, "UPSTREAM_CIRCUIT_OPEN");
+    assert.ok(error.resetAt.getTime() > Date.now());
+    return true;
+  });
+  assert.equal(rejected.calls, 0);
+
+  // 쿨다운(기본 30초)이 지나면 시험 요청 1건만 통과
+  const now = Date.now();
+  mock.method(Date, "now", () => now + 31 * 1000);
+  let finishTrial;
+  const trial = callUpstream({ provider, label: "테스트", send: () => new Promise((resolve) => { finishTrial = resolve; }) });
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: rejected }), { code: "UPSTREAM_CIRCUIT_OPEN" });
+  assert.equal(circuitStatus()[provider].state, "half-open");
+  finishTrial("audio");
+  assert.equal(await trial, "audio");
+  assert.deepEqual(circuitStatus()[provider], { state: "closed", failures: 0 });
+});
+
+test("시험 요청이 실패하면 서킷을 바로 다시 연다", async () => {
+  const provider = "test-circuit-reopen";
+  const down = scriptedSend([httpError(503, { headers: NO_WAIT })]);
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: down }));
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: down }));
+  assert.equal(circuitStatus()[provider].state, "open");
+
+  const now = Date.now();
+  mock.method(Date, "now", () => now + 31 * 1000);
+  await assert.rejects(callUpstream({ provider, label: "테스트", send: down }), { code: "UPSTREAM_UNAVAILABLE" });
+  assert.equal(down.calls, 6);
+  assert.equal(circuitStatus()[provider].state, "open");
+  assert.equal(circuitStatus()[provider].openedAt, new Date(now + 31 * 1000).toISOString());
+});
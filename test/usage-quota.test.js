@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { createUsageTracker } from "../src/usage-quota.js";
+
+const alice = { name: "alice", role: "user" };
+let audioDir;
+
+beforeEach(() => {
+  audioDir = fs.mkdtempSync(path.join(os.tmpdir(), "tts-usage-"));
+});
+
+afterEach(() => {
+  fs.rmSync(audioDir, { recursive: true, force: true });
+});
+
+test("진행 중인 예약도 한도에 포함해 동시 요청이 함께 한도를 넘지 못한다", () => {
+  const tracker = createUsageTracker({ audioDir, limits: { charsPerDay: 100 } });
+  const first = tracker.reserveChars(alice, 60);
+  assert.throws(() => tracker.reserveChars(alice, 60), { code: "QUOTA_EXCEEDED" });
+  const second = tracker.reserveChars(alice, 40);
+
+  first.settle();
+  second.settle();
+  assert.equal(tracker.describe(alice).charsToday.used, 100);
+  assert.throws(() => tracker.reserveChars(alice, 1), { code: "QUOTA_EXCEEDED" });
+});
+
+test("실패한 요청의 예약은 해제되어 사용량에 남지 않는다", () => {
+  const tracker = createUsageTracker({ audioDir, limits: { charsPerMonth: 100 } });
+  tracker.reserveChars(alice, 80).release();
+  assert.equal(tracker.describe(alice).charsThisMonth.used, 0);
+  tracker.reserveChars(alice, 100).settle();
+  assert.equal(tracker.describe(alice).totalRequests, 1);
+});
+
+test("settle·release는 처음 한 번만 적용된다", () => {
+  const tracker = createUsageTracker({ audioDir, limits: { charsPerDay: 100 } });
+  const reservation = tracker.reserveChars(alice, 50);
+  reservation.settle();
+  reservation.settle();
+  reservation.release();
+  assert.equal(tracker.describe(alice).charsToday.used, 50);
+  // 중복 해제로 다른 요청의 예약이 줄어들지 않음
+  tracker.reserveChars(alice, 30);
+  reservation.release();
+  assert.throws(() => tracker.reserveChars(alice, 30), { code: "QUOTA_EXCEEDED" });
+});
+
+test("사용량은 파일에 저장되어 다시 만든 트래커에서도 유지된다", () => {
+  createUsageTracker({ audioDir, limits: {} }).reserveChars(alice, 42).settle();
+  assert.equal(createUsageTracker({ audioDir, limits: {} }).describe(alice).totalChars, 42);
+});
+
+test("사용자 토큰의 한도가 전역 한도보다 우선한다", () => {
+  const tracker = createUsageTracker({ audioDir, limits: { charsPerDay: 10 } });
+  tracker.reserveChars({ ...alice, quota: { charsPerDay: 1000 } }, 500).settle();
+  assert.throws(() => tracker.reserveChars(alice, 1), { code: "QUOTA_EXCEEDED" });
+});
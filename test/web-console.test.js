@@ -0,0 +1,128 @@
+import "./helpers/env.js";
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { USERS, bearer, closeServer, createTestRuntime, startTestApp, synthesizeAs, toolContext } from "./helpers/runtime.js";
+
+let runtime;
+let server;
+let baseUrl;
+let aliceFile;
+let bobFile;
+
+before(async () => {
+  runtime = createTestRuntime();
+  aliceFile = (await synthesizeAs(runtime, USERS.alice, "alice console", { voice: "ko" })).filename;
+  bobFile = (await synthesizeAs(runtime, USERS.bob, "bob console")).filename;
+  ({ server, baseUrl } = await startTestApp(runtime));
+});
+
+after(async () => {
+  await closeServer(server);
+  runtime.close();
+});
+
+function synthesize(name, body) {
+  return fetch(`${baseUrl}/console/api/synthesize`, {
+    method: "POST",
+    headers: { ...bearer(name), "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+async function listFiles(name, query = "") {
+  const response = await fetch(`${baseUrl}/console/api/files${query}`, { headers: bearer(name) });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test("콘솔 페이지는 인증 없이, API는 토큰이 있어야 열린다", async () => {
+  const page = await fetch(`${baseUrl}/console`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get("content-type"), /text\/html/);
+  assert.equal((await fetch(`${baseUrl}/console/api/files`)).status, 401);
+
+  const me = await fetch(`${baseUrl}/console/api/me`, { headers: bearer("root") });
+  assert.deepEqual(await me.json(), { user: "root", role: "admin" });
+});
+
+test("파일 목록은 본인이 생성한 파일만, 필터 선택지도 그 파일 기준", async () => {
+  const body = await listFiles("bob");
+  assert.deepEqual(body.files.map((file) => file.filename), [bobFile]);
+  assert.equal(body.total, 1);
+  assert.deepEqual(body.facets.voices, ["en-us"]);
+  assert.match(body.files[0].url, /owner=bob/);
+});
+
+test("admin은 모든 파일을 보고 mine으로 본인 파일만 거를 수 있다", async () => {
+  const all = await listFiles("root");
+  assert.deepEqual(all.files.map((file) => file.filename).sort(), [aliceFile, bobFile].sort());
+  assert.ok(all.files.every((file) => file.canDelete));
+  assert.equal((await listFiles("root", "?mine=true")).total, 0);
+  assert.deepEqual((await listFiles("root", "?voice=ko")).files.map((file) => file.filename), [aliceFile]);
+});
+
+test("다른 사용자의 파일은 콘솔에서도 삭제할 수 없다", async () => {
+  const response = await fetch(`${baseUrl}/console/api/files/${aliceFile}`, { method: "DELETE", headers: bearer("bob") });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /권한이 없습니다/);
+  assert.ok(await runtime.storage.stat(aliceFile));
+});
+
+test("합성 폼은 text_to_speech로 파일을 만들고 본인만 재생할 수 있는 링크를 돌려준다", async () => {
+  const response = await synthesize("alice", { text: "console synthesis", provider: "local", voice: "en-us", format: "wav", speed: "1.5", model: "" });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.match(body.message, /성공적으로 음성으로 변환되었습니다/);
+  assert.ok(body.message.includes(body.url));
+  assert.equal(body.cacheHit, false);
+  const record = runtime.audioCatalog.get(body.filename);
+  assert.equal(record.owner, "alice");
+  assert.equal(record.speed, 1.5);
+
+  // 콘솔의 재생·다운로드는 같은 토큰으로 서명된 링크를 요청
+  const audio = await fetch(body.url, { headers: bearer("alice") });
+  assert.equal(audio.status, 200);
+  assert.deepEqual(Buffer.from(await audio.arrayBuffer()), await runtime.storage.read(body.filename));
+  const asBob = await fetch(body.url, { headers: bearer("bob") });
+  assert.notEqual(asBob.status, 200);
+  await asBob.body?.cancel();
+
+  const [file] = (await listFiles("alice", "?q=console synthesis")).files;
+  assert.equal(file.filename, body.filename);
+  assert.equal(file.canDelete, true);
+  assert.equal(file.pinned, false);
+});
+
+test("합성 오류는 도구 오류 메시지를 접두어 없이 400으로 돌려준다", async () => {
+  const empty = await synthesize("alice", { text: "", provider: "local" });
+  assert.equal(empty.status, 400);
+  assert.deepEqual(await empty.json(), { error: "텍스트가 제공되지 않았습니다." });
+
+  const unconfigured = await synthesize("alice", { text: "hi", provider: "openai" });
+  assert.equal(unconfigured.status, 400);
+  assert.match((await unconfigured.json()).error, /OpenAI 프로바이더가 설정되지 않았습니다/);
+});
+
+test("음성 선택지는 설정된 프로바이더만 보여 준다", async () => {
+  const response = await fetch(`${baseUrl}/console/api/voices`, { headers: bearer("alice") });
+  const { providers } = await response.json();
+  assert.deepEqual(providers.map((provider) => provider.name), ["local"]);
+  assert.deepEqual(providers[0].models[0].voices, ["en-us", "ko"]);
+});
+
+test("고정한 파일은 목록에 표시되고 본인 파일은 콘솔에서 삭제할 수 있다", async () => {
+  await runtime.toolRegistry.callTool("pin_audio_file", { filename: bobFile }, toolContext(USERS.bob));
+  const [pinned] = (await listFiles("bob")).files;
+  assert.equal(pinned.pinned, true);
+
+  const extra = (await synthesizeAs(runtime, USERS.bob, "bob console extra")).filename;
+  const page = await listFiles("bob", "?limit=1&offset=1");
+  assert.equal(page.total, 2);
+  assert.equal(page.files.length, 1);
+
+  const response = await fetch(`${baseUrl}/console/api/files/${extra}`, { method: "DELETE", headers: bearer("bob") });
+  assert.equal(response.status, 200);
+  assert.match((await response.json()).message, new RegExp(extra));
+  assert.equal(await runtime.storage.stat(extra), null);
+  assert.deepEqual((await listFiles("bob")).files.map((file) => file.filename), [bobFile]);
+});